@@ -18,6 +18,91 @@ function register({ registerHook, peertubeHelpers }) {
         return
       }
 
+      // Create a container for the embedding model status and re-embed job
+      const embeddingsContainer = document.createElement('div')
+      embeddingsContainer.id = 'aichat-embeddings'
+      embeddingsContainer.innerHTML = `
+        <h2 style="margin-top: 30px; margin-bottom: 15px;">Embeddings</h2>
+        <p id="aichat-embeddings-status" style="color: #888; margin-bottom: 15px;">Loading...</p>
+        <button id="aichat-reembed-btn" style="
+          background: #2d4a5a;
+          color: white;
+          border: none;
+          padding: 6px 12px;
+          border-radius: 4px;
+          cursor: pointer;
+        ">Re-embed everything</button>
+      `
+      settingsContainer.appendChild(embeddingsContainer)
+
+      // Create a container for the API usage and cost summary
+      const usageContainer = document.createElement('div')
+      usageContainer.id = 'aichat-usage'
+      usageContainer.innerHTML = `
+        <h2 style="margin-top: 30px; margin-bottom: 15px;">Usage (last 30 days)</h2>
+        <p id="aichat-usage-status" style="color: #888; margin-bottom: 15px;">Loading...</p>
+        <table id="aichat-usage-table" style="display: none; width: 100%; border-collapse: collapse; margin-top: 10px;">
+          <thead>
+            <tr style="background: #333;">
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Endpoint</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Model</th>
+              <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Calls</th>
+              <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Prompt Tokens</th>
+              <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Completion Tokens</th>
+              <th style="padding: 10px; text-align: right; border: 1px solid #444; color: white;">Cost</th>
+            </tr>
+          </thead>
+          <tbody id="aichat-usage-tbody">
+          </tbody>
+        </table>
+      `
+      settingsContainer.appendChild(usageContainer)
+
+      // Create a container for messages flagged by moderation
+      const flaggedContainer = document.createElement('div')
+      flaggedContainer.id = 'aichat-flagged'
+      flaggedContainer.innerHTML = `
+        <h2 style="margin-top: 30px; margin-bottom: 15px;">Flagged Messages</h2>
+        <p id="aichat-flagged-status" style="color: #888; margin-bottom: 15px;">Loading...</p>
+        <table id="aichat-flagged-table" style="display: none; width: 100%; border-collapse: collapse; margin-top: 10px;">
+          <thead>
+            <tr style="background: #333;">
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Date</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Video</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Flagged</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Reasons</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Message</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Answer</th>
+              <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Actions</th>
+            </tr>
+          </thead>
+          <tbody id="aichat-flagged-tbody">
+          </tbody>
+        </table>
+      `
+      settingsContainer.appendChild(flaggedContainer)
+
+      // Create a container for processed passages that look like prompt injection
+      const injectionsContainer = document.createElement('div')
+      injectionsContainer.id = 'aichat-injections'
+      injectionsContainer.innerHTML = `
+        <h2 style="margin-top: 30px; margin-bottom: 15px;">Prompt Injection Attempts</h2>
+        <p id="aichat-injections-status" style="color: #888; margin-bottom: 15px;">Loading...</p>
+        <table id="aichat-injections-table" style="display: none; width: 100%; border-collapse: collapse; margin-top: 10px;">
+          <thead>
+            <tr style="background: #333;">
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Video</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Found In</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Patterns</th>
+              <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Text</th>
+            </tr>
+          </thead>
+          <tbody id="aichat-injections-tbody">
+          </tbody>
+        </table>
+      `
+      settingsContainer.appendChild(injectionsContainer)
+
       // Create a container for the processed videos table
       const tableContainer = document.createElement('div')
       tableContainer.id = 'aichat-processed-videos'
@@ -32,6 +117,7 @@ function register({ registerHook, peertubeHelpers }) {
               <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Status</th>
               <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Transcripts</th>
               <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Snapshots</th>
+              <th style="padding: 10px; text-align: right; border: 1px solid #444; color: white;">Cost</th>
               <th style="padding: 10px; text-align: left; border: 1px solid #444; color: white;">Processed At</th>
               <th style="padding: 10px; text-align: center; border: 1px solid #444; color: white;">Actions</th>
             </tr>
@@ -45,6 +131,10 @@ function register({ registerHook, peertubeHelpers }) {
 
       const baseUrl = peertubeHelpers.getBaseRouterRoute()
 
+      function formatCost(cost) {
+        return `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`
+      }
+
       // Function to clear video data
       async function clearVideoData(videoUuid, row) {
         if (!confirm('Are you sure you want to clear all AI data for this video? This cannot be undone.')) {
@@ -74,6 +164,288 @@ function register({ registerHook, peertubeHelpers }) {
         }
       }
 
+      // Show embedding status, polling while the re-embed job runs
+      const statusEl = document.getElementById('aichat-embeddings-status')
+      const reembedBtn = document.getElementById('aichat-reembed-btn')
+
+      let lastStatus = null
+
+      function renderReembedStatus(status) {
+        lastStatus = status
+        if (status.running) {
+          statusEl.textContent = `Re-embedding with ${status.embeddingModel}: ` +
+            `${status.processedVideos + status.failedVideos}/${status.totalVideos} videos done` +
+            (status.failedVideos > 0 ? ` (${status.failedVideos} failed)` : '')
+        } else if (status.migrationNeeded) {
+          statusEl.textContent = `The stored vectors do not have the dimension of ${status.embeddingModel}: ` +
+            'new videos cannot be embedded until everything is re-embedded.'
+        } else if (status.staleChunkCount > 0) {
+          statusEl.textContent = `${status.staleChunkCount} transcript chunks or snapshot descriptions in ${status.staleVideoCount} video(s) ` +
+            `are not embedded with ${status.embeddingModel} and are excluded from search.`
+        } else {
+          statusEl.textContent = status.embeddingModel
+            ? `All transcript chunks and snapshot descriptions are embedded with ${status.embeddingModel}.`
+            : 'AI service not configured.'
+        }
+
+        reembedBtn.disabled = status.running || !status.embeddingModel
+        reembedBtn.style.opacity = reembedBtn.disabled ? '0.5' : '1'
+      }
+
+      async function loadReembedStatus() {
+        try {
+          const response = await fetch(`${baseUrl}/processing/reembed/status`, {
+            headers: peertubeHelpers.getAuthHeader()
+          })
+
+          if (!response.ok) {
+            throw new Error('Failed to fetch')
+          }
+
+          const status = await response.json()
+          renderReembedStatus(status)
+
+          if (status.running) {
+            setTimeout(loadReembedStatus, 5000)
+          }
+        } catch (error) {
+          console.error('Failed to load embedding status:', error)
+          statusEl.textContent = 'Failed to load embedding status'
+        }
+      }
+
+      reembedBtn.addEventListener('click', async () => {
+        const question = lastStatus?.migrationNeeded
+          ? 'The embedding model has another dimension: every stored embedding is deleted, then regenerated. This calls the embeddings API for each item.'
+          : 'Regenerate every transcript and snapshot embedding not produced by the current embedding model? This calls the embeddings API for each item.'
+        if (!confirm(question)) {
+          return
+        }
+
+        try {
+          const response = await fetch(`${baseUrl}/processing/reembed`, {
+            method: 'POST',
+            headers: peertubeHelpers.getAuthHeader()
+          })
+
+          if (!response.ok) {
+            throw new Error('Failed to start')
+          }
+
+          renderReembedStatus(await response.json())
+          setTimeout(loadReembedStatus, 5000)
+        } catch (error) {
+          console.error('Error starting re-embed job:', error)
+          alert('Failed to start re-embed job')
+        }
+      })
+
+      loadReembedStatus()
+
+      // Fetch passages flagged as possible prompt injection
+      try {
+        const response = await fetch(`${baseUrl}/moderation/injections`, {
+          headers: peertubeHelpers.getAuthHeader()
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch')
+        }
+
+        const injections = await response.json()
+        const injectionsTbodyEl = document.getElementById('aichat-injections-tbody')
+        const videoCount = new Set(injections.map(entry => entry.videoUuid)).size
+
+        document.getElementById('aichat-injections-status').textContent = injections.length > 0
+          ? `${injections.length} passage(s) in ${videoCount} video(s) contain instruction-like text. They are still used as context, delimited as untrusted data the model is told not to obey.`
+          : 'No processed video contains instruction-like text.'
+
+        if (injections.length > 0) {
+          document.getElementById('aichat-injections-table').style.display = 'table'
+        }
+
+        injections.forEach(entry => {
+          const row = document.createElement('tr')
+
+          // Video text is uploader content, never inserted as HTML
+          const cells = [
+            entry.videoName || entry.videoUuid.substring(0, 8) + '...',
+            entry.startTime !== null && entry.startTime !== undefined
+              ? `${entry.source} at ${Math.floor(entry.startTime / 60)}:${String(Math.floor(entry.startTime % 60)).padStart(2, '0')}`
+              : entry.source,
+            entry.patterns.join(', '),
+            entry.content
+          ]
+
+          cells.forEach(text => {
+            const cell = document.createElement('td')
+            cell.style.cssText = 'padding: 8px; border: 1px solid #444; vertical-align: top; white-space: pre-wrap;'
+            cell.textContent = text
+            row.appendChild(cell)
+          })
+
+          injectionsTbodyEl.appendChild(row)
+        })
+      } catch (error) {
+        console.error('Failed to load prompt injection flags:', error)
+        document.getElementById('aichat-injections-status').textContent = 'Failed to load prompt injection flags'
+      }
+
+      // Fetch flagged messages awaiting review
+      const flaggedStatusEl = document.getElementById('aichat-flagged-status')
+
+      function updateFlaggedStatus(count) {
+        flaggedStatusEl.textContent = count > 0
+          ? `${count} message(s) flagged by moderation awaiting review. Refused messages were not sent to the model.`
+          : 'No flagged messages awaiting review.'
+        document.getElementById('aichat-flagged-table').style.display = count > 0 ? 'table' : 'none'
+      }
+
+      async function markFlaggedReviewed(id, row) {
+        try {
+          const response = await fetch(`${baseUrl}/moderation/flagged/${id}/review`, {
+            method: 'POST',
+            headers: peertubeHelpers.getAuthHeader()
+          })
+
+          if (!response.ok) {
+            throw new Error('Failed to review')
+          }
+
+          row.remove()
+          updateFlaggedStatus(document.getElementById('aichat-flagged-tbody').children.length)
+        } catch (error) {
+          console.error('Error reviewing flagged message:', error)
+          alert('Failed to mark the message as reviewed')
+        }
+      }
+
+      try {
+        const response = await fetch(`${baseUrl}/moderation/flagged`, {
+          headers: peertubeHelpers.getAuthHeader()
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch')
+        }
+
+        const flagged = await response.json()
+        const flaggedTbodyEl = document.getElementById('aichat-flagged-tbody')
+
+        flagged.forEach(entry => {
+          const row = document.createElement('tr')
+
+          // Flagged content is user or model text, never inserted as HTML
+          const cells = [
+            new Date(entry.createdAt).toLocaleString(),
+            entry.videoUuid ? entry.videoUuid.substring(0, 8) + '...' : 'Library',
+            `${entry.direction === 'input' ? 'Message' : 'Answer'} (${entry.action}, ${entry.source})`,
+            entry.reasons.join(', '),
+            entry.message,
+            entry.response || '-'
+          ]
+
+          cells.forEach(text => {
+            const cell = document.createElement('td')
+            cell.style.cssText = 'padding: 8px; border: 1px solid #444; vertical-align: top; white-space: pre-wrap;'
+            cell.textContent = text
+            row.appendChild(cell)
+          })
+
+          const actionCell = document.createElement('td')
+          actionCell.style.cssText = 'padding: 8px; border: 1px solid #444; text-align: center; vertical-align: top;'
+          actionCell.innerHTML = `
+            <button class="aichat-review-btn" style="
+              background: #2d4a5a;
+              color: white;
+              border: none;
+              padding: 4px 8px;
+              border-radius: 4px;
+              cursor: pointer;
+              font-size: 12px;
+            ">Mark reviewed</button>
+          `
+          actionCell.querySelector('.aichat-review-btn').addEventListener('click', () => markFlaggedReviewed(entry.id, row))
+          row.appendChild(actionCell)
+
+          flaggedTbodyEl.appendChild(row)
+        })
+
+        updateFlaggedStatus(flagged.length)
+      } catch (error) {
+        console.error('Failed to load flagged messages:', error)
+        flaggedStatusEl.textContent = 'Failed to load flagged messages'
+      }
+
+      // Warn at the top of the settings when the monthly budget limits are reached
+      try {
+        const response = await fetch(`${baseUrl}/usage/budget`, {
+          headers: peertubeHelpers.getAuthHeader()
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch')
+        }
+
+        const budget = await response.json()
+        if (budget.level !== 'ok') {
+          const banner = document.createElement('div')
+          banner.id = 'aichat-budget-banner'
+          banner.style.cssText = `
+            margin-bottom: 20px;
+            padding: 12px 16px;
+            border-radius: 4px;
+            color: white;
+            background: ${budget.level === 'hard' ? '#5a2d2d' : '#5a4a2d'};
+          `
+          banner.textContent = budget.level === 'hard'
+            ? `AI Chat is paused: ${formatCost(budget.spent)} of the ${formatCost(budget.budget)} monthly budget has been spent. Chat resumes next month or when the budget is raised.`
+            : `AI Chat reached the soft budget limit: ${formatCost(budget.spent)} of ${formatCost(budget.budget)} spent this month. Chat uses the fallback model and new uploads are not processed automatically.`
+          settingsContainer.prepend(banner)
+        }
+      } catch (error) {
+        console.error('Failed to load budget status:', error)
+      }
+
+      // Fetch the usage summary
+      try {
+        const response = await fetch(`${baseUrl}/usage/summary?days=30`, {
+          headers: peertubeHelpers.getAuthHeader()
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch')
+        }
+
+        const summary = await response.json()
+        const usageStatusEl = document.getElementById('aichat-usage-status')
+        const usageTbodyEl = document.getElementById('aichat-usage-tbody')
+
+        usageStatusEl.textContent = summary.byModel.length > 0
+          ? `Total cost: ${formatCost(summary.totalCost)}. Prices come from the Model Prices setting.`
+          : 'No API usage recorded yet.'
+
+        if (summary.byModel.length > 0) {
+          document.getElementById('aichat-usage-table').style.display = 'table'
+        }
+
+        summary.byModel.forEach(entry => {
+          const row = document.createElement('tr')
+          row.innerHTML = `
+            <td style="padding: 8px; border: 1px solid #444;">${entry.endpoint}</td>
+            <td style="padding: 8px; border: 1px solid #444;">${entry.model || '-'}</td>
+            <td style="padding: 8px; border: 1px solid #444; text-align: center;">${entry.calls}</td>
+            <td style="padding: 8px; border: 1px solid #444; text-align: center;">${entry.promptTokens}</td>
+            <td style="padding: 8px; border: 1px solid #444; text-align: center;">${entry.completionTokens}</td>
+            <td style="padding: 8px; border: 1px solid #444; text-align: right;">${formatCost(entry.cost)}</td>
+          `
+          usageTbodyEl.appendChild(row)
+        })
+      } catch (error) {
+        console.error('Failed to load usage summary:', error)
+        document.getElementById('aichat-usage-status').textContent = 'Failed to load usage summary'
+      }
+
       // Fetch processed videos
       try {
         const response = await fetch(`${baseUrl}/processing/list`, {
@@ -114,6 +486,7 @@ function register({ registerHook, peertubeHelpers }) {
                   color: white;
                   background: ${video.status === 'completed' ? '#2d5a2d' : video.status === 'processing' ? '#5a4a2d' : video.status === 'error' ? '#5a2d2d' : '#444'};
                 ">${video.status}</span>
+                ${video.injectionCount > 0 ? `<span title="Instruction-like text found, see Prompt Injection Attempts" style="margin-left: 6px;">⚠️ ${video.injectionCount}</span>` : ''}
               </td>
               <td style="padding: 8px; border: 1px solid #444; text-align: center;">
                 ${video.embeddingCount}
@@ -121,6 +494,9 @@ function register({ registerHook, peertubeHelpers }) {
               <td style="padding: 8px; border: 1px solid #444; text-align: center;">
                 ${video.snapshotCount}
               </td>
+              <td style="padding: 8px; border: 1px solid #444; text-align: right;" title="Processing: ${formatCost(video.processingCost)}, chat: ${formatCost(video.chatCost)}">
+                ${formatCost(video.processingCost + video.chatCost)}
+              </td>
               <td style="padding: 8px; border: 1px solid #444;">
                 ${video.processedAt ? new Date(video.processedAt).toLocaleString() : '-'}
               </td>
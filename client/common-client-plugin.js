@@ -1,5 +1,164 @@
-function register ({ registerHook, peertubeHelpers }) {
-  console.log('Hello world')
+import { fetchChatStream, createChatError, getChatErrorMessage, getInterfaceLanguage, renderMessageContent } from './shared/chat-utils'
+
+const LIBRARY_ROUTE = 'ask-library'
+
+async function register ({ registerHook, registerClientRoute, peertubeHelpers }) {
+  const settings = await peertubeHelpers.getSettings()
+  if (!settings || !settings['chat-enabled'] || !settings['library-chat-enabled']) {
+    return
+  }
+
+  // "Ask the library" page, available at /p/ask-library
+  registerClientRoute({
+    route: LIBRARY_ROUTE,
+    title: 'Ask the library',
+    onMount: ({ rootEl }) => {
+      initializeLibraryChat(rootEl, peertubeHelpers, settings)
+    }
+  })
+
+  // Add a left menu entry pointing to the library chat page
+  registerHook({
+    target: 'filter:left-menu.links.create.result',
+    handler: (sections) => {
+      if (!Array.isArray(sections) || sections.length === 0 || !Array.isArray(sections[0].links)) {
+        return sections
+      }
+
+      sections[0].links.push({
+        path: `/p/${LIBRARY_ROUTE}`,
+        icon: 'search',
+        shortLabel: 'Ask AI',
+        label: 'Ask the library'
+      })
+
+      return sections
+    }
+  })
+}
+
+function initializeLibraryChat(rootEl, peertubeHelpers, settings) {
+  rootEl.innerHTML = `
+    <div class="ai-library-chat">
+      <div class="ai-chat-header">
+        <h3>Ask the library</h3>
+      </div>
+      <div class="ai-chat-messages" id="ai-library-messages">
+        <div class="ai-chat-welcome">
+          <div class="welcome-icon">🔎</div>
+          <h4>Ask anything about the videos on this platform!</h4>
+          <p>I search every processed video to find:</p>
+          <ul>
+            <li>Which video explains a topic</li>
+            <li>The exact moment something is discussed</li>
+            <li>Videos related to your question</li>
+          </ul>
+        </div>
+      </div>
+      <div class="ai-chat-input-container">
+        <textarea
+          id="ai-library-input"
+          class="ai-chat-input"
+          placeholder="Which video explains..."
+          rows="3"
+        ></textarea>
+        <button id="ai-library-send" class="ai-chat-send" aria-label="Send message">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `
+
+  const input = rootEl.querySelector('#ai-library-input')
+  const sendButton = rootEl.querySelector('#ai-library-send')
+  const messagesContainer = rootEl.querySelector('#ai-library-messages')
+  const url = peertubeHelpers.getBaseRouterRoute() + '/chat/library/send'
+
+  const sendMessage = async () => {
+    const message = input.value.trim()
+    if (!message) return
+
+    addLibraryMessage(messagesContainer, 'user', message)
+
+    input.value = ''
+    sendButton.disabled = true
+    input.disabled = true
+
+    const answerDiv = addLibraryMessage(messagesContainer, 'assistant', null)
+    const payload = { message, language: getInterfaceLanguage() }
+
+    try {
+      let data
+      if (settings['stream-responses'] && window.ReadableStream && window.TextDecoder) {
+        data = await fetchChatStream(url, peertubeHelpers.getAuthHeader(), payload, (content) => {
+          answerDiv.classList.add('streaming')
+          answerDiv.querySelector('.message-content').textContent = content
+          messagesContainer.scrollTop = messagesContainer.scrollHeight
+        })
+      } else {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...peertubeHelpers.getAuthHeader()
+          },
+          body: JSON.stringify(payload)
+        })
+
+        if (!response.ok) {
+          throw await createChatError(response)
+        }
+
+        data = await response.json()
+      }
+
+      answerDiv.classList.remove('streaming')
+      answerDiv.querySelector('.message-content').innerHTML = renderMessageContent(data.response, data.timestamps, data.videoLinks)
+    } catch (error) {
+      console.error('[AI Chat] Error sending library message:', error)
+      answerDiv.classList.remove('streaming')
+      answerDiv.querySelector('.message-content').textContent = getChatErrorMessage(error)
+      if (!error.rateLimited && !error.paused) {
+        peertubeHelpers.notifier.error('Failed to send message')
+      }
+    } finally {
+      sendButton.disabled = false
+      input.disabled = false
+      input.focus()
+      messagesContainer.scrollTop = messagesContainer.scrollHeight
+    }
+  }
+
+  sendButton.addEventListener('click', sendMessage)
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      sendMessage()
+    }
+  })
+}
+
+// Append a message, content null shows the loading indicator
+function addLibraryMessage(messagesContainer, role, content) {
+  const messageDiv = document.createElement('div')
+  messageDiv.className = `ai-chat-message ${role}`
+  messageDiv.innerHTML = `
+    <div class="message-role">${role === 'user' ? 'You' : 'AI'}</div>
+    <div class="message-content">
+      ${content === null ? '<div class="loading-dots"><span></span><span></span><span></span></div>' : ''}
+    </div>
+  `
+
+  if (content !== null) {
+    messageDiv.querySelector('.message-content').textContent = content
+  }
+
+  messagesContainer.appendChild(messageDiv)
+  messagesContainer.scrollTop = messagesContainer.scrollHeight
+
+  return messageDiv
 }
 
 export {
@@ -0,0 +1,155 @@
+// Helpers shared by the video watch drawer and the library chat page
+
+// POST a chat request with `stream: true` and read the Server-Sent Events answer.
+// onDelta receives the full text received so far; resolves with the `done` payload.
+async function fetchChatStream(url, authHeader, payload, onDelta) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...authHeader
+    },
+    body: JSON.stringify({ ...payload, stream: true })
+  })
+
+  if (!response.ok || !response.body) {
+    throw await createChatError(response)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let content = ''
+
+  while (true) {
+    const result = await reader.read()
+    if (result.done) break
+
+    buffer += decoder.decode(result.value, { stream: true })
+
+    // Events are separated by a blank line
+    let separatorIndex
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex)
+      buffer = buffer.slice(separatorIndex + 2)
+
+      const event = parseServerSentEvent(rawEvent)
+      if (!event) continue
+
+      if (event.type === 'delta') {
+        content += event.data.content
+        onDelta(content)
+      } else if (event.type === 'done') {
+        reader.cancel()
+        return event.data
+      } else if (event.type === 'error') {
+        throw new Error(event.data.error)
+      }
+    }
+  }
+
+  throw new Error('Chat stream ended unexpectedly')
+}
+
+// Error for a failed chat request. Rate limited requests (429) carry
+// `rateLimited` and `retryAt`, the time the limit resets; `paused` is set
+// when the assistant is paused because the monthly budget is spent (503).
+async function createChatError(response) {
+  const error = new Error(`Chat request failed with status ${response.status}`)
+
+  if (response.status === 503) {
+    error.paused = true
+  }
+
+  if (response.status === 429) {
+    let body = {}
+    try {
+      body = await response.json()
+    } catch {
+      // Keep the generic message
+    }
+
+    error.rateLimited = true
+    error.retryAt = body.retryAt ? new Date(body.retryAt) : null
+  }
+
+  return error
+}
+
+// Text shown in place of the answer when a chat request failed
+function getChatErrorMessage(error) {
+  if (error.paused) {
+    return 'The assistant is paused for now. Please check back later.'
+  }
+
+  if (!error.rateLimited) {
+    return 'Sorry, I encountered an error. Please try again.'
+  }
+
+  if (!error.retryAt || isNaN(error.retryAt.getTime())) {
+    return 'Limit reached, please try again later.'
+  }
+
+  const time = error.retryAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  const isToday = error.retryAt.toDateString() === new Date().toDateString()
+
+  return `Limit reached, try again ${isToday ? '' : 'tomorrow '}at ${time}.`
+}
+
+function parseServerSentEvent(rawEvent) {
+  let type = 'message'
+  let data = ''
+
+  rawEvent.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      data += line.slice(5).trim()
+    }
+  })
+
+  if (!data) return null
+
+  try {
+    return { type, data: JSON.parse(data) }
+  } catch {
+    return null
+  }
+}
+
+function renderMessageContent(content, timestamps = [], videoLinks = []) {
+  // Process content for timestamps
+  let processedContent = content
+  if (timestamps && timestamps.length > 0) {
+    timestamps.forEach(ts => {
+      const link = `<a href="#" class="timestamp-link" data-time="${ts.seconds}">${ts.display}</a>`
+      processedContent = processedContent.replace(ts.display, link)
+    })
+  }
+
+  // Process content for video links, deep links show the moment they point to
+  if (videoLinks && videoLinks.length > 0) {
+    videoLinks.forEach(vl => {
+      const label = vl.startTime ? `${vl.name} (${vl.startTime})` : vl.name
+      const link = `<a href="${vl.url}" class="video-link" target="_blank">${label}</a>`
+      processedContent = processedContent.replace(vl.display, link)
+    })
+  }
+
+  return processedContent
+}
+
+// Language of the PeerTube interface (falling back to the browser's), sent with chat
+// requests so transcripts in that language are preferred
+function getInterfaceLanguage() {
+  return document.documentElement.lang || navigator.language || null
+}
+
+export {
+  fetchChatStream,
+  createChatError,
+  getChatErrorMessage,
+  getInterfaceLanguage,
+  renderMessageContent
+}
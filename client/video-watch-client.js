@@ -1,3 +1,19 @@
+import { fetchChatStream, createChatError, getChatErrorMessage, getInterfaceLanguage, renderMessageContent } from './shared/chat-utils'
+
+const WELCOME_HTML = `
+  <div class="ai-chat-welcome">
+    <div class="welcome-icon">🤖</div>
+    <h4>Ask me anything about this video!</h4>
+    <p>I can help you:</p>
+    <ul>
+      <li>Understand complex topics</li>
+      <li>Find specific moments</li>
+      <li>Get summaries and insights</li>
+      <li>Answer questions about the content</li>
+    </ul>
+  </div>
+`
+
 function register({ registerHook, peertubeHelpers }) {
   // Initialize the AI chat interface on video watch pages
   registerHook({
@@ -165,6 +181,7 @@ async function initializeAIChat(video, peertubeHelpers) {
   if (existingOverlay) existingOverlay.remove()
 
   // Check if video has been processed before showing chat
+  let chatPaused = false
   try {
     const response = await fetch(peertubeHelpers.getBaseRouterRoute() + `/processing/status/${video.uuid}`, {
       headers: {
@@ -179,6 +196,7 @@ async function initializeAIChat(video, peertubeHelpers) {
         console.log('[AI Chat] Video not processed, chat hidden')
         return
       }
+      chatPaused = Boolean(status.chatPaused)
     } else {
       // If we can't check status, don't show chat
       console.log('[AI Chat] Could not check processing status, chat hidden')
@@ -203,6 +221,12 @@ async function initializeAIChat(video, peertubeHelpers) {
   drawer.innerHTML = `
     <div class="ai-chat-header">
       <h3>AI Assistant</h3>
+      <button class="ai-chat-new" id="ai-chat-new" aria-label="New chat" title="New chat">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="12" y1="5" x2="12" y2="19"></line>
+          <line x1="5" y1="12" x2="19" y2="12"></line>
+        </svg>
+      </button>
       <button class="ai-chat-close" aria-label="Close chat">
         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -210,22 +234,18 @@ async function initializeAIChat(video, peertubeHelpers) {
         </svg>
       </button>
     </div>
-    <div class="ai-chat-body">
+    <div class="ai-chat-tabs" id="ai-chat-tabs" role="tablist" hidden></div>
+    <div class="ai-chat-conversations" id="ai-chat-conversations" data-tab-panel="chat" hidden>
+      <select id="ai-chat-conversation-select" class="ai-chat-conversation-select" aria-label="Conversation"></select>
+      <button id="ai-chat-rename" class="ai-chat-conversation-action" aria-label="Rename conversation" title="Rename">✏️</button>
+      <button id="ai-chat-delete" class="ai-chat-conversation-action" aria-label="Delete conversation" title="Delete">🗑️</button>
+    </div>
+    <div class="ai-chat-body" data-tab-panel="chat">
       <div class="ai-chat-messages" id="ai-chat-messages">
-        <div class="ai-chat-welcome">
-          <div class="welcome-icon">🤖</div>
-          <h4>Ask me anything about this video!</h4>
-          <p>I can help you:</p>
-          <ul>
-            <li>Understand complex topics</li>
-            <li>Find specific moments</li>
-            <li>Get summaries and insights</li>
-            <li>Answer questions about the content</li>
-          </ul>
-        </div>
+        ${WELCOME_HTML}
       </div>
     </div>
-    <div class="ai-chat-input-container">
+    <div class="ai-chat-input-container" data-tab-panel="chat">
       <textarea
         id="ai-chat-input"
         class="ai-chat-input"
@@ -257,13 +277,19 @@ async function initializeAIChat(video, peertubeHelpers) {
   document.body.appendChild(toggleButton)
 
   // Initialize event handlers
-  initializeChatHandlers(video, peertubeHelpers)
+  initializeChatHandlers(video, peertubeHelpers, settings)
+
+  if (chatPaused) {
+    showPausedState()
+  }
+
+  loadDrawerTabs(video, peertubeHelpers)
 
   // Check processing status
   checkProcessingStatus(video, peertubeHelpers)
 }
 
-function initializeChatHandlers(video, peertubeHelpers) {
+function initializeChatHandlers(video, peertubeHelpers, settings) {
   const input = document.getElementById('ai-chat-input')
   const sendButton = document.getElementById('ai-chat-send')
   const drawer = document.getElementById('ai-chat-drawer')
@@ -298,6 +324,17 @@ function initializeChatHandlers(video, peertubeHelpers) {
     }
   })
 
+  // Clicking a suggested question asks it right away
+  const suggestions = initializeSuggestedQuestions(video, peertubeHelpers, (question) => {
+    if (!input.isConnected || input.disabled) return
+
+    input.value = question
+    sendMessage()
+  })
+
+  // Conversations are only kept for signed-in users
+  const conversations = initializeConversations(video, peertubeHelpers, suggestions.render)
+
   // Send message handler
   const sendMessage = async () => {
     const message = input.value.trim()
@@ -315,31 +352,57 @@ function initializeChatHandlers(video, peertubeHelpers) {
     const loadingId = addMessageToChat('assistant', '...', true)
 
     try {
-      // Send message to backend
-      const response = await fetch(peertubeHelpers.getBaseRouterRoute() + '/chat/send', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...peertubeHelpers.getAuthHeader()
-        },
-        body: JSON.stringify({
-          videoId: video.id,
-          videoUuid: video.uuid,
-          message: message
+      const payload = {
+        videoId: video.id,
+        videoUuid: video.uuid,
+        message: message,
+        currentTime: getCurrentTime(),
+        conversationId: conversations.getCurrentId(),
+        language: getInterfaceLanguage()
+      }
+
+      let data
+      if (settings['stream-responses'] && window.ReadableStream && window.TextDecoder) {
+        data = await sendStreamingMessage(peertubeHelpers, payload, loadingId)
+      } else {
+        // Send message to backend
+        const response = await fetch(peertubeHelpers.getBaseRouterRoute() + '/chat/send', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...peertubeHelpers.getAuthHeader()
+          },
+          body: JSON.stringify(payload)
         })
-      })
 
-      const data = await response.json()
+        if (!response.ok) {
+          throw await createChatError(response)
+        }
 
-      // Remove loading and add response
-      removeMessage(loadingId)
-      addMessageToChat('assistant', data.response, false, data.timestamps, data.videoLinks)
+        data = await response.json()
+
+        // Remove loading and add response
+        removeMessage(loadingId)
+        const messageId = addMessageToChat('assistant', data.response, false, data.timestamps, data.videoLinks)
+        appendSources(messageId, data.sources, peertubeHelpers.getBaseRouterRoute())
+      }
+
+      if (data.conversationId) {
+        conversations.setCurrent(data.conversationId)
+      }
 
     } catch (error) {
       console.error('Error sending message:', error)
       removeMessage(loadingId)
-      addMessageToChat('assistant', 'Sorry, I encountered an error. Please try again.')
-      peertubeHelpers.notifier.error('Failed to send message')
+      if (error.paused) {
+        showPausedState()
+        return
+      }
+
+      addMessageToChat('assistant', getChatErrorMessage(error))
+      if (!error.rateLimited) {
+        peertubeHelpers.notifier.error('Failed to send message')
+      }
     } finally {
       sendButton.disabled = false
       input.disabled = false
@@ -357,6 +420,994 @@ function initializeChatHandlers(video, peertubeHelpers) {
   })
 }
 
+// Callbacks run the first time a tab is shown, by tab name
+const tabOpenHandlers = new Map()
+
+// Add a tab to the drawer, the tab bar appears with the first tab besides the chat.
+// The drawer elements of a tab carry its name in their data-tab-panel attribute.
+// onFirstShow: optional, to load the content of the tab only when it is opened
+function addDrawerTab(name, label, onFirstShow = null) {
+  const tabs = document.getElementById('ai-chat-tabs')
+  if (!tabs || tabs.querySelector(`[data-tab="${name}"]`)) return
+
+  if (onFirstShow) {
+    tabOpenHandlers.set(name, onFirstShow)
+  }
+
+  const addButton = (tabName, tabLabel) => {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'ai-chat-tab'
+    button.dataset.tab = tabName
+    button.setAttribute('role', 'tab')
+    button.textContent = tabLabel
+    button.addEventListener('click', () => showDrawerTab(tabName))
+    tabs.appendChild(button)
+  }
+
+  if (tabs.children.length === 0) {
+    addButton('chat', 'Chat')
+  }
+  addButton(name, label)
+
+  tabs.hidden = false
+  showDrawerTab(tabs.querySelector('.ai-chat-tab.active')?.dataset.tab || 'chat')
+}
+
+function showDrawerTab(name) {
+  document.querySelectorAll('#ai-chat-tabs .ai-chat-tab').forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === name)
+    button.setAttribute('aria-selected', String(button.dataset.tab === name))
+  })
+
+  document.querySelectorAll('#ai-chat-drawer [data-tab-panel]').forEach(panel => {
+    panel.classList.toggle('tab-hidden', panel.dataset.tabPanel !== name)
+  })
+
+  const onFirstShow = tabOpenHandlers.get(name)
+  if (onFirstShow) {
+    tabOpenHandlers.delete(name)
+    onFirstShow()
+  }
+}
+
+// Tabs shown next to the chat when the video has their content, added in this order
+async function loadDrawerTabs(video, peertubeHelpers) {
+  for (const initializeTab of [initializeSummary, initializeChapters, initializeQuiz]) {
+    try {
+      await initializeTab(video, peertubeHelpers)
+    } catch (error) {
+      console.error('[AI Chat] Error loading drawer tab:', error)
+    }
+  }
+}
+
+// "Summary" tab: short summary, key takeaways and detailed summary generated during processing
+async function initializeSummary(video, peertubeHelpers) {
+  const response = await fetch(peertubeHelpers.getBaseRouterRoute() + `/summary/${video.uuid}`, {
+    headers: {
+      ...peertubeHelpers.getAuthHeader()
+    }
+  })
+
+  if (!response.ok) return
+
+  const summary = await response.json()
+
+  const panel = document.createElement('div')
+  panel.className = 'ai-chat-panel ai-chat-summary'
+  panel.dataset.tabPanel = 'summary'
+
+  const addSection = (title) => {
+    const heading = document.createElement('h4')
+    heading.textContent = title
+    panel.appendChild(heading)
+  }
+
+  addSection('In short')
+  const short = document.createElement('p')
+  appendTextWithTimestamps(short, summary.short)
+  panel.appendChild(short)
+
+  if (summary.takeaways.length > 0) {
+    addSection('Key takeaways')
+    const list = document.createElement('ul')
+    summary.takeaways.forEach(takeaway => {
+      const item = document.createElement('li')
+      appendTextWithTimestamps(item, takeaway)
+      list.appendChild(item)
+    })
+    panel.appendChild(list)
+  }
+
+  addSection('Detailed summary')
+  summary.detailed.split(/\n+/).filter(Boolean).forEach(paragraph => {
+    const p = document.createElement('p')
+    appendTextWithTimestamps(p, paragraph)
+    panel.appendChild(p)
+  })
+
+  document.getElementById('ai-chat-drawer').appendChild(panel)
+  addDrawerTab('summary', 'Summary')
+}
+
+// Append generated text, [m:ss] and [m:ss-m:ss] timestamps become links seeking the player
+function appendTextWithTimestamps(element, text) {
+  const regex = /\[(\d{1,2}:\d{2}(?::\d{2})?)(?:-\d{1,2}:\d{2}(?::\d{2})?)?\]/g
+  let lastIndex = 0
+  let match
+
+  while ((match = regex.exec(text)) !== null) {
+    element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)))
+
+    const seconds = parseTime(match[1])
+    const link = document.createElement('a')
+    link.href = '#'
+    link.className = 'timestamp-link'
+    link.textContent = match[0]
+    link.addEventListener('click', (e) => {
+      e.preventDefault()
+      seekToTime(seconds)
+    })
+    element.appendChild(link)
+
+    lastIndex = regex.lastIndex
+  }
+
+  element.appendChild(document.createTextNode(text.slice(lastIndex)))
+}
+
+// "Chapters" tab: generated chapters that seek the player. The video owner can edit them
+// and publish them as PeerTube chapters, which is done with their own token through the
+// PeerTube API and only when the video has no chapters yet.
+async function initializeChapters(video, peertubeHelpers) {
+  const chaptersUrl = peertubeHelpers.getBaseRouterRoute() + `/chapters/${video.uuid}`
+  const response = await fetch(chaptersUrl, {
+    headers: {
+      ...peertubeHelpers.getAuthHeader()
+    }
+  })
+
+  if (!response.ok) return
+
+  let data = await response.json()
+  if (data.chapters.length === 0) return
+
+  const drawer = document.getElementById('ai-chat-drawer')
+  const panel = document.createElement('div')
+  panel.className = 'ai-chat-panel ai-chat-chapters'
+  panel.dataset.tabPanel = 'chapters'
+  drawer.appendChild(panel)
+  addDrawerTab('chapters', 'Chapters')
+
+  const request = async (url, options = {}) => {
+    const result = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...peertubeHelpers.getAuthHeader()
+      }
+    })
+
+    if (!result.ok) {
+      throw new Error(`Chapters request failed with status ${result.status}`)
+    }
+
+    return result.status === 204 ? null : result.json()
+  }
+
+  const renderList = () => {
+    panel.innerHTML = ''
+
+    if (data.canEdit) {
+      const toolbar = document.createElement('div')
+      toolbar.className = 'ai-panel-toolbar'
+
+      const status = document.createElement('span')
+      status.className = 'ai-chapters-status'
+      status.textContent = data.status === 'published'
+        ? `Published${data.publishedAt ? ` on ${new Date(data.publishedAt).toLocaleDateString()}` : ''}`
+        : data.status === 'edited' ? 'Reviewed, not published' : 'Generated, not reviewed'
+      toolbar.appendChild(status)
+
+      const reviewButton = document.createElement('button')
+      reviewButton.type = 'button'
+      reviewButton.className = 'ai-panel-action'
+      reviewButton.textContent = 'Review'
+      reviewButton.addEventListener('click', renderEditor)
+      toolbar.appendChild(reviewButton)
+
+      panel.appendChild(toolbar)
+    }
+
+    const list = document.createElement('ol')
+    list.className = 'ai-chapters-list'
+    data.chapters.forEach(chapter => {
+      const item = document.createElement('li')
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'ai-chapter'
+
+      const time = document.createElement('span')
+      time.className = 'ai-chapter-time'
+      time.textContent = formatTime(chapter.start)
+
+      const title = document.createElement('span')
+      title.className = 'ai-chapter-title'
+      title.textContent = chapter.title
+
+      button.appendChild(time)
+      button.appendChild(title)
+      button.addEventListener('click', () => seekToTime(chapter.start))
+      item.appendChild(button)
+      list.appendChild(item)
+    })
+    panel.appendChild(list)
+  }
+
+  const renderEditor = () => {
+    panel.innerHTML = ''
+
+    const rows = document.createElement('div')
+    rows.className = 'ai-chapters-editor'
+
+    const addRow = (chapter) => {
+      const row = document.createElement('div')
+      row.className = 'ai-chapter-row'
+
+      const time = document.createElement('input')
+      time.className = 'ai-chapter-time-input'
+      time.value = formatTime(chapter.start)
+      time.setAttribute('aria-label', 'Start time')
+
+      const title = document.createElement('input')
+      title.className = 'ai-chapter-title-input'
+      title.value = chapter.title
+      title.maxLength = 100
+      title.setAttribute('aria-label', 'Chapter title')
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'ai-chat-conversation-action'
+      remove.textContent = '✕'
+      remove.title = 'Remove chapter'
+      remove.addEventListener('click', () => row.remove())
+
+      row.appendChild(time)
+      row.appendChild(title)
+      row.appendChild(remove)
+      rows.appendChild(row)
+    }
+
+    data.chapters.forEach(addRow)
+    panel.appendChild(rows)
+
+    const readChapters = () => [...rows.querySelectorAll('.ai-chapter-row')].map(row => ({
+      start: parseTime(row.querySelector('.ai-chapter-time-input').value),
+      title: row.querySelector('.ai-chapter-title-input').value
+    }))
+
+    // Save the edited chapters, returns false when a start time cannot be read
+    const save = async () => {
+      const chapters = readChapters()
+      if (chapters.some(chapter => isNaN(chapter.start))) {
+        peertubeHelpers.notifier.error('Start times must look like 1:23 or 1:02:03')
+        return false
+      }
+
+      const saved = await request(chaptersUrl, { method: 'PUT', body: JSON.stringify({ chapters }) })
+      data = { ...data, ...saved, publishedAt: null }
+      return true
+    }
+
+    const actions = document.createElement('div')
+    actions.className = 'ai-panel-toolbar'
+
+    const addAction = (label, onClick) => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'ai-panel-action'
+      button.textContent = label
+      button.addEventListener('click', async () => {
+        button.disabled = true
+        try {
+          await onClick()
+        } finally {
+          button.disabled = false
+        }
+      })
+      actions.appendChild(button)
+    }
+
+    addAction('Add at current time', () => addRow({ start: getCurrentTime() || 0, title: '' }))
+
+    addAction('Save', async () => {
+      try {
+        if (!await save()) return
+        peertubeHelpers.notifier.success('Chapters saved')
+        renderList()
+      } catch (error) {
+        console.error('[AI Chat] Error saving chapters:', error)
+        peertubeHelpers.notifier.error('Failed to save chapters')
+      }
+    })
+
+    addAction('Publish to PeerTube', async () => {
+      try {
+        const videoChaptersUrl = `/api/v1/videos/${video.uuid}/chapters`
+        const existing = await request(videoChaptersUrl)
+        if (existing?.chapters?.length > 0) {
+          peertubeHelpers.notifier.error('This video already has chapters, edit them from the video settings')
+          return
+        }
+
+        if (!await save()) return
+        await request(videoChaptersUrl, {
+          method: 'PUT',
+          body: JSON.stringify({
+            chapters: data.chapters.map(chapter => ({ timecode: chapter.start, title: chapter.title }))
+          })
+        })
+        data = { ...data, ...await request(`${chaptersUrl}/published`, { method: 'POST' }), publishedAt: new Date().toISOString() }
+
+        peertubeHelpers.notifier.success('Chapters published, reload the page to see them in the player')
+        renderList()
+      } catch (error) {
+        console.error('[AI Chat] Error publishing chapters:', error)
+        peertubeHelpers.notifier.error('Failed to publish chapters')
+      }
+    })
+
+    addAction('Cancel', renderList)
+
+    panel.appendChild(actions)
+  }
+
+  renderList()
+}
+
+// "Quiz" tab: multiple-choice questions scored by the server and flashcards, written
+// from the transcript during processing. The video owner also sees the aggregated
+// results of learners and can write a new quiz.
+async function initializeQuiz(video, peertubeHelpers) {
+  const settings = await peertubeHelpers.getSettings()
+  if (!settings['quiz-enabled']) return
+
+  const quizUrl = peertubeHelpers.getBaseRouterRoute() + `/quiz/${video.uuid}`
+  const panel = document.createElement('div')
+  panel.className = 'ai-chat-panel ai-chat-quiz'
+  panel.dataset.tabPanel = 'quiz'
+  document.getElementById('ai-chat-drawer').appendChild(panel)
+
+  let quiz = null
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...peertubeHelpers.getAuthHeader()
+      }
+    })
+
+    if (!response.ok) {
+      const error = new Error(`Quiz request failed with status ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    return response.json()
+  }
+
+  const createElement = (tag, className, text) => {
+    const element = document.createElement(tag)
+    if (className) element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+
+  const createWatchLink = (timestamp) => {
+    const link = createElement('a', 'timestamp-link', `Watch at ${formatTime(timestamp)}`)
+    link.href = '#'
+    link.addEventListener('click', (e) => {
+      e.preventDefault()
+      seekToTime(timestamp)
+    })
+    return link
+  }
+
+  // Mode buttons above the content, the active one is disabled
+  const renderToolbar = (active) => {
+    const toolbar = createElement('div', 'ai-panel-toolbar')
+    const modes = [['questions', 'Questions', renderQuestions], ['flashcards', 'Flashcards', renderFlashcards]]
+    if (quiz.canViewResults) {
+      modes.push(['results', 'Results', renderResults])
+    }
+
+    modes.forEach(([mode, label, render]) => {
+      const button = createElement('button', 'ai-panel-action', label)
+      button.type = 'button'
+      button.disabled = mode === active
+      button.addEventListener('click', render)
+      toolbar.appendChild(button)
+    })
+
+    panel.innerHTML = ''
+    panel.appendChild(toolbar)
+  }
+
+  const renderQuestions = () => {
+    renderToolbar('questions')
+
+    if (quiz.questions.length === 0) {
+      panel.appendChild(createElement('p', 'ai-quiz-empty', 'This quiz has no questions, try the flashcards.'))
+      return
+    }
+
+    const form = createElement('form', 'ai-quiz-form')
+    quiz.questions.forEach((question, index) => {
+      const fieldset = createElement('fieldset', 'ai-quiz-question')
+      fieldset.appendChild(createElement('legend', null, `${index + 1}. ${question.question}`))
+
+      question.options.forEach((option, optionIndex) => {
+        const label = createElement('label', 'ai-quiz-option')
+        const radio = document.createElement('input')
+        radio.type = 'radio'
+        radio.name = `ai-quiz-${question.id}`
+        radio.value = String(optionIndex)
+        label.appendChild(radio)
+        label.appendChild(document.createTextNode(` ${option}`))
+        fieldset.appendChild(label)
+      })
+
+      form.appendChild(fieldset)
+    })
+
+    const submit = createElement('button', 'ai-panel-action', 'Check my answers')
+    submit.type = 'submit'
+    form.appendChild(submit)
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault()
+      submit.disabled = true
+
+      const answers = quiz.questions.map(question => {
+        const checked = form.querySelector(`input[name="ai-quiz-${question.id}"]:checked`)
+        return checked ? Number(checked.value) : null
+      })
+
+      try {
+        const result = await request(`${quizUrl}/attempts`, {
+          method: 'POST',
+          body: JSON.stringify({ quizId: quiz.id, answers })
+        })
+        showScore(form, result)
+      } catch (error) {
+        console.error('[AI Chat] Error submitting quiz:', error)
+        peertubeHelpers.notifier.error(error.status === 409 ? 'The quiz has changed, reopen the video to get the new one' : 'Failed to check answers')
+        submit.disabled = false
+      }
+    })
+
+    panel.appendChild(form)
+  }
+
+  // Mark the answers, explain each question and link to the moment that covers it
+  const showScore = (form, result) => {
+    form.querySelectorAll('input').forEach(input => {
+      input.disabled = true
+    })
+
+    result.results.forEach((questionResult, index) => {
+      const fieldset = form.querySelectorAll('.ai-quiz-question')[index]
+      const labels = fieldset.querySelectorAll('.ai-quiz-option')
+
+      labels[questionResult.correctAnswer]?.classList.add('correct')
+      if (questionResult.answer !== null && !questionResult.correct) {
+        labels[questionResult.answer]?.classList.add('incorrect')
+      }
+
+      const explanation = createElement('p', 'ai-quiz-explanation', questionResult.explanation)
+      if (questionResult.timestamp !== null) {
+        explanation.appendChild(document.createTextNode(' '))
+        explanation.appendChild(createWatchLink(questionResult.timestamp))
+      }
+      fieldset.appendChild(explanation)
+    })
+
+    const score = createElement('div', 'ai-quiz-score', `You scored ${result.score}/${result.total}.${result.saved ? '' : ' Sign in to keep your results.'}`)
+    const retry = createElement('button', 'ai-panel-action', 'Try again')
+    retry.type = 'button'
+    retry.addEventListener('click', renderQuestions)
+    score.appendChild(retry)
+
+    form.querySelector('button[type="submit"]').remove()
+    panel.insertBefore(score, form)
+    panel.scrollTop = 0
+  }
+
+  const renderFlashcards = () => {
+    renderToolbar('flashcards')
+
+    if (quiz.flashcards.length === 0) {
+      panel.appendChild(createElement('p', 'ai-quiz-empty', 'This quiz has no flashcards.'))
+      return
+    }
+
+    let index = 0
+    const card = createElement('button', 'ai-flashcard')
+    card.type = 'button'
+    const counter = createElement('span', 'ai-flashcard-counter')
+    const navigation = createElement('div', 'ai-panel-toolbar')
+
+    const show = (flipped) => {
+      const flashcard = quiz.flashcards[index]
+      card.classList.toggle('flipped', flipped)
+      card.textContent = flipped ? flashcard.back : flashcard.front
+      card.dataset.flipped = String(flipped)
+      counter.textContent = `${index + 1} / ${quiz.flashcards.length}`
+
+      navigation.querySelector('.timestamp-link')?.remove()
+      if (flipped && flashcard.timestamp !== null) {
+        navigation.appendChild(createWatchLink(flashcard.timestamp))
+      }
+    }
+
+    card.addEventListener('click', () => show(card.dataset.flipped !== 'true'))
+
+    const addNavigation = (label, step) => {
+      const button = createElement('button', 'ai-panel-action', label)
+      button.type = 'button'
+      button.addEventListener('click', () => {
+        index = (index + step + quiz.flashcards.length) % quiz.flashcards.length
+        show(false)
+      })
+      navigation.appendChild(button)
+    }
+
+    addNavigation('Previous', -1)
+    navigation.appendChild(counter)
+    addNavigation('Next', 1)
+
+    panel.appendChild(createElement('p', 'ai-quiz-hint', 'Click the card to see the answer.'))
+    panel.appendChild(card)
+    panel.appendChild(navigation)
+    show(false)
+  }
+
+  // Aggregated performance of learners, for the video owner
+  const renderResults = async () => {
+    renderToolbar('results')
+
+    let results
+    try {
+      results = await request(`${quizUrl}/results`)
+    } catch (error) {
+      console.error('[AI Chat] Error loading quiz results:', error)
+      panel.appendChild(createElement('p', 'ai-quiz-empty', 'Failed to load results.'))
+      return
+    }
+
+    panel.appendChild(createElement('p', 'ai-quiz-summary', results.attempts > 0
+      ? `${results.attempts} attempt(s) by ${results.learners.length} learner(s), average score ${results.averageScore.toFixed(1)}/${results.total}`
+      : 'Nobody has taken this quiz yet.'))
+
+    if (results.learners.length > 0) {
+      const table = createElement('table', 'ai-quiz-results')
+      const header = createElement('tr')
+      ;['Learner', 'Attempts', 'Best', 'Last'].forEach(title => header.appendChild(createElement('th', null, title)))
+      table.appendChild(header)
+
+      results.learners.forEach(learner => {
+        const row = createElement('tr')
+        ;[learner.username, learner.attempts, `${learner.bestScore}/${results.total}`, `${learner.lastScore}/${results.total}`]
+          .forEach(value => row.appendChild(createElement('td', null, String(value))))
+        table.appendChild(row)
+      })
+      panel.appendChild(table)
+    }
+
+    results.questions.forEach((question, index) => {
+      const block = createElement('div', 'ai-quiz-question')
+      block.appendChild(createElement('div', 'ai-quiz-result-title', `${index + 1}. ${question.question}`))
+      block.appendChild(createElement('div', 'ai-quiz-hint', question.correctRate === null
+        ? 'Not answered yet'
+        : `${Math.round(question.correctRate * 100)}% correct (${question.answered} answers)`))
+
+      question.options.forEach((option, optionIndex) => {
+        const line = createElement('div', `ai-quiz-option${optionIndex === question.correctAnswer ? ' correct' : ''}`, `${option}: ${question.optionCounts[optionIndex]}`)
+        block.appendChild(line)
+      })
+
+      panel.appendChild(block)
+    })
+
+    const regenerate = createElement('button', 'ai-panel-action', 'Write a new quiz')
+    regenerate.type = 'button'
+    regenerate.addEventListener('click', async () => {
+      if (!window.confirm('Write a new quiz? Results of the current one will no longer be shown.')) return
+
+      regenerate.disabled = true
+      try {
+        quiz = await request(`${quizUrl}/regenerate`, { method: 'POST' })
+        peertubeHelpers.notifier.success('New quiz written')
+        renderQuestions()
+      } catch (error) {
+        console.error('[AI Chat] Error regenerating quiz:', error)
+        peertubeHelpers.notifier.error('Failed to write a new quiz')
+        regenerate.disabled = false
+      }
+    })
+    panel.appendChild(regenerate)
+  }
+
+  const load = async () => {
+    panel.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>'
+
+    try {
+      quiz = await request(quizUrl)
+      renderQuestions()
+    } catch (error) {
+      console.error('[AI Chat] Error loading quiz:', error)
+      panel.innerHTML = ''
+      panel.appendChild(createElement('p', 'ai-quiz-empty', error.status === 404
+        ? 'No quiz is available for this video.'
+        : 'Failed to load the quiz, please try again later.'))
+    }
+  }
+
+  addDrawerTab('quiz', 'Quiz', load)
+}
+
+// The monthly budget is spent: replace the input with a notice, history stays readable
+function showPausedState() {
+  const inputContainer = document.querySelector('#ai-chat-drawer .ai-chat-input-container')
+  if (!inputContainer || inputContainer.classList.contains('paused')) return
+
+  inputContainer.classList.add('paused')
+  inputContainer.innerHTML = `
+    <div class="ai-chat-paused">
+      <strong>Assistant paused</strong>
+      <span>The assistant is taking a break for now. Please check back later.</span>
+    </div>
+  `
+}
+
+// Video-specific questions shown as buttons in the welcome area, editable by the
+// video owner (one question per line). Returns { render } to show them again after
+// the welcome area was replaced.
+function initializeSuggestedQuestions(video, peertubeHelpers, onAsk) {
+  const url = peertubeHelpers.getBaseRouterRoute() + `/suggested-questions/${video.uuid}`
+  let questions = []
+  let canEdit = false
+
+  const render = () => {
+    const welcome = document.querySelector('#ai-chat-messages .ai-chat-welcome')
+    if (!welcome) return
+
+    welcome.querySelector('.ai-chat-suggestions')?.remove()
+    if (questions.length === 0 && !canEdit) return
+
+    const container = document.createElement('div')
+    container.className = 'ai-chat-suggestions'
+
+    if (questions.length > 0) {
+      const title = document.createElement('p')
+      title.textContent = 'Try asking:'
+      container.appendChild(title)
+    }
+
+    questions.forEach(question => {
+      const chip = document.createElement('button')
+      chip.type = 'button'
+      chip.className = 'ai-chat-suggestion'
+      chip.textContent = question
+      chip.addEventListener('click', () => onAsk(question))
+      container.appendChild(chip)
+    })
+
+    if (canEdit) {
+      const editButton = document.createElement('button')
+      editButton.type = 'button'
+      editButton.className = 'ai-panel-action'
+      editButton.textContent = questions.length > 0 ? 'Edit suggested questions' : 'Add suggested questions'
+      editButton.addEventListener('click', () => showEditor(container))
+      container.appendChild(editButton)
+    }
+
+    welcome.appendChild(container)
+  }
+
+  const showEditor = (container) => {
+    container.innerHTML = ''
+
+    const textarea = document.createElement('textarea')
+    textarea.className = 'ai-chat-suggestions-editor'
+    textarea.rows = 5
+    textarea.placeholder = 'One question per line'
+    textarea.value = questions.join('\n')
+
+    const toolbar = document.createElement('div')
+    toolbar.className = 'ai-panel-toolbar'
+
+    const saveButton = document.createElement('button')
+    saveButton.type = 'button'
+    saveButton.className = 'ai-panel-action'
+    saveButton.textContent = 'Save'
+    saveButton.addEventListener('click', async () => {
+      saveButton.disabled = true
+
+      try {
+        const response = await fetch(url, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            ...peertubeHelpers.getAuthHeader()
+          },
+          body: JSON.stringify({ questions: textarea.value.split('\n') })
+        })
+
+        if (!response.ok) {
+          throw new Error(`Saving suggested questions failed with status ${response.status}`)
+        }
+
+        questions = (await response.json()).questions
+        peertubeHelpers.notifier.success('Suggested questions saved')
+        render()
+      } catch (error) {
+        console.error('[AI Chat] Error saving suggested questions:', error)
+        peertubeHelpers.notifier.error('Failed to save suggested questions')
+        saveButton.disabled = false
+      }
+    })
+
+    const cancelButton = document.createElement('button')
+    cancelButton.type = 'button'
+    cancelButton.className = 'ai-panel-action'
+    cancelButton.textContent = 'Cancel'
+    cancelButton.addEventListener('click', render)
+
+    toolbar.appendChild(saveButton)
+    toolbar.appendChild(cancelButton)
+    container.appendChild(textarea)
+    container.appendChild(toolbar)
+    textarea.focus()
+  }
+
+  const load = async () => {
+    const response = await fetch(url, {
+      headers: {
+        ...peertubeHelpers.getAuthHeader()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Suggested questions request failed with status ${response.status}`)
+    }
+
+    const data = await response.json()
+    questions = data.questions
+    canEdit = data.canEdit
+    render()
+  }
+
+  load().catch(error => {
+    console.error('[AI Chat] Error loading suggested questions:', error)
+  })
+
+  return { render }
+}
+
+// Streams the answer from /chat/send and renders text as it arrives.
+// Timestamps and video links are only resolved once the `done` event is received.
+async function sendStreamingMessage(peertubeHelpers, payload, messageId) {
+  const data = await fetchChatStream(
+    peertubeHelpers.getBaseRouterRoute() + '/chat/send',
+    peertubeHelpers.getAuthHeader(),
+    payload,
+    (content) => updateStreamingMessage(messageId, content)
+  )
+
+  finalizeMessage(messageId, data.response, data.timestamps, data.videoLinks)
+  appendSources(messageId, data.sources, peertubeHelpers.getBaseRouterRoute())
+
+  return data
+}
+
+// "New chat" button and conversation switcher. Resumes the most recent conversation,
+// a new conversation is created by the server with the first message after "New chat".
+// onWelcome: called after the welcome area is shown again, for a new conversation
+function initializeConversations(video, peertubeHelpers, onWelcome) {
+  const switcher = document.getElementById('ai-chat-conversations')
+  const select = document.getElementById('ai-chat-conversation-select')
+  const newButton = document.getElementById('ai-chat-new')
+  const renameButton = document.getElementById('ai-chat-rename')
+  const deleteButton = document.getElementById('ai-chat-delete')
+  const baseUrl = peertubeHelpers.getBaseRouterRoute() + '/chat/conversations'
+
+  let currentId = null
+  let list = []
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...peertubeHelpers.getAuthHeader()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Conversation request failed with status ${response.status}`)
+    }
+
+    return response.json()
+  }
+
+  const renderSwitcher = () => {
+    switcher.hidden = list.length === 0
+    select.innerHTML = ''
+
+    if (!currentId) {
+      const option = document.createElement('option')
+      option.value = ''
+      option.textContent = 'New chat'
+      select.appendChild(option)
+    }
+
+    list.forEach(conversation => {
+      const option = document.createElement('option')
+      option.value = conversation.id
+      option.textContent = conversation.title
+      select.appendChild(option)
+    })
+
+    select.value = currentId ? String(currentId) : ''
+    renameButton.disabled = !currentId
+    deleteButton.disabled = !currentId
+  }
+
+  const refresh = async () => {
+    list = await request(`${baseUrl}?videoId=${encodeURIComponent(video.id)}`)
+    renderSwitcher()
+  }
+
+  const showMessages = async (conversationId) => {
+    const messagesContainer = document.getElementById('ai-chat-messages')
+    messagesContainer.innerHTML = ''
+
+    if (!conversationId) {
+      messagesContainer.innerHTML = WELCOME_HTML
+      onWelcome()
+      return
+    }
+
+    const messages = await request(`${baseUrl}/${conversationId}/messages`)
+    messages.forEach(entry => {
+      addMessageToChat('user', entry.message)
+      const messageId = addMessageToChat('assistant', entry.response, false, entry.timestamps)
+      appendSources(messageId, entry.sources, peertubeHelpers.getBaseRouterRoute())
+    })
+  }
+
+  const switchTo = async (conversationId) => {
+    currentId = conversationId
+    renderSwitcher()
+
+    try {
+      await showMessages(conversationId)
+    } catch (error) {
+      console.error('[AI Chat] Error loading conversation:', error)
+      peertubeHelpers.notifier.error('Failed to load conversation')
+    }
+  }
+
+  newButton.addEventListener('click', () => switchTo(null))
+
+  select.addEventListener('change', () => {
+    switchTo(select.value ? Number(select.value) : null)
+  })
+
+  renameButton.addEventListener('click', async () => {
+    const conversation = list.find(c => c.id === currentId)
+    const title = conversation && window.prompt('Rename conversation', conversation.title)
+    if (!title || !title.trim()) return
+
+    try {
+      await request(`${baseUrl}/${currentId}`, { method: 'PUT', body: JSON.stringify({ title }) })
+      await refresh()
+    } catch (error) {
+      console.error('[AI Chat] Error renaming conversation:', error)
+      peertubeHelpers.notifier.error('Failed to rename conversation')
+    }
+  })
+
+  deleteButton.addEventListener('click', async () => {
+    if (!currentId || !window.confirm('Delete this conversation?')) return
+
+    try {
+      await request(`${baseUrl}/${currentId}`, { method: 'DELETE' })
+      await refresh()
+      await switchTo(list[0]?.id || null)
+    } catch (error) {
+      console.error('[AI Chat] Error deleting conversation:', error)
+      peertubeHelpers.notifier.error('Failed to delete conversation')
+    }
+  })
+
+  // Resume the most recent conversation
+  const loadInitial = async () => {
+    const user = await peertubeHelpers.getUser()
+    if (!user) {
+      newButton.hidden = true
+      return
+    }
+
+    await refresh()
+    if (list.length > 0) {
+      await switchTo(list[0].id)
+    }
+  }
+
+  loadInitial().catch(error => {
+    console.error('[AI Chat] Error loading conversations:', error)
+  })
+
+  return {
+    getCurrentId: () => currentId,
+    // Called after a message was answered, the server may have started a new conversation
+    setCurrent: (conversationId) => {
+      currentId = conversationId
+      refresh().catch(error => console.error('[AI Chat] Error loading conversations:', error))
+    }
+  }
+}
+
+function updateStreamingMessage(messageId, content) {
+  const messageDiv = document.getElementById(messageId)
+  if (!messageDiv) return
+
+  let contentDiv = messageDiv.querySelector('.message-content')
+
+  // Replace loading dots with the role label and a text container on the first delta
+  if (!messageDiv.classList.contains('streaming')) {
+    messageDiv.classList.add('streaming')
+    messageDiv.innerHTML = `
+      <div class="message-role">AI</div>
+      <div class="message-content"></div>
+    `
+    contentDiv = messageDiv.querySelector('.message-content')
+  }
+
+  // Plain text while streaming, links are rendered once the answer is complete
+  contentDiv.textContent = content
+
+  const messagesContainer = document.getElementById('ai-chat-messages')
+  messagesContainer.scrollTop = messagesContainer.scrollHeight
+}
+
+function finalizeMessage(messageId, content, timestamps = [], videoLinks = []) {
+  const messageDiv = document.getElementById(messageId)
+  if (!messageDiv) return
+
+  messageDiv.classList.remove('streaming')
+  messageDiv.innerHTML = `
+    <div class="message-role">AI</div>
+    <div class="message-content">${renderMessageContent(content, timestamps, videoLinks)}</div>
+  `
+  attachTimestampHandlers(messageDiv)
+}
+
+function attachTimestampHandlers(messageDiv) {
+  messageDiv.querySelectorAll('.timestamp-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault()
+      const time = parseFloat(link.dataset.time)
+      seekToTime(time)
+    })
+  })
+}
+
 function addMessageToChat(role, content, isLoading = false, timestamps = [], videoLinks = []) {
   const messagesContainer = document.getElementById('ai-chat-messages')
   const messageId = `msg-${Date.now()}-${Math.random()}`
@@ -374,36 +1425,13 @@ function addMessageToChat(role, content, isLoading = false, timestamps = [], vid
       </div>
     `
   } else {
-    // Process content for timestamps
-    let processedContent = content
-    if (timestamps && timestamps.length > 0) {
-      timestamps.forEach(ts => {
-        const link = `<a href="#" class="timestamp-link" data-time="${ts.seconds}">${ts.display}</a>`
-        processedContent = processedContent.replace(ts.display, link)
-      })
-    }
-
-    // Process content for video links
-    if (videoLinks && videoLinks.length > 0) {
-      videoLinks.forEach(vl => {
-        const link = `<a href="${vl.url}" class="video-link" target="_blank">${vl.name}</a>`
-        processedContent = processedContent.replace(vl.display, link)
-      })
-    }
-
     messageDiv.innerHTML = `
       <div class="message-role">${role === 'user' ? 'You' : 'AI'}</div>
-      <div class="message-content">${processedContent}</div>
+      <div class="message-content">${renderMessageContent(content, timestamps, videoLinks)}</div>
     `
 
     // Add click handlers for timestamp links
-    messageDiv.querySelectorAll('.timestamp-link').forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault()
-        const time = parseFloat(link.dataset.time)
-        seekToTime(time)
-      })
-    })
+    attachTimestampHandlers(messageDiv)
   }
 
   messagesContainer.appendChild(messageDiv)
@@ -412,6 +1440,104 @@ function addMessageToChat(role, content, isLoading = false, timestamps = [], vid
   return messageId
 }
 
+// Collapsible "Sources" list under an answer, cited sources first.
+// Transcript and snapshot cards seek the player, video cards open the video.
+function appendSources(messageId, sources, routerBase) {
+  const messageDiv = document.getElementById(messageId)
+  if (!messageDiv || !sources || sources.length === 0) return
+
+  const citedCount = sources.filter(source => source.cited).length
+
+  const details = document.createElement('details')
+  details.className = 'ai-chat-sources'
+
+  const summary = document.createElement('summary')
+  summary.textContent = citedCount > 0
+    ? `Sources (${citedCount} cited, ${sources.length} retrieved)`
+    : `Sources (${sources.length} retrieved)`
+  details.appendChild(summary)
+
+  const list = document.createElement('div')
+  list.className = 'ai-chat-source-list'
+  sources
+    .slice()
+    .sort((a, b) => Number(b.cited) - Number(a.cited))
+    .forEach(source => list.appendChild(createSourceCard(source, routerBase)))
+  details.appendChild(list)
+
+  messageDiv.appendChild(details)
+}
+
+// Source text comes from the video and its uploader, it is only set as text content
+function createSourceCard(source, routerBase) {
+  const card = document.createElement(source.type === 'video' ? 'a' : 'button')
+  card.className = `ai-chat-source ${source.type}${source.cited ? ' cited' : ''}`
+
+  const body = document.createElement('div')
+  body.className = 'source-body'
+
+  const header = document.createElement('div')
+  header.className = 'source-header'
+
+  const text = document.createElement('div')
+  text.className = 'source-text'
+
+  if (source.type === 'transcript') {
+    card.type = 'button'
+    header.textContent = `Transcript ${formatTime(source.startTime)}-${formatTime(source.endTime)}`
+    text.textContent = source.text
+    card.addEventListener('click', () => seekToTime(source.startTime))
+  } else if (source.type === 'snapshot') {
+    card.type = 'button'
+    const thumbnail = document.createElement('img')
+    thumbnail.className = 'source-thumbnail'
+    thumbnail.loading = 'lazy'
+    thumbnail.alt = ''
+    thumbnail.src = routerBase + source.thumbnailPath
+    thumbnail.addEventListener('error', () => thumbnail.remove())
+    card.appendChild(thumbnail)
+
+    header.textContent = `On screen at ${formatTime(source.timestamp)}`
+    text.textContent = source.description
+    card.addEventListener('click', () => seekToTime(source.timestamp))
+  } else {
+    card.href = `/w/${source.uuid}`
+    card.target = '_blank'
+    header.textContent = 'Related video'
+    text.textContent = source.name
+  }
+
+  if (source.cited) {
+    const badge = document.createElement('span')
+    badge.className = 'source-badge'
+    badge.textContent = 'Cited'
+    header.appendChild(badge)
+  }
+
+  body.appendChild(header)
+  body.appendChild(text)
+  card.appendChild(body)
+
+  return card
+}
+
+function formatTime(seconds) {
+  const total = Math.floor(seconds || 0)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+// Seconds from "h:mm:ss", "m:ss" or a number of seconds, NaN when invalid
+function parseTime(value) {
+  const parts = String(value).trim().split(':')
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return NaN
+
+  return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+}
+
 function removeMessage(messageId) {
   const message = document.getElementById(messageId)
   if (message) {
@@ -419,6 +1545,12 @@ function removeMessage(messageId) {
   }
 }
 
+// Current playback position in seconds, undefined when the player is not available
+function getCurrentTime() {
+  const videoElement = document.querySelector('video')
+  return videoElement ? Math.floor(videoElement.currentTime) : undefined
+}
+
 function seekToTime(seconds) {
   // Try to find the video player and seek to the timestamp
   const videoElement = document.querySelector('video')
@@ -2,6 +2,27 @@ const databaseService = require('./server/database-service')
 const videoProcessor = require('./server/video-processor')
 const openaiService = require('./server/openai-service')
 const chatService = require('./server/chat-service')
+const chatTools = require('./server/chat-tools')
+const quizService = require('./server/quiz-service')
+const llmProviders = require('./server/llm-providers')
+const rateLimiter = require('./server/rate-limiter')
+const usageTracker = require('./server/usage-tracker')
+const budgetGuard = require('./server/budget-guard')
+const moderationService = require('./server/moderation-service')
+const { canManageVideo, canViewVideo } = require('./server/video-access')
+
+// Models offered for chat and vision (ordered by cost efficiency)
+const MODEL_OPTIONS = [
+  { label: 'GPT-5-nano (Most cost-efficient)', value: 'gpt-5-nano' },
+  { label: 'GPT-5-mini (Very cost-efficient)', value: 'gpt-5-mini' },
+  { label: 'GPT-4.1-nano', value: 'gpt-4.1-nano' },
+  { label: 'GPT-4.1-mini', value: 'gpt-4.1-mini' },
+  { label: 'GPT-4o-mini (Legacy mini)', value: 'gpt-4o-mini' },
+  { label: 'GPT-4.1', value: 'gpt-4.1' },
+  { label: 'GPT-4o (Legacy)', value: 'gpt-4o' },
+  { label: 'GPT-4 Turbo', value: 'gpt-4-turbo' },
+  { label: 'GPT-4', value: 'gpt-4' }
+]
 
 let rawLogger = null
 let settingsManager = null
@@ -53,9 +74,23 @@ async function register({
     // Continue with plugin load but log the error
   }
 
+  usageTracker.initialize(services)
+  budgetGuard.initialize(services)
   await openaiService.initialize(services)
   videoProcessor.initialize(services)
   chatService.initialize(services)
+  chatTools.initialize(services)
+  quizService.initialize(services)
+  moderationService.initialize(services)
+  rateLimiter.initialize(services)
+
+  // Check the vector columns against the configured embedding model, again when it changes
+  await videoProcessor.checkEmbeddingSchema()
+  settingsManager.onSettingsChange(async (settings) => {
+    await openaiService.reloadClient()
+    await videoProcessor.checkEmbeddingSchema()
+    await databaseService.ensureTextSearchSchema(settings['text-search-config'] || 'simple')
+  })
 
   // Register hooks for video processing
   registerVideoHooks(registerHook)
@@ -87,12 +122,52 @@ async function registerSettings(registerSetting) {
     default: ''
   })
 
+  // LLM provider
+  registerSetting({
+    name: 'llm-provider',
+    label: 'LLM Provider',
+    type: 'select',
+    options: llmProviders.getProviderOptions(),
+    descriptionHTML: 'Which API to talk to. Use "OpenAI-compatible server" for Ollama, llama.cpp, vLLM, LocalAI and similar',
+    private: true,
+    default: 'openai'
+  })
+
   // OpenAI API Key
   registerSetting({
     name: 'openai-api-key',
-    label: 'OpenAI API Key',
+    label: 'API Key',
     type: 'input-password',
-    descriptionHTML: 'Your OpenAI API key for GPT-4 and embeddings',
+    descriptionHTML: 'API key for the selected provider (optional for most self-hosted servers)',
+    private: true,
+    default: ''
+  })
+
+  // Provider base URL
+  registerSetting({
+    name: 'llm-base-url',
+    label: 'API Base URL',
+    type: 'input',
+    descriptionHTML: 'Base URL of the API (e.g., http://localhost:11434/v1 for Ollama, https://my-resource.openai.azure.com for Azure). Leave empty for OpenAI',
+    private: true,
+    default: ''
+  })
+
+  registerSetting({
+    name: 'llm-api-version',
+    label: 'Azure API Version',
+    type: 'input',
+    descriptionHTML: 'API version for Azure OpenAI (ignored by other providers)',
+    private: true,
+    default: '2024-10-21'
+  })
+
+  // Custom request headers
+  registerSetting({
+    name: 'llm-custom-headers',
+    label: 'Custom Request Headers',
+    type: 'input-textarea',
+    descriptionHTML: 'Extra HTTP headers sent with every API request, one <code>Header-Name: value</code> per line',
     private: true,
     default: ''
   })
@@ -107,6 +182,16 @@ async function registerSettings(registerSetting) {
     default: true
   })
 
+  // Library-wide chat
+  registerSetting({
+    name: 'library-chat-enabled',
+    label: 'Enable Library Chat',
+    type: 'input-checkbox',
+    descriptionHTML: 'Add an "Ask the library" page where users can ask questions across every processed public video',
+    private: false,
+    default: true
+  })
+
   // Auto-process videos
   registerSetting({
     name: 'auto-process',
@@ -117,223 +202,1171 @@ async function registerSettings(registerSetting) {
     default: false
   })
 
-  // Model selection (ordered by cost efficiency for vision)
+  // Chat model selection (ordered by cost efficiency)
   registerSetting({
     name: 'openai-model',
-    label: 'OpenAI Model',
+    label: 'Chat Model',
     type: 'select',
-    options: [
-      { label: 'GPT-5-nano (Most cost-efficient)', value: 'gpt-5-nano' },
-      { label: 'GPT-5-mini (Very cost-efficient)', value: 'gpt-5-mini' },
-      { label: 'GPT-4.1-nano', value: 'gpt-4.1-nano' },
-      { label: 'GPT-4.1-mini', value: 'gpt-4.1-mini' },
-      { label: 'GPT-4o-mini (Legacy mini)', value: 'gpt-4o-mini' },
-      { label: 'GPT-4.1', value: 'gpt-4.1' },
-      { label: 'GPT-4o (Legacy)', value: 'gpt-4o' },
-      { label: 'GPT-4 Turbo', value: 'gpt-4-turbo' },
-      { label: 'GPT-4', value: 'gpt-4' }
-    ],
-    descriptionHTML: 'Which OpenAI model to use for chat and vision (ordered by cost efficiency)',
+    options: MODEL_OPTIONS,
+    descriptionHTML: 'Which model to use for chat answers (ordered by cost efficiency)',
     private: false,
     default: 'gpt-4.1-mini'
   })
 
-  // Snapshot interval
+  // Free-text model name (overrides the list above)
   registerSetting({
-    name: 'snapshot-interval',
-    label: 'Snapshot Interval (seconds)',
+    name: 'llm-model-name',
+    label: 'Custom Chat Model Name',
     type: 'input',
-    descriptionHTML: 'Interval between video snapshots in seconds (minimum: 1, maximum: 60)',
-    private: false,
-    default: '5'
+    descriptionHTML: 'Chat model name to use instead of the list above (e.g., llama3.1:8b, or your Azure deployment name). Leave empty to use the list',
+    private: true,
+    default: ''
   })
 
-  // Max tokens
+  // Vision model for snapshot analysis
   registerSetting({
-    name: 'max-tokens',
-    label: 'Max Response Tokens',
-    type: 'input',
-    descriptionHTML: 'Maximum tokens for AI responses',
-    private: false,
-    default: '1000'
+    name: 'vision-model',
+    label: 'Snapshot Vision Model',
+    type: 'select',
+    options: [
+      { label: 'Same as chat model', value: 'same-as-chat' },
+      ...MODEL_OPTIONS
+    ],
+    descriptionHTML: 'Which model to use for describing video snapshots. A cheap model is usually enough since every snapshot is analyzed',
+    private: true,
+    default: 'same-as-chat'
   })
 
-  // System prompt
   registerSetting({
-    name: 'system-prompt',
-    label: 'System Prompt',
-    type: 'input-textarea',
-    descriptionHTML: 'Custom system prompt for the AI',
-    private: false,
-    default: `You are an AI assistant helping users understand and discuss videos on this platform.
-
-You have access to:
-1. The CURRENT VIDEO's title, description, channel, duration, and transcript
-2. Visual descriptions from video snapshots at various timestamps
-3. A list of OTHER AVAILABLE VIDEOS you can recommend (with their UUIDs for linking)
+    name: 'vision-model-name',
+    label: 'Custom Vision Model Name',
+    type: 'input',
+    descriptionHTML: 'Vision model name to use instead of the list above (e.g., llava:13b). Leave empty to use the list',
+    private: true,
+    default: ''
+  })
 
-Guidelines:
-- When users ask about "this video" or "the video", refer to the CURRENT VIDEO information
-- Reference specific timestamps [MM:SS] or ranges [MM:SS-MM:SS] when discussing video content - these will become clickable links
-- When recommending related videos, use the [video:UUID] format to create clickable links (e.g., "Check out [video:abc-123] for more on this topic")
-- Remember the conversation history to provide coherent follow-up responses
-- Be concise but informative
-- If you don't have enough information to answer, say so honestly`
+  registerSetting({
+    name: 'vision-max-tokens',
+    label: 'Max Snapshot Description Tokens',
+    type: 'input',
+    descriptionHTML: 'Maximum tokens for each snapshot description',
+    private: true,
+    default: '150'
   })
 
-  // S3/Spaces Access Credentials (for private videos if needed)
+  // Embedding model for semantic search
   registerSetting({
-    name: 'spaces-access-key',
-    label: 'Spaces/S3 Access Key ID',
-    type: 'input-password',
-    descriptionHTML: 'Access Key ID for DigitalOcean Spaces or S3 (may be required for private videos)',
+    name: 'embedding-model',
+    label: 'Embedding Model',
+    type: 'select',
+    options: [
+      { label: 'text-embedding-3-small (Most cost-efficient)', value: 'text-embedding-3-small' },
+      { label: 'text-embedding-3-large', value: 'text-embedding-3-large' },
+      { label: 'text-embedding-ada-002 (Legacy)', value: 'text-embedding-ada-002' }
+    ],
+    descriptionHTML: 'Which model to use for transcript embeddings. Changing it migrates the vector column to the new dimension; use "Re-embed everything" below to regenerate existing embeddings',
     private: true,
-    default: ''
+    default: 'text-embedding-3-small'
   })
 
   registerSetting({
-    name: 'spaces-secret-key',
-    label: 'Spaces/S3 Secret Access Key',
-    type: 'input-password',
-    descriptionHTML: 'Secret Access Key for DigitalOcean Spaces or S3 (may be required for private videos)',
+    name: 'embedding-model-name',
+    label: 'Custom Embedding Model Name',
+    type: 'input',
+    descriptionHTML: 'Embedding model name to use instead of the list above (e.g., nomic-embed-text). Leave empty to use the list',
     private: true,
     default: ''
   })
 
   registerSetting({
-    name: 'spaces-region',
-    label: 'Spaces/S3 Region',
+    name: 'embedding-max-tokens',
+    label: 'Max Embedding Input Tokens',
     type: 'input',
-    descriptionHTML: 'Region for DigitalOcean Spaces or S3 (e.g., nyc3, us-east-1)',
-    private: false,
-    default: 'nyc3'
+    descriptionHTML: 'Longer transcript chunks are truncated before embedding (approximately 4 characters per token)',
+    private: true,
+    default: '8000'
   })
-}
 
-function registerVideoHooks(registerHook) {
-  // Hook into video upload/publish events
-  registerHook({
-    target: 'action:api.video.uploaded',
-    handler: async ({ video }) => {
-      const autoProcess = await settingsManager.getSetting('auto-process')
-      if (autoProcess) {
-        await videoProcessor.queueVideoForProcessing(video)
-      }
-    }
+  // Transcript retrieval
+  registerSetting({
+    name: 'retrieval-mode',
+    label: 'Transcript Retrieval Mode',
+    type: 'select',
+    options: [
+      { label: 'Hybrid (full-text + vector similarity)', value: 'hybrid' },
+      { label: 'Vector similarity only', value: 'vector' }
+    ],
+    descriptionHTML: 'Hybrid mode also matches exact terms (product names, acronyms, code identifiers) and merges both rankings with reciprocal-rank fusion',
+    private: true,
+    default: 'hybrid'
   })
 
-  registerHook({
-    target: 'action:api.video.updated',
-    handler: async ({ video }) => {
-      // Check if video was previously failed/pending and is now ready
-      const status = await videoProcessor.getProcessingStatus(video.uuid)
-
-      if (status?.status === 'error' || status?.status === 'pending') {
-        const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
-        if (videoProcessor.isVideoReady(fullVideo)) {
-          logger.info(`Video ${video.uuid} is now ready, retrying processing`)
-          await videoProcessor.queueVideoForProcessing(video)
-          return
-        }
-      }
-
-      // Check if video has transcription available
-      await videoProcessor.checkAndProcessTranscript(video)
-    }
+  registerSetting({
+    name: 'hybrid-vector-weight',
+    label: 'Hybrid Vector Weight',
+    type: 'input',
+    descriptionHTML: 'Weight of the vector similarity ranking in hybrid mode',
+    private: true,
+    default: '1.0'
   })
 
-  // Hook into caption creation - this is when auto-generated transcripts are ready
-  registerHook({
-    target: 'action:api.video-caption.created',
-    handler: async ({ caption, video }) => {
-      logger.info(`Caption created for video ${video?.uuid}: language=${caption?.language}`)
-      if (video) {
-        // Process transcript now that caption is available
-        await videoProcessor.checkAndProcessTranscript(video)
-      }
-    }
+  registerSetting({
+    name: 'hybrid-lexical-weight',
+    label: 'Hybrid Full-Text Weight',
+    type: 'input',
+    descriptionHTML: 'Weight of the full-text ranking in hybrid mode',
+    private: true,
+    default: '1.0'
   })
 
-  // Clean up when video is deleted
-  registerHook({
-    target: 'action:api.video.deleted',
-    handler: async ({ video }) => {
-      await videoProcessor.cleanupVideoData(video)
-    }
+  registerSetting({
+    name: 'text-search-config',
+    label: 'Full-Text Search Language',
+    type: 'select',
+    options: [
+      { label: 'Language-neutral (simple)', value: 'simple' },
+      { label: 'English', value: 'english' },
+      { label: 'French', value: 'french' },
+      { label: 'German', value: 'german' },
+      { label: 'Spanish', value: 'spanish' },
+      { label: 'Italian', value: 'italian' },
+      { label: 'Portuguese', value: 'portuguese' },
+      { label: 'Dutch', value: 'dutch' }
+    ],
+    descriptionHTML: 'PostgreSQL text search configuration used for stemming and stop words in hybrid mode. Changing it rebuilds the full-text index of every transcript',
+    private: true,
+    default: 'simple'
   })
-}
 
-function registerAPIRoutes(router) {
-  // Chat endpoint
-  router.post('/chat/send', async (req, res) => {
-    try {
-      const user = await peertubeHelpers.user.getAuthUser(res)
-      const { videoId, videoUuid, message } = req.body
+  registerSetting({
+    name: 'cross-lingual-enabled',
+    label: 'Cross-Lingual Search',
+    type: 'input-checkbox',
+    descriptionHTML: 'Translate the transcript of videos without captions in the pivot language and embed the translations, so questions in that language find passages spoken in another one. Answers still quote the original transcript. Costs one translation of the transcript per video',
+    private: true,
+    default: false
+  })
 
-      const response = await chatService.handleChatMessage(
-        videoId,
-        videoUuid,
-        message,
-        user?.id
-      )
+  registerSetting({
+    name: 'cross-lingual-pivot-language',
+    label: 'Cross-Lingual Pivot Language',
+    type: 'input',
+    descriptionHTML: 'Language code transcripts are translated to (e.g. en), usually the language most viewers ask in',
+    private: true,
+    default: 'en'
+  })
 
-      res.json(response)
-    } catch (error) {
-      logger.error('Chat error:', error)
-      res.status(500).json({ error: 'Failed to process chat message' })
-    }
+  // Capability overrides for models the plugin doesn't know about
+  registerSetting({
+    name: 'llm-capability-vision',
+    label: 'Model Supports Images',
+    type: 'select',
+    options: [
+      { label: 'Auto-detect', value: 'auto' },
+      { label: 'Yes', value: 'enabled' },
+      { label: 'No (skip snapshot analysis)', value: 'disabled' }
+    ],
+    descriptionHTML: 'Whether the model accepts images for snapshot analysis',
+    private: true,
+    default: 'auto'
   })
 
-  // Get chat history
-  router.get('/chat/history/:videoId', async (req, res) => {
-    try {
-      const user = await peertubeHelpers.user.getAuthUser(res)
-      const { videoId } = req.params
+  registerSetting({
+    name: 'llm-capability-temperature',
+    label: 'Model Supports Temperature',
+    type: 'select',
+    options: [
+      { label: 'Auto-detect', value: 'auto' },
+      { label: 'Yes', value: 'enabled' },
+      { label: 'No', value: 'disabled' }
+    ],
+    descriptionHTML: 'Whether the model accepts a custom temperature (reasoning models do not)',
+    private: true,
+    default: 'auto'
+  })
 
-      const history = await chatService.getChatHistory(videoId, user?.id)
-      res.json(history)
-    } catch (error) {
-      logger.error('Failed to get chat history:', error)
-      res.status(500).json({ error: 'Failed to get chat history' })
-    }
+  registerSetting({
+    name: 'llm-capability-tools',
+    label: 'Model Supports Tool Calling',
+    type: 'select',
+    options: [
+      { label: 'Auto-detect', value: 'auto' },
+      { label: 'Yes', value: 'enabled' },
+      { label: 'No (agentic mode falls back to a single answer)', value: 'disabled' }
+    ],
+    descriptionHTML: 'Whether the model supports function calling, needed by the agentic chat mode. Auto-detect assumes no for OpenAI-compatible servers',
+    private: true,
+    default: 'auto'
   })
 
-  // Processing status
-  router.get('/processing/status/:videoUuid', async (req, res) => {
-    try {
-      const { videoUuid } = req.params
-      const status = await videoProcessor.getProcessingStatus(videoUuid)
-      res.json(status)
-    } catch (error) {
-      logger.error('Failed to get processing status:', error)
-      res.status(500).json({ error: 'Failed to get processing status' })
-    }
+  registerSetting({
+    name: 'llm-capability-stream-usage',
+    label: 'Server Reports Usage of Streamed Answers',
+    type: 'select',
+    options: [
+      { label: 'Auto-detect', value: 'auto' },
+      { label: 'Yes', value: 'enabled' },
+      { label: 'No (tokens are counted by the plugin)', value: 'disabled' }
+    ],
+    descriptionHTML: 'Whether the server accepts stream_options.include_usage and ends streamed answers with their token usage. Auto-detect assumes no for OpenAI-compatible servers; without it, the tokens of streamed answers are counted with the model tokenizer',
+    private: true,
+    default: 'auto'
   })
 
-  // Manual processing trigger
-  router.post('/processing/trigger/:videoUuid', async (req, res) => {
-    try {
-      const user = await peertubeHelpers.user.getAuthUser(res)
-      if (!user || user.role !== 0) {
-        return res.status(403).json({ error: 'Admin access required' })
-      }
+  registerSetting({
+    name: 'llm-token-parameter',
+    label: 'Max Token Parameter Name',
+    type: 'select',
+    options: [
+      { label: 'Auto-detect', value: 'auto' },
+      { label: 'max_tokens', value: 'max_tokens' },
+      { label: 'max_completion_tokens', value: 'max_completion_tokens' }
+    ],
+    descriptionHTML: 'Parameter used to limit response length. Most self-hosted servers only understand <code>max_tokens</code>',
+    private: true,
+    default: 'auto'
+  })
 
-      const { videoUuid } = req.params
-      const video = await peertubeHelpers.videos.loadByIdOrUUID(videoUuid)
+  registerSetting({
+    name: 'llm-context-window',
+    label: 'Model Context Window (tokens)',
+    type: 'input',
+    descriptionHTML: 'Total tokens the chat model accepts. Leave empty to auto-detect (unknown models are assumed to accept 8192)',
+    private: true,
+    default: ''
+  })
 
-      if (!video) {
-        return res.status(404).json({ error: 'Video not found' })
-      }
+  // Streaming responses
+  registerSetting({
+    name: 'stream-responses',
+    label: 'Stream chat responses',
+    type: 'input-checkbox',
+    descriptionHTML: 'Display AI answers token-by-token as they are generated instead of waiting for the full response',
+    private: false,
+    default: true
+  })
 
-      await videoProcessor.queueVideoForProcessing(video)
-      res.json({ message: 'Video queued for processing' })
-    } catch (error) {
-      logger.error('Failed to trigger processing:', error)
-      res.status(500).json({ error: 'Failed to trigger processing' })
-    }
+  // Rate limits and quotas
+  registerSetting({
+    name: 'rate-limit-user-messages',
+    label: 'Messages per Minute per User',
+    type: 'input',
+    descriptionHTML: 'Chat messages a signed-in user can send per minute (0 for no limit)',
+    private: true,
+    default: '10'
   })
 
-  // List all processed videos (admin only)
+  registerSetting({
+    name: 'rate-limit-ip-messages',
+    label: 'Messages per Minute per Anonymous IP',
+    type: 'input',
+    descriptionHTML: 'Chat messages an anonymous visitor (per IP address) can send per minute (0 for no limit)',
+    private: true,
+    default: '3'
+  })
+
+  registerSetting({
+    name: 'rate-limit-video-messages',
+    label: 'Messages per Minute per Video',
+    type: 'input',
+    descriptionHTML: 'Chat messages all viewers of a video together can send per minute (0 for no limit)',
+    private: true,
+    default: '60'
+  })
+
+  registerSetting({
+    name: 'quota-user-tokens',
+    label: 'Tokens per Day per User',
+    type: 'input',
+    descriptionHTML: 'Tokens a signed-in user can spend per day, reset at midnight server time (0 for no limit)',
+    private: true,
+    default: '100000'
+  })
+
+  registerSetting({
+    name: 'quota-ip-tokens',
+    label: 'Tokens per Day per Anonymous IP',
+    type: 'input',
+    descriptionHTML: 'Tokens an anonymous visitor (per IP address) can spend per day (0 for no limit)',
+    private: true,
+    default: '20000'
+  })
+
+  registerSetting({
+    name: 'quota-video-tokens',
+    label: 'Tokens per Day per Video',
+    type: 'input',
+    descriptionHTML: 'Tokens spent answering questions about a single video per day (0 for no limit)',
+    private: true,
+    default: '1000000'
+  })
+
+  // Answer cache
+  registerSetting({
+    name: 'answer-cache-enabled',
+    label: 'Cache answers to repeated questions',
+    type: 'input-checkbox',
+    descriptionHTML: 'Serve a stored answer when a first question on a video is nearly identical to one already answered. The cache of a video is cleared when it is reprocessed',
+    private: true,
+    default: true
+  })
+
+  registerSetting({
+    name: 'answer-cache-similarity',
+    label: 'Answer Cache Similarity Threshold',
+    type: 'input',
+    descriptionHTML: 'Minimum cosine similarity between question embeddings to reuse an answer (0 to 1, higher is stricter)',
+    private: true,
+    default: '0.95'
+  })
+
+  registerSetting({
+    name: 'answer-cache-ttl-hours',
+    label: 'Answer Cache Duration (hours)',
+    type: 'input',
+    descriptionHTML: 'How long a cached answer can be reused',
+    private: true,
+    default: '24'
+  })
+
+  // Snapshot interval
+  registerSetting({
+    name: 'snapshot-interval',
+    label: 'Snapshot Interval (seconds)',
+    type: 'input',
+    descriptionHTML: 'Interval between video snapshots in seconds (minimum: 1, maximum: 60)',
+    private: false,
+    default: '5'
+  })
+
+  registerSetting({
+    name: 'chapters-enabled',
+    label: 'Generate chapters',
+    type: 'input-checkbox',
+    descriptionHTML: 'Generate titled chapters from the transcript and snapshots when a video is processed (one model call per video). The video owner can review them in the AI Assistant drawer and publish them as PeerTube chapters',
+    private: true,
+    default: true
+  })
+
+  registerSetting({
+    name: 'quiz-enabled',
+    label: 'Quizzes and flashcards',
+    type: 'input-checkbox',
+    descriptionHTML: 'Add a "Quiz" tab with multiple-choice questions and flashcards written from the transcript. Each video gets its quiz when it is processed: one model call per processed video, paid whether or not anyone opens the tab (recorded as processing-quiz). Videos processed before enabling it get one when reprocessed. Scores of signed-in users are kept, the video owner sees aggregated results',
+    private: false,
+    default: false
+  })
+
+  registerSetting({
+    name: 'summaries-enabled',
+    label: 'Generate summaries',
+    type: 'input-checkbox',
+    descriptionHTML: 'Summarize the whole transcript when a video is processed (one model call per 24,000 characters of transcript, plus one): a short summary, a detailed summary and key takeaways, shown in a "Summary" tab and given to the chat for overview questions',
+    private: true,
+    default: true
+  })
+
+  registerSetting({
+    name: 'suggested-questions-enabled',
+    label: 'Suggest starter questions',
+    type: 'input-checkbox',
+    descriptionHTML: 'Write 3 to 5 questions about each processed video (one small model call per video, from its summary when there is one), shown as buttons in the chat welcome area that ask them. The video owner can edit them',
+    private: true,
+    default: true
+  })
+
+  // Max tokens
+  registerSetting({
+    name: 'max-tokens',
+    label: 'Max Chat Response Tokens',
+    type: 'input',
+    descriptionHTML: 'Maximum tokens for AI chat responses',
+    private: false,
+    default: '1000'
+  })
+
+  // Context budget
+  registerSetting({
+    name: 'context-token-budget',
+    label: 'Max Chat Prompt Tokens',
+    type: 'input',
+    descriptionHTML: 'Upper limit on tokens sent per chat request (system prompt, history, transcript, visuals and recommendations), further limited by the model context window. Lower values reduce cost',
+    private: true,
+    default: '12000'
+  })
+
+  registerSetting({
+    name: 'history-summarization',
+    label: 'Summarize long conversations',
+    type: 'input-checkbox',
+    descriptionHTML: 'When a conversation no longer fits in the budget, summarize the oldest exchanges instead of only dropping them (one extra short model call, the summary is kept with the conversation and extended only when needed)',
+    private: true,
+    default: true
+  })
+
+  registerSetting({
+    name: 'agentic-mode',
+    label: 'Agentic mode (tool calling)',
+    type: 'input-checkbox',
+    descriptionHTML: 'Let the model search the transcript, look at snapshots of a time range, read video details and search the library before answering, over several rounds. Better for multi-part questions and long videos, but slower and more expensive. Needs a model with tool calling, answers use the prefetched context only otherwise',
+    private: true,
+    default: false
+  })
+
+  registerSetting({
+    name: 'agentic-max-rounds',
+    label: 'Agentic mode: maximum rounds',
+    type: 'input',
+    descriptionHTML: 'Maximum number of model calls per answer in agentic mode, the last one has to answer without tools (default: 4). Fewer are made once the tool results fill the Max Chat Prompt Tokens',
+    private: true,
+    default: '4'
+  })
+
+  // Cost accounting
+  registerSetting({
+    name: 'model-prices',
+    label: 'Model Prices',
+    type: 'input-textarea',
+    descriptionHTML: 'One model per line as <code>model: input price, output price</code> in USD per million tokens (embedding models only need the input price). The longest matching model name prefix is used; calls to unlisted models are recorded without cost',
+    private: true,
+    default: usageTracker.DEFAULT_MODEL_PRICES
+  })
+
+  // Monthly spending cap
+  registerSetting({
+    name: 'monthly-budget',
+    label: 'Monthly Budget (USD)',
+    type: 'input',
+    descriptionHTML: 'Maximum API spending per calendar month, computed from the model prices above (0 for no cap)',
+    private: true,
+    default: '0'
+  })
+
+  registerSetting({
+    name: 'budget-soft-limit',
+    label: 'Budget Soft Limit (%)',
+    type: 'input',
+    descriptionHTML: 'Share of the monthly budget after which chat switches to the fallback model below and new uploads are no longer processed automatically',
+    private: true,
+    default: '80'
+  })
+
+  registerSetting({
+    name: 'budget-hard-limit',
+    label: 'Budget Hard Limit (%)',
+    type: 'input',
+    descriptionHTML: 'Share of the monthly budget after which the assistant is paused until next month',
+    private: true,
+    default: '100'
+  })
+
+  registerSetting({
+    name: 'budget-fallback-model',
+    label: 'Budget Fallback Chat Model',
+    type: 'input',
+    descriptionHTML: 'Cheaper chat model used once the soft limit is reached. Leave empty to use gpt-4.1-nano with the OpenAI provider, and to keep the configured model with other providers (their model names are not known). Image descriptions keep the configured vision model',
+    private: true,
+    default: ''
+  })
+
+  // Moderation
+  registerSetting({
+    name: 'moderation-blocklist',
+    label: 'Moderation Blocklist',
+    type: 'input-textarea',
+    descriptionHTML: 'One word or phrase per line (whole word, case-insensitive), or a <code>/regular expression/flags</code>. Messages matching it are refused, matches in answers are replaced by [removed]. Lines starting with # are ignored',
+    private: true,
+    default: ''
+  })
+
+  registerSetting({
+    name: 'moderation-api-enabled',
+    label: 'Use the OpenAI moderation endpoint',
+    type: 'input-checkbox',
+    descriptionHTML: 'Also check messages with the free OpenAI moderation endpoint (OpenAI provider only, ignored with other providers). Flagged messages are refused, flagged answers are replaced by a refusal',
+    private: true,
+    default: false
+  })
+
+  registerSetting({
+    name: 'moderation-check-answers',
+    label: 'Moderate AI answers',
+    type: 'input-checkbox',
+    descriptionHTML: 'Check answers as well as user messages, when the blocklist has entries or the moderation endpoint is enabled. Checked answers are not streamed: they are sent in one piece once they passed moderation',
+    private: true,
+    default: true
+  })
+
+  // System prompt
+  registerSetting({
+    name: 'system-prompt',
+    label: 'System Prompt',
+    type: 'input-textarea',
+    descriptionHTML: 'Custom system prompt for the AI',
+    private: false,
+    default: `You are an AI assistant helping users understand and discuss videos on this platform.
+
+You have access to:
+1. The CURRENT VIDEO's title, description, channel, duration, and transcript
+2. Visual descriptions from video snapshots at various timestamps
+3. A list of OTHER AVAILABLE VIDEOS you can recommend (with their UUIDs for linking)
+
+Guidelines:
+- When users ask about "this video" or "the video", refer to the CURRENT VIDEO information
+- Reference specific timestamps [MM:SS] or ranges [MM:SS-MM:SS] when discussing video content - these will become clickable links
+- When recommending related videos, use the [video:UUID] format to create clickable links (e.g., "Check out [video:abc-123] for more on this topic")
+- Remember the conversation history to provide coherent follow-up responses
+- Be concise but informative
+- If you don't have enough information to answer, say so honestly`
+  })
+
+  // Related-video recommendations
+  registerSetting({
+    name: 'recommendation-question-weight',
+    label: 'Recommendation Question Weight',
+    type: 'input',
+    descriptionHTML: 'Between 0 and 1. How much related videos are ranked by similarity to the question rather than to the current video',
+    private: true,
+    default: '0.5'
+  })
+
+  registerSetting({
+    name: 'recommendation-channel-boost',
+    label: 'Recommendation Same-Channel Boost',
+    type: 'input',
+    descriptionHTML: 'Score bonus for videos from the same channel as the current video (0 to disable)',
+    private: true,
+    default: '0.05'
+  })
+
+  registerSetting({
+    name: 'recommendation-tag-boost',
+    label: 'Recommendation Shared-Tag Boost',
+    type: 'input',
+    descriptionHTML: 'Score bonus per tag shared with the current video, up to 3 tags (0 to disable)',
+    private: true,
+    default: '0.02'
+  })
+
+  // Library chat system prompt
+  registerSetting({
+    name: 'library-system-prompt',
+    label: 'Library Chat System Prompt',
+    type: 'input-textarea',
+    descriptionHTML: 'System prompt for questions asked across the whole library',
+    private: false,
+    default: `You are an AI assistant helping users find and understand videos on this platform.
+
+You have access to excerpts of transcripts from several videos, grouped by video with their title and UUID.
+
+Guidelines:
+- Answer questions like "which video explains X?" by pointing to the most relevant videos
+- Always cite videos with the [video:UUID] format (e.g., "[video:abc-123] covers this topic")
+- To link a specific moment, add the time to the citation: [video:UUID@MM:SS] (e.g., "[video:abc-123@4:15]")
+- Only cite videos and moments that appear in the provided excerpts
+- Be concise but informative
+- If no excerpt answers the question, say so honestly`
+  })
+
+  // S3/Spaces Access Credentials (for private videos if needed)
+  registerSetting({
+    name: 'spaces-access-key',
+    label: 'Spaces/S3 Access Key ID',
+    type: 'input-password',
+    descriptionHTML: 'Access Key ID for DigitalOcean Spaces or S3 (may be required for private videos)',
+    private: true,
+    default: ''
+  })
+
+  registerSetting({
+    name: 'spaces-secret-key',
+    label: 'Spaces/S3 Secret Access Key',
+    type: 'input-password',
+    descriptionHTML: 'Secret Access Key for DigitalOcean Spaces or S3 (may be required for private videos)',
+    private: true,
+    default: ''
+  })
+
+  registerSetting({
+    name: 'spaces-region',
+    label: 'Spaces/S3 Region',
+    type: 'input',
+    descriptionHTML: 'Region for DigitalOcean Spaces or S3 (e.g., nyc3, us-east-1)',
+    private: false,
+    default: 'nyc3'
+  })
+}
+
+function registerVideoHooks(registerHook) {
+  // Hook into video upload/publish events
+  registerHook({
+    target: 'action:api.video.uploaded',
+    handler: async ({ video }) => {
+      const autoProcess = await settingsManager.getSetting('auto-process')
+      if (!autoProcess) return
+
+      if (!await budgetGuard.isAutoProcessingAllowed()) {
+        logger.info(`Monthly budget soft limit reached, not processing video ${video.uuid} automatically`)
+        return
+      }
+
+      await videoProcessor.queueVideoForProcessing(video)
+    }
+  })
+
+  registerHook({
+    target: 'action:api.video.updated',
+    handler: async ({ video }) => {
+      if (!await budgetGuard.isAutoProcessingAllowed()) return
+
+      // Check if video was previously failed/pending and is now ready
+      const status = await videoProcessor.getProcessingStatus(video.uuid)
+
+      if (status?.status === 'error' || status?.status === 'pending') {
+        const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+        if (videoProcessor.isVideoReady(fullVideo)) {
+          logger.info(`Video ${video.uuid} is now ready, retrying processing`)
+          await videoProcessor.queueVideoForProcessing(video)
+          return
+        }
+      }
+
+      // Check if video has transcription available
+      await videoProcessor.checkAndProcessTranscript(video)
+    }
+  })
+
+  // Hook into caption creation - this is when auto-generated transcripts are ready
+  registerHook({
+    target: 'action:api.video-caption.created',
+    handler: async ({ caption, video }) => {
+      logger.info(`Caption created for video ${video?.uuid}: language=${caption?.language}`)
+      if (video && await budgetGuard.isAutoProcessingAllowed()) {
+        // Process transcript now that caption is available
+        await videoProcessor.checkAndProcessTranscript(video)
+      }
+    }
+  })
+
+  // Clean up when video is deleted
+  registerHook({
+    target: 'action:api.video.deleted',
+    handler: async ({ video }) => {
+      await videoProcessor.cleanupVideoData(video)
+    }
+  })
+}
+
+function registerAPIRoutes(router) {
+  // Chat endpoint
+  router.post('/chat/send', async (req, res) => {
+    const { message, stream, conversationId } = req.body
+    const currentTime = parseFloat(req.body.currentTime)
+    const options = { currentTime: isNaN(currentTime) ? undefined : currentTime, ipAddress: req.ip, language: req.body.language }
+
+    let user
+    let videoId
+    let videoUuid
+    try {
+      user = await peertubeHelpers.user.getAuthUser(res)
+
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.body.videoUuid || req.body.videoId)
+      if (!video || !canViewVideo(user, video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      videoId = video.id
+      videoUuid = video.uuid
+
+      if (conversationId) {
+        options.conversation = await chatService.getConversation(conversationId, user?.id)
+        if (!options.conversation || String(options.conversation.videoId) !== String(videoId)) {
+          return res.status(404).json({ error: 'Conversation not found' })
+        }
+      }
+
+      if (await rejectIfPaused(res) || await rejectIfRateLimited(res, { userId: user?.id, ipAddress: req.ip, videoUuid })) {
+        return
+      }
+    } catch (error) {
+      logger.error('Chat error:', error)
+      return res.status(500).json({ error: 'Failed to process chat message' })
+    }
+
+    if (stream) {
+      return streamChatResponse(res, 'Chat stream error:', (user, onDelta, signal) => {
+        return chatService.handleChatMessage(videoId, videoUuid, message, user?.id, { ...options, onDelta, signal })
+      })
+    }
+
+    try {
+      const response = await chatService.handleChatMessage(
+        videoId,
+        videoUuid,
+        message,
+        user?.id,
+        options
+      )
+
+      res.json(response)
+    } catch (error) {
+      logger.error('Chat error:', error)
+      res.status(500).json({ error: 'Failed to process chat message' })
+    }
+  })
+
+  // Library-wide chat endpoint, searches every processed video
+  router.post('/chat/library/send', async (req, res) => {
+    const { message, stream, language } = req.body
+
+    try {
+      const libraryChatEnabled = await settingsManager.getSetting('library-chat-enabled')
+      if (!libraryChatEnabled) {
+        return res.status(403).json({ error: 'Library chat is disabled' })
+      }
+
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (await rejectIfPaused(res) || await rejectIfRateLimited(res, { userId: user?.id, ipAddress: req.ip })) {
+        return
+      }
+    } catch (error) {
+      logger.error('Library chat error:', error)
+      return res.status(500).json({ error: 'Failed to process chat message' })
+    }
+
+    if (stream) {
+      return streamChatResponse(res, 'Library chat stream error:', (user, onDelta, signal) => {
+        return chatService.handleLibraryChatMessage(message, user?.id, { onDelta, signal, ipAddress: req.ip, language })
+      })
+    }
+
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const response = await chatService.handleLibraryChatMessage(message, user?.id, { ipAddress: req.ip, language })
+      res.json(response)
+    } catch (error) {
+      logger.error('Library chat error:', error)
+      res.status(500).json({ error: 'Failed to process chat message' })
+    }
+  })
+
+  // Conversations of the current user on a video
+  router.get('/chat/conversations', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      const conversations = await chatService.listConversations(req.query.videoId, user.id)
+      res.json(conversations)
+    } catch (error) {
+      logger.error('Failed to list conversations:', error)
+      res.status(500).json({ error: 'Failed to list conversations' })
+    }
+  })
+
+  // Start a new, empty conversation
+  router.post('/chat/conversations', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      const { videoId, videoUuid, title } = req.body
+      if (!videoId && !videoUuid) {
+        return res.status(400).json({ error: 'videoId is required' })
+      }
+
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(videoUuid || videoId)
+      if (!video || !canViewVideo(user, video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const conversation = await chatService.createConversation(video.id, video.uuid, user.id, title)
+      if (!conversation) {
+        return res.status(500).json({ error: 'Failed to create conversation' })
+      }
+
+      res.json(conversation)
+    } catch (error) {
+      logger.error('Failed to create conversation:', error)
+      res.status(500).json({ error: 'Failed to create conversation' })
+    }
+  })
+
+  // Rename a conversation
+  router.put('/chat/conversations/:conversationId', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      const title = typeof req.body.title === 'string' ? req.body.title.trim() : ''
+      if (!title) {
+        return res.status(400).json({ error: 'title is required' })
+      }
+
+      const conversation = await chatService.renameConversation(req.params.conversationId, user.id, title)
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' })
+      }
+
+      res.json(conversation)
+    } catch (error) {
+      logger.error('Failed to rename conversation:', error)
+      res.status(500).json({ error: 'Failed to rename conversation' })
+    }
+  })
+
+  // Delete a conversation and its messages
+  router.delete('/chat/conversations/:conversationId', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      const deleted = await chatService.deleteConversation(req.params.conversationId, user.id)
+      if (!deleted) {
+        return res.status(404).json({ error: 'Conversation not found' })
+      }
+
+      res.json({ success: true })
+    } catch (error) {
+      logger.error('Failed to delete conversation:', error)
+      res.status(500).json({ error: 'Failed to delete conversation' })
+    }
+  })
+
+  // Messages of a conversation, oldest first
+  router.get('/chat/conversations/:conversationId/messages', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const conversation = await chatService.getConversation(req.params.conversationId, user?.id)
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' })
+      }
+
+      const messages = await chatService.getConversationMessages(conversation.id)
+      res.json(messages)
+    } catch (error) {
+      logger.error('Failed to get chat history:', error)
+      res.status(500).json({ error: 'Failed to get chat history' })
+    }
+  })
+
+  // Get chat history of the most recent conversation on a video
+  router.get('/chat/history/:videoId', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user) {
+        return res.json([])
+      }
+
+      const [latest] = await chatService.listConversations(req.params.videoId, user.id)
+      const history = latest ? await chatService.getChatHistory(latest.id) : []
+      res.json(history)
+    } catch (error) {
+      logger.error('Failed to get chat history:', error)
+      res.status(500).json({ error: 'Failed to get chat history' })
+    }
+  })
+
+  // Processing status
+  router.get('/processing/status/:videoUuid', async (req, res) => {
+    try {
+      const { videoUuid } = req.params
+      const status = await videoProcessor.getProcessingStatus(videoUuid)
+      res.json({ ...status, chatPaused: await budgetGuard.isChatPaused() })
+    } catch (error) {
+      logger.error('Failed to get processing status:', error)
+      res.status(500).json({ error: 'Failed to get processing status' })
+    }
+  })
+
+  // Snapshot image, shown as the thumbnail of source cards in the chat
+  router.get('/snapshots/:videoUuid/:timestamp', async (req, res) => {
+    try {
+      const timestamp = parseInt(req.params.timestamp)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || isNaN(timestamp) || timestamp < 0 || !canViewVideo(await peertubeHelpers.user.getAuthUser(res), video)) {
+        return res.status(404).json({ error: 'Snapshot not found' })
+      }
+
+      res.sendFile(videoProcessor.getSnapshotPath(video.uuid, timestamp), { maxAge: '1d' }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ error: 'Snapshot not found' })
+        }
+      })
+    } catch (error) {
+      logger.error('Failed to serve snapshot:', error)
+      res.status(500).json({ error: 'Failed to serve snapshot' })
+    }
+  })
+
+  // Precomputed summary of a video
+  router.get('/summary/:videoUuid', async (req, res) => {
+    try {
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !canViewVideo(await peertubeHelpers.user.getAuthUser(res), video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const summary = await videoProcessor.getVideoSummary(video.uuid)
+      if (!summary) {
+        return res.status(404).json({ error: 'No summary for this video' })
+      }
+
+      res.json({
+        short: summary.shortSummary,
+        detailed: summary.detailedSummary,
+        takeaways: summary.takeaways,
+        updatedAt: summary.updatedAt
+      })
+    } catch (error) {
+      logger.error('Failed to get summary:', error)
+      res.status(500).json({ error: 'Failed to get summary' })
+    }
+  })
+
+  // Suggested starter questions, with `canEdit` when the user may change them
+  router.get('/suggested-questions/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !canViewVideo(user, video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const suggested = await videoProcessor.getSuggestedQuestions(video.uuid)
+      res.json({
+        questions: suggested?.questions || [],
+        status: suggested?.status || null,
+        canEdit: canManageVideo(user, video)
+      })
+    } catch (error) {
+      logger.error('Failed to get suggested questions:', error)
+      res.status(500).json({ error: 'Failed to get suggested questions' })
+    }
+  })
+
+  // Save suggested questions edited by the video owner, kept when the video is reprocessed
+  router.put('/suggested-questions/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      if (!canManageVideo(user, video)) {
+        return res.status(403).json({ error: 'Only the video owner can edit suggested questions' })
+      }
+      if (!Array.isArray(req.body?.questions)) {
+        return res.status(400).json({ error: 'questions must be an array' })
+      }
+
+      const questions = await videoProcessor.saveEditedSuggestedQuestions(video.uuid, req.body.questions)
+      res.json({ questions, status: 'edited' })
+    } catch (error) {
+      logger.error('Failed to save suggested questions:', error)
+      res.status(500).json({ error: 'Failed to save suggested questions' })
+    }
+  })
+
+  // Quiz and flashcards of a video, written during processing.
+  // Correct answers are only sent back with the score of an attempt.
+  router.get('/quiz/:videoUuid', async (req, res) => {
+    try {
+      if (!await quizService.isEnabled()) {
+        return res.status(404).json({ error: 'Quizzes are disabled' })
+      }
+
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !canViewVideo(user, video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const quiz = await quizService.getQuiz(video.uuid)
+      if (!quiz) {
+        return res.status(404).json({ error: 'No quiz for this video' })
+      }
+
+      res.json({ ...quizService.toPublicQuiz(quiz), canViewResults: canManageVideo(user, video) })
+    } catch (error) {
+      logger.error('Failed to get quiz:', error)
+      res.status(500).json({ error: 'Failed to get quiz' })
+    }
+  })
+
+  // Score an attempt ({ quizId, answers: option index or null per question }), kept for signed-in users
+  router.post('/quiz/:videoUuid/attempts', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !canViewVideo(user, video) || !await quizService.isEnabled()) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const quiz = await quizService.getQuiz(video.uuid)
+      if (!quiz || quiz.id !== req.body?.quizId) {
+        return res.status(409).json({ error: 'The quiz has changed, please reload it' })
+      }
+      if (!Array.isArray(req.body.answers) || req.body.answers.length !== quiz.questions.length) {
+        return res.status(400).json({ error: 'answers must have one entry per question' })
+      }
+
+      const result = await quizService.submitAttempt(quiz, req.body.answers, user?.id || null)
+      res.json({ ...result, saved: Boolean(user) })
+    } catch (error) {
+      logger.error('Failed to score quiz attempt:', error)
+      res.status(500).json({ error: 'Failed to score quiz attempt' })
+    }
+  })
+
+  // Aggregated quiz results (video owner or admin)
+  router.get('/quiz/:videoUuid/results', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      if (!canManageVideo(user, video)) {
+        return res.status(403).json({ error: 'Only the video owner can see quiz results' })
+      }
+
+      const results = await quizService.getResults(video)
+      if (!results) {
+        return res.status(404).json({ error: 'No quiz for this video' })
+      }
+
+      res.json(results)
+    } catch (error) {
+      logger.error('Failed to get quiz results:', error)
+      res.status(500).json({ error: 'Failed to get quiz results' })
+    }
+  })
+
+  // Write a new quiz, results of the previous one are no longer aggregated (video owner or admin)
+  router.post('/quiz/:videoUuid/regenerate', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !await quizService.isEnabled()) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      if (!canManageVideo(user, video)) {
+        return res.status(403).json({ error: 'Only the video owner can regenerate the quiz' })
+      }
+
+      const quiz = await quizService.generateQuiz(video, await videoProcessor.getPrimaryTranscript(video))
+      if (!quiz) {
+        return res.status(422).json({ error: 'Could not generate a quiz for this video' })
+      }
+
+      res.json({ ...quizService.toPublicQuiz(quiz), canViewResults: true })
+    } catch (error) {
+      logger.error('Failed to regenerate quiz:', error)
+      res.status(500).json({ error: 'Failed to regenerate quiz' })
+    }
+  })
+
+  // Generated chapters, with `canEdit` when the user may review and publish them
+  router.get('/chapters/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video || !canViewVideo(user, video)) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      const chapters = await videoProcessor.getVideoChapters(video.uuid)
+      res.json({
+        chapters: chapters?.chapters || [],
+        status: chapters?.status || null,
+        publishedAt: chapters?.publishedAt || null,
+        canEdit: canManageVideo(user, video)
+      })
+    } catch (error) {
+      logger.error('Failed to get chapters:', error)
+      res.status(500).json({ error: 'Failed to get chapters' })
+    }
+  })
+
+  // Save chapters reviewed by the video owner
+  router.put('/chapters/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      if (!canManageVideo(user, video)) {
+        return res.status(403).json({ error: 'Only the video owner can edit chapters' })
+      }
+      if (!Array.isArray(req.body?.chapters)) {
+        return res.status(400).json({ error: 'chapters must be an array' })
+      }
+
+      const chapters = await videoProcessor.saveReviewedChapters(video, req.body.chapters)
+      res.json({ chapters, status: 'edited' })
+    } catch (error) {
+      logger.error('Failed to save chapters:', error)
+      res.status(500).json({ error: 'Failed to save chapters' })
+    }
+  })
+
+  // Chapters are pushed to PeerTube by the owner's browser with their own token,
+  // this records that it was done
+  router.post('/chapters/:videoUuid/published', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(req.params.videoUuid)
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+      if (!canManageVideo(user, video)) {
+        return res.status(403).json({ error: 'Only the video owner can publish chapters' })
+      }
+
+      if (!await videoProcessor.markChaptersPublished(video.uuid)) {
+        return res.status(404).json({ error: 'No chapters for this video' })
+      }
+      res.json({ status: 'published' })
+    } catch (error) {
+      logger.error('Failed to mark chapters published:', error)
+      res.status(500).json({ error: 'Failed to mark chapters published' })
+    }
+  })
+
+  // Manual processing trigger
+  router.post('/processing/trigger/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const { videoUuid } = req.params
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(videoUuid)
+
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' })
+      }
+
+      await videoProcessor.queueVideoForProcessing(video)
+      res.json({ message: 'Video queued for processing' })
+    } catch (error) {
+      logger.error('Failed to trigger processing:', error)
+      res.status(500).json({ error: 'Failed to trigger processing' })
+    }
+  })
+
+  // List all processed videos (admin only)
   router.get('/processing/list', async (req, res) => {
     try {
       const user = await peertubeHelpers.user.getAuthUser(res)
@@ -349,6 +1382,145 @@ function registerAPIRoutes(router) {
     }
   })
 
+  // Messages and answers flagged by moderation (admin only)
+  // ?reviewed=true lists reviewed ones, ?reviewed=all both
+  router.get('/moderation/flagged', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const reviewed = req.query.reviewed === 'all' ? null : req.query.reviewed === 'true'
+      res.json(await moderationService.getFlaggedMessages({ reviewed }))
+    } catch (error) {
+      logger.error('Failed to get flagged messages:', error)
+      res.status(500).json({ error: 'Failed to get flagged messages' })
+    }
+  })
+
+  router.post('/moderation/flagged/:id/review', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      if (!await moderationService.markReviewed(req.params.id)) {
+        return res.status(404).json({ error: 'Flagged message not found' })
+      }
+
+      res.json({ message: 'Flagged message marked as reviewed' })
+    } catch (error) {
+      logger.error('Failed to review flagged message:', error)
+      res.status(500).json({ error: 'Failed to review flagged message' })
+    }
+  })
+
+  // Processed passages containing instruction-like text, per video (admin only)
+  router.get('/moderation/injections', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      res.json(await databaseService.getInjectionFlags())
+    } catch (error) {
+      logger.error('Failed to get prompt injection flags:', error)
+      res.status(500).json({ error: 'Failed to get prompt injection flags' })
+    }
+  })
+
+  // Spending of the current month against the monthly budget (admin only)
+  router.get('/usage/budget', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      res.json(await budgetGuard.getBudgetStatus())
+    } catch (error) {
+      logger.error('Failed to get budget status:', error)
+      res.status(500).json({ error: 'Failed to get budget status' })
+    }
+  })
+
+  // Tokens and cost spent on a video, per endpoint and model (admin only)
+  router.get('/usage/video/:videoUuid', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const usage = await databaseService.getVideoUsage(req.params.videoUuid)
+      res.json({
+        videoUuid: req.params.videoUuid,
+        totalCost: usage.reduce((sum, entry) => sum + entry.cost, 0),
+        usage
+      })
+    } catch (error) {
+      logger.error('Failed to get video usage:', error)
+      res.status(500).json({ error: 'Failed to get video usage' })
+    }
+  })
+
+  // Tokens and cost of the last days, per endpoint, model and user (admin only)
+  router.get('/usage/summary', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365)
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      const summary = await databaseService.getUsageSummary(since)
+
+      res.json({
+        days,
+        totalCost: summary.byModel.reduce((sum, entry) => sum + entry.cost, 0),
+        ...summary
+      })
+    } catch (error) {
+      logger.error('Failed to get usage summary:', error)
+      res.status(500).json({ error: 'Failed to get usage summary' })
+    }
+  })
+
+  // Re-embed every transcript chunk not embedded with the current model (admin only)
+  router.post('/processing/reembed', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const status = await videoProcessor.startReembedJob()
+      res.json(status)
+    } catch (error) {
+      logger.error('Failed to start re-embed job:', error)
+      res.status(500).json({ error: 'Failed to start re-embed job' })
+    }
+  })
+
+  router.get('/processing/reembed/status', async (req, res) => {
+    try {
+      const user = await peertubeHelpers.user.getAuthUser(res)
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const status = await videoProcessor.getReembedStatus()
+      res.json(status)
+    } catch (error) {
+      logger.error('Failed to get re-embed status:', error)
+      res.status(500).json({ error: 'Failed to get re-embed status' })
+    }
+  })
+
   // Clear video embeddings/data (admin only)
   router.delete('/processing/:videoUuid', async (req, res) => {
     try {
@@ -367,6 +1539,78 @@ function registerAPIRoutes(router) {
   })
 }
 
+// Answers 503 once the monthly budget hard limit is reached, returns whether it did
+async function rejectIfPaused(res) {
+  if (!await budgetGuard.isChatPaused()) {
+    return false
+  }
+
+  res.status(503).json({ error: 'The assistant is paused', paused: true })
+  return true
+}
+
+// Answers 429 when the request exceeds a rate limit or daily quota, returns whether it did.
+// retryAt lets the client tell the user when to come back.
+async function rejectIfRateLimited(res, requester) {
+  const rejection = await rateLimiter.consumeChatRequest(requester)
+  if (!rejection) {
+    return false
+  }
+
+  res.setHeader('Retry-After', Math.max(Math.ceil((rejection.retryAt.getTime() - Date.now()) / 1000), 1))
+  res.status(429).json({
+    error: rejection.limit === 'tokens' ? 'Daily usage limit reached' : 'Too many messages',
+    scope: rejection.scope,
+    limit: rejection.limit,
+    retryAt: rejection.retryAt.toISOString()
+  })
+
+  return true
+}
+
+// Streams a chat answer as Server-Sent Events:
+// `delta` events carry text chunks, `done` carries the final response payload.
+// generate(user, onDelta, signal) must resolve to the final response payload, signal is
+// aborted when the client disconnects so the model stops generating tokens nobody reads.
+async function streamChatResponse(res, errorLabel, generate) {
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.setHeader('Connection', 'keep-alive')
+  res.setHeader('X-Accel-Buffering', 'no') // Disable nginx buffering
+  res.flushHeaders()
+
+  const abortController = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort()
+  })
+
+  const sendEvent = (event, data) => {
+    if (abortController.signal.aborted) return
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    // Flush through compression middleware if present
+    if (typeof res.flush === 'function') res.flush()
+  }
+
+  try {
+    const user = await peertubeHelpers.user.getAuthUser(res)
+
+    const response = await generate(user, (content) => sendEvent('delta', { content }), abortController.signal)
+
+    sendEvent('done', response)
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('Client disconnected, chat generation stopped')
+      return
+    }
+
+    logger.error(errorLabel, error)
+    sendEvent('error', { error: 'Failed to process chat message' })
+  } finally {
+    res.end()
+  }
+}
+
 module.exports = {
   register,
   unregister
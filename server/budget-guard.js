@@ -0,0 +1,100 @@
+const databaseService = require('./database-service')
+
+let rawLogger = null
+let settingsManager = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+// Spending is summed from the usage table at most this often
+const STATUS_CACHE_MS = 60 * 1000
+
+const DEFAULT_SOFT_LIMIT_PERCENT = 80
+const DEFAULT_HARD_LIMIT_PERCENT = 100
+
+let cachedStatus = null
+let cachedAt = 0
+let lastLevel = 'ok'
+
+function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
+
+  // Thresholds may have changed, recompute on next use
+  settingsManager.onSettingsChange(() => {
+    cachedStatus = null
+  })
+}
+
+async function getNumberSetting(name, fallback) {
+  const value = parseFloat(await settingsManager.getSetting(name))
+  return isNaN(value) || value < 0 ? fallback : value
+}
+
+function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1)
+}
+
+// Spending of the current calendar month (server time) against the monthly budget.
+// level: 'ok', 'soft' (cheaper model, no auto-processing) or 'hard' (chat paused).
+// A budget of 0 disables the cap.
+async function getBudgetStatus() {
+  if (cachedStatus && Date.now() - cachedAt < STATUS_CACHE_MS) {
+    return cachedStatus
+  }
+
+  const budget = await getNumberSetting('monthly-budget', 0)
+  const softLimit = budget * await getNumberSetting('budget-soft-limit', DEFAULT_SOFT_LIMIT_PERCENT) / 100
+  const hardLimit = budget * await getNumberSetting('budget-hard-limit', DEFAULT_HARD_LIMIT_PERCENT) / 100
+  const periodStart = startOfMonth(new Date())
+
+  const spent = budget > 0 ? await databaseService.getCostSince(periodStart) : 0
+
+  let level = 'ok'
+  if (budget > 0 && spent >= hardLimit) {
+    level = 'hard'
+  } else if (budget > 0 && spent >= softLimit) {
+    level = 'soft'
+  }
+
+  if (level !== lastLevel) {
+    logger.warn(`Monthly budget level changed from ${lastLevel} to ${level} ($${spent.toFixed(2)} of $${budget.toFixed(2)} spent)`)
+    lastLevel = level
+  }
+
+  cachedStatus = { level, budget, spent, softLimit, hardLimit, periodStart }
+  cachedAt = Date.now()
+
+  return cachedStatus
+}
+
+async function isChatPaused() {
+  return (await getBudgetStatus()).level === 'hard'
+}
+
+async function isAutoProcessingAllowed() {
+  return (await getBudgetStatus()).level === 'ok'
+}
+
+// Chat model to use instead of the configured one once the soft limit is reached, or null.
+// defaultModel is used when the admin did not choose one.
+async function getFallbackChatModel(defaultModel = null) {
+  if ((await getBudgetStatus()).level === 'ok') {
+    return null
+  }
+
+  return (await settingsManager.getSetting('budget-fallback-model') || '').trim() || defaultModel
+}
+
+module.exports = {
+  initialize,
+  getBudgetStatus,
+  isChatPaused,
+  isAutoProcessingAllowed,
+  getFallbackChatModel
+}
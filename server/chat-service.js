@@ -1,10 +1,44 @@
 const openaiService = require('./openai-service')
 const databaseService = require('./database-service')
+const contextBuilder = require('./context-builder')
+const usageTracker = require('./usage-tracker')
+const moderationService = require('./moderation-service')
+const promptGuard = require('./prompt-guard')
+const chatTools = require('./chat-tools')
+const { PUBLIC_PRIVACY } = require('./video-access')
+const { formatTime, normalizeLanguage } = require('./formats')
 
 let rawLogger = null
 let settingsManager = null
 let peertubeHelpers = null
 
+// Number of transcript chunks given to the model for library-wide questions
+const LIBRARY_CHUNK_LIMIT = 10
+
+// Window around the playhead, in seconds: mostly what was just watched, a little of what comes next
+const PLAYHEAD_WINDOW_BEFORE = 60
+const PLAYHEAD_WINDOW_AFTER = 15
+const PLAYHEAD_SNAPSHOT_BEFORE = 30
+
+// A timestamp cited in an answer refers to a snapshot taken up to this many seconds away
+const SNAPSHOT_CITATION_TOLERANCE = 5
+
+// Prompt token cap used when the context-token-budget setting is empty
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 12000
+
+const HISTORY_SUMMARY_MAX_TOKENS = 150
+const HISTORY_SUMMARY_PROMPT = 'Summarize this conversation between a user and an assistant about a video in a few sentences. Keep the questions asked, the facts and timestamps given, and anything the user said about themselves or their goals.'
+const HISTORY_SUMMARY_EXTEND_PROMPT = `${HISTORY_SUMMARY_PROMPT} The first part is a summary of the beginning of the conversation, merge it with the exchanges that follow.`
+
+const DEFAULT_CONVERSATION_TITLE = 'New chat'
+const CONVERSATION_TITLE_LENGTH = 60
+
+// Tool calling rounds in agentic mode when the setting is empty
+const DEFAULT_AGENT_ROUNDS = 4
+
+// Appended to the chat system prompts, videos may have captions in several languages
+const ANSWER_LANGUAGE_INSTRUCTIONS = 'Language: answer in the language the user writes in, even when the video, its transcript or these instructions are in another language. Transcript excerpts may come from captions in other languages: quote them in their original wording, with a translation when it helps.'
+
 // Wrapper logger that adds 'aichat' tag to all messages
 const logger = {
   info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
@@ -19,11 +53,67 @@ function initialize(services) {
   peertubeHelpers = services.peertubeHelpers
 }
 
-async function handleChatMessage(videoId, videoUuid, message, userId) {
+// options.onDelta: optional callback receiving response text as it streams in
+// options.signal: optional AbortSignal, stops the model request when the client went away
+// options.ipAddress: requester address, recorded with API usage for per-IP quotas
+// options.currentTime: viewer's playback position in seconds, if known
+// options.conversation: conversation to continue (already checked to belong to the user),
+// a new one is started for signed-in users when omitted; anonymous chats are not kept
+// options.language: interface language of the user, transcripts in it are preferred
+async function handleChatMessage(videoId, videoUuid, message, userId, options = {}) {
   if (!openaiService.isInitialized()) {
     throw new Error('AI service not configured')
   }
 
+  const attribution = { userId, videoUuid, ipAddress: options.ipAddress }
+  const userLanguage = normalizeLanguage(options.language)
+
+  // Flagged messages never reach the model and are not kept in the conversation
+  const refusal = await moderationService.moderateMessage(message, attribution)
+  if (refusal) {
+    return refuse(refusal, options.onDelta)
+  }
+
+  let conversation = options.conversation || null
+  if (!conversation && userId) {
+    conversation = await databaseService.createConversation(videoId, videoUuid, userId, makeConversationTitle(message))
+  }
+
+  // Get conversation history (last 20 exchanges are used)
+  const history = conversation ? await getChatHistory(conversation.id) : []
+
+  // Only first-turn questions are cached, follow-ups depend on the conversation
+  const cacheOptions = history.length === 0 ? await getAnswerCacheOptions() : null
+  let queryEmbedding = null
+
+  if (cacheOptions) {
+    try {
+      queryEmbedding = await openaiService.generateEmbedding(message, { ...attribution, endpoint: 'query-embedding' })
+      const embeddingModel = await openaiService.getEmbeddingModel()
+
+      const cached = await databaseService.findCachedAnswer(videoUuid, queryEmbedding, embeddingModel, {
+        ...cacheOptions,
+        playheadTime: options.currentTime ?? null,
+        language: userLanguage
+      })
+
+      if (cached) {
+        logger.info(`Answer cache hit for video ${videoUuid}`)
+        await databaseService.trackAPIUsage(userId, 'chat-cache-hit', 0, 0, attribution)
+
+        if (options.onDelta) {
+          options.onDelta(cached.response)
+        }
+
+        return await saveToConversation(conversation, videoId, userId, message, history, { ...cached, cached: true })
+      }
+
+      await databaseService.trackAPIUsage(userId, 'chat-cache-miss', 0, 0, attribution)
+    } catch (error) {
+      logger.warn('Answer cache lookup failed:', error.message)
+    }
+  }
+
   // Get current video metadata
   let videoMetadata = null
   try {
@@ -41,37 +131,282 @@ async function handleChatMessage(videoId, videoUuid, message, userId) {
   }
 
   // Get relevant context from vector database
-  const context = await getVideoContext(videoUuid, message)
+  const context = await getVideoContext(videoUuid, message, { currentTime: options.currentTime, queryEmbedding, attribution, userLanguage })
 
-  // Add video metadata to context
+  // Add video metadata and the precomputed summary to context
   if (context) {
     context.metadata = videoMetadata
+    context.summary = await databaseService.getVideoSummary(videoUuid)
   }
 
   // Get related videos for recommendations
-  const relatedVideos = await getRelatedVideos(videoUuid, 10)
+  const relatedVideos = await getRelatedVideos(videoUuid, 10, context?.queryEmbedding)
   if (context) {
     context.relatedVideos = relatedVideos
   }
 
-  // Get conversation history for this specific video (last 20 exchanges)
-  const history = await getChatHistory(videoId, userId)
+  // Answers checked by moderation are sent in one piece once they passed, a flagged
+  // answer must never reach the viewer
+  const checkingAnswers = await moderationService.isCheckingAnswers()
 
   // Generate response with history
-  const response = await generateChatResponse(message, context, videoId, videoUuid, userId, history)
+  const response = await generateChatResponse(message, context, videoId, videoUuid, userId, history, {
+    conversation,
+    onDelta: checkingAnswers ? null : options.onDelta,
+    signal: options.signal,
+    attribution,
+    userLanguage
+  })
+
+  const moderatedAnswer = await moderationService.moderateAnswer(message, response.response, attribution)
+  if (moderatedAnswer !== null) {
+    response.response = moderatedAnswer
+    response.moderated = true
+  }
 
-  return response
+  if (checkingAnswers && options.onDelta) {
+    options.onDelta(response.response)
+  }
+
+  if (cacheOptions && context?.queryEmbedding && response.response && !response.moderated) {
+    await databaseService.saveCachedAnswer(
+      videoUuid,
+      message,
+      context.queryEmbedding,
+      await openaiService.getEmbeddingModel(),
+      options.currentTime ?? null,
+      response,
+      cacheOptions.ttlHours,
+      userLanguage
+    )
+  }
+
+  return await saveToConversation(conversation, videoId, userId, message, history, response)
 }
 
-async function getVideoContext(videoUuid, query) {
+// Answer with a moderation refusal instead of calling the model
+function refuse(refusal, onDelta) {
+  if (onDelta) {
+    onDelta(refusal)
+  }
+
+  return { response: refusal, timestamps: [], videoLinks: [], moderated: true }
+}
+
+// Save the exchange to the conversation, naming conversations created empty after their first question
+async function saveToConversation(conversation, videoId, userId, message, history, response) {
+  if (!conversation) {
+    return response
+  }
+
+  await databaseService.saveChatMessage(conversation.id, videoId, userId, message, response.response, response.sources)
+  if (history.length === 0 && conversation.title === DEFAULT_CONVERSATION_TITLE) {
+    conversation = await databaseService.renameConversation(conversation.id, makeConversationTitle(message)) || conversation
+  }
+
+  return {
+    ...response,
+    conversationId: conversation.id,
+    conversationTitle: conversation.title
+  }
+}
+
+// Answer cache settings, null when the cache is disabled
+async function getAnswerCacheOptions() {
+  if (!await settingsManager.getSetting('answer-cache-enabled')) {
+    return null
+  }
+
+  const minSimilarity = parseFloat(await settingsManager.getSetting('answer-cache-similarity'))
+  const ttlHours = parseFloat(await settingsManager.getSetting('answer-cache-ttl-hours'))
+
+  return {
+    minSimilarity: isNaN(minSimilarity) ? 0.95 : Math.min(Math.max(minSimilarity, 0), 1),
+    ttlHours: isNaN(ttlHours) || ttlHours <= 0 ? 24 : ttlHours,
+    // Answers about "this moment" are reused within the playhead context window
+    playheadTolerance: PLAYHEAD_WINDOW_BEFORE
+  }
+}
+
+function makeConversationTitle(message) {
+  const title = message.replace(/\s+/g, ' ').trim()
+  return title.length > CONVERSATION_TITLE_LENGTH
+    ? title.slice(0, CONVERSATION_TITLE_LENGTH - 1) + '…'
+    : title || DEFAULT_CONVERSATION_TITLE
+}
+
+// Conversations are private to their user, other users' conversations are reported as missing
+async function getConversation(conversationId, userId) {
+  if (!userId) return null
+
+  const conversation = await databaseService.getConversation(conversationId)
+  return conversation && conversation.userId === userId ? conversation : null
+}
+
+async function listConversations(videoId, userId) {
+  return await databaseService.listConversations(videoId, userId)
+}
+
+async function createConversation(videoId, videoUuid, userId, title) {
+  return await databaseService.createConversation(videoId, videoUuid, userId, title?.trim() || DEFAULT_CONVERSATION_TITLE)
+}
+
+async function renameConversation(conversationId, userId, title) {
+  const conversation = await getConversation(conversationId, userId)
+  if (!conversation) return null
+
+  return await databaseService.renameConversation(conversation.id, title.trim().slice(0, 255))
+}
+
+async function deleteConversation(conversationId, userId) {
+  const conversation = await getConversation(conversationId, userId)
+  if (!conversation) return false
+
+  await databaseService.deleteConversation(conversation.id)
+  return true
+}
+
+// Answer a question using every processed video of the instance
+// options.onDelta: optional callback receiving response text as it streams in
+// options.signal: optional AbortSignal, stops the model request when the client went away
+// options.ipAddress: requester address, recorded with API usage for per-IP quotas
+// options.language: interface language of the user, transcripts in it are preferred
+async function handleLibraryChatMessage(message, userId, options = {}) {
+  if (!openaiService.isInitialized()) {
+    throw new Error('AI service not configured')
+  }
+
+  const attribution = { userId, ipAddress: options.ipAddress }
+  const userLanguage = normalizeLanguage(options.language)
+
+  const refusal = await moderationService.moderateMessage(message, attribution)
+  if (refusal) {
+    return refuse(refusal, options.onDelta)
+  }
+
+  const context = await getLibraryContext(message, attribution, userLanguage)
+  const systemPrompt = promptGuard.withInstructionHierarchy(
+    withAnswerLanguage(await settingsManager.getSetting('library-system-prompt'), userLanguage)
+  )
+  const model = await openaiService.getChatModel()
+  const maxTokens = parseInt(await settingsManager.getSetting('max-tokens') || '1000')
+
+  // Group transcript sections by video so the model knows which UUID to cite
+  let contextMessage = ''
+  for (const video of context.videos) {
+    const chunks = context.transcriptChunks
+      .filter(chunk => chunk.videoUuid === video.uuid)
+      .sort((a, b) => a.startTime - b.startTime)
+
+    contextMessage += `VIDEO "${promptGuard.escapeUntrusted(video.name)}" [video:${video.uuid}]\n`
+    if (video.channel) {
+      contextMessage += `Channel: ${promptGuard.escapeUntrusted(video.channel)}\n`
+    }
+    chunks.forEach(chunk => {
+      contextMessage += `[${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}]: ${promptGuard.escapeUntrusted(chunk.content)}\n`
+    })
+    contextMessage += '\n'
+  }
+
+  const fullUserMessage = contextMessage
+    ? `Context (excerpts from videos of this platform):\n${promptGuard.wrapUntrusted(contextMessage)}\n\nUser question: ${message}`
+    : `Context: no video of this platform matches the question.\n\nUser question: ${message}`
+
+  logger.info(`Calling OpenAI for library chat, model: ${model}, videos: ${context.videos.length}, transcripts: ${context.transcriptChunks.length}`)
+
+  // Answers checked by moderation are sent in one piece once they passed
+  const checkingAnswers = await moderationService.isCheckingAnswers()
+
+  const aiResponse = await openaiService.generateChatResponse(
+    systemPrompt,
+    fullUserMessage,
+    context,
+    model,
+    maxTokens,
+    [],
+    checkingAnswers ? null : options.onDelta,
+    options.signal
+  )
+
+  await usageTracker.recordUsage('library-chat', aiResponse.model, aiResponse.usage, attribution)
+
+  const moderatedAnswer = await moderationService.moderateAnswer(message, aiResponse.content, attribution)
+  const responseContent = moderatedAnswer ?? aiResponse.content
+
+  if (checkingAnswers && options.onDelta) {
+    options.onDelta(responseContent)
+  }
+
+  return {
+    response: responseContent,
+    timestamps: [],
+    videoLinks: extractVideoLinks(responseContent, context.videos),
+    moderated: moderatedAnswer !== null
+  }
+}
+
+// attribution: { userId, ipAddress } the query embedding is recorded against
+// userLanguage: transcripts in this language are searched in the videos that have one
+async function getLibraryContext(query, attribution = {}, userLanguage = null) {
+  const queryEmbedding = await openaiService.generateEmbedding(query, { ...attribution, endpoint: 'query-embedding' })
+  const embeddingModel = await openaiService.getEmbeddingModel()
+
+  // Fetch extra candidates since chunks of non-public videos are dropped below.
+  // Caption languages are mostly plain language codes, regional variants are not matched here.
+  const chunks = await databaseService.findSimilarChunks(null, queryEmbedding, LIBRARY_CHUNK_LIMIT * 2, {
+    embeddingModel,
+    queryText: query,
+    language: userLanguage ? userLanguage.split('-')[0] : null,
+    ...await getRetrievalOptions()
+  })
+
+  const videos = new Map()
+  for (const videoUuid of new Set(chunks.map(chunk => chunk.videoUuid))) {
+    try {
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(videoUuid)
+      // Only public videos can be cited in library answers
+      if (video && video.privacy === PUBLIC_PRIVACY) {
+        videos.set(videoUuid, {
+          uuid: videoUuid,
+          name: video.name || 'Unknown',
+          channel: video.VideoChannel?.name || ''
+        })
+      }
+    } catch (error) {
+      logger.warn(`Failed to load video ${videoUuid} for library chat:`, error.message)
+    }
+  }
+
+  return {
+    videos: [...videos.values()],
+    transcriptChunks: chunks.filter(chunk => videos.has(chunk.videoUuid)).slice(0, LIBRARY_CHUNK_LIMIT)
+  }
+}
+
+// options.currentTime: playback position, transcript and visuals around it are added to the context
+// options.queryEmbedding: embedding of the query if already computed
+// options.attribution: { userId, videoUuid, ipAddress } the query embedding is recorded against
+// options.userLanguage: interface language of the user
+async function getVideoContext(videoUuid, query, options = {}) {
   if (!openaiService.isInitialized()) return null
 
   try {
     // Generate embedding for the query
-    const queryEmbedding = await openaiService.generateEmbedding(query)
-
-    // Find similar chunks using pgvector or fallback
-    const similarChunks = await databaseService.findSimilarChunks(videoUuid, queryEmbedding, 5)
+    const queryEmbedding = options.queryEmbedding || await openaiService.generateEmbedding(query, { ...options.attribution, endpoint: 'query-embedding' })
+    const embeddingModel = await openaiService.getEmbeddingModel()
+
+    // Search the transcript in the user's language when the video has captions in it.
+    // Otherwise every language is searched, and the rankings favour the language of the question.
+    const languages = await databaseService.getTranscriptLanguages(videoUuid)
+    const language = matchLanguage(languages, options.userLanguage)
+
+    // Find similar chunks using pgvector or fallback (only vectors from the same model)
+    const similarChunks = await databaseService.findSimilarChunks(videoUuid, queryEmbedding, 5, {
+      embeddingModel,
+      queryText: query,
+      language,
+      ...await getRetrievalOptions()
+    })
 
     // Get relevant snapshots based on the time ranges of similar chunks
     let snapshots = []
@@ -82,9 +417,22 @@ async function getVideoContext(videoUuid, query) {
       snapshots = await databaseService.getVideoSnapshots(videoUuid, minTime, maxTime)
     }
 
+    // Find visual moments directly from their descriptions, so videos with little
+    // speech (or no captions at all) can still answer "when does X appear?"
+    const matchedSnapshots = await databaseService.findSimilarSnapshots(videoUuid, queryEmbedding, 5, embeddingModel)
+    const matchedTimestamps = new Set(matchedSnapshots.map(s => s.timestamp))
+
+    const playhead = await getPlayheadContext(videoUuid, options.currentTime, language ?? languages[0] ?? null)
+    const playheadChunkStarts = new Set(playhead?.transcriptChunks.map(c => c.startTime) || [])
+    const playheadTimestamps = new Set(playhead?.snapshots.map(s => s.timestamp) || [])
+
     return {
-      transcriptChunks: similarChunks,
-      snapshots: snapshots
+      queryEmbedding: queryEmbedding,
+      language,
+      playhead: playhead,
+      transcriptChunks: similarChunks.filter(c => !playheadChunkStarts.has(c.startTime || c.start_time)),
+      snapshots: snapshots.filter(s => !matchedTimestamps.has(s.timestamp) && !playheadTimestamps.has(s.timestamp)),
+      matchedSnapshots: matchedSnapshots.filter(s => !playheadTimestamps.has(s.timestamp))
     }
   } catch (error) {
     logger.error('Failed to get video context:', error)
@@ -92,8 +440,84 @@ async function getVideoContext(videoUuid, query) {
   }
 }
 
-async function getRelatedVideos(currentVideoUuid, limit = 10) {
+// Transcript and visuals around the viewer's playback position, so "what did she just say?"
+// or "explain this slide" can be answered without the question matching the content.
+// language: caption language of the transcript to read
+async function getPlayheadContext(videoUuid, currentTime, language = null) {
+  if (typeof currentTime !== 'number' || !isFinite(currentTime) || currentTime < 0) {
+    return null
+  }
+
+  const transcriptChunks = await databaseService.getTranscriptWindow(
+    videoUuid,
+    Math.max(0, currentTime - PLAYHEAD_WINDOW_BEFORE),
+    currentTime + PLAYHEAD_WINDOW_AFTER,
+    language
+  )
+  const snapshots = await databaseService.getVideoSnapshots(
+    videoUuid,
+    Math.max(0, currentTime - PLAYHEAD_SNAPSHOT_BEFORE),
+    currentTime + PLAYHEAD_WINDOW_AFTER
+  )
+
+  return {
+    currentTime,
+    transcriptChunks,
+    snapshots: snapshots.filter(s => s.description)
+  }
+}
+
+// The transcript language for the user's language: the same tag, else the same base
+// language ('fr-CA' reads 'fr' captions). Null when the video has no captions in it.
+function matchLanguage(languages, userLanguage) {
+  if (!userLanguage) return null
+
+  const wanted = userLanguage.toLowerCase()
+  return languages.find(language => language.toLowerCase() === wanted) ||
+    languages.find(language => language && language.toLowerCase().split('-')[0] === wanted.split('-')[0]) ||
+    null
+}
+
+function withAnswerLanguage(systemPrompt, userLanguage) {
+  const fallback = userLanguage ? ` When the language of a message is unclear, answer in the user's interface language (${userLanguage}).` : ''
+  return `${systemPrompt || ''}\n\n${ANSWER_LANGUAGE_INSTRUCTIONS}${fallback}`
+}
+
+async function getRetrievalOptions() {
+  const parseWeight = (value) => {
+    const weight = parseFloat(value)
+    return isNaN(weight) || weight < 0 ? 1 : weight
+  }
+
+  return {
+    mode: await settingsManager.getSetting('retrieval-mode') || 'hybrid',
+    vectorWeight: parseWeight(await settingsManager.getSetting('hybrid-vector-weight')),
+    lexicalWeight: parseWeight(await settingsManager.getSetting('hybrid-lexical-weight')),
+    textSearchConfig: await settingsManager.getSetting('text-search-config') || 'simple'
+  }
+}
+
+// Videos semantically closest to the current video and the question,
+// falling back to the most recently processed ones when no embeddings are available
+async function getRelatedVideos(currentVideoUuid, limit = 10, queryEmbedding = null) {
   try {
+    const embeddingModel = await openaiService.getEmbeddingModel()
+    const parseSetting = async (name, fallback) => {
+      const value = parseFloat(await settingsManager.getSetting(name))
+      return isNaN(value) || value < 0 ? fallback : value
+    }
+
+    const relatedVideos = await databaseService.findRelatedVideos(currentVideoUuid, queryEmbedding, embeddingModel, limit, {
+      questionWeight: Math.min(await parseSetting('recommendation-question-weight', 0.5), 1),
+      channelBoost: await parseSetting('recommendation-channel-boost', 0.05),
+      tagBoost: await parseSetting('recommendation-tag-boost', 0.02)
+    })
+
+    if (relatedVideos.length > 0) {
+      logger.info(`getRelatedVideos returning ${relatedVideos.length} semantically related videos`)
+      return relatedVideos
+    }
+
     // Get other AI-processed videos from our database
     const processedVideos = await databaseService.getProcessedVideosForRecommendation(currentVideoUuid, limit)
 
@@ -105,78 +529,190 @@ async function getRelatedVideos(currentVideoUuid, limit = 10) {
   }
 }
 
-async function generateChatResponse(message, context, videoId, videoUuid, userId, history = []) {
-  const systemPrompt = await settingsManager.getSetting('system-prompt')
-  const model = await settingsManager.getSetting('openai-model')
+// options.onDelta: optional callback receiving response text as it streams in
+// options.signal: optional AbortSignal for the model requests
+// options.attribution: { userId, videoUuid, ipAddress } recorded with API usage
+// options.userLanguage: interface language of the user
+async function generateChatResponse(message, context, videoId, videoUuid, userId, history = [], options = {}) {
+  const model = await openaiService.getChatModel()
   const maxTokens = parseInt(await settingsManager.getSetting('max-tokens') || '1000')
 
-  // Build context message
-  let contextMessage = ''
+  // Agentic mode needs a model with tool calling, otherwise the context below is all it gets
+  const agentic = await settingsManager.getSetting('agentic-mode') && openaiService.supportsTools(model)
+  const basePrompt = withAnswerLanguage(await settingsManager.getSetting('system-prompt'), options.userLanguage)
+  const systemPrompt = promptGuard.withInstructionHierarchy(
+    agentic ? `${basePrompt}\n\n${chatTools.AGENT_INSTRUCTIONS}` : basePrompt
+  )
+
+  // Context sections in display order, each drawing on the token budget of its key
+  const blocks = []
 
   // Always include current video metadata first
   if (context?.metadata) {
-    contextMessage += 'CURRENT VIDEO:\n'
-    contextMessage += `Title: ${context.metadata.title}\n`
+    const lines = [`Title: ${context.metadata.title}`]
     if (context.metadata.channel) {
-      contextMessage += `Channel: ${context.metadata.channel}\n`
+      lines.push(`Channel: ${context.metadata.channel}`)
     }
-    contextMessage += `Duration: ${formatTime(context.metadata.duration)}\n`
+    lines.push(`Duration: ${formatTime(context.metadata.duration)}`)
     if (context.metadata.description) {
-      contextMessage += `Description: ${context.metadata.description.slice(0, 500)}\n`
+      lines.push(`Description: ${context.metadata.description.slice(0, 500)}`)
     }
-    contextMessage += '\n'
+    blocks.push({ key: 'metadata', title: 'CURRENT VIDEO:', lines })
+  }
+
+  // Whole-video summary, so overview questions are not answered from a few excerpts only.
+  // Short summary and takeaways come first for the budget.
+  if (context?.summary) {
+    blocks.push({
+      key: 'summary',
+      title: 'SUMMARY OF THE WHOLE VIDEO (use it for overview and "summarize" questions):',
+      lines: [
+        context.summary.shortSummary,
+        ...context.summary.takeaways.map(takeaway => `- ${takeaway}`),
+        ...context.summary.detailedSummary.split(/\n+/).filter(Boolean)
+      ]
+    })
+  }
+
+  // Add what is on screen around the viewer's playback position
+  if (context?.playhead) {
+    blocks.push({
+      key: 'playhead',
+      title: `VIEWER IS CURRENTLY AT ${formatTime(context.playhead.currentTime)} (questions like "this" or "just now" refer to this moment):`,
+      lines: [
+        ...context.playhead.transcriptChunks.map(chunk => ({
+          time: chunk.startTime,
+          text: `[${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}]: ${chunk.content}`
+        })),
+        ...context.playhead.snapshots.map(snapshot => ({
+          time: snapshot.timestamp,
+          text: `[${formatTime(snapshot.timestamp)}] on screen: ${snapshot.description}`
+        }))
+      ].sort((a, b) => a.time - b.time).map(line => line.text)
+    })
   }
 
-  // Add transcript chunks if available
+  // Add transcript chunks if available, most relevant first
   if (context?.transcriptChunks?.length > 0) {
-    contextMessage += 'Relevant transcript sections:\n'
-    context.transcriptChunks.forEach(chunk => {
-      const startTime = formatTime(chunk.startTime || chunk.start_time)
-      const endTime = formatTime(chunk.endTime || chunk.end_time)
-      contextMessage += `[${startTime} - ${endTime}]: ${chunk.content}\n`
+    blocks.push({
+      key: 'transcript',
+      title: 'Relevant transcript sections:',
+      lines: context.transcriptChunks.map(chunk => {
+        const startTime = formatTime(chunk.startTime || chunk.start_time)
+        const endTime = formatTime(chunk.endTime || chunk.end_time)
+        return `[${startTime} - ${endTime}]: ${chunk.content}`
+      })
+    })
+  }
+
+  // Add visual moments matching the question, ahead of the other visuals for the budget
+  if (context?.matchedSnapshots?.length > 0) {
+    blocks.push({
+      key: 'visuals',
+      title: 'Visual moments matching the question:',
+      lines: context.matchedSnapshots
+        .slice()
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(snapshot => `[${formatTime(snapshot.timestamp)}]: ${snapshot.description}`)
     })
-    contextMessage += '\n'
   }
 
   // Add visual descriptions if available
   if (context?.snapshots?.length > 0) {
-    contextMessage += 'Video visual descriptions:\n'
-    context.snapshots.forEach(snapshot => {
-      const time = formatTime(snapshot.timestamp)
-      contextMessage += `[${time}]: ${snapshot.description || 'Visual at this timestamp'}\n`
+    blocks.push({
+      key: 'visuals',
+      title: 'Video visual descriptions:',
+      lines: context.snapshots.map(snapshot => `[${formatTime(snapshot.timestamp)}]: ${snapshot.description || 'Visual at this timestamp'}`)
     })
-    contextMessage += '\n'
   }
 
   // Add related videos for recommendations (with UUIDs for linking)
   if (context?.relatedVideos?.length > 0) {
-    contextMessage += 'OTHER AVAILABLE VIDEOS (use format [video:UUID] to create links):\n'
-    context.relatedVideos.forEach(video => {
-      contextMessage += `- "${video.name}" [video:${video.uuid}]\n`
+    blocks.push({
+      key: 'recommendations',
+      title: 'OTHER AVAILABLE VIDEOS, most related first (use format [video:UUID] to create links):',
+      lines: context.relatedVideos.map(video => `- "${video.name}" [video:${video.uuid}]`)
     })
-    contextMessage += '\n'
   }
 
+  // Every context line carries uploader-controlled text
+  blocks.forEach(block => {
+    block.lines = block.lines.map(promptGuard.escapeUntrusted)
+  })
+
+  // Fit context and history (last 20 exchanges, in chronological order) into the token budget.
+  // Exchanges covered by the summary kept on the conversation are replaced by that summary.
+  const summarization = await settingsManager.getSetting('history-summarization')
+  const cachedSummary = summarization ? options.conversation?.historySummary || null : null
+  const exchanges = history.slice(0, 20).reverse()
+    .filter(exchange => !cachedSummary || new Date(exchange.created_at || exchange.createdAt) > new Date(cachedSummary.until))
+  const modelParams = openaiService.getModelParams(model, maxTokens)
+  const { contextMessage, history: recentHistory, historySummary, summarizedCount, stats } = await contextBuilder.buildChatContext({
+    model,
+    systemPrompt,
+    question: `User question: ${message}`,
+    maxResponseTokens: modelParams.max_tokens || modelParams.max_completion_tokens || maxTokens,
+    tokenBudget: parseInt(await settingsManager.getSetting('context-token-budget')) || DEFAULT_CONTEXT_TOKEN_BUDGET,
+    contextWindow: openaiService.getContextWindow(model),
+    blocks,
+    history: exchanges,
+    historySummary: cachedSummary?.text || null,
+    summarize: summarization ? (dropped, previousSummary) => summarizeHistory(dropped, previousSummary, model, userId, options.attribution) : null
+  })
+
+  if (summarizedCount > 0 && options.conversation) {
+    const lastSummarized = exchanges[summarizedCount - 1]
+    await databaseService.saveHistorySummary(options.conversation.id, historySummary, lastSummarized.created_at || lastSummarized.createdAt)
+  }
+
+  // The summary is model output about user messages, it goes in its own message rather than
+  // among the untrusted video data
+  const promptHistory = historySummary ? [{ summary: historySummary }, ...recentHistory] : recentHistory
+
   // Build the full user message
   const fullUserMessage = contextMessage
-    ? `Context:\n${contextMessage}\nUser question: ${message}`
+    ? `Context:\n${promptGuard.wrapUntrusted(contextMessage)}\n\nUser question: ${message}`
     : `User question: ${message}`
 
-  // Prepare history (last 20 exchanges, in chronological order)
-  const recentHistory = history.slice(-20).reverse()
-
   // Generate response using OpenAI with conversation history
   logger.info(`Calling OpenAI for chat, model: ${model}, maxTokens: ${maxTokens}`)
-  logger.info(`Context: transcripts=${context?.transcriptChunks?.length || 0}, snapshots=${context?.snapshots?.length || 0}, related=${context?.relatedVideos?.length || 0}`)
+  logger.info(`Context: playhead=${context?.playhead ? formatTime(context.playhead.currentTime) : 'none'}, transcripts=${context?.transcriptChunks?.length || 0}, snapshots=${context?.snapshots?.length || 0}, visualMatches=${context?.matchedSnapshots?.length || 0}, related=${context?.relatedVideos?.length || 0}`)
+  logger.info(`Prompt tokens: ${stats.used}/${stats.budget}, dropped context lines: ${stats.droppedLines}, dropped exchanges: ${stats.droppedExchanges}${stats.summarized ? ' (summarized)' : ''}`)
+
+  let aiResponse
+  if (agentic) {
+    const toolSession = chatTools.createToolSession({
+      videoUuid,
+      attribution: options.attribution,
+      retrievalOptions: { ...await getRetrievalOptions(), language: context?.language ?? null },
+      searchLibrary: (query, attribution) => getLibraryContext(query, attribution, options.userLanguage),
+      model
+    })
 
-  const aiResponse = await openaiService.generateChatResponse(
-    systemPrompt,
-    fullUserMessage,
-    context,
-    model,
-    maxTokens,
-    recentHistory
-  )
+    aiResponse = await openaiService.generateAgentResponse(systemPrompt, fullUserMessage, model, maxTokens, promptHistory, {
+      tools: toolSession.definitions,
+      executeTool: toolSession.execute,
+      maxRounds: parseInt(await settingsManager.getSetting('agentic-max-rounds')) || DEFAULT_AGENT_ROUNDS,
+      promptBudget: stats.budget,
+      onDelta: options.onDelta,
+      signal: options.signal
+    })
+
+    if (context) {
+      mergeToolResults(context, toolSession.collected)
+    }
+  } else {
+    aiResponse = await openaiService.generateChatResponse(
+      systemPrompt,
+      fullUserMessage,
+      context,
+      model,
+      maxTokens,
+      promptHistory,
+      options.onDelta,
+      options.signal
+    )
+  }
 
   logger.info(`AI response received, content length: ${aiResponse?.content?.length || 0}`)
 
@@ -188,38 +724,130 @@ async function generateChatResponse(message, context, videoId, videoUuid, userId
   // Extract video links from response
   const videoLinks = extractVideoLinks(responseContent, context?.relatedVideos || [])
 
-  // Save to chat history
-  await databaseService.saveChatMessage(videoId, videoUuid, userId, message, responseContent)
-
-  // Track API usage
-  if (aiResponse.usage) {
-    await databaseService.trackAPIUsage(userId, 'chat', aiResponse.usage.total_tokens)
-  }
+  // Track API usage and its cost
+  await usageTracker.recordUsage(agentic ? 'chat-agent' : 'chat', aiResponse.model, aiResponse.usage, { userId, ...options.attribution })
 
   return {
     response: responseContent,
     timestamps,
-    videoLinks
+    videoLinks,
+    sources: buildSources(context, videoUuid, timestamps, videoLinks)
   }
 }
 
-async function getChatHistory(videoId, userId) {
-  return await databaseService.getChatHistory(videoId, userId)
+// Add what the tools looked up to the context, so it is listed in the sources and
+// videos found by the tools can be linked
+function mergeToolResults(context, collected) {
+  context.transcriptChunks = [...(context.transcriptChunks || []), ...collected.transcriptChunks]
+  context.matchedSnapshots = [...(context.matchedSnapshots || []), ...collected.snapshots]
+
+  context.relatedVideos = context.relatedVideos || []
+  for (const video of collected.videos) {
+    if (!context.relatedVideos.some(related => related.uuid === video.uuid)) {
+      context.relatedVideos.push(video)
+    }
+  }
 }
 
-function formatTime(seconds) {
-  if (seconds === null || seconds === undefined) {
-    return '0:00'
+// Sources retrieved for an answer, `cited` when the answer refers to them:
+// transcript ranges and snapshots around a cited timestamp, linked related videos.
+// Snapshots only fetched to fill a transcript range are listed when cited.
+// thumbnailPath is relative to the plugin router.
+function buildSources(context, videoUuid, timestamps, videoLinks) {
+  if (!context) return []
+
+  const sources = []
+  const seen = new Set()
+  const add = (key, source) => {
+    if (seen.has(key)) return
+    seen.add(key)
+    sources.push(source)
   }
 
-  const hours = Math.floor(seconds / 3600)
-  const minutes = Math.floor((seconds % 3600) / 60)
-  const secs = Math.floor(seconds % 60)
+  const citesBetween = (start, end) => timestamps.some(ts =>
+    ts.seconds <= end && (ts.isRange ? ts.endSeconds : ts.seconds) >= start
+  )
 
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+  const chunks = [...(context.playhead?.transcriptChunks || []), ...(context.transcriptChunks || [])]
+  for (const chunk of chunks) {
+    const startTime = chunk.startTime ?? chunk.start_time ?? 0
+    const endTime = chunk.endTime ?? chunk.end_time ?? startTime
+
+    add(`transcript:${startTime}`, {
+      type: 'transcript',
+      startTime,
+      endTime,
+      text: chunk.content,
+      cited: citesBetween(startTime, endTime)
+    })
+  }
+
+  const retrievedSnapshots = [...(context.playhead?.snapshots || []), ...(context.matchedSnapshots || [])]
+  const snapshots = [
+    ...retrievedSnapshots.map(snapshot => ({ snapshot, retrieved: true })),
+    ...(context.snapshots || []).map(snapshot => ({ snapshot, retrieved: false }))
+  ]
+  for (const { snapshot, retrieved } of snapshots) {
+    const cited = citesBetween(snapshot.timestamp - SNAPSHOT_CITATION_TOLERANCE, snapshot.timestamp + SNAPSHOT_CITATION_TOLERANCE)
+    if (!snapshot.description || (!retrieved && !cited)) continue
+
+    add(`snapshot:${snapshot.timestamp}`, {
+      type: 'snapshot',
+      timestamp: snapshot.timestamp,
+      description: snapshot.description,
+      thumbnailPath: `/snapshots/${videoUuid}/${Math.floor(snapshot.timestamp)}`,
+      cited
+    })
+  }
+
+  const linkedUuids = new Set(videoLinks.map(link => link.uuid))
+  for (const video of context.relatedVideos || []) {
+    add(`video:${video.uuid}`, {
+      type: 'video',
+      uuid: video.uuid,
+      name: video.name,
+      cited: linkedUuids.has(video.uuid)
+    })
   }
-  return `${minutes}:${secs.toString().padStart(2, '0')}`
+
+  return sources
+}
+
+// Condense exchanges that no longer fit in the prompt, into the summary of the earlier ones if any
+async function summarizeHistory(exchanges, previousSummary, model, userId, attribution) {
+  const transcript = exchanges
+    .map(exchange => `User: ${exchange.message}\nAssistant: ${exchange.response}`)
+    .join('\n\n')
+
+  const result = await openaiService.generateChatResponse(
+    previousSummary ? HISTORY_SUMMARY_EXTEND_PROMPT : HISTORY_SUMMARY_PROMPT,
+    previousSummary ? `Summary so far:\n${previousSummary}\n\n${transcript}` : transcript,
+    null,
+    model,
+    HISTORY_SUMMARY_MAX_TOKENS
+  )
+
+  await usageTracker.recordUsage('chat-summary', result.model, result.usage, { userId, ...attribution })
+
+  return result.content
+}
+
+// Latest exchanges of a conversation, newest first
+async function getChatHistory(conversationId) {
+  return await databaseService.getChatHistory(conversationId)
+}
+
+// Messages of a conversation for display, oldest first, with clickable timestamps
+async function getConversationMessages(conversationId) {
+  const history = await databaseService.getChatHistory(conversationId)
+
+  return history.reverse().map(entry => ({
+    message: entry.message,
+    response: entry.response,
+    timestamps: extractTimestamps(entry.response),
+    sources: entry.sources || [],
+    createdAt: entry.created_at || entry.createdAt
+  }))
 }
 
 function extractTimestamps(text) {
@@ -271,20 +899,24 @@ function parseTimeToSeconds(timeStr) {
 
 function extractVideoLinks(text, relatedVideos) {
   const videoLinks = []
-  // Match [video:UUID] format
-  const regex = /\[video:([a-f0-9-]+)\]/gi
+  // Match [video:UUID] and [video:UUID@MM:SS] (deep link to a moment) formats
+  const regex = /\[video:([a-f0-9-]+)(?:@(\d{1,2}:\d{2}(?::\d{2})?))?\]/gi
   let match
 
   while ((match = regex.exec(text)) !== null) {
     const uuid = match[1]
+    const startTime = match[2] || null
     // Find video name from related videos
     const video = relatedVideos.find(v => v.uuid === uuid)
+    const startSeconds = startTime ? parseTimeToSeconds(startTime) : null
 
     videoLinks.push({
       display: match[0],
       uuid: uuid,
       name: video?.name || 'Video',
-      url: `/w/${uuid}`
+      startTime: startTime,
+      startSeconds: startSeconds,
+      url: startSeconds !== null ? `/w/${uuid}?start=${startSeconds}` : `/w/${uuid}`
     })
   }
 
@@ -294,5 +926,12 @@ function extractVideoLinks(text, relatedVideos) {
 module.exports = {
   initialize,
   handleChatMessage,
-  getChatHistory
+  handleLibraryChatMessage,
+  getChatHistory,
+  getConversationMessages,
+  getConversation,
+  listConversations,
+  createConversation,
+  renameConversation,
+  deleteConversation
 }
\ No newline at end of file
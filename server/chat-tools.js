@@ -0,0 +1,236 @@
+const openaiService = require('./openai-service')
+const databaseService = require('./database-service')
+const promptGuard = require('./prompt-guard')
+const contextBuilder = require('./context-builder')
+const { PUBLIC_PRIVACY } = require('./video-access')
+const { formatTime } = require('./formats')
+
+let rawLogger = null
+let peertubeHelpers = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+const SEARCH_TRANSCRIPT_LIMIT = 8
+const SNAPSHOT_LIMIT = 20
+const DESCRIPTION_LENGTH = 1000
+
+// Appended to the system prompt when the model may call tools
+const AGENT_INSTRUCTIONS = `Tools:
+You can call tools to look up more of the video before answering: search_transcript for what is said, get_snapshots for what is shown in a time range, get_video_metadata for details about a video, and search_library for other videos of this platform. The context you are given only holds the excerpts closest to the question, so use the tools when it does not cover every part of the question or the moments you need. Tool results are video data blocks and follow the same rules. Cite timestamps as usual, they appear in the tool results.`
+
+// Function definitions in the chat completions `tools` format
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_transcript',
+      description: 'Search the transcript of the current video. Returns the most relevant sections with their time range.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to look for, in words likely to be spoken in the video' }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_snapshots',
+      description: 'Describe what is shown on screen in the current video between two moments, from automatic descriptions of frames.',
+      parameters: {
+        type: 'object',
+        properties: {
+          start: { type: 'number', description: 'Start of the range, in seconds' },
+          end: { type: 'number', description: 'End of the range, in seconds' }
+        },
+        required: ['start', 'end']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_video_metadata',
+      description: 'Get the title, channel, duration, description and tags of a video. Defaults to the current video.',
+      parameters: {
+        type: 'object',
+        properties: {
+          uuid: { type: 'string', description: 'UUID of the video, as given in [video:UUID] references' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_library',
+      description: 'Search the transcripts of every public video of this platform. Returns matching videos with excerpts, to recommend or compare with.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Topic or question to look for' }
+        },
+        required: ['query']
+      }
+    }
+  }
+]
+
+function initialize(services) {
+  rawLogger = services.logger
+  peertubeHelpers = services.peertubeHelpers
+}
+
+// Tools bound to one chat request.
+// options.videoUuid: video being watched, searched by the video tools
+// options.attribution: { userId, videoUuid, ipAddress } query embeddings are recorded against
+// options.retrievalOptions: hybrid search settings passed to findSimilarChunks
+// options.searchLibrary: (query, attribution) => { videos, transcriptChunks }
+// options.model: chat model, tool results are cut to its tokens
+// Everything the tools return is kept in `collected`, to be listed as sources of the answer.
+function createToolSession(options) {
+  const collected = {
+    transcriptChunks: [],
+    snapshots: [],
+    videos: []
+  }
+
+  const executors = {
+    search_transcript: async ({ query }) => {
+      if (!query || typeof query !== 'string') {
+        return { error: 'query is required' }
+      }
+
+      const queryEmbedding = await openaiService.generateEmbedding(query, { ...options.attribution, endpoint: 'query-embedding' })
+      const chunks = await databaseService.findSimilarChunks(options.videoUuid, queryEmbedding, SEARCH_TRANSCRIPT_LIMIT, {
+        embeddingModel: await openaiService.getEmbeddingModel(),
+        queryText: query,
+        ...options.retrievalOptions
+      })
+
+      collected.transcriptChunks.push(...chunks)
+
+      return {
+        sections: chunks
+          .map(chunk => ({ startTime: chunk.startTime ?? chunk.start_time, endTime: chunk.endTime ?? chunk.end_time, content: chunk.content }))
+          .sort((a, b) => a.startTime - b.startTime)
+          .map(chunk => ({
+            time: `${formatTime(chunk.startTime)} - ${formatTime(chunk.endTime)}`,
+            text: chunk.content
+          }))
+      }
+    },
+
+    get_snapshots: async ({ start, end }) => {
+      const startTime = Math.max(0, Number(start) || 0)
+      const endTime = Number(end)
+      if (!isFinite(endTime) || endTime < startTime) {
+        return { error: 'end must be a number of seconds after start' }
+      }
+
+      const snapshots = (await databaseService.getVideoSnapshots(options.videoUuid, startTime, endTime))
+        .filter(snapshot => snapshot.description)
+
+      // Spread the returned frames over the whole range when there are too many
+      const step = Math.max(1, Math.ceil(snapshots.length / SNAPSHOT_LIMIT))
+      const selected = snapshots.filter((snapshot, index) => index % step === 0)
+
+      collected.snapshots.push(...selected)
+
+      return {
+        snapshots: selected.map(snapshot => ({
+          time: formatTime(snapshot.timestamp),
+          description: snapshot.description
+        }))
+      }
+    },
+
+    get_video_metadata: async ({ uuid } = {}) => {
+      const videoUuid = uuid || options.videoUuid
+      const video = await peertubeHelpers.videos.loadByIdOrUUID(videoUuid)
+
+      // Only public videos are described to the model, besides the one being watched
+      if (!video || (videoUuid !== options.videoUuid && video.privacy !== PUBLIC_PRIVACY)) {
+        return { error: 'Video not found' }
+      }
+
+      if (videoUuid !== options.videoUuid) {
+        collected.videos.push({ uuid: videoUuid, name: video.name || 'Unknown' })
+      }
+
+      return {
+        uuid: videoUuid,
+        title: video.name || 'Unknown',
+        channel: video.VideoChannel?.name || '',
+        duration: formatTime(video.duration || 0),
+        publishedAt: video.publishedAt || null,
+        tags: (video.Tags || []).map(tag => tag.name),
+        description: (video.description || '').slice(0, DESCRIPTION_LENGTH)
+      }
+    },
+
+    search_library: async ({ query }) => {
+      if (!query || typeof query !== 'string') {
+        return { error: 'query is required' }
+      }
+
+      const { videos, transcriptChunks } = await options.searchLibrary(query, options.attribution)
+
+      collected.videos.push(...videos.map(video => ({ uuid: video.uuid, name: video.name })))
+
+      return {
+        videos: videos.map(video => ({
+          reference: `[video:${video.uuid}]`,
+          title: video.name,
+          channel: video.channel,
+          excerpts: transcriptChunks
+            .filter(chunk => chunk.videoUuid === video.uuid)
+            .map(chunk => ({ time: formatTime(chunk.startTime), text: chunk.content }))
+        }))
+      }
+    }
+  }
+
+  // Run a tool call from the model, returns the message content of the result, its data cut
+  // to maxTokens when given. Failures are reported to the model so it can answer with what it has.
+  const execute = async (name, rawArguments, maxTokens = null) => {
+    const executor = executors[name]
+    let result
+
+    if (!executor) {
+      result = { error: `Unknown tool ${name}` }
+    } else {
+      try {
+        const args = rawArguments ? JSON.parse(rawArguments) : {}
+        logger.info(`Running chat tool ${name} ${JSON.stringify(args)}`)
+        result = await executor(args)
+      } catch (error) {
+        logger.warn(`Chat tool ${name} failed: ${error.message}`)
+        result = { error: 'The tool failed, answer with the information you already have' }
+      }
+    }
+
+    const data = promptGuard.escapeUntrusted(JSON.stringify(result))
+    return promptGuard.wrapUntrusted(maxTokens === null ? data : contextBuilder.truncateToTokens(data, maxTokens, options.model))
+  }
+
+  return {
+    definitions: TOOL_DEFINITIONS,
+    execute,
+    collected
+  }
+}
+
+module.exports = {
+  AGENT_INSTRUCTIONS,
+  initialize,
+  createToolSession
+}
@@ -0,0 +1,203 @@
+const { getEncoding, getEncodingNameForModel } = require('js-tiktoken')
+
+// Tokenizer used for models tiktoken does not know (self-hosted models), close enough for budgeting
+const FALLBACK_ENCODING = 'cl100k_base'
+
+// Tokens added by the chat format around each message
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+// Room kept for the summary of dropped history exchanges
+const HISTORY_SUMMARY_TOKENS = 200
+
+// Share of the history budget left to recent exchanges when older ones get summarized,
+// the rest leaves room for the next turns before the summary has to be redone
+const HISTORY_KEPT_SHARE = 0.5
+
+// Share of the prompt budget given to each part of the context, in priority order.
+// Budget a part leaves unused is passed on to the following ones.
+const BUDGET_SHARES = [
+  { key: 'metadata', share: 0.05 },
+  { key: 'summary', share: 0.1 },
+  { key: 'playhead', share: 0.15 },
+  { key: 'transcript', share: 0.25 },
+  { key: 'visuals', share: 0.15 },
+  { key: 'history', share: 0.2 },
+  { key: 'recommendations', share: 0.1 }
+]
+
+const encoders = new Map()
+
+function getEncoder(model) {
+  let encodingName = FALLBACK_ENCODING
+  try {
+    encodingName = getEncodingNameForModel(model)
+  } catch (error) {
+    // Unknown model, keep the fallback encoding
+  }
+
+  if (!encoders.has(encodingName)) {
+    encoders.set(encodingName, getEncoding(encodingName))
+  }
+
+  return encoders.get(encodingName)
+}
+
+function countTokens(text, model) {
+  if (!text) return 0
+
+  // Special tokens such as <|endoftext|> in user content are counted as plain text
+  return getEncoder(model).encode(text, [], []).length
+}
+
+// Cut text to at most maxTokens tokens, the cut is marked with an ellipsis. Tokens can merge
+// differently once cut, the cut text is counted again.
+function truncateToTokens(text, maxTokens, model) {
+  const encoder = getEncoder(model)
+  const tokens = encoder.encode(text || '', [], [])
+  if (tokens.length <= maxTokens) return text
+
+  let kept = maxTokens - countTokens('…', model)
+  let truncated = ''
+  while (kept > 0) {
+    truncated = `${encoder.decode(tokens.slice(0, kept))}…`
+    if (countTokens(truncated, model) <= maxTokens) return truncated
+    kept--
+  }
+
+  return ''
+}
+
+// Prompt tokens of chat messages { role, content }, with text content
+function countMessageTokens(messages, model) {
+  return messages.reduce((sum, message) => sum + countTokens(message.content, model) + MESSAGE_OVERHEAD_TOKENS, 0)
+}
+
+function countExchangeTokens(exchange, model) {
+  return countTokens(exchange.message, model) + countTokens(exchange.response, model) + 2 * MESSAGE_OVERHEAD_TOKENS
+}
+
+// Fit the chat prompt into the prompt budget of the model.
+//
+// blocks: context sections in display order, { key, title, lines }, key being one of BUDGET_SHARES.
+//   Lines of a key are kept in the given order until its budget is spent, so give them most important first.
+// history: previous exchanges { message, response } in chronological order, oldest are dropped first
+// historySummary: optional summary of the exchanges before history, from an earlier turn
+// summarize(exchanges, previousSummary): optional, resolves to a short summary of the dropped
+//   exchanges, extending previousSummary when there is one
+//
+// Resolves to { contextMessage, history, historySummary, summarizedCount, stats }. The summary is
+// not part of contextMessage, it is sent as its own message. summarizedCount is the number of
+// leading history exchanges it newly covers, 0 when the given historySummary was kept as is.
+async function buildChatContext({ model, systemPrompt, question, maxResponseTokens, tokenBudget, contextWindow, blocks = [], history = [], historySummary = null, summarize = null }) {
+  const promptLimit = Math.min(tokenBudget, contextWindow - maxResponseTokens)
+  const fixedTokens = countTokens(systemPrompt, model) + countTokens(question, model) + 2 * MESSAGE_OVERHEAD_TOKENS
+  const available = Math.max(promptLimit - fixedTokens, 0)
+
+  const included = new Map(blocks.map(block => [block, []]))
+  const stats = { budget: promptLimit, used: fixedTokens, droppedLines: 0, droppedExchanges: 0, summarized: false }
+
+  let keptHistory = history
+  let summarizedCount = 0
+  let carry = 0
+
+  for (const { key, share } of BUDGET_SHARES) {
+    let budget = Math.floor(available * share) + carry
+    let used = 0
+
+    if (key === 'history') {
+      ({ keptHistory, historySummary, summarizedCount, used } = await fitHistory(history, budget, available, model, summarize, historySummary))
+      stats.droppedExchanges = history.length - keptHistory.length
+      stats.summarized = Boolean(historySummary)
+    } else {
+      for (const block of blocks.filter(b => b.key === key)) {
+        const titleTokens = countTokens(block.title, model) + 1
+
+        for (const line of block.lines) {
+          const lineTokens = countTokens(line, model) + 1
+          const blockTokens = included.get(block).length === 0 ? titleTokens : 0
+
+          if (used + blockTokens + lineTokens > budget) {
+            stats.droppedLines++
+            continue
+          }
+
+          used += blockTokens + lineTokens
+          included.get(block).push(line)
+        }
+      }
+    }
+
+    carry = Math.max(budget - used, 0)
+    stats.used += used
+  }
+
+  let contextMessage = ''
+
+  for (const block of blocks) {
+    const lines = included.get(block)
+    if (lines.length === 0) continue
+
+    contextMessage += `${block.title}\n`
+    lines.forEach(line => {
+      contextMessage += `${line}\n`
+    })
+    contextMessage += '\n'
+  }
+
+  return { contextMessage, history: keptHistory, historySummary, summarizedCount, stats }
+}
+
+// Keep the most recent exchanges that fit, summarizing the older ones when possible.
+// A previous summary is reused as long as the exchanges after it fit beside it.
+async function fitHistory(history, budget, available, model, summarize, previousSummary) {
+  const costs = history.map(exchange => countExchangeTokens(exchange, model))
+  const total = costs.reduce((sum, cost) => sum + cost, 0)
+  const previousSummaryTokens = countTokens(previousSummary, model)
+
+  if (total + previousSummaryTokens <= budget) {
+    return { keptHistory: history, historySummary: previousSummary, summarizedCount: 0, used: total + previousSummaryTokens }
+  }
+
+  const keptBudget = summarize ? Math.floor(Math.max(budget - HISTORY_SUMMARY_TOKENS, 0) * HISTORY_KEPT_SHARE) : budget
+  let used = 0
+  let firstKept = history.length
+
+  while (firstKept > 0 && used + costs[firstKept - 1] <= keptBudget) {
+    firstKept--
+    used += costs[firstKept]
+  }
+
+  const keptHistory = history.slice(firstKept)
+
+  if (!summarize || firstKept === 0) {
+    return { keptHistory, historySummary: null, summarizedCount: 0, used }
+  }
+
+  // The summarization request itself must fit, only the most recent dropped exchanges are sent
+  let summaryInputTokens = previousSummaryTokens
+  let firstSummarized = firstKept
+  while (firstSummarized > 0 && summaryInputTokens + costs[firstSummarized - 1] <= available) {
+    firstSummarized--
+    summaryInputTokens += costs[firstSummarized]
+  }
+
+  let historySummary = null
+  try {
+    historySummary = await summarize(history.slice(firstSummarized, firstKept), previousSummary) || null
+  } catch (error) {
+    historySummary = null
+  }
+
+  if (!historySummary) {
+    return { keptHistory, historySummary: null, summarizedCount: 0, used }
+  }
+
+  return { keptHistory, historySummary, summarizedCount: firstKept, used: used + countTokens(historySummary, model) }
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  buildChatContext
+}
@@ -7,6 +7,28 @@ let storageManager = null
 let dbClient = null
 let isConnected = false
 
+// Vectors stored before models were tracked all came from this model
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-3-small'
+
+// Tables holding a vector column that must follow the embedding model dimension
+const VECTOR_COLUMNS = [
+  { table: 'plugin_ai_video_embeddings', index: 'idx_embeddings_vector' },
+  { table: 'plugin_ai_video_snapshots', index: 'idx_snapshots_vector' },
+  { table: 'plugin_ai_chunk_translations', index: 'idx_translations_vector' },
+  { table: 'plugin_ai_video_centroids', index: 'idx_centroids_vector' },
+  // Few rows per video and always filtered by video, an approximate index would only lose matches
+  { table: 'plugin_ai_answer_cache', index: null }
+]
+
+// ivfflat lists searched per query, see configureVectorSearch()
+const IVFFLAT_PROBES = 10
+
+// Tables searched by full-text, each gets a generated `search_vector` column of its content
+const TEXT_SEARCH_COLUMNS = [
+  { table: 'plugin_ai_video_embeddings', index: 'idx_embeddings_search' },
+  { table: 'plugin_ai_chunk_translations', index: 'idx_translations_search' }
+]
+
 // Wrapper logger that adds 'aichat' tag to all messages
 const logger = {
   info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
@@ -48,6 +70,8 @@ async function initialize(services) {
 
     // Create tables with pgvector support
     await createTables()
+    await ensureTextSearchSchema(await settingsManager.getSetting('text-search-config') || 'simple')
+    await configureVectorSearch()
 
     logger.info('Database tables initialized successfully')
   } catch (error) {
@@ -60,6 +84,20 @@ async function initialize(services) {
   }
 }
 
+// An ivfflat index only reads the rows of the lists nearest to the query and filters them
+// afterwards, so a filtered search can return fewer rows than asked, or none. Settings are
+// per session, the plugin uses a single connection.
+async function configureVectorSearch() {
+  await dbClient.query(`SET ivfflat.probes = ${IVFFLAT_PROBES}`)
+
+  // From pgvector 0.8 the index is read further until enough rows pass the filters
+  try {
+    await dbClient.query(`SET ivfflat.iterative_scan = relaxed_order`)
+  } catch (error) {
+    logger.warn(`pgvector does not support iterative index scans, filtered library searches may return fewer chunks: ${error.message}`)
+  }
+}
+
 async function createTables() {
   try {
     // Create pgvector extension
@@ -82,6 +120,53 @@ async function createTables() {
       )
     `)
 
+    // Track which model produced each vector (for existing installations)
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_video_embeddings
+      ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER
+    `)
+
+    await dbClient.query(`
+      UPDATE plugin_ai_video_embeddings
+      SET embedding_model = $1, embedding_dimensions = 1536
+      WHERE embedding IS NOT NULL AND embedding_model IS NULL
+    `, [LEGACY_EMBEDDING_MODEL])
+
+    // Caption language of each chunk, so every caption track of a video is kept.
+    // Chunks stored before languages were recorded have an empty language.
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_video_embeddings
+      ADD COLUMN IF NOT EXISTS language VARCHAR(20) NOT NULL DEFAULT ''
+    `)
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_video_embeddings
+      DROP CONSTRAINT IF EXISTS plugin_ai_video_embeddings_video_uuid_chunk_index_key
+    `)
+    await dbClient.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_embeddings_video_language_chunk
+      ON plugin_ai_video_embeddings(video_uuid, language, chunk_index)
+    `)
+
+    // Transcript chunks translated to the pivot language, embedded for cross-lingual search.
+    // language and chunk_index identify the original chunk, which answers quote.
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_chunk_translations (
+        id SERIAL PRIMARY KEY,
+        video_id INTEGER NOT NULL,
+        video_uuid VARCHAR(255) NOT NULL,
+        language VARCHAR(20) NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        target_language VARCHAR(20) NOT NULL,
+        content TEXT NOT NULL,
+        embedding vector(1536),
+        embedding_model VARCHAR(255),
+        embedding_dimensions INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(video_uuid, language, chunk_index, target_language)
+      )
+    `)
+
     // Video snapshots table
     await dbClient.query(`
       CREATE TABLE IF NOT EXISTS plugin_ai_video_snapshots (
@@ -96,6 +181,64 @@ async function createTables() {
       )
     `)
 
+    // Embeddings of snapshot descriptions, for searching visual moments directly
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_video_snapshots
+      ADD COLUMN IF NOT EXISTS embedding vector(1536),
+      ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER
+    `)
+
+    // Per-video centroid of all embeddings, used for related-video recommendations
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_video_centroids (
+        video_uuid VARCHAR(255) PRIMARY KEY,
+        video_id INTEGER NOT NULL,
+        video_name VARCHAR(500),
+        channel_id INTEGER,
+        tags TEXT[] DEFAULT '{}',
+        embedding vector(1536),
+        embedding_model VARCHAR(255),
+        embedding_dimensions INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Answers to first-turn questions, reused for near-duplicate questions on the same video
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_answer_cache (
+        id SERIAL PRIMARY KEY,
+        video_uuid VARCHAR(255) NOT NULL,
+        question TEXT NOT NULL,
+        playhead_time FLOAT,
+        answer JSONB NOT NULL,
+        embedding vector(1536),
+        embedding_model VARCHAR(255),
+        embedding_dimensions INTEGER,
+        hit_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Interface language of the user the answer was given to, '' when unknown
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_answer_cache
+      ADD COLUMN IF NOT EXISTS language VARCHAR(20) NOT NULL DEFAULT ''
+    `)
+
+    // Conversations table, a user can keep several named conversations per video
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_conversations (
+        id SERIAL PRIMARY KEY,
+        video_id INTEGER NOT NULL,
+        video_uuid VARCHAR(255),
+        user_id INTEGER,
+        title VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Chat sessions table
     await dbClient.query(`
       CREATE TABLE IF NOT EXISTS plugin_ai_chat_sessions (
@@ -108,6 +251,28 @@ async function createTables() {
       )
     `)
 
+    // Add conversation_id column if it doesn't exist (for existing installations)
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_chat_sessions
+      ADD COLUMN IF NOT EXISTS conversation_id INTEGER REFERENCES plugin_ai_conversations(id) ON DELETE CASCADE
+    `)
+
+    // Sources an answer was given with, shown again when the conversation is reopened
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_chat_sessions
+      ADD COLUMN IF NOT EXISTS sources JSONB
+    `)
+
+    // Summary of the older exchanges of a conversation, reused while the newer ones fit
+    // the history budget. history_summary_until is the created_at of the last exchange it covers
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_conversations
+      ADD COLUMN IF NOT EXISTS history_summary TEXT,
+      ADD COLUMN IF NOT EXISTS history_summary_until TIMESTAMP
+    `)
+
+    await migrateLegacyChatSessions()
+
     // Processing queue table
     await dbClient.query(`
       CREATE TABLE IF NOT EXISTS plugin_ai_processing_queue (
@@ -141,15 +306,137 @@ async function createTables() {
       )
     `)
 
+    // Add attribution columns if they don't exist (for existing installations)
+    await dbClient.query(`
+      ALTER TABLE plugin_ai_api_usage
+      ADD COLUMN IF NOT EXISTS video_uuid VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS model VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+      ADD COLUMN IF NOT EXISTS completion_tokens INTEGER
+    `)
+
+    // Chat messages and answers flagged by moderation, kept for admin review
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_flagged_messages (
+        id SERIAL PRIMARY KEY,
+        video_uuid VARCHAR(255),
+        user_id INTEGER,
+        ip_address VARCHAR(64),
+        direction VARCHAR(10) NOT NULL,
+        message TEXT NOT NULL,
+        response TEXT,
+        source VARCHAR(50) NOT NULL,
+        reasons JSONB,
+        action VARCHAR(20) NOT NULL,
+        reviewed BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Processed content containing instruction-like text (possible prompt injection)
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_injection_flags (
+        id SERIAL PRIMARY KEY,
+        video_uuid VARCHAR(255) NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        start_time FLOAT,
+        content TEXT NOT NULL,
+        patterns JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Generated chapters, reviewed by the video owner before being published to PeerTube.
+    // status: 'generated', 'edited' (saved by the owner) or 'published'
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_video_chapters (
+        video_uuid VARCHAR(255) PRIMARY KEY,
+        chapters JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'generated',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        published_at TIMESTAMP
+      )
+    `)
+
+    // Whole-video summaries generated during processing
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_video_summaries (
+        video_uuid VARCHAR(255) PRIMARY KEY,
+        short_summary TEXT NOT NULL,
+        detailed_summary TEXT NOT NULL,
+        takeaways JSONB NOT NULL,
+        model VARCHAR(100),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Suggested starter questions shown in the chat welcome area.
+    // status: 'generated' or 'edited' (saved by the owner, kept when reprocessing)
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_suggested_questions (
+        video_uuid VARCHAR(255) PRIMARY KEY,
+        questions JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'generated',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Quiz and flashcards of a video, a regenerated quiz gets a new id
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_quizzes (
+        id SERIAL PRIMARY KEY,
+        video_uuid VARCHAR(255) NOT NULL UNIQUE,
+        questions JSONB NOT NULL,
+        flashcards JSONB NOT NULL,
+        model VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Scored quiz attempts of signed-in users
+    await dbClient.query(`
+      CREATE TABLE IF NOT EXISTS plugin_ai_quiz_attempts (
+        id SERIAL PRIMARY KEY,
+        quiz_id INTEGER NOT NULL,
+        video_uuid VARCHAR(255) NOT NULL,
+        user_id INTEGER NOT NULL,
+        answers JSONB NOT NULL,
+        score INTEGER NOT NULL,
+        total INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
     // Create indexes for better performance
     await dbClient.query(`
       CREATE INDEX IF NOT EXISTS idx_embeddings_video ON plugin_ai_video_embeddings(video_uuid);
-      CREATE INDEX IF NOT EXISTS idx_embeddings_vector ON plugin_ai_video_embeddings USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
       CREATE INDEX IF NOT EXISTS idx_snapshots_video ON plugin_ai_video_snapshots(video_uuid);
       CREATE INDEX IF NOT EXISTS idx_sessions_video ON plugin_ai_chat_sessions(video_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_conversation ON plugin_ai_chat_sessions(conversation_id);
+      CREATE INDEX IF NOT EXISTS idx_conversations_video_user ON plugin_ai_conversations(video_id, user_id);
       CREATE INDEX IF NOT EXISTS idx_queue_status ON plugin_ai_processing_queue(status);
+      CREATE INDEX IF NOT EXISTS idx_answer_cache_video ON plugin_ai_answer_cache(video_uuid);
+      CREATE INDEX IF NOT EXISTS idx_api_usage_created ON plugin_ai_api_usage(created_at);
+      CREATE INDEX IF NOT EXISTS idx_api_usage_video ON plugin_ai_api_usage(video_uuid);
+      CREATE INDEX IF NOT EXISTS idx_flagged_reviewed ON plugin_ai_flagged_messages(reviewed, created_at);
+      CREATE INDEX IF NOT EXISTS idx_injection_flags_video ON plugin_ai_injection_flags(video_uuid);
+      CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz ON plugin_ai_quiz_attempts(quiz_id, user_id);
     `)
 
+    // ivfflat indexes are limited to 2000 dimensions, larger embedding models search without one
+    for (const { table, index } of VECTOR_COLUMNS) {
+      if (!index) continue
+
+      try {
+        await dbClient.query(`
+          CREATE INDEX IF NOT EXISTS ${index} ON ${table} USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100)
+        `)
+      } catch (error) {
+        logger.warn(`Could not create vector index ${index}: ${error.message}`)
+      }
+    }
+
     logger.info('All database tables and indexes created successfully')
   } catch (error) {
     logger.error('Error creating tables:', error)
@@ -157,14 +444,46 @@ async function createTables() {
   }
 }
 
+// Messages saved before conversations existed become one "Previous chat" per video and user.
+// Anonymous messages are left out, they were never tied to a single viewer.
+async function migrateLegacyChatSessions() {
+  const legacy = await dbClient.query(`
+    SELECT video_id, user_id, MIN(created_at) AS created_at, MAX(created_at) AS updated_at
+    FROM plugin_ai_chat_sessions
+    WHERE conversation_id IS NULL AND user_id IS NOT NULL
+    GROUP BY video_id, user_id
+  `)
+
+  for (const row of legacy.rows) {
+    const conversation = await dbClient.query(`
+      INSERT INTO plugin_ai_conversations (video_id, user_id, title, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [row.video_id, row.user_id, LEGACY_CONVERSATION_TITLE, row.created_at, row.updated_at])
+
+    await dbClient.query(`
+      UPDATE plugin_ai_chat_sessions
+      SET conversation_id = $1
+      WHERE conversation_id IS NULL AND video_id = $2 AND user_id = $3
+    `, [conversation.rows[0].id, row.video_id, row.user_id])
+  }
+
+  if (legacy.rows.length > 0) {
+    logger.info(`Migrated legacy chat history into ${legacy.rows.length} conversations`)
+  }
+}
+
 async function initializeFallbackStorage() {
   // Initialize storage keys for fallback mode
   const storageKeys = [
     'video_embeddings',
     'video_snapshots',
     'chat_sessions',
+    'chat_conversations',
     'processing_queue',
-    'api_usage'
+    'api_usage',
+    'video_centroids',
+    'answer_cache'
   ]
 
   for (const key of storageKeys) {
@@ -179,51 +498,62 @@ async function initializeFallbackStorage() {
 // Video embeddings functions
 async function saveVideoEmbedding(videoUuid, videoId, chunkIndex, data) {
   if (!isConnected) {
-    return await saveVideoEmbeddingFallback(videoUuid, chunkIndex, data)
+    return await saveVideoEmbeddingFallback(videoUuid, videoId, chunkIndex, data)
   }
 
   try {
-    const { startTime, endTime, content, embedding } = data
+    const { startTime, endTime, content, embedding, embeddingModel, language = '' } = data
 
     // Handle null embeddings - pgvector.toSql expects an array
     const embeddingValue = embedding ? pgvector.toSql(embedding) : null
 
     await dbClient.query(`
       INSERT INTO plugin_ai_video_embeddings
-        (video_id, video_uuid, chunk_index, start_time, end_time, content, embedding)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (video_uuid, chunk_index)
+        (video_id, video_uuid, chunk_index, start_time, end_time, content, embedding, embedding_model, embedding_dimensions, language)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (video_uuid, language, chunk_index)
       DO UPDATE SET
         start_time = EXCLUDED.start_time,
         end_time = EXCLUDED.end_time,
         content = EXCLUDED.content,
-        embedding = EXCLUDED.embedding
-    `, [videoId, videoUuid, chunkIndex, startTime, endTime, content, embeddingValue])
+        embedding = EXCLUDED.embedding,
+        embedding_model = EXCLUDED.embedding_model,
+        embedding_dimensions = EXCLUDED.embedding_dimensions
+    `, [
+      videoId, videoUuid, chunkIndex, startTime, endTime, content, embeddingValue,
+      embedding ? embeddingModel || null : null,
+      embedding ? embedding.length : null,
+      language
+    ])
   } catch (error) {
     logger.error('Error saving embedding:', error)
     throw error
   }
 }
 
-async function getVideoEmbeddings(videoUuid) {
+// Transcript chunks of a video, of every caption language unless `language` is given
+async function getVideoEmbeddings(videoUuid, language = null) {
   if (!isConnected) {
-    return await getVideoEmbeddingsFallback(videoUuid)
+    return (await getVideoEmbeddingsFallback(videoUuid))
+      .filter(chunk => language === null || chunk.language === language)
   }
 
   try {
     const result = await dbClient.query(`
-      SELECT chunk_index, start_time, end_time, content, embedding
+      SELECT chunk_index, start_time, end_time, content, embedding, embedding_model, language
       FROM plugin_ai_video_embeddings
-      WHERE video_uuid = $1
-      ORDER BY chunk_index
-    `, [videoUuid])
+      WHERE video_uuid = $1 AND ($2::varchar IS NULL OR language = $2::varchar)
+      ORDER BY language, chunk_index
+    `, [videoUuid, language])
 
     return result.rows.map(row => ({
       chunkIndex: row.chunk_index,
       startTime: row.start_time,
       endTime: row.end_time,
       content: row.content,
-      embedding: row.embedding  // pgvector type is automatically parsed after registerType()
+      embedding: row.embedding,  // pgvector type is automatically parsed after registerType()
+      embeddingModel: row.embedding_model,
+      language: row.language
     }))
   } catch (error) {
     logger.error('Error getting embeddings:', error)
@@ -231,209 +561,1507 @@ async function getVideoEmbeddings(videoUuid) {
   }
 }
 
-// Find similar chunks using pgvector
-async function findSimilarChunks(videoUuid, queryEmbedding, limit = 5) {
+// Transcript chunks overlapping a time window, in playback order.
+// language: caption language to read, null for every language
+async function getTranscriptWindow(videoUuid, startTime, endTime, language = null) {
   if (!isConnected) {
-    return await findSimilarChunksFallback(videoUuid, queryEmbedding, limit)
+    const chunks = await getVideoEmbeddingsFallback(videoUuid)
+    return chunks
+      .filter(chunk => chunk.endTime >= startTime && chunk.startTime <= endTime)
+      .filter(chunk => language === null || chunk.language === language)
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(({ chunkIndex, startTime, endTime, content, language }) => ({ chunkIndex, startTime, endTime, content, language }))
   }
 
   try {
     const result = await dbClient.query(`
-      SELECT content, start_time, end_time,
-             embedding <-> $2::vector as distance
+      SELECT chunk_index, start_time, end_time, content, language
       FROM plugin_ai_video_embeddings
-      WHERE video_uuid = $1 AND embedding IS NOT NULL
-      ORDER BY distance
-      LIMIT $3
-    `, [videoUuid, pgvector.toSql(queryEmbedding), limit])
+      WHERE video_uuid = $1 AND end_time >= $2 AND start_time <= $3
+        AND ($4::varchar IS NULL OR language = $4::varchar)
+      ORDER BY start_time
+    `, [videoUuid, startTime, endTime, language])
 
     return result.rows.map(row => ({
-      content: row.content,
+      chunkIndex: row.chunk_index,
       startTime: row.start_time,
       endTime: row.end_time,
-      distance: row.distance
+      content: row.content,
+      language: row.language
     }))
   } catch (error) {
-    logger.error('Error finding similar chunks:', error)
+    logger.error('Error getting transcript window:', error)
     return []
   }
 }
 
-// Video snapshots functions
-async function saveVideoSnapshot(videoUuid, videoId, timestamp, filePath, description) {
+// Remove the transcript chunks of one caption language of a video, with their translations
+async function deleteTranscriptLanguage(videoUuid, language) {
   if (!isConnected) {
-    return await saveVideoSnapshotFallback(videoUuid, timestamp, filePath, description)
+    const embeddings = await storageManager.getData('video_embeddings') || {}
+    if (embeddings[videoUuid]) {
+      embeddings[videoUuid].chunks = embeddings[videoUuid].chunks.filter(chunk => (chunk.language || '') !== language)
+      await storageManager.storeData('video_embeddings', embeddings)
+    }
+    await deleteChunkTranslationsFallback(videoUuid, language)
+    return
   }
 
   try {
-    await dbClient.query(`
-      INSERT INTO plugin_ai_video_snapshots
-        (video_id, video_uuid, timestamp, file_path, description)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (video_uuid, timestamp)
-      DO UPDATE SET
-        file_path = EXCLUDED.file_path,
-        description = EXCLUDED.description
-    `, [videoId, videoUuid, timestamp, filePath, description])
+    await dbClient.query('DELETE FROM plugin_ai_video_embeddings WHERE video_uuid = $1 AND language = $2', [videoUuid, language])
+    await dbClient.query('DELETE FROM plugin_ai_chunk_translations WHERE video_uuid = $1 AND language = $2', [videoUuid, language])
   } catch (error) {
-    logger.error('Error saving snapshot:', error)
+    logger.error('Error deleting transcript language:', error)
   }
 }
 
-async function getVideoSnapshots(videoUuid, minTime = null, maxTime = null) {
+// Caption languages with transcript chunks for a video, most complete first
+async function getTranscriptLanguages(videoUuid) {
   if (!isConnected) {
-    return await getVideoSnapshotsFallback(videoUuid)
+    const counts = new Map()
+    for (const chunk of await getVideoEmbeddingsFallback(videoUuid)) {
+      counts.set(chunk.language, (counts.get(chunk.language) || 0) + 1)
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([language]) => language)
   }
 
   try {
-    let query = `
-      SELECT timestamp, file_path, description
-      FROM plugin_ai_video_snapshots
+    const result = await dbClient.query(`
+      SELECT language
+      FROM plugin_ai_video_embeddings
       WHERE video_uuid = $1
-    `
-    const params = [videoUuid]
-
-    if (minTime !== null && maxTime !== null) {
-      query += ` AND timestamp >= $2 AND timestamp <= $3`
-      params.push(minTime, maxTime)
-    }
-
-    query += ` ORDER BY timestamp`
+      GROUP BY language
+      ORDER BY COUNT(*) DESC, language
+    `, [videoUuid])
 
-    const result = await dbClient.query(query, params)
-    return result.rows
+    return result.rows.map(row => row.language)
   } catch (error) {
-    logger.error('Error getting snapshots:', error)
+    logger.error('Error getting transcript languages:', error)
     return []
   }
 }
 
-// Chat sessions functions
-async function saveChatMessage(videoId, videoUuid, userId, message, response) {
+// Save the translation of a transcript chunk. data: { language, chunkIndex, targetLanguage,
+// content, embedding, embeddingModel }, language and chunkIndex being those of the original chunk
+async function saveChunkTranslation(videoUuid, videoId, data) {
   if (!isConnected) {
-    return await saveChatMessageFallback(videoUuid, userId, message, response)
+    return await saveChunkTranslationFallback(videoUuid, videoId, data)
   }
 
   try {
+    const { language, chunkIndex, targetLanguage, content, embedding, embeddingModel } = data
+
     await dbClient.query(`
-      INSERT INTO plugin_ai_chat_sessions
-        (video_id, user_id, message, response)
-      VALUES ($1, $2, $3, $4)
-    `, [videoId, userId, message, response])
+      INSERT INTO plugin_ai_chunk_translations
+        (video_id, video_uuid, language, chunk_index, target_language, content, embedding, embedding_model, embedding_dimensions)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (video_uuid, language, chunk_index, target_language)
+      DO UPDATE SET
+        content = EXCLUDED.content,
+        embedding = EXCLUDED.embedding,
+        embedding_model = EXCLUDED.embedding_model,
+        embedding_dimensions = EXCLUDED.embedding_dimensions
+    `, [
+      videoId, videoUuid, language, chunkIndex, targetLanguage, content,
+      embedding ? pgvector.toSql(embedding) : null,
+      embedding ? embeddingModel || null : null,
+      embedding ? embedding.length : null
+    ])
   } catch (error) {
-    logger.error('Error saving chat message:', error)
+    logger.error('Error saving chunk translation:', error)
+    throw error
   }
 }
 
-async function getChatHistory(videoId, userId = null) {
+// Translated chunks of a video, to every target language unless `targetLanguage` is given
+async function getChunkTranslations(videoUuid, targetLanguage = null) {
   if (!isConnected) {
-    return await getChatHistoryFallback(videoId, userId)
+    return (await getChunkTranslationsFallback(videoUuid))
+      .filter(translation => targetLanguage === null || translation.targetLanguage === targetLanguage)
   }
 
   try {
-    let query = `
-      SELECT message, response, created_at
-      FROM plugin_ai_chat_sessions
-      WHERE video_id = $1
-    `
-    const params = [videoId]
-
-    if (userId) {
-      query += ` AND user_id = $2`
-      params.push(userId)
-    }
-
-    query += ` ORDER BY created_at DESC LIMIT 50`
+    const result = await dbClient.query(`
+      SELECT video_id, language, chunk_index, target_language, content, embedding, embedding_model
+      FROM plugin_ai_chunk_translations
+      WHERE video_uuid = $1 AND ($2::varchar IS NULL OR target_language = $2::varchar)
+      ORDER BY target_language, language, chunk_index
+    `, [videoUuid, targetLanguage])
 
-    const result = await dbClient.query(query, params)
-    return result.rows
+    return result.rows.map(row => ({
+      videoId: row.video_id,
+      language: row.language,
+      chunkIndex: row.chunk_index,
+      targetLanguage: row.target_language,
+      content: row.content,
+      embedding: row.embedding,
+      embeddingModel: row.embedding_model
+    }))
   } catch (error) {
-    logger.error('Error getting chat history:', error)
+    logger.error('Error getting chunk translations:', error)
     return []
   }
 }
 
-// Processing queue functions
-async function addToProcessingQueue(videoUuid, videoId, videoName = null) {
+// Reciprocal-rank fusion constant, dampens the advantage of top ranks
+const RRF_K = 60
+
+const LEGACY_CONVERSATION_TITLE = 'Previous chat'
+
+// Find similar chunks using pgvector
+// videoUuid: video to search, or null to search every completed video of the library
+// options.embeddingModel: only vectors produced by this model are compared, so models are never mixed
+// options.mode: 'vector' ranks by embedding distance only, 'hybrid' fuses it with full-text
+//   search over the chunk content using reciprocal-rank fusion (needs options.queryText)
+// options.vectorWeight / options.lexicalWeight: weight of each ranking in the fusion
+// options.textSearchConfig: PostgreSQL text search configuration (e.g. 'english', 'simple')
+// options.language: preferred caption language, chunks in other languages are only searched
+//   in videos without a transcript in it
+// Videos with several caption languages cover the same moment once per language, only the
+// best ranked chunk of each moment is returned.
+// Chunk translations are searched along with the chunks: a chunk matches through its own
+// text or any of its translations, and is always returned in its original language.
+async function findSimilarChunks(videoUuid, queryEmbedding, limit = 5, options = {}) {
+  const {
+    embeddingModel = null,
+    mode = 'vector',
+    queryText = '',
+    vectorWeight = 1,
+    lexicalWeight = 1,
+    textSearchConfig = 'simple',
+    language = null
+  } = options
+  const hybrid = mode === 'hybrid' && queryText.trim().length > 0
+
   if (!isConnected) {
-    return await addToProcessingQueueFallback(videoUuid, videoId)
+    return await findSimilarChunksFallback(videoUuid, queryEmbedding, limit, {
+      embeddingModel, hybrid, queryText, vectorWeight, lexicalWeight, language
+    })
   }
 
-  try {
-    await dbClient.query(`
-      INSERT INTO plugin_ai_processing_queue
-        (video_id, video_uuid, video_name, status)
-      VALUES ($1, $2, $3, 'pending')
-      ON CONFLICT (video_uuid) DO UPDATE SET video_name = COALESCE(EXCLUDED.video_name, plugin_ai_processing_queue.video_name)
-    `, [videoId, videoUuid, videoName])
-  } catch (error) {
-    logger.error('Error adding to queue:', error)
+  // $1 is always the video UUID (null for library-wide search)
+  const videoFilter = (alias) => videoUuid
+    ? `${alias}.video_uuid = $1`
+    : `$1::varchar IS NULL AND ${alias}.video_uuid IN (
+        SELECT video_uuid FROM plugin_ai_processing_queue WHERE status = 'completed'
+      )`
+
+  const languageFilter = (alias, param) => `(${param}::varchar IS NULL OR ${alias}.language = ${param}::varchar OR NOT EXISTS (
+      SELECT 1 FROM plugin_ai_video_embeddings p WHERE p.video_uuid = ${alias}.video_uuid AND p.language = ${param}::varchar
+    ))`
+
+  // Chunks and chunk translations are ranked by one query each, so every query can use the
+  // indexes of its table, then merged: a chunk ranks at its best matching text.
+  // `s` is the searched row, `chunk` the alias of the original chunk returned for it.
+  const sources = [
+    { from: 'plugin_ai_video_embeddings s', chunk: 's' },
+    {
+      from: `plugin_ai_chunk_translations s
+        JOIN plugin_ai_video_embeddings e
+          ON e.video_uuid = s.video_uuid AND e.language = s.language AND e.chunk_index = s.chunk_index`,
+      chunk: 'e'
+    }
+  ]
+  const chunkColumns = ({ chunk }) => ['video_uuid', 'chunk_index', 'content', 'start_time', 'end_time', 'language']
+    .map(column => `${chunk}.${column}`)
+    .join(', ')
+
+  // Nearest chunks by cosine distance. Library searches use the vector_cosine_ops indexes,
+  // the rows of a single video are few enough to all be ranked: the approximate index would
+  // filter out the other videos only after picking the nearest rows.
+  const rankByDistance = async (count) => {
+    const rankings = []
+    for (const source of sources) {
+      const candidates = `
+        SELECT ${chunkColumns(source)}, s.embedding <=> $2::vector AS distance
+        FROM ${source.from}
+        WHERE ${videoFilter('s')} AND s.embedding IS NOT NULL
+          AND ($4::varchar IS NULL OR s.embedding_model = $4::varchar)
+          AND ${languageFilter('s', '$5')}`
+      const query = videoUuid
+        ? `WITH candidates AS MATERIALIZED (${candidates}) SELECT * FROM candidates ORDER BY distance LIMIT $3`
+        : `${candidates} ORDER BY s.embedding <=> $2::vector LIMIT $3`
+
+      const result = await dbClient.query(query, [videoUuid, pgvector.toSql(queryEmbedding), count, embeddingModel, language])
+      rankings.push(result.rows.map(mapChunkRow))
+    }
+    return mergeRankings(rankings, chunk => -chunk.distance)
   }
-}
 
-async function updateProcessingStatus(videoUuid, status, errorMessage = null) {
-  if (!isConnected) {
-    return await updateProcessingStatusFallback(videoUuid, status, errorMessage)
+  // Chunks matching any question term, by full-text relevance. The text query ORs the
+  // question terms so a single rare term (acronym, identifier) can match.
+  const rankByRelevance = async (count) => {
+    const rankings = []
+    for (const source of sources) {
+      const result = await dbClient.query(`
+        WITH text_query AS (
+          SELECT NULLIF(replace(plainto_tsquery($4::regconfig, $2)::text, '&', '|'), '')::tsquery AS query
+        )
+        SELECT ${chunkColumns(source)}, ts_rank_cd(s.search_vector, q.query) AS relevance
+        FROM ${source.from}, text_query q
+        WHERE ${videoFilter('s')} AND q.query IS NOT NULL
+          AND ${languageFilter('s', '$5')}
+          AND s.search_vector @@ q.query
+        ORDER BY relevance DESC
+        LIMIT $3
+      `, [videoUuid, queryText, count, textSearchConfig, language])
+      rankings.push(result.rows.map(mapChunkRow))
+    }
+    return mergeRankings(rankings, chunk => chunk.relevance)
   }
 
+  // Extra rows make up for the duplicates dropped across languages
+  const rowLimit = limit * 2
+
   try {
-    await dbClient.query(`
-      UPDATE plugin_ai_processing_queue
-      SET status = $2::varchar,
-          error_message = $3::text,
-          processed_at = CASE WHEN $2::varchar = 'completed' THEN NOW() ELSE NULL END
-      WHERE video_uuid = $1
-    `, [videoUuid, status, errorMessage])
+    if (!hybrid) {
+      return dropTranslatedDuplicates(await rankByDistance(rowLimit), limit)
+    }
+
+    // Rank candidates separately by vector distance and by full-text relevance, then fuse
+    const candidateCount = Math.max(limit * 4, 20)
+    const fused = fuseRankings(await rankByDistance(candidateCount), await rankByRelevance(candidateCount), {
+      vectorWeight, lexicalWeight, candidateCount
+    })
+
+    return dropTranslatedDuplicates(fused, limit)
   } catch (error) {
-    logger.error('Error updating processing status:', error)
+    logger.error('Error finding similar chunks:', error)
+    return []
   }
 }
 
-async function getProcessingStatus(videoUuid) {
-  if (!isConnected) {
-    return await getProcessingStatusFallback(videoUuid)
+function mapChunkRow(row) {
+  return {
+    videoUuid: row.video_uuid,
+    chunkIndex: row.chunk_index,
+    content: row.content,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    language: row.language,
+    ...(row.distance !== undefined && { distance: row.distance }),
+    ...(row.relevance !== undefined && { relevance: row.relevance })
   }
+}
 
-  try {
-    const result = await dbClient.query(`
-      SELECT status, error_message, created_at, processed_at
-      FROM plugin_ai_processing_queue
-      WHERE video_uuid = $1
-    `, [videoUuid])
+function chunkKey(chunk) {
+  return `${chunk.videoUuid}:${chunk.language}:${chunk.chunkIndex}`
+}
 
-    if (result.rows.length > 0) {
-      const row = result.rows[0]
-      return {
-        status: row.status,
-        errorMessage: row.error_message,
-        createdAt: row.created_at,
-        processedAt: row.processed_at,
-        processing: row.status === 'processing',
-        processed: row.status === 'completed'
-      }
-    }
+// Merge rankings of the same chunks (through their own text or a translation), keeping
+// the best entry of each chunk by `score`, highest first
+function mergeRankings(rankings, score) {
+  const best = new Map()
 
-    return { processed: false, processing: false }
-  } catch (error) {
-    logger.error('Error getting processing status:', error)
-    return { processed: false, processing: false }
+  for (const chunk of rankings.flat()) {
+    const key = chunkKey(chunk)
+    if (!best.has(key) || score(chunk) > score(best.get(key))) {
+      best.set(key, chunk)
+    }
   }
+
+  return [...best.values()].sort((a, b) => score(b) - score(a))
 }
 
+// Reciprocal-rank fusion of a vector and a full-text ranking, over the first
+// candidateCount chunks of each. Adds score, vectorRank and lexicalRank to the chunks.
+function fuseRankings(vectorRanked, lexicalRanked, { vectorWeight = 1, lexicalWeight = 1, candidateCount }) {
+  const fused = new Map()
+
+  const addRanking = (ranked, weight, rankKey) => {
+    ranked.slice(0, candidateCount).forEach((chunk, index) => {
+      const key = chunkKey(chunk)
+      const entry = fused.get(key) || { ...chunk, score: 0, vectorRank: null, lexicalRank: null }
+      entry.score += weight / (RRF_K + index + 1)
+      entry[rankKey] = index + 1
+      fused.set(key, entry)
+    })
+  }
+
+  addRanking(vectorRanked, vectorWeight, 'vectorRank')
+  addRanking(lexicalRanked, lexicalWeight, 'lexicalRank')
+
+  return [...fused.values()].sort((a, b) => b.score - a.score)
+}
+
+// Keep the first `limit` ranked chunks, skipping chunks that cover mostly the same
+// moment of the same video as a better ranked chunk in another language
+function dropTranslatedDuplicates(chunks, limit) {
+  const kept = []
+
+  for (const chunk of chunks) {
+    if (kept.length >= limit) break
+
+    const duplicate = kept.some(other =>
+      other.videoUuid === chunk.videoUuid &&
+      other.language !== chunk.language &&
+      Math.min(other.endTime, chunk.endTime) - Math.max(other.startTime, chunk.startTime) > (chunk.endTime - chunk.startTime) / 2
+    )
+    if (!duplicate) {
+      kept.push(chunk)
+    }
+  }
+
+  return kept
+}
+
+// Make the vector columns match the dimension of the configured model.
+// Changing dimension clears the stored vectors, which must then be re-embedded: columns
+// holding vectors are only migrated with clearVectors, the others are listed in pending.
+async function ensureEmbeddingSchema(embeddingModel, dimensions, { clearVectors = false } = {}) {
+  if (!isConnected) {
+    return { migrated: false, pending: [] }
+  }
+
+  let migrated = false
+  const pending = []
+
+  for (const { table, index } of VECTOR_COLUMNS) {
+    // For vector columns, atttypmod holds the declared dimension
+    const result = await dbClient.query(`
+      SELECT atttypmod AS dimensions
+      FROM pg_attribute
+      WHERE attrelid = $1::regclass AND attname = 'embedding'
+    `, [table])
+    const currentDimensions = result.rows[0]?.dimensions
+
+    if (currentDimensions === dimensions) {
+      continue
+    }
+
+    if (!clearVectors) {
+      const stored = await dbClient.query(`SELECT EXISTS (SELECT 1 FROM ${table} WHERE embedding IS NOT NULL) AS found`)
+      if (stored.rows[0].found) {
+        pending.push(table)
+        continue
+      }
+    }
+
+    logger.warn(`Embedding column of ${table} has ${currentDimensions} dimensions but ${embeddingModel} produces ${dimensions}, migrating`)
+
+    try {
+      await dbClient.query('BEGIN')
+      if (index) {
+        await dbClient.query(`DROP INDEX IF EXISTS ${index}`)
+      }
+      await dbClient.query(`
+        UPDATE ${table}
+        SET embedding = NULL, embedding_model = NULL, embedding_dimensions = NULL
+      `)
+      await dbClient.query(`ALTER TABLE ${table} ALTER COLUMN embedding TYPE vector(${parseInt(dimensions)})`)
+
+      // ivfflat indexes are limited to 2000 dimensions
+      if (index && dimensions <= 2000) {
+        await dbClient.query(`
+          CREATE INDEX ${index} ON ${table}
+          USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100)
+        `)
+      } else if (index) {
+        logger.warn(`Embedding dimension ${dimensions} is too large for an ivfflat index, similarity search will scan`)
+      }
+
+      await dbClient.query('COMMIT')
+    } catch (error) {
+      await dbClient.query('ROLLBACK')
+      logger.error(`Error migrating embedding column of ${table}:`, error)
+      throw error
+    }
+
+    logger.info(`Embedding column of ${table} migrated to vector(${dimensions}), existing embeddings must be regenerated`)
+    migrated = true
+  }
+
+  return { migrated, pending }
+}
+
+// Generate the full-text column of the searched tables with the configured text search
+// configuration, with a GIN index so full-text search does not scan every chunk.
+// A column generated with another configuration is replaced.
+async function ensureTextSearchSchema(textSearchConfig) {
+  if (!isConnected) {
+    return
+  }
+
+  try {
+    // The configuration name is part of the column definition, only known ones are used
+    const config = await dbClient.query('SELECT cfgname FROM pg_ts_config WHERE cfgname = $1', [textSearchConfig])
+    if (config.rows.length === 0) {
+      logger.warn(`Unknown text search configuration ${textSearchConfig}, full-text columns not changed`)
+      return
+    }
+
+    for (const { table, index } of TEXT_SEARCH_COLUMNS) {
+      const result = await dbClient.query(`
+        SELECT pg_get_expr(d.adbin, d.adrelid) AS expression
+        FROM pg_attribute a
+        JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+        WHERE a.attrelid = $1::regclass AND a.attname = 'search_vector'
+      `, [table])
+
+      if (result.rows[0]?.expression?.includes(`'${textSearchConfig}'::regconfig`)) {
+        continue
+      }
+
+      logger.info(`Generating the full-text column of ${table} with the ${textSearchConfig} configuration`)
+
+      try {
+        await dbClient.query('BEGIN')
+        // Dropping the column drops its index
+        await dbClient.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS search_vector`)
+        await dbClient.query(`
+          ALTER TABLE ${table}
+          ADD COLUMN search_vector tsvector
+          GENERATED ALWAYS AS (to_tsvector('${textSearchConfig}'::regconfig, COALESCE(content, ''))) STORED
+        `)
+        await dbClient.query(`CREATE INDEX ${index} ON ${table} USING GIN (search_vector)`)
+        await dbClient.query('COMMIT')
+      } catch (error) {
+        await dbClient.query('ROLLBACK')
+        throw error
+      }
+    }
+  } catch (error) {
+    logger.error('Error generating full-text search columns:', error)
+  }
+}
+
+// Videos having transcript chunks, chunk translations or snapshot descriptions not embedded with embeddingModel
+async function getVideosWithStaleEmbeddings(embeddingModel) {
+  if (!isConnected) {
+    return await getVideosWithStaleEmbeddingsFallback(embeddingModel)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT video_uuid, MIN(video_id) AS video_id, COUNT(*) AS stale_count
+      FROM (
+        SELECT video_uuid, video_id, embedding, embedding_model
+        FROM plugin_ai_video_embeddings
+        WHERE content IS NOT NULL
+        UNION ALL
+        SELECT video_uuid, video_id, embedding, embedding_model
+        FROM plugin_ai_chunk_translations
+        UNION ALL
+        SELECT video_uuid, video_id, embedding, embedding_model
+        FROM plugin_ai_video_snapshots
+        WHERE description IS NOT NULL
+      ) items
+      WHERE embedding IS NULL OR embedding_model IS DISTINCT FROM $1
+      GROUP BY video_uuid
+    `, [embeddingModel])
+
+    return result.rows.map(row => ({
+      videoUuid: row.video_uuid,
+      videoId: row.video_id,
+      staleCount: parseInt(row.stale_count) || 0
+    }))
+  } catch (error) {
+    logger.error('Error getting videos with stale embeddings:', error)
+    return []
+  }
+}
+
+// Video snapshots functions
+async function saveVideoSnapshot(videoUuid, videoId, timestamp, filePath, description) {
+  if (!isConnected) {
+    return await saveVideoSnapshotFallback(videoUuid, timestamp, filePath, description)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_video_snapshots
+        (video_id, video_uuid, timestamp, file_path, description)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (video_uuid, timestamp)
+      DO UPDATE SET
+        file_path = EXCLUDED.file_path,
+        description = EXCLUDED.description,
+        embedding = CASE
+          WHEN plugin_ai_video_snapshots.description IS DISTINCT FROM EXCLUDED.description THEN NULL
+          ELSE plugin_ai_video_snapshots.embedding
+        END,
+        embedding_model = CASE
+          WHEN plugin_ai_video_snapshots.description IS DISTINCT FROM EXCLUDED.description THEN NULL
+          ELSE plugin_ai_video_snapshots.embedding_model
+        END
+    `, [videoId, videoUuid, timestamp, filePath, description])
+  } catch (error) {
+    logger.error('Error saving snapshot:', error)
+  }
+}
+
+async function getVideoSnapshots(videoUuid, minTime = null, maxTime = null) {
+  if (!isConnected) {
+    const snapshots = await getVideoSnapshotsFallback(videoUuid)
+    if (minTime === null || maxTime === null) {
+      return snapshots
+    }
+    return snapshots.filter(s => s.timestamp >= minTime && s.timestamp <= maxTime)
+  }
+
+  try {
+    let query = `
+      SELECT timestamp, file_path, description
+      FROM plugin_ai_video_snapshots
+      WHERE video_uuid = $1
+    `
+    const params = [videoUuid]
+
+    if (minTime !== null && maxTime !== null) {
+      query += ` AND timestamp >= $2 AND timestamp <= $3`
+      params.push(minTime, maxTime)
+    }
+
+    query += ` ORDER BY timestamp`
+
+    const result = await dbClient.query(query, params)
+    return result.rows
+  } catch (error) {
+    logger.error('Error getting snapshots:', error)
+    return []
+  }
+}
+
+async function saveSnapshotEmbedding(videoUuid, timestamp, embedding, embeddingModel) {
+  if (!isConnected) {
+    return await saveSnapshotEmbeddingFallback(videoUuid, timestamp, embedding, embeddingModel)
+  }
+
+  try {
+    await dbClient.query(`
+      UPDATE plugin_ai_video_snapshots
+      SET embedding = $3, embedding_model = $4, embedding_dimensions = $5
+      WHERE video_uuid = $1 AND timestamp = $2
+    `, [videoUuid, timestamp, pgvector.toSql(embedding), embeddingModel, embedding.length])
+  } catch (error) {
+    logger.error('Error saving snapshot embedding:', error)
+    throw error
+  }
+}
+
+// Described snapshots without an embedding from embeddingModel
+async function getSnapshotsNeedingEmbedding(videoUuid, embeddingModel) {
+  if (!isConnected) {
+    const snapshots = await getVideoSnapshotsFallback(videoUuid)
+    return snapshots.filter(s => s.description && (!s.embedding || s.embeddingModel !== embeddingModel))
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT timestamp, description
+      FROM plugin_ai_video_snapshots
+      WHERE video_uuid = $1 AND description IS NOT NULL
+        AND (embedding IS NULL OR embedding_model IS DISTINCT FROM $2)
+      ORDER BY timestamp
+    `, [videoUuid, embeddingModel])
+
+    return result.rows
+  } catch (error) {
+    logger.error('Error getting snapshots needing embedding:', error)
+    return []
+  }
+}
+
+async function getSnapshotEmbeddings(videoUuid, embeddingModel) {
+  if (!isConnected) {
+    const snapshots = await getVideoSnapshotsFallback(videoUuid)
+    return snapshots.filter(s => s.embedding && s.embeddingModel === embeddingModel).map(s => s.embedding)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT embedding
+      FROM plugin_ai_video_snapshots
+      WHERE video_uuid = $1 AND embedding IS NOT NULL AND embedding_model = $2
+    `, [videoUuid, embeddingModel])
+
+    return result.rows.map(row => row.embedding)
+  } catch (error) {
+    logger.error('Error getting snapshot embeddings:', error)
+    return []
+  }
+}
+
+// Find snapshots whose description is semantically close to the query
+async function findSimilarSnapshots(videoUuid, queryEmbedding, limit = 5, embeddingModel = null) {
+  if (!isConnected) {
+    return await findSimilarSnapshotsFallback(videoUuid, queryEmbedding, limit, embeddingModel)
+  }
+
+  // All the snapshots of the video are ranked, through the approximate index the other
+  // videos would only be filtered out after picking the nearest snapshots
+  try {
+    const result = await dbClient.query(`
+      WITH candidates AS MATERIALIZED (
+        SELECT timestamp, file_path, description,
+               embedding <=> $2::vector as distance
+        FROM plugin_ai_video_snapshots
+        WHERE video_uuid = $1 AND embedding IS NOT NULL
+          AND ($4::varchar IS NULL OR embedding_model = $4::varchar)
+      )
+      SELECT * FROM candidates
+      ORDER BY distance
+      LIMIT $3
+    `, [videoUuid, pgvector.toSql(queryEmbedding), limit, embeddingModel])
+
+    return result.rows
+  } catch (error) {
+    logger.error('Error finding similar snapshots:', error)
+    return []
+  }
+}
+
+// Conversation functions
+function mapConversationRow(row) {
+  return {
+    id: row.id,
+    videoId: row.video_id,
+    videoUuid: row.video_uuid,
+    userId: row.user_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+async function createConversation(videoId, videoUuid, userId, title) {
+  if (!isConnected) {
+    return await createConversationFallback(videoId, videoUuid, userId, title)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      INSERT INTO plugin_ai_conversations (video_id, video_uuid, user_id, title)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [videoId, videoUuid, userId, title])
+
+    return mapConversationRow(result.rows[0])
+  } catch (error) {
+    logger.error('Error creating conversation:', error)
+    return null
+  }
+}
+
+async function getConversation(conversationId) {
+  if (!isConnected) {
+    return await getConversationFallback(conversationId)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT * FROM plugin_ai_conversations WHERE id = $1
+    `, [conversationId])
+
+    const row = result.rows[0]
+    if (!row) return null
+
+    return {
+      ...mapConversationRow(row),
+      historySummary: row.history_summary ? { text: row.history_summary, until: row.history_summary_until } : null
+    }
+  } catch (error) {
+    logger.error('Error getting conversation:', error)
+    return null
+  }
+}
+
+// Conversations of a user on a video, most recently active first
+async function listConversations(videoId, userId) {
+  if (!isConnected) {
+    return await listConversationsFallback(videoId, userId)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT c.*, COUNT(s.id)::int AS message_count
+      FROM plugin_ai_conversations c
+      LEFT JOIN plugin_ai_chat_sessions s ON s.conversation_id = c.id
+      WHERE c.video_id = $1 AND c.user_id = $2
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+    `, [videoId, userId])
+
+    return result.rows.map(row => ({ ...mapConversationRow(row), messageCount: row.message_count }))
+  } catch (error) {
+    logger.error('Error listing conversations:', error)
+    return []
+  }
+}
+
+async function renameConversation(conversationId, title) {
+  if (!isConnected) {
+    return await renameConversationFallback(conversationId, title)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      UPDATE plugin_ai_conversations
+      SET title = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [conversationId, title])
+
+    return result.rows[0] ? mapConversationRow(result.rows[0]) : null
+  } catch (error) {
+    logger.error('Error renaming conversation:', error)
+    return null
+  }
+}
+
+async function saveHistorySummary(conversationId, text, until) {
+  if (!isConnected) {
+    return await saveHistorySummaryFallback(conversationId, text, until)
+  }
+
+  try {
+    await dbClient.query(`
+      UPDATE plugin_ai_conversations
+      SET history_summary = $2, history_summary_until = $3
+      WHERE id = $1
+    `, [conversationId, text, until])
+  } catch (error) {
+    logger.error('Error saving history summary:', error)
+  }
+}
+
+// Messages are removed with the conversation (ON DELETE CASCADE)
+async function deleteConversation(conversationId) {
+  if (!isConnected) {
+    return await deleteConversationFallback(conversationId)
+  }
+
+  try {
+    await dbClient.query('DELETE FROM plugin_ai_conversations WHERE id = $1', [conversationId])
+  } catch (error) {
+    logger.error('Error deleting conversation:', error)
+  }
+}
+
+// Chat sessions functions
+async function saveChatMessage(conversationId, videoId, userId, message, response, sources = null) {
+  if (!isConnected) {
+    return await saveChatMessageFallback(conversationId, message, response, sources)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_chat_sessions
+        (conversation_id, video_id, user_id, message, response, sources)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [conversationId, videoId, userId, message, response, sources ? JSON.stringify(sources) : null])
+
+    await dbClient.query(`
+      UPDATE plugin_ai_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1
+    `, [conversationId])
+  } catch (error) {
+    logger.error('Error saving chat message:', error)
+  }
+}
+
+// Latest exchanges of a conversation, newest first. created_at is truncated to the
+// millisecond precision of a JS Date so it can be compared with history_summary_until
+async function getChatHistory(conversationId) {
+  if (!isConnected) {
+    return await getChatHistoryFallback(conversationId)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT message, response, sources, date_trunc('milliseconds', created_at) AS created_at
+      FROM plugin_ai_chat_sessions
+      WHERE conversation_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT 50
+    `, [conversationId])
+
+    return result.rows
+  } catch (error) {
+    logger.error('Error getting chat history:', error)
+    return []
+  }
+}
+
+// Processing queue functions
+async function addToProcessingQueue(videoUuid, videoId, videoName = null) {
+  if (!isConnected) {
+    return await addToProcessingQueueFallback(videoUuid, videoId, videoName)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_processing_queue
+        (video_id, video_uuid, video_name, status)
+      VALUES ($1, $2, $3, 'pending')
+      ON CONFLICT (video_uuid) DO UPDATE SET video_name = COALESCE(EXCLUDED.video_name, plugin_ai_processing_queue.video_name)
+    `, [videoId, videoUuid, videoName])
+  } catch (error) {
+    logger.error('Error adding to queue:', error)
+  }
+}
+
+async function updateProcessingStatus(videoUuid, status, errorMessage = null) {
+  if (!isConnected) {
+    return await updateProcessingStatusFallback(videoUuid, status, errorMessage)
+  }
+
+  try {
+    await dbClient.query(`
+      UPDATE plugin_ai_processing_queue
+      SET status = $2::varchar,
+          error_message = $3::text,
+          processed_at = CASE WHEN $2::varchar = 'completed' THEN NOW() ELSE NULL END
+      WHERE video_uuid = $1
+    `, [videoUuid, status, errorMessage])
+  } catch (error) {
+    logger.error('Error updating processing status:', error)
+  }
+}
+
+async function getProcessingStatus(videoUuid) {
+  if (!isConnected) {
+    return await getProcessingStatusFallback(videoUuid)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT status, error_message, created_at, processed_at
+      FROM plugin_ai_processing_queue
+      WHERE video_uuid = $1
+    `, [videoUuid])
+
+    if (result.rows.length > 0) {
+      const row = result.rows[0]
+      return {
+        status: row.status,
+        errorMessage: row.error_message,
+        createdAt: row.created_at,
+        processedAt: row.processed_at,
+        processing: row.status === 'processing',
+        processed: row.status === 'completed'
+      }
+    }
+
+    return { processed: false, processing: false }
+  } catch (error) {
+    logger.error('Error getting processing status:', error)
+    return { processed: false, processing: false }
+  }
+}
+
+// Answer cache functions
+// options: { minSimilarity, ttlHours, playheadTime, playheadTolerance, language }
+// An answer given at a playback position is only reused near that position,
+// answers given without one only for questions asked without one. Answers are only
+// reused for users with the same interface language, it decides the answer language
+// when the question does not.
+async function findCachedAnswer(videoUuid, questionEmbedding, embeddingModel, options = {}) {
+  const { minSimilarity = 0.95, ttlHours = 24, playheadTime = null, playheadTolerance = 60, language = null } = options
+
+  if (!isConnected) {
+    return await findCachedAnswerFallback(videoUuid, questionEmbedding, embeddingModel, options)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT id, answer, 1 - (embedding <=> $2::vector) AS similarity
+      FROM plugin_ai_answer_cache
+      WHERE video_uuid = $1
+        AND embedding_model = $3
+        AND created_at > NOW() - make_interval(secs => $4)
+        AND (
+          ($5::float IS NULL AND playhead_time IS NULL) OR
+          ABS(playhead_time - $5::float) <= $6
+        )
+        AND language = $7
+      ORDER BY embedding <=> $2::vector
+      LIMIT 1
+    `, [videoUuid, pgvector.toSql(questionEmbedding), embeddingModel, ttlHours * 3600, playheadTime, playheadTolerance, language || ''])
+
+    const row = result.rows[0]
+    if (!row || row.similarity < minSimilarity) {
+      return null
+    }
+
+    await dbClient.query('UPDATE plugin_ai_answer_cache SET hit_count = hit_count + 1 WHERE id = $1', [row.id])
+    return row.answer
+  } catch (error) {
+    logger.error('Error looking up cached answer:', error)
+    return null
+  }
+}
+
+// Entries of the video older than ttlHours are pruned, they can no longer be served
+async function saveCachedAnswer(videoUuid, question, questionEmbedding, embeddingModel, playheadTime, answer, ttlHours = 24, language = null) {
+  if (!isConnected) {
+    return await saveCachedAnswerFallback(videoUuid, question, questionEmbedding, embeddingModel, playheadTime, answer, ttlHours, language)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_answer_cache
+        (video_uuid, question, playhead_time, answer, embedding, embedding_model, embedding_dimensions, language)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      videoUuid, question, playheadTime, JSON.stringify(answer),
+      pgvector.toSql(questionEmbedding), embeddingModel, questionEmbedding.length, language || ''
+    ])
+
+    await dbClient.query(`
+      DELETE FROM plugin_ai_answer_cache
+      WHERE video_uuid = $1 AND created_at < NOW() - make_interval(secs => $2)
+    `, [videoUuid, ttlHours * 3600])
+  } catch (error) {
+    logger.error('Error saving cached answer:', error)
+  }
+}
+
+async function clearAnswerCache(videoUuid) {
+  if (!isConnected) {
+    return await clearAnswerCacheFallback(videoUuid)
+  }
+
+  try {
+    await dbClient.query('DELETE FROM plugin_ai_answer_cache WHERE video_uuid = $1', [videoUuid])
+  } catch (error) {
+    logger.error('Error clearing answer cache:', error)
+  }
+}
+
+// Endpoints of API calls made while processing videos, as opposed to answering users
+const PROCESSING_ENDPOINT_PREFIX = 'processing-'
+
 // API usage tracking
-async function trackAPIUsage(userId, endpoint, tokensUsed, cost = 0) {
+// details: { videoUuid, ipAddress, model, promptTokens, completionTokens }
+async function trackAPIUsage(userId, endpoint, tokensUsed, cost = 0, details = {}) {
+  if (!isConnected) {
+    return await trackAPIUsageFallback(userId, endpoint, tokensUsed, cost, details)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_api_usage
+        (user_id, endpoint, tokens_used, cost, video_uuid, ip_address, model, prompt_tokens, completion_tokens)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      userId, endpoint, tokensUsed, cost,
+      details.videoUuid || null, details.ipAddress || null, details.model || null,
+      details.promptTokens ?? null, details.completionTokens ?? null
+    ])
+  } catch (error) {
+    logger.error('Error tracking API usage:', error)
+  }
+}
+
+// Tokens and cost per endpoint and model for one video, processing and chat
+async function getVideoUsage(videoUuid) {
+  if (!isConnected) {
+    return summarizeUsageFallback(await getUsageEntriesFallback(entry => entry.videoUuid === videoUuid))
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT endpoint, model, COUNT(*)::int AS calls,
+             COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+             COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+             COALESCE(SUM(tokens_used), 0)::int AS total_tokens,
+             COALESCE(SUM(cost), 0)::float AS cost
+      FROM plugin_ai_api_usage
+      WHERE video_uuid = $1
+      GROUP BY endpoint, model
+      ORDER BY cost DESC
+    `, [videoUuid])
+
+    return result.rows.map(mapUsageRow)
+  } catch (error) {
+    logger.error('Error getting video usage:', error)
+    return []
+  }
+}
+
+// Tokens and cost since a date, per endpoint and model and for the most expensive users
+async function getUsageSummary(since) {
+  if (!isConnected) {
+    const entries = await getUsageEntriesFallback(entry => new Date(entry.createdAt) >= since)
+    return {
+      byModel: summarizeUsageFallback(entries),
+      byUser: summarizeUsersFallback(entries)
+    }
+  }
+
+  try {
+    const byModel = await dbClient.query(`
+      SELECT endpoint, model, COUNT(*)::int AS calls,
+             COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+             COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+             COALESCE(SUM(tokens_used), 0)::int AS total_tokens,
+             COALESCE(SUM(cost), 0)::float AS cost
+      FROM plugin_ai_api_usage
+      WHERE created_at >= $1
+      GROUP BY endpoint, model
+      ORDER BY cost DESC
+    `, [since])
+
+    const byUser = await dbClient.query(`
+      SELECT user_id, COUNT(*)::int AS calls,
+             COALESCE(SUM(tokens_used), 0)::int AS total_tokens,
+             COALESCE(SUM(cost), 0)::float AS cost
+      FROM plugin_ai_api_usage
+      WHERE created_at >= $1 AND user_id IS NOT NULL
+      GROUP BY user_id
+      ORDER BY cost DESC
+      LIMIT 20
+    `, [since])
+
+    return {
+      byModel: byModel.rows.map(mapUsageRow),
+      byUser: byUser.rows.map(row => ({
+        userId: row.user_id,
+        calls: row.calls,
+        totalTokens: row.total_tokens,
+        cost: row.cost
+      }))
+    }
+  } catch (error) {
+    logger.error('Error getting usage summary:', error)
+    return { byModel: [], byUser: [] }
+  }
+}
+
+function mapUsageRow(row) {
+  return {
+    endpoint: row.endpoint,
+    model: row.model,
+    calls: row.calls,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    totalTokens: row.total_tokens,
+    cost: row.cost
+  }
+}
+
+// Tokens used since a date by a user, an anonymous IP address or on a video
+// (exactly one of userId, ipAddress, videoUuid)
+async function getTokenUsageSince(since, { userId = null, ipAddress = null, videoUuid = null }) {
+  if (!isConnected) {
+    return await getTokenUsageSinceFallback(since, { userId, ipAddress, videoUuid })
+  }
+
+  let condition
+  let value
+  if (userId) {
+    condition = 'user_id = $2'
+    value = userId
+  } else if (ipAddress) {
+    condition = 'user_id IS NULL AND ip_address = $2'
+    value = ipAddress
+  } else {
+    condition = 'video_uuid = $2'
+    value = videoUuid
+  }
+
+  try {
+    // Video processing is paid by the instance, it does not count against chat quotas
+    const result = await dbClient.query(`
+      SELECT COALESCE(SUM(tokens_used), 0)::int AS tokens
+      FROM plugin_ai_api_usage
+      WHERE created_at >= $1 AND ${condition} AND endpoint NOT LIKE '${PROCESSING_ENDPOINT_PREFIX}%'
+    `, [since, value])
+
+    return result.rows[0].tokens
+  } catch (error) {
+    logger.error('Error getting token usage:', error)
+    return 0
+  }
+}
+
+// Total cost of every API call since a date, processing included
+async function getCostSince(since) {
+  if (!isConnected) {
+    const entries = await getUsageEntriesFallback(entry => new Date(entry.createdAt) >= since)
+    return entries.reduce((sum, entry) => sum + (entry.cost || 0), 0)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT COALESCE(SUM(cost), 0)::float AS cost
+      FROM plugin_ai_api_usage
+      WHERE created_at >= $1
+    `, [since])
+
+    return result.rows[0].cost
+  } catch (error) {
+    logger.error('Error getting cost:', error)
+    return 0
+  }
+}
+
+// Moderation
+// flag: { videoUuid, userId, ipAddress, direction ('input' or 'output'), message, response,
+//         source ('blocklist', 'moderation-api'), reasons, action ('refused' or 'redacted') }
+async function saveFlaggedMessage(flag) {
+  if (!isConnected) {
+    return await saveFlaggedMessageFallback(flag)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_flagged_messages
+        (video_uuid, user_id, ip_address, direction, message, response, source, reasons, action)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      flag.videoUuid || null, flag.userId || null, flag.ipAddress || null, flag.direction,
+      flag.message, flag.response || null, flag.source, JSON.stringify(flag.reasons || []), flag.action
+    ])
+  } catch (error) {
+    logger.error('Error saving flagged message:', error)
+  }
+}
+
+// Flagged messages, newest first; reviewed: true, false or null for both
+async function getFlaggedMessages({ reviewed = false, limit = 100 } = {}) {
+  if (!isConnected) {
+    return await getFlaggedMessagesFallback({ reviewed, limit })
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT * FROM plugin_ai_flagged_messages
+      WHERE $1::boolean IS NULL OR reviewed = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [reviewed, limit])
+
+    return result.rows.map(row => ({
+      id: row.id,
+      videoUuid: row.video_uuid,
+      userId: row.user_id,
+      ipAddress: row.ip_address,
+      direction: row.direction,
+      message: row.message,
+      response: row.response,
+      source: row.source,
+      reasons: row.reasons || [],
+      action: row.action,
+      reviewed: row.reviewed,
+      createdAt: row.created_at
+    }))
+  } catch (error) {
+    logger.error('Error getting flagged messages:', error)
+    return []
+  }
+}
+
+// Returns whether the flagged message exists
+async function markFlaggedMessageReviewed(id) {
+  if (!isConnected) {
+    return await markFlaggedMessageReviewedFallback(id)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      UPDATE plugin_ai_flagged_messages SET reviewed = TRUE WHERE id = $1
+    `, [id])
+
+    return result.rowCount > 0
+  } catch (error) {
+    logger.error('Error marking flagged message as reviewed:', error)
+    return false
+  }
+}
+
+// Replace the prompt injection flags of a video
+// flags: [{ source ('title', 'description', 'transcript', 'snapshot'), startTime, content, patterns }]
+async function saveInjectionFlags(videoUuid, flags) {
+  if (!isConnected) {
+    return await saveInjectionFlagsFallback(videoUuid, flags)
+  }
+
+  try {
+    await dbClient.query('DELETE FROM plugin_ai_injection_flags WHERE video_uuid = $1', [videoUuid])
+
+    for (const flag of flags) {
+      await dbClient.query(`
+        INSERT INTO plugin_ai_injection_flags (video_uuid, source, start_time, content, patterns)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [videoUuid, flag.source, flag.startTime ?? null, flag.content, JSON.stringify(flag.patterns)])
+    }
+  } catch (error) {
+    logger.error('Error saving injection flags:', error)
+  }
+}
+
+// Prompt injection flags of every video, newest first, with the video name
+async function getInjectionFlags(limit = 200) {
+  if (!isConnected) {
+    return await getInjectionFlagsFallback(limit)
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT f.*, pq.video_name
+      FROM plugin_ai_injection_flags f
+      LEFT JOIN plugin_ai_processing_queue pq ON pq.video_uuid = f.video_uuid
+      ORDER BY f.created_at DESC, f.video_uuid, f.start_time
+      LIMIT $1
+    `, [limit])
+
+    return result.rows.map(row => ({
+      id: row.id,
+      videoUuid: row.video_uuid,
+      videoName: row.video_name,
+      source: row.source,
+      startTime: row.start_time,
+      content: row.content,
+      patterns: row.patterns,
+      createdAt: row.created_at
+    }))
+  } catch (error) {
+    logger.error('Error getting injection flags:', error)
+    return []
+  }
+}
+
+// Chapters of a video: { videoUuid, chapters: [{ start, title }], status, updatedAt, publishedAt } or null
+async function getVideoChapters(videoUuid) {
+  if (!isConnected) {
+    return (await storageManager.getData('video_chapters') || {})[videoUuid] || null
+  }
+
+  try {
+    const result = await dbClient.query('SELECT * FROM plugin_ai_video_chapters WHERE video_uuid = $1', [videoUuid])
+    const row = result.rows[0]
+    if (!row) return null
+
+    return {
+      videoUuid: row.video_uuid,
+      chapters: row.chapters,
+      status: row.status,
+      updatedAt: row.updated_at,
+      publishedAt: row.published_at
+    }
+  } catch (error) {
+    logger.error('Error getting video chapters:', error)
+    return null
+  }
+}
+
+// Replace the chapters of a video, publishing them again is up to the owner
+async function saveVideoChapters(videoUuid, chapters, status) {
+  if (!isConnected) {
+    return await updateVideoChaptersFallback(videoUuid, { chapters, status, updatedAt: new Date().toISOString(), publishedAt: null })
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_video_chapters (video_uuid, chapters, status, updated_at, published_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP, NULL)
+      ON CONFLICT (video_uuid)
+      DO UPDATE SET chapters = $2, status = $3, updated_at = CURRENT_TIMESTAMP, published_at = NULL
+    `, [videoUuid, JSON.stringify(chapters), status])
+  } catch (error) {
+    logger.error('Error saving video chapters:', error)
+  }
+}
+
+async function markChaptersPublished(videoUuid) {
+  if (!isConnected) {
+    return await updateVideoChaptersFallback(videoUuid, { status: 'published', publishedAt: new Date().toISOString() })
+  }
+
+  try {
+    const result = await dbClient.query(`
+      UPDATE plugin_ai_video_chapters
+      SET status = 'published', published_at = CURRENT_TIMESTAMP
+      WHERE video_uuid = $1
+    `, [videoUuid])
+
+    return result.rowCount > 0
+  } catch (error) {
+    logger.error('Error marking chapters published:', error)
+    return false
+  }
+}
+
+// Suggested questions of a video: { videoUuid, questions: [string], status, updatedAt } or null
+async function getSuggestedQuestions(videoUuid) {
+  if (!isConnected) {
+    return (await storageManager.getData('suggested_questions') || {})[videoUuid] || null
+  }
+
+  try {
+    const result = await dbClient.query('SELECT * FROM plugin_ai_suggested_questions WHERE video_uuid = $1', [videoUuid])
+    const row = result.rows[0]
+    if (!row) return null
+
+    return {
+      videoUuid: row.video_uuid,
+      questions: row.questions,
+      status: row.status,
+      updatedAt: row.updated_at
+    }
+  } catch (error) {
+    logger.error('Error getting suggested questions:', error)
+    return null
+  }
+}
+
+async function saveSuggestedQuestions(videoUuid, questions, status) {
+  if (!isConnected) {
+    const data = await storageManager.getData('suggested_questions') || {}
+    data[videoUuid] = { videoUuid, questions, status, updatedAt: new Date().toISOString() }
+    await storageManager.storeData('suggested_questions', data)
+    return
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_suggested_questions (video_uuid, questions, status, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (video_uuid)
+      DO UPDATE SET questions = $2, status = $3, updated_at = CURRENT_TIMESTAMP
+    `, [videoUuid, JSON.stringify(questions), status])
+  } catch (error) {
+    logger.error('Error saving suggested questions:', error)
+  }
+}
+
+// Summary of a video: { videoUuid, shortSummary, detailedSummary, takeaways, model, updatedAt } or null
+async function getVideoSummary(videoUuid) {
+  if (!isConnected) {
+    return (await storageManager.getData('video_summaries') || {})[videoUuid] || null
+  }
+
+  try {
+    const result = await dbClient.query('SELECT * FROM plugin_ai_video_summaries WHERE video_uuid = $1', [videoUuid])
+    const row = result.rows[0]
+    if (!row) return null
+
+    return {
+      videoUuid: row.video_uuid,
+      shortSummary: row.short_summary,
+      detailedSummary: row.detailed_summary,
+      takeaways: row.takeaways,
+      model: row.model,
+      updatedAt: row.updated_at
+    }
+  } catch (error) {
+    logger.error('Error getting video summary:', error)
+    return null
+  }
+}
+
+// summary: { shortSummary, detailedSummary, takeaways, model }
+async function saveVideoSummary(videoUuid, summary) {
+  if (!isConnected) {
+    const data = await storageManager.getData('video_summaries') || {}
+    data[videoUuid] = { ...summary, videoUuid, updatedAt: new Date().toISOString() }
+    await storageManager.storeData('video_summaries', data)
+    return
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_video_summaries (video_uuid, short_summary, detailed_summary, takeaways, model, updated_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (video_uuid)
+      DO UPDATE SET short_summary = $2, detailed_summary = $3, takeaways = $4, model = $5, updated_at = CURRENT_TIMESTAMP
+    `, [videoUuid, summary.shortSummary, summary.detailedSummary, JSON.stringify(summary.takeaways), summary.model])
+  } catch (error) {
+    logger.error('Error saving video summary:', error)
+  }
+}
+
+// Quiz of a video: { id, videoUuid, questions, flashcards, model, createdAt } or null
+async function getQuiz(videoUuid) {
+  if (!isConnected) {
+    return (await storageManager.getData('quizzes') || {}).quizzes?.[videoUuid] || null
+  }
+
+  try {
+    const result = await dbClient.query('SELECT * FROM plugin_ai_quizzes WHERE video_uuid = $1', [videoUuid])
+    const row = result.rows[0]
+    if (!row) return null
+
+    return {
+      id: row.id,
+      videoUuid: row.video_uuid,
+      questions: row.questions,
+      flashcards: row.flashcards,
+      model: row.model,
+      createdAt: row.created_at
+    }
+  } catch (error) {
+    logger.error('Error getting quiz:', error)
+    return null
+  }
+}
+
+// Replace the quiz of a video, attempts at the previous one are kept but no longer aggregated.
+// quiz: { questions, flashcards, model }. Returns the saved quiz, or null on failure
+async function saveQuiz(videoUuid, quiz) {
   if (!isConnected) {
-    return await trackAPIUsageFallback(userId, endpoint, tokensUsed, cost)
+    return await saveQuizFallback(videoUuid, quiz)
   }
 
   try {
-    await dbClient.query(`
-      INSERT INTO plugin_ai_api_usage
-        (user_id, endpoint, tokens_used, cost)
+    await dbClient.query('DELETE FROM plugin_ai_quizzes WHERE video_uuid = $1', [videoUuid])
+    const result = await dbClient.query(`
+      INSERT INTO plugin_ai_quizzes (video_uuid, questions, flashcards, model)
       VALUES ($1, $2, $3, $4)
-    `, [userId, endpoint, tokensUsed, cost])
+      RETURNING id, created_at
+    `, [videoUuid, JSON.stringify(quiz.questions), JSON.stringify(quiz.flashcards), quiz.model || null])
+
+    return { ...quiz, id: result.rows[0].id, videoUuid, createdAt: result.rows[0].created_at }
   } catch (error) {
-    logger.error('Error tracking API usage:', error)
+    logger.error('Error saving quiz:', error)
+    return null
+  }
+}
+
+// attempt: { quizId, videoUuid, userId, answers, score, total }
+async function saveQuizAttempt(attempt) {
+  if (!isConnected) {
+    return await saveQuizAttemptFallback(attempt)
+  }
+
+  try {
+    await dbClient.query(`
+      INSERT INTO plugin_ai_quiz_attempts (quiz_id, video_uuid, user_id, answers, score, total)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [attempt.quizId, attempt.videoUuid, attempt.userId, JSON.stringify(attempt.answers), attempt.score, attempt.total])
+  } catch (error) {
+    logger.error('Error saving quiz attempt:', error)
+  }
+}
+
+// Attempts at a quiz, oldest first, optionally of one user only
+async function getQuizAttempts(quizId, userId = null) {
+  if (!isConnected) {
+    return ((await storageManager.getData('quiz_attempts') || {}).attempts || [])
+      .filter(attempt => attempt.quizId === quizId && (userId === null || attempt.userId === userId))
+  }
+
+  try {
+    const result = await dbClient.query(`
+      SELECT * FROM plugin_ai_quiz_attempts
+      WHERE quiz_id = $1 AND ($2::integer IS NULL OR user_id = $2)
+      ORDER BY created_at
+    `, [quizId, userId])
+
+    return result.rows.map(row => ({
+      id: row.id,
+      quizId: row.quiz_id,
+      videoUuid: row.video_uuid,
+      userId: row.user_id,
+      answers: row.answers,
+      score: row.score,
+      total: row.total,
+      createdAt: row.created_at
+    }))
+  } catch (error) {
+    logger.error('Error getting quiz attempts:', error)
+    return []
   }
 }
 
@@ -454,7 +2082,12 @@ async function getAllProcessedVideos() {
         pq.created_at,
         pq.processed_at,
         (SELECT COUNT(*) FROM plugin_ai_video_embeddings e WHERE e.video_uuid = pq.video_uuid) as embedding_count,
-        (SELECT COUNT(*) FROM plugin_ai_video_snapshots s WHERE s.video_uuid = pq.video_uuid) as snapshot_count
+        (SELECT COUNT(*) FROM plugin_ai_video_snapshots s WHERE s.video_uuid = pq.video_uuid) as snapshot_count,
+        (SELECT COUNT(*) FROM plugin_ai_injection_flags f WHERE f.video_uuid = pq.video_uuid) as injection_count,
+        (SELECT COALESCE(SUM(u.cost), 0) FROM plugin_ai_api_usage u
+          WHERE u.video_uuid = pq.video_uuid AND u.endpoint LIKE '${PROCESSING_ENDPOINT_PREFIX}%') as processing_cost,
+        (SELECT COALESCE(SUM(u.cost), 0) FROM plugin_ai_api_usage u
+          WHERE u.video_uuid = pq.video_uuid AND u.endpoint NOT LIKE '${PROCESSING_ENDPOINT_PREFIX}%') as chat_cost
       FROM plugin_ai_processing_queue pq
       ORDER BY pq.created_at DESC
     `)
@@ -468,7 +2101,10 @@ async function getAllProcessedVideos() {
       createdAt: row.created_at,
       processedAt: row.processed_at,
       embeddingCount: parseInt(row.embedding_count) || 0,
-      snapshotCount: parseInt(row.snapshot_count) || 0
+      snapshotCount: parseInt(row.snapshot_count) || 0,
+      injectionCount: parseInt(row.injection_count) || 0,
+      processingCost: parseFloat(row.processing_cost) || 0,
+      chatCost: parseFloat(row.chat_cost) || 0
     }))
   } catch (error) {
     logger.error('Error getting processed videos:', error)
@@ -476,10 +2112,10 @@ async function getAllProcessedVideos() {
   }
 }
 
-// Get processed videos for recommendations (excluding current video)
+// Get processed videos for recommendations (excluding current video), most recent first
 async function getProcessedVideosForRecommendation(excludeVideoUuid, limit = 10) {
   if (!isConnected) {
-    return []
+    return await getProcessedVideosForRecommendationFallback(excludeVideoUuid, limit)
   }
 
   try {
@@ -505,6 +2141,122 @@ async function getProcessedVideosForRecommendation(excludeVideoUuid, limit = 10)
   }
 }
 
+// Video centroid functions
+async function saveVideoCentroid(videoUuid, videoId, data) {
+  if (!isConnected) {
+    return await saveVideoCentroidFallback(videoUuid, videoId, data)
+  }
+
+  try {
+    const { videoName, channelId, tags, embedding, embeddingModel } = data
+
+    await dbClient.query(`
+      INSERT INTO plugin_ai_video_centroids
+        (video_uuid, video_id, video_name, channel_id, tags, embedding, embedding_model, embedding_dimensions, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      ON CONFLICT (video_uuid)
+      DO UPDATE SET
+        video_id = EXCLUDED.video_id,
+        video_name = COALESCE(EXCLUDED.video_name, plugin_ai_video_centroids.video_name),
+        channel_id = EXCLUDED.channel_id,
+        tags = EXCLUDED.tags,
+        embedding = EXCLUDED.embedding,
+        embedding_model = EXCLUDED.embedding_model,
+        embedding_dimensions = EXCLUDED.embedding_dimensions,
+        updated_at = NOW()
+    `, [videoUuid, videoId, videoName, channelId, tags || [], pgvector.toSql(embedding), embeddingModel, embedding.length])
+  } catch (error) {
+    logger.error('Error saving video centroid:', error)
+  }
+}
+
+// Rank other completed videos by similarity of their centroid to the current video
+// centroid and to the question, plus boosts for same channel and shared tags.
+// options.questionWeight: share of the question similarity in the score (0-1)
+// options.channelBoost: added to the score of videos from the same channel
+// options.tagBoost: added per shared tag (at most 3 tags count)
+async function findRelatedVideos(videoUuid, queryEmbedding, embeddingModel, limit = 10, options = {}) {
+  const { questionWeight = 0.5, channelBoost = 0, tagBoost = 0 } = options
+
+  const { current, candidates } = isConnected
+    ? await getRelatedVideoCandidates(videoUuid, queryEmbedding, embeddingModel, Math.max(limit * 5, 50))
+    : await getRelatedVideoCandidatesFallback(videoUuid, queryEmbedding, embeddingModel)
+
+  if (!current && !queryEmbedding) {
+    return []
+  }
+
+  // Without a centroid for the current video only the question can be compared
+  const effectiveQuestionWeight = current ? questionWeight : 1
+  const currentTags = new Set(current?.tags || [])
+
+  return candidates
+    .map(candidate => {
+      const sharedTags = (candidate.tags || []).filter(tag => currentTags.has(tag)).length
+      const sameChannel = current?.channelId && candidate.channelId === current.channelId
+
+      const score = (1 - effectiveQuestionWeight) * (candidate.videoSimilarity || 0) +
+        effectiveQuestionWeight * (candidate.questionSimilarity || 0) +
+        (sameChannel ? channelBoost : 0) +
+        Math.min(sharedTags, 3) * tagBoost
+
+      return { uuid: candidate.videoUuid, name: candidate.videoName, score }
+    })
+    .filter(video => video.name)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+async function getRelatedVideoCandidates(videoUuid, queryEmbedding, embeddingModel, candidateCount) {
+  try {
+    const currentResult = await dbClient.query(`
+      SELECT channel_id, tags, embedding
+      FROM plugin_ai_video_centroids
+      WHERE video_uuid = $1 AND embedding_model = $2
+    `, [videoUuid, embeddingModel])
+    const currentRow = currentResult.rows[0]
+
+    const current = currentRow
+      ? { channelId: currentRow.channel_id, tags: currentRow.tags || [], embedding: currentRow.embedding }
+      : null
+
+    // Use the question as stand-in for a missing centroid so both similarities are defined
+    const videoVector = current?.embedding || queryEmbedding
+    const questionVector = queryEmbedding || current?.embedding
+    if (!videoVector) {
+      return { current, candidates: [] }
+    }
+
+    const result = await dbClient.query(`
+      SELECT c.video_uuid, COALESCE(c.video_name, pq.video_name) AS video_name, c.channel_id, c.tags,
+             1 - (c.embedding <=> $2::vector) AS video_similarity,
+             1 - (c.embedding <=> $3::vector) AS question_similarity
+      FROM plugin_ai_video_centroids c
+      JOIN plugin_ai_processing_queue pq ON pq.video_uuid = c.video_uuid
+      WHERE pq.status = 'completed'
+        AND c.video_uuid != $1
+        AND c.embedding_model = $4
+      ORDER BY (c.embedding <=> $2::vector) + (c.embedding <=> $3::vector)
+      LIMIT $5
+    `, [videoUuid, pgvector.toSql(videoVector), pgvector.toSql(questionVector), embeddingModel, candidateCount])
+
+    return {
+      current,
+      candidates: result.rows.map(row => ({
+        videoUuid: row.video_uuid,
+        videoName: row.video_name,
+        channelId: row.channel_id,
+        tags: row.tags || [],
+        videoSimilarity: row.video_similarity,
+        questionSimilarity: row.question_similarity
+      }))
+    }
+  } catch (error) {
+    logger.error('Error getting related video candidates:', error)
+    return { current: null, candidates: [] }
+  }
+}
+
 // Cleanup functions
 async function cleanupVideoData(videoUuid) {
   logger.info(`Cleaning up data for video ${videoUuid}`)
@@ -515,7 +2267,16 @@ async function cleanupVideoData(videoUuid) {
 
   try {
     await dbClient.query('DELETE FROM plugin_ai_video_embeddings WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_chunk_translations WHERE video_uuid = $1', [videoUuid])
     await dbClient.query('DELETE FROM plugin_ai_video_snapshots WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_video_centroids WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_answer_cache WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_injection_flags WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_video_chapters WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_video_summaries WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_suggested_questions WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_quizzes WHERE video_uuid = $1', [videoUuid])
+    await dbClient.query('DELETE FROM plugin_ai_quiz_attempts WHERE video_uuid = $1', [videoUuid])
     await dbClient.query('DELETE FROM plugin_ai_processing_queue WHERE video_uuid = $1', [videoUuid])
     logger.info(`Cleanup completed for video ${videoUuid}`)
   } catch (error) {
@@ -524,17 +2285,19 @@ async function cleanupVideoData(videoUuid) {
 }
 
 // Fallback functions using storageManager
-async function saveVideoEmbeddingFallback(videoUuid, chunkIndex, data) {
+async function saveVideoEmbeddingFallback(videoUuid, videoId, chunkIndex, data) {
   const embeddings = await storageManager.getData('video_embeddings') || {}
   if (!embeddings[videoUuid]) {
     embeddings[videoUuid] = { chunks: [] }
   }
+  embeddings[videoUuid].videoId = videoId
 
-  const existingIndex = embeddings[videoUuid].chunks.findIndex(c => c.chunkIndex === chunkIndex)
+  const language = data.language || ''
+  const existingIndex = embeddings[videoUuid].chunks.findIndex(c => c.chunkIndex === chunkIndex && (c.language || '') === language)
   if (existingIndex >= 0) {
-    embeddings[videoUuid].chunks[existingIndex] = { chunkIndex, ...data }
+    embeddings[videoUuid].chunks[existingIndex] = { chunkIndex, ...data, language }
   } else {
-    embeddings[videoUuid].chunks.push({ chunkIndex, ...data })
+    embeddings[videoUuid].chunks.push({ chunkIndex, ...data, language })
   }
 
   await storageManager.storeData('video_embeddings', embeddings)
@@ -542,23 +2305,191 @@ async function saveVideoEmbeddingFallback(videoUuid, chunkIndex, data) {
 
 async function getVideoEmbeddingsFallback(videoUuid) {
   const embeddings = await storageManager.getData('video_embeddings') || {}
-  return embeddings[videoUuid]?.chunks || []
+  const chunks = embeddings[videoUuid]?.chunks || []
+
+  return chunks.map(chunk => ({
+    ...chunk,
+    language: chunk.language || '',
+    embeddingModel: chunk.embedding ? chunk.embeddingModel || LEGACY_EMBEDDING_MODEL : null
+  }))
 }
 
-async function findSimilarChunksFallback(videoUuid, queryEmbedding, limit = 5) {
-  const chunks = await getVideoEmbeddingsFallback(videoUuid)
+async function findSimilarChunksFallback(videoUuid, queryEmbedding, limit = 5, options = {}) {
+  const { embeddingModel = null, hybrid = false, queryText = '', vectorWeight = 1, lexicalWeight = 1, language = null } = options
+  const allChunks = videoUuid
+    ? (await getVideoEmbeddingsFallback(videoUuid)).map(chunk => ({ ...chunk, videoUuid }))
+    : await getLibraryEmbeddingsFallback()
+
+  // Other languages are only searched in videos without a transcript in the preferred one
+  const videosInLanguage = new Set(allChunks.filter(chunk => chunk.language === language).map(chunk => chunk.videoUuid))
+  const translations = await getTranslationsByChunkFallback()
+  const chunks = allChunks
+    .filter(chunk => language === null || chunk.language === language || !videosInLanguage.has(chunk.videoUuid))
+    .map(chunk => ({ ...chunk, translations: translations.get(chunkKey(chunk)) || [] }))
+
+  // A chunk is as close as its closest text, its own or a translation
+  const vectorRanked = chunks
+    .map(chunk => {
+      const embeddings = [chunk, ...chunk.translations]
+        .filter(item => item.embedding && (!embeddingModel || item.embeddingModel === embeddingModel))
+        .map(item => item.embedding)
+      return { ...chunk, embeddings }
+    })
+    .filter(chunk => chunk.embeddings.length > 0)
+    .map(({ embeddings, ...chunk }) => ({
+      ...chunk,
+      similarity: Math.max(...embeddings.map(embedding => cosineSimilarity(queryEmbedding, embedding)))
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
 
-  if (!chunks || chunks.length === 0) {
-    return []
+  if (!hybrid) {
+    return dropTranslatedDuplicates(vectorRanked, limit)
   }
 
-  const similarities = chunks.map(chunk => {
-    const similarity = cosineSimilarity(queryEmbedding, chunk.embedding)
-    return { ...chunk, similarity }
+  const candidateCount = Math.max(limit * 4, 20)
+  const fused = fuseRankings(vectorRanked, rankChunksLexically(chunks, queryText), {
+    vectorWeight, lexicalWeight, candidateCount
   })
 
-  similarities.sort((a, b) => b.similarity - a.similarity)
-  return similarities.slice(0, limit)
+  return dropTranslatedDuplicates(fused, limit)
+}
+
+// Chunk translations grouped by original chunk, keyed by `videoUuid:language:chunkIndex`
+async function getTranslationsByChunkFallback() {
+  const data = await storageManager.getData('chunk_translations') || {}
+  const byChunk = new Map()
+
+  for (const [videoUuid, video] of Object.entries(data)) {
+    for (const translation of video.translations || []) {
+      const key = chunkKey({ videoUuid, ...translation })
+      byChunk.set(key, [...(byChunk.get(key) || []), translation])
+    }
+  }
+
+  return byChunk
+}
+
+// Chunks of every completed video, tagged with their video UUID
+async function getLibraryEmbeddingsFallback() {
+  const queueData = await storageManager.getData('processing_queue') || {}
+  const completedUuids = (queueData.queue || [])
+    .filter(item => item.status === 'completed')
+    .map(item => item.videoUuid)
+
+  const chunks = []
+  for (const videoUuid of completedUuids) {
+    const videoChunks = await getVideoEmbeddingsFallback(videoUuid)
+    chunks.push(...videoChunks.map(chunk => ({ ...chunk, videoUuid })))
+  }
+
+  return chunks
+}
+
+// Rank chunks containing at least one query term by TF-IDF over the video's chunks.
+// The text of a chunk includes its translations, when given.
+function rankChunksLexically(chunks, queryText) {
+  const queryTerms = [...new Set(tokenize(queryText))]
+  if (queryTerms.length === 0) return []
+
+  const chunkTerms = chunks.map(chunk => tokenize([chunk.content || '', ...(chunk.translations || []).map(t => t.content)].join('\n')))
+
+  const idf = {}
+  for (const term of queryTerms) {
+    const documentFrequency = chunkTerms.filter(terms => terms.includes(term)).length
+    idf[term] = Math.log(1 + chunks.length / (1 + documentFrequency))
+  }
+
+  return chunks
+    .map((chunk, index) => {
+      const terms = chunkTerms[index]
+      let score = 0
+      for (const term of queryTerms) {
+        const termFrequency = terms.filter(t => t === term).length
+        if (termFrequency > 0) {
+          score += (termFrequency / terms.length) * idf[term]
+        }
+      }
+      return { ...chunk, lexicalScore: score }
+    })
+    .filter(chunk => chunk.lexicalScore > 0)
+    .sort((a, b) => b.lexicalScore - a.lexicalScore)
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}_.-]*[\p{L}\p{N}]|[\p{L}\p{N}]/gu) || []
+}
+
+async function getVideosWithStaleEmbeddingsFallback(embeddingModel) {
+  const embeddings = await storageManager.getData('video_embeddings') || {}
+  const translations = await storageManager.getData('chunk_translations') || {}
+  const snapshots = await storageManager.getData('video_snapshots') || {}
+  const videos = {}
+
+  for (const [videoUuid, data] of Object.entries(embeddings)) {
+    const staleCount = (data.chunks || [])
+      .filter(c => c.content && (!c.embedding || (c.embeddingModel || LEGACY_EMBEDDING_MODEL) !== embeddingModel)).length
+    videos[videoUuid] = { videoUuid, videoId: data.videoId || null, staleCount }
+  }
+
+  for (const [videoUuid, data] of Object.entries(translations)) {
+    const staleCount = (data.translations || [])
+      .filter(t => !t.embedding || t.embeddingModel !== embeddingModel).length
+    if (!videos[videoUuid]) {
+      videos[videoUuid] = { videoUuid, videoId: data.videoId || null, staleCount: 0 }
+    }
+    videos[videoUuid].staleCount += staleCount
+  }
+
+  for (const [videoUuid, data] of Object.entries(snapshots)) {
+    const staleCount = (data.snapshots || [])
+      .filter(s => s.description && (!s.embedding || s.embeddingModel !== embeddingModel)).length
+    if (!videos[videoUuid]) {
+      videos[videoUuid] = { videoUuid, videoId: null, staleCount: 0 }
+    }
+    videos[videoUuid].staleCount += staleCount
+  }
+
+  return Object.values(videos).filter(video => video.staleCount > 0)
+}
+
+async function saveChunkTranslationFallback(videoUuid, videoId, data) {
+  const translations = await storageManager.getData('chunk_translations') || {}
+  if (!translations[videoUuid]) {
+    translations[videoUuid] = { translations: [] }
+  }
+  translations[videoUuid].videoId = videoId
+
+  const { language, chunkIndex, targetLanguage, content, embedding = null, embeddingModel = null } = data
+  const translation = { language, chunkIndex, targetLanguage, content, embedding, embeddingModel: embedding ? embeddingModel : null }
+  const existingIndex = translations[videoUuid].translations.findIndex(t =>
+    t.language === language && t.chunkIndex === chunkIndex && t.targetLanguage === targetLanguage
+  )
+  if (existingIndex >= 0) {
+    translations[videoUuid].translations[existingIndex] = translation
+  } else {
+    translations[videoUuid].translations.push(translation)
+  }
+
+  await storageManager.storeData('chunk_translations', translations)
+}
+
+async function getChunkTranslationsFallback(videoUuid) {
+  const translations = await storageManager.getData('chunk_translations') || {}
+  const videoId = translations[videoUuid]?.videoId || null
+
+  return (translations[videoUuid]?.translations || []).map(translation => ({ videoId, ...translation }))
+}
+
+async function deleteChunkTranslationsFallback(videoUuid, language = null) {
+  const translations = await storageManager.getData('chunk_translations') || {}
+  if (!translations[videoUuid]) return
+
+  if (language === null) {
+    delete translations[videoUuid]
+  } else {
+    translations[videoUuid].translations = translations[videoUuid].translations.filter(t => t.language !== language)
+  }
+  await storageManager.storeData('chunk_translations', translations)
 }
 
 async function saveVideoSnapshotFallback(videoUuid, timestamp, filePath, description) {
@@ -571,44 +2502,136 @@ async function saveVideoSnapshotFallback(videoUuid, timestamp, filePath, descrip
   if (!existing) {
     snapshots[videoUuid].snapshots.push({ timestamp, filePath, description })
     snapshots[videoUuid].snapshots.sort((a, b) => a.timestamp - b.timestamp)
+  } else {
+    // A new description invalidates the embedding of the previous one
+    if (existing.description !== description) {
+      delete existing.embedding
+      delete existing.embeddingModel
+    }
+    existing.filePath = filePath
+    existing.description = description
+  }
+
+  await storageManager.storeData('video_snapshots', snapshots)
+}
+
+async function saveSnapshotEmbeddingFallback(videoUuid, timestamp, embedding, embeddingModel) {
+  const snapshots = await storageManager.getData('video_snapshots') || {}
+  const existing = snapshots[videoUuid]?.snapshots.find(s => s.timestamp === timestamp)
+
+  if (existing) {
+    existing.embedding = embedding
+    existing.embeddingModel = embeddingModel
     await storageManager.storeData('video_snapshots', snapshots)
   }
 }
 
+async function findSimilarSnapshotsFallback(videoUuid, queryEmbedding, limit = 5, embeddingModel = null) {
+  const snapshots = await getVideoSnapshotsFallback(videoUuid)
+
+  return snapshots
+    .filter(s => s.embedding && (!embeddingModel || s.embeddingModel === embeddingModel))
+    .map(s => ({ ...s, similarity: cosineSimilarity(queryEmbedding, s.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+}
+
 async function getVideoSnapshotsFallback(videoUuid) {
   const snapshots = await storageManager.getData('video_snapshots') || {}
   return snapshots[videoUuid]?.snapshots || []
 }
 
-async function saveChatMessageFallback(videoUuid, userId, message, response) {
-  const sessions = await storageManager.getData('chat_sessions') || {}
-  if (!sessions[videoUuid]) {
-    sessions[videoUuid] = { sessions: [] }
+async function createConversationFallback(videoId, videoUuid, userId, title) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversations = data.conversations || []
+  const now = new Date().toISOString()
+
+  const conversation = {
+    id: data.nextId || 1,
+    videoId, videoUuid, userId, title,
+    createdAt: now,
+    updatedAt: now,
+    messages: []
   }
 
-  sessions[videoUuid].sessions.push({
-    userId, message, response,
-    createdAt: new Date().toISOString()
-  })
+  conversations.push(conversation)
+  await storageManager.storeData('chat_conversations', { nextId: conversation.id + 1, conversations })
 
-  if (sessions[videoUuid].sessions.length > 100) {
-    sessions[videoUuid].sessions = sessions[videoUuid].sessions.slice(-100)
-  }
+  return withoutMessages(conversation)
+}
 
-  await storageManager.storeData('chat_sessions', sessions)
+async function getConversationFallback(conversationId) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversation = (data.conversations || []).find(c => c.id === Number(conversationId))
+  return conversation ? { ...withoutMessages(conversation), historySummary: conversation.historySummary || null } : null
 }
 
-async function getChatHistoryFallback(videoId, userId = null) {
-  const sessions = await storageManager.getData('chat_sessions') || {}
-  const videoSessions = sessions[videoId]?.sessions || []
+async function listConversationsFallback(videoId, userId) {
+  const data = await storageManager.getData('chat_conversations') || {}
 
-  if (userId) {
-    return videoSessions.filter(s => s.userId === userId)
+  return (data.conversations || [])
+    .filter(c => String(c.videoId) === String(videoId) && c.userId === userId)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map(c => ({ ...withoutMessages(c), messageCount: c.messages.length }))
+}
+
+async function renameConversationFallback(conversationId, title) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversation = (data.conversations || []).find(c => c.id === Number(conversationId))
+  if (!conversation) return null
+
+  conversation.title = title
+  conversation.updatedAt = new Date().toISOString()
+  await storageManager.storeData('chat_conversations', data)
+
+  return withoutMessages(conversation)
+}
+
+async function saveHistorySummaryFallback(conversationId, text, until) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversation = (data.conversations || []).find(c => c.id === Number(conversationId))
+  if (!conversation) return
+
+  conversation.historySummary = { text, until: new Date(until).toISOString() }
+  await storageManager.storeData('chat_conversations', data)
+}
+
+async function deleteConversationFallback(conversationId) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  if (!data.conversations) return
+
+  data.conversations = data.conversations.filter(c => c.id !== Number(conversationId))
+  await storageManager.storeData('chat_conversations', data)
+}
+
+function withoutMessages({ messages, historySummary, ...conversation }) {
+  return conversation
+}
+
+async function saveChatMessageFallback(conversationId, message, response, sources = null) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversation = (data.conversations || []).find(c => c.id === Number(conversationId))
+  if (!conversation) return
+
+  const now = new Date().toISOString()
+  conversation.messages.push({ message, response, sources, createdAt: now })
+  conversation.updatedAt = now
+
+  if (conversation.messages.length > 100) {
+    conversation.messages = conversation.messages.slice(-100)
   }
-  return videoSessions
+
+  await storageManager.storeData('chat_conversations', data)
 }
 
-async function addToProcessingQueueFallback(videoUuid, videoId) {
+async function getChatHistoryFallback(conversationId) {
+  const data = await storageManager.getData('chat_conversations') || {}
+  const conversation = (data.conversations || []).find(c => c.id === Number(conversationId))
+
+  return (conversation?.messages || []).slice(-50).reverse()
+}
+
+async function addToProcessingQueueFallback(videoUuid, videoId, videoName = null) {
   const queueData = await storageManager.getData('processing_queue') || {}
   if (!queueData.queue) {
     queueData.queue = []
@@ -617,11 +2640,14 @@ async function addToProcessingQueueFallback(videoUuid, videoId) {
   const existing = queueData.queue.find(item => item.videoUuid === videoUuid)
   if (!existing) {
     queueData.queue.push({
-      videoUuid, videoId,
+      videoUuid, videoId, videoName,
       status: 'pending',
       createdAt: new Date().toISOString()
     })
     await storageManager.storeData('processing_queue', queueData)
+  } else if (videoName && existing.videoName !== videoName) {
+    existing.videoName = videoName
+    await storageManager.storeData('processing_queue', queueData)
   }
 }
 
@@ -655,7 +2681,7 @@ async function getProcessingStatusFallback(videoUuid) {
   return { processed: false, processing: false }
 }
 
-async function trackAPIUsageFallback(userId, endpoint, tokensUsed, cost) {
+async function trackAPIUsageFallback(userId, endpoint, tokensUsed, cost, details = {}) {
   const usageData = await storageManager.getData('api_usage') || {}
   if (!usageData.usage) {
     usageData.usage = []
@@ -663,6 +2689,11 @@ async function trackAPIUsageFallback(userId, endpoint, tokensUsed, cost) {
 
   usageData.usage.push({
     userId, endpoint, tokensUsed, cost,
+    videoUuid: details.videoUuid || null,
+    ipAddress: details.ipAddress || null,
+    model: details.model || null,
+    promptTokens: details.promptTokens || 0,
+    completionTokens: details.completionTokens || 0,
     createdAt: new Date().toISOString()
   })
 
@@ -673,6 +2704,210 @@ async function trackAPIUsageFallback(userId, endpoint, tokensUsed, cost) {
   await storageManager.storeData('api_usage', usageData)
 }
 
+async function findCachedAnswerFallback(videoUuid, questionEmbedding, embeddingModel, options = {}) {
+  const { minSimilarity = 0.95, ttlHours = 24, playheadTime = null, playheadTolerance = 60, language = null } = options
+  const cache = await storageManager.getData('answer_cache') || {}
+  const oldest = Date.now() - ttlHours * 3600 * 1000
+
+  const best = (cache[videoUuid] || [])
+    .filter(entry => entry.embeddingModel === embeddingModel && new Date(entry.createdAt).getTime() > oldest)
+    .filter(entry => (entry.language || '') === (language || ''))
+    .filter(entry => playheadTime === null
+      ? entry.playheadTime === null
+      : entry.playheadTime !== null && Math.abs(entry.playheadTime - playheadTime) <= playheadTolerance)
+    .map(entry => ({ entry, similarity: cosineSimilarity(questionEmbedding, entry.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)[0]
+
+  if (!best || best.similarity < minSimilarity) {
+    return null
+  }
+
+  best.entry.hitCount = (best.entry.hitCount || 0) + 1
+  await storageManager.storeData('answer_cache', cache)
+
+  return best.entry.answer
+}
+
+async function saveCachedAnswerFallback(videoUuid, question, questionEmbedding, embeddingModel, playheadTime, answer, ttlHours, language) {
+  const cache = await storageManager.getData('answer_cache') || {}
+  const oldest = Date.now() - ttlHours * 3600 * 1000
+  const entries = (cache[videoUuid] || []).filter(entry => new Date(entry.createdAt).getTime() > oldest)
+
+  entries.push({
+    question, playheadTime, answer, embeddingModel,
+    language: language || '',
+    embedding: questionEmbedding,
+    hitCount: 0,
+    createdAt: new Date().toISOString()
+  })
+
+  cache[videoUuid] = entries.slice(-100)
+  await storageManager.storeData('answer_cache', cache)
+}
+
+async function clearAnswerCacheFallback(videoUuid) {
+  const cache = await storageManager.getData('answer_cache') || {}
+  if (cache[videoUuid]) {
+    delete cache[videoUuid]
+    await storageManager.storeData('answer_cache', cache)
+  }
+}
+
+async function getTokenUsageSinceFallback(since, { userId, ipAddress, videoUuid }) {
+  const usageData = await storageManager.getData('api_usage') || {}
+
+  return (usageData.usage || [])
+    .filter(entry => new Date(entry.createdAt) >= since && !(entry.endpoint || '').startsWith(PROCESSING_ENDPOINT_PREFIX))
+    .filter(entry => {
+      if (userId) return entry.userId === userId
+      if (ipAddress) return !entry.userId && entry.ipAddress === ipAddress
+      return entry.videoUuid === videoUuid
+    })
+    .reduce((sum, entry) => sum + (entry.tokensUsed || 0), 0)
+}
+
+async function getUsageEntriesFallback(predicate) {
+  const usageData = await storageManager.getData('api_usage') || {}
+  return (usageData.usage || []).filter(predicate)
+}
+
+function summarizeUsageFallback(entries) {
+  const groups = new Map()
+
+  for (const entry of entries) {
+    const key = `${entry.endpoint}|${entry.model}`
+    const group = groups.get(key) || {
+      endpoint: entry.endpoint, model: entry.model || null,
+      calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0
+    }
+
+    group.calls++
+    group.promptTokens += entry.promptTokens || 0
+    group.completionTokens += entry.completionTokens || 0
+    group.totalTokens += entry.tokensUsed || 0
+    group.cost += entry.cost || 0
+    groups.set(key, group)
+  }
+
+  return [...groups.values()].sort((a, b) => b.cost - a.cost)
+}
+
+function summarizeUsersFallback(entries) {
+  const users = new Map()
+
+  for (const entry of entries.filter(e => e.userId)) {
+    const user = users.get(entry.userId) || { userId: entry.userId, calls: 0, totalTokens: 0, cost: 0 }
+    user.calls++
+    user.totalTokens += entry.tokensUsed || 0
+    user.cost += entry.cost || 0
+    users.set(entry.userId, user)
+  }
+
+  return [...users.values()].sort((a, b) => b.cost - a.cost).slice(0, 20)
+}
+
+async function saveFlaggedMessageFallback(flag) {
+  const data = await storageManager.getData('flagged_messages') || {}
+  const messages = data.messages || []
+  const id = data.nextId || 1
+
+  messages.push({
+    id,
+    videoUuid: flag.videoUuid || null,
+    userId: flag.userId || null,
+    ipAddress: flag.ipAddress || null,
+    direction: flag.direction,
+    message: flag.message,
+    response: flag.response || null,
+    source: flag.source,
+    reasons: flag.reasons || [],
+    action: flag.action,
+    reviewed: false,
+    createdAt: new Date().toISOString()
+  })
+
+  await storageManager.storeData('flagged_messages', { nextId: id + 1, messages })
+}
+
+async function getFlaggedMessagesFallback({ reviewed, limit }) {
+  const data = await storageManager.getData('flagged_messages') || {}
+
+  return (data.messages || [])
+    .filter(message => reviewed === null || message.reviewed === reviewed)
+    .reverse()
+    .slice(0, limit)
+}
+
+async function markFlaggedMessageReviewedFallback(id) {
+  const data = await storageManager.getData('flagged_messages') || {}
+  const message = (data.messages || []).find(m => m.id === Number(id))
+  if (!message) return false
+
+  message.reviewed = true
+  await storageManager.storeData('flagged_messages', data)
+  return true
+}
+
+async function saveInjectionFlagsFallback(videoUuid, flags) {
+  const data = await storageManager.getData('injection_flags') || {}
+  const createdAt = new Date().toISOString()
+
+  if (flags.length > 0) {
+    data[videoUuid] = flags.map(flag => ({ ...flag, videoUuid, createdAt }))
+  } else if (data[videoUuid]) {
+    delete data[videoUuid]
+  } else {
+    return
+  }
+
+  await storageManager.storeData('injection_flags', data)
+}
+
+async function getInjectionFlagsFallback(limit) {
+  const data = await storageManager.getData('injection_flags') || {}
+
+  return Object.values(data)
+    .flat()
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+}
+
+// Merge changes into the stored chapters of a video, creating them when `chapters` is given.
+// Returns whether chapters were stored.
+async function updateVideoChaptersFallback(videoUuid, changes) {
+  const data = await storageManager.getData('video_chapters') || {}
+  if (!data[videoUuid] && !changes.chapters) {
+    return false
+  }
+
+  data[videoUuid] = { ...data[videoUuid], videoUuid, ...changes }
+  await storageManager.storeData('video_chapters', data)
+  return true
+}
+
+async function saveQuizFallback(videoUuid, quiz) {
+  const data = await storageManager.getData('quizzes') || {}
+  const id = data.nextId || 1
+  const saved = { ...quiz, id, videoUuid, createdAt: new Date().toISOString() }
+
+  await storageManager.storeData('quizzes', {
+    nextId: id + 1,
+    quizzes: { ...data.quizzes, [videoUuid]: saved }
+  })
+
+  return saved
+}
+
+async function saveQuizAttemptFallback(attempt) {
+  const data = await storageManager.getData('quiz_attempts') || {}
+  const attempts = data.attempts || []
+  const id = data.nextId || 1
+
+  attempts.push({ ...attempt, id, createdAt: new Date().toISOString() })
+
+  await storageManager.storeData('quiz_attempts', { nextId: id + 1, attempts })
+}
+
 async function cleanupVideoDataFallback(videoUuid) {
   const embeddings = await storageManager.getData('video_embeddings') || {}
   if (embeddings[videoUuid]) {
@@ -680,6 +2915,8 @@ async function cleanupVideoDataFallback(videoUuid) {
     await storageManager.storeData('video_embeddings', embeddings)
   }
 
+  await deleteChunkTranslationsFallback(videoUuid)
+
   const snapshots = await storageManager.getData('video_snapshots') || {}
   if (snapshots[videoUuid]) {
     delete snapshots[videoUuid]
@@ -692,6 +2929,51 @@ async function cleanupVideoDataFallback(videoUuid) {
     await storageManager.storeData('chat_sessions', sessions)
   }
 
+  const conversationData = await storageManager.getData('chat_conversations') || {}
+  if (conversationData.conversations?.some(c => c.videoUuid === videoUuid)) {
+    conversationData.conversations = conversationData.conversations.filter(c => c.videoUuid !== videoUuid)
+    await storageManager.storeData('chat_conversations', conversationData)
+  }
+
+  const centroids = await storageManager.getData('video_centroids') || {}
+  if (centroids[videoUuid]) {
+    delete centroids[videoUuid]
+    await storageManager.storeData('video_centroids', centroids)
+  }
+
+  await clearAnswerCacheFallback(videoUuid)
+  await saveInjectionFlagsFallback(videoUuid, [])
+
+  const chapters = await storageManager.getData('video_chapters') || {}
+  if (chapters[videoUuid]) {
+    delete chapters[videoUuid]
+    await storageManager.storeData('video_chapters', chapters)
+  }
+
+  const summaries = await storageManager.getData('video_summaries') || {}
+  if (summaries[videoUuid]) {
+    delete summaries[videoUuid]
+    await storageManager.storeData('video_summaries', summaries)
+  }
+
+  const suggestedQuestions = await storageManager.getData('suggested_questions') || {}
+  if (suggestedQuestions[videoUuid]) {
+    delete suggestedQuestions[videoUuid]
+    await storageManager.storeData('suggested_questions', suggestedQuestions)
+  }
+
+  const quizData = await storageManager.getData('quizzes') || {}
+  if (quizData.quizzes?.[videoUuid]) {
+    delete quizData.quizzes[videoUuid]
+    await storageManager.storeData('quizzes', quizData)
+  }
+
+  const attemptData = await storageManager.getData('quiz_attempts') || {}
+  if (attemptData.attempts?.some(attempt => attempt.videoUuid === videoUuid)) {
+    attemptData.attempts = attemptData.attempts.filter(attempt => attempt.videoUuid !== videoUuid)
+    await storageManager.storeData('quiz_attempts', attemptData)
+  }
+
   const queueData = await storageManager.getData('processing_queue') || {}
   if (queueData.queue) {
     queueData.queue = queueData.queue.filter(item => item.videoUuid !== videoUuid)
@@ -699,6 +2981,52 @@ async function cleanupVideoDataFallback(videoUuid) {
   }
 }
 
+async function getProcessedVideosForRecommendationFallback(excludeVideoUuid, limit = 10) {
+  const queueData = await storageManager.getData('processing_queue') || {}
+
+  return (queueData.queue || [])
+    .filter(item => item.status === 'completed' && item.videoUuid !== excludeVideoUuid && item.videoName)
+    .sort((a, b) => new Date(b.processedAt || 0) - new Date(a.processedAt || 0))
+    .slice(0, limit)
+    .map(item => ({ uuid: item.videoUuid, name: item.videoName }))
+}
+
+async function saveVideoCentroidFallback(videoUuid, videoId, data) {
+  const centroids = await storageManager.getData('video_centroids') || {}
+  centroids[videoUuid] = {
+    ...centroids[videoUuid],
+    videoId,
+    ...data,
+    videoName: data.videoName || centroids[videoUuid]?.videoName || null,
+    updatedAt: new Date().toISOString()
+  }
+  await storageManager.storeData('video_centroids', centroids)
+}
+
+async function getRelatedVideoCandidatesFallback(videoUuid, queryEmbedding, embeddingModel) {
+  const centroids = await storageManager.getData('video_centroids') || {}
+  const queueData = await storageManager.getData('processing_queue') || {}
+  const completed = new Map((queueData.queue || [])
+    .filter(item => item.status === 'completed')
+    .map(item => [item.videoUuid, item]))
+
+  const currentEntry = centroids[videoUuid]
+  const current = currentEntry && currentEntry.embeddingModel === embeddingModel ? currentEntry : null
+
+  const candidates = Object.entries(centroids)
+    .filter(([uuid, centroid]) => uuid !== videoUuid && completed.has(uuid) && centroid.embeddingModel === embeddingModel)
+    .map(([uuid, centroid]) => ({
+      videoUuid: uuid,
+      videoName: centroid.videoName || completed.get(uuid).videoName,
+      channelId: centroid.channelId,
+      tags: centroid.tags || [],
+      videoSimilarity: cosineSimilarity(current?.embedding || queryEmbedding, centroid.embedding),
+      questionSimilarity: cosineSimilarity(queryEmbedding || current?.embedding, centroid.embedding)
+    }))
+
+  return { current, candidates }
+}
+
 // Helper function for cosine similarity
 function cosineSimilarity(vecA, vecB) {
   if (!vecA || !vecB || vecA.length !== vecB.length) {
@@ -736,17 +3064,60 @@ module.exports = {
   disconnect,
   saveVideoEmbedding,
   getVideoEmbeddings,
+  getTranscriptWindow,
+  getTranscriptLanguages,
+  deleteTranscriptLanguage,
+  saveChunkTranslation,
+  getChunkTranslations,
   findSimilarChunks,
+  ensureEmbeddingSchema,
+  ensureTextSearchSchema,
+  getVideosWithStaleEmbeddings,
   saveVideoSnapshot,
   getVideoSnapshots,
+  saveSnapshotEmbedding,
+  getSnapshotsNeedingEmbedding,
+  getSnapshotEmbeddings,
+  findSimilarSnapshots,
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  saveHistorySummary,
+  deleteConversation,
   saveChatMessage,
   getChatHistory,
   addToProcessingQueue,
   updateProcessingStatus,
   getProcessingStatus,
+  findCachedAnswer,
+  saveCachedAnswer,
+  clearAnswerCache,
   trackAPIUsage,
+  getTokenUsageSince,
+  getCostSince,
+  saveFlaggedMessage,
+  getFlaggedMessages,
+  markFlaggedMessageReviewed,
+  saveInjectionFlags,
+  getInjectionFlags,
+  getVideoChapters,
+  saveVideoChapters,
+  markChaptersPublished,
+  getVideoSummary,
+  saveVideoSummary,
+  getSuggestedQuestions,
+  saveSuggestedQuestions,
+  getQuiz,
+  saveQuiz,
+  saveQuizAttempt,
+  getQuizAttempts,
+  getVideoUsage,
+  getUsageSummary,
   cleanupVideoData,
   getAllProcessedVideos,
   getProcessedVideosForRecommendation,
+  saveVideoCentroid,
+  findRelatedVideos,
   isConnected: () => isConnected
 }
\ No newline at end of file
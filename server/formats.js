@@ -0,0 +1,29 @@
+// Formats shared by the chat and the video processing: timestamps as shown to the model
+// and the user, language tags
+
+// BCP 47 language tags as sent by browsers and set by admins (e.g. 'fr', 'pt-BR')
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8}){0,2}$/i
+
+// Seconds as m:ss, or h:mm:ss past an hour. The model cites timestamps in this format.
+function formatTime(seconds) {
+  const value = Math.max(0, Math.floor(seconds || 0))
+  const hours = Math.floor(value / 3600)
+  const minutes = Math.floor((value % 3600) / 60)
+  const secs = value % 60
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`
+}
+
+// A language tag, null when missing or malformed (it ends up in the system prompt)
+function normalizeLanguage(language) {
+  return typeof language === 'string' && LANGUAGE_TAG_PATTERN.test(language) ? language : null
+}
+
+module.exports = {
+  LANGUAGE_TAG_PATTERN,
+  formatTime,
+  normalizeLanguage
+}
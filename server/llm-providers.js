@@ -0,0 +1,205 @@
+const { OpenAI, AzureOpenAI } = require('openai')
+
+// Capabilities of OpenAI-hosted models, first matching prefix wins
+// tokenParam: name of the max token parameter accepted by the chat completions API
+// temperature: whether a custom temperature is accepted
+// reasoning: model spends hidden "reasoning tokens" that count against the token limit
+// vision: model accepts image inputs
+// tools: model supports function (tool) calling
+// streamUsage: streamed answers end with a usage chunk when asked with stream_options.include_usage
+// contextWindow: total tokens (prompt and response) the model accepts
+const OPENAI_MODEL_CAPABILITIES = [
+  { prefixes: ['gpt-5'], capabilities: { tokenParam: 'max_completion_tokens', temperature: false, reasoning: true, vision: true, tools: true, streamUsage: true, contextWindow: 400000 } },
+  { prefixes: ['o1', 'o3', 'o4'], capabilities: { tokenParam: 'max_completion_tokens', temperature: false, reasoning: true, vision: true, tools: true, streamUsage: true, contextWindow: 200000 } },
+  { prefixes: ['gpt-4.1'], capabilities: { tokenParam: 'max_completion_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 1047576 } },
+  { prefixes: ['gpt-4o'], capabilities: { tokenParam: 'max_completion_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 128000 } },
+  { prefixes: ['gpt-4-turbo'], capabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 128000 } },
+  { prefixes: ['gpt-4'], capabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 8192 } },
+  { prefixes: ['gpt-3.5'], capabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 16385 } }
+]
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    // The free moderation endpoint only exists on the OpenAI API
+    moderation: true,
+    // Cheaper chat model used past the soft budget limit when the admin chose none. Other
+    // providers have no known model names, they need the fallback model to be set
+    budgetFallbackModel: 'gpt-4.1-nano',
+    modelCapabilities: OPENAI_MODEL_CAPABILITIES,
+    defaultCapabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 8192 }
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    requiresApiKey: true,
+    requiresBaseUrl: true,
+    moderation: false,
+    modelCapabilities: OPENAI_MODEL_CAPABILITIES,
+    defaultCapabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: true, streamUsage: true, contextWindow: 8192 }
+  },
+  // Ollama, llama.cpp, vLLM, LocalAI... only the classic parameters are safe to assume
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    requiresApiKey: false,
+    requiresBaseUrl: true,
+    moderation: false,
+    modelCapabilities: [],
+    defaultCapabilities: { tokenParam: 'max_tokens', temperature: true, reasoning: false, vision: true, tools: false, streamUsage: false, contextWindow: 8192 }
+  }
+}
+
+const DEFAULT_PROVIDER = 'openai'
+const DEFAULT_AZURE_API_VERSION = '2024-10-21'
+
+function getProvider(providerName) {
+  return PROVIDERS[providerName] || PROVIDERS[DEFAULT_PROVIDER]
+}
+
+// Read the provider configuration from plugin settings
+async function loadProviderConfig(settingsManager) {
+  const provider = await settingsManager.getSetting('llm-provider') || DEFAULT_PROVIDER
+
+  return {
+    provider: PROVIDERS[provider] ? provider : DEFAULT_PROVIDER,
+    apiKey: await settingsManager.getSetting('openai-api-key') || '',
+    baseUrl: (await settingsManager.getSetting('llm-base-url') || '').trim(),
+    apiVersion: (await settingsManager.getSetting('llm-api-version') || '').trim() || DEFAULT_AZURE_API_VERSION,
+    headers: parseHeaders(await settingsManager.getSetting('llm-custom-headers')),
+    overrides: {
+      vision: await settingsManager.getSetting('llm-capability-vision') || 'auto',
+      temperature: await settingsManager.getSetting('llm-capability-temperature') || 'auto',
+      tools: await settingsManager.getSetting('llm-capability-tools') || 'auto',
+      streamUsage: await settingsManager.getSetting('llm-capability-stream-usage') || 'auto',
+      tokenParam: await settingsManager.getSetting('llm-token-parameter') || 'auto',
+      contextWindow: parseInt(await settingsManager.getSetting('llm-context-window')) || 0
+    }
+  }
+}
+
+// Parse "Header-Name: value" lines into an object, ignoring blank and malformed lines
+function parseHeaders(text) {
+  const headers = {}
+  if (!text) return headers
+
+  for (const line of text.split('\n')) {
+    const separatorIndex = line.indexOf(':')
+    if (separatorIndex <= 0) continue
+
+    const name = line.slice(0, separatorIndex).trim()
+    const value = line.slice(separatorIndex + 1).trim()
+    if (name) {
+      headers[name] = value
+    }
+  }
+
+  return headers
+}
+
+// Returns a configuration problem as a string, or null if the client can be created
+function validateProviderConfig(config) {
+  const provider = getProvider(config.provider)
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    return `${provider.label} API key not configured`
+  }
+  if (provider.requiresBaseUrl && !config.baseUrl) {
+    return `${provider.label} base URL not configured`
+  }
+
+  return null
+}
+
+function createClient(config) {
+  const options = {
+    // Most self-hosted servers ignore the key, but the SDK refuses to start without one
+    apiKey: config.apiKey || 'not-needed',
+    defaultHeaders: config.headers
+  }
+
+  if (config.provider === 'azure') {
+    return new AzureOpenAI({
+      ...options,
+      endpoint: config.baseUrl,
+      apiVersion: config.apiVersion
+    })
+  }
+
+  if (config.baseUrl) {
+    options.baseURL = config.baseUrl
+  }
+
+  return new OpenAI(options)
+}
+
+// Resolve capabilities for a model: provider model table, then provider defaults,
+// then admin overrides from settings ("auto" keeps the resolved value)
+function getCapabilities(config, model) {
+  const provider = getProvider(config.provider)
+  const match = provider.modelCapabilities.find(entry =>
+    entry.prefixes.some(prefix => (model || '').startsWith(prefix))
+  )
+
+  const capabilities = { ...provider.defaultCapabilities, ...match?.capabilities }
+  const overrides = config.overrides || {}
+
+  if (overrides.vision === 'enabled' || overrides.vision === 'disabled') {
+    capabilities.vision = overrides.vision === 'enabled'
+  }
+  if (overrides.temperature === 'enabled' || overrides.temperature === 'disabled') {
+    capabilities.temperature = overrides.temperature === 'enabled'
+  }
+  if (overrides.tools === 'enabled' || overrides.tools === 'disabled') {
+    capabilities.tools = overrides.tools === 'enabled'
+  }
+  if (overrides.streamUsage === 'enabled' || overrides.streamUsage === 'disabled') {
+    capabilities.streamUsage = overrides.streamUsage === 'enabled'
+  }
+  if (overrides.tokenParam === 'max_tokens' || overrides.tokenParam === 'max_completion_tokens') {
+    capabilities.tokenParam = overrides.tokenParam
+  }
+  if (overrides.contextWindow > 0) {
+    capabilities.contextWindow = overrides.contextWindow
+  }
+
+  return capabilities
+}
+
+// Build the token/temperature request parameters for the given capabilities
+function getModelParams(capabilities, tokens, temperature = 0.7) {
+  const params = {}
+
+  // Reasoning models need ~4x more tokens to have room for the actual response
+  // because internal "reasoning tokens" count against the limit
+  params[capabilities.tokenParam] = capabilities.reasoning ? Math.max(tokens * 4, 4000) : tokens
+
+  if (capabilities.temperature) {
+    params.temperature = temperature
+  }
+
+  return params
+}
+
+function supportsModeration(config) {
+  return getProvider(config.provider).moderation
+}
+
+function getBudgetFallbackModel(config) {
+  return getProvider(config.provider).budgetFallbackModel || null
+}
+
+function getProviderOptions() {
+  return Object.entries(PROVIDERS).map(([value, provider]) => ({ label: provider.label, value }))
+}
+
+module.exports = {
+  loadProviderConfig,
+  validateProviderConfig,
+  createClient,
+  getCapabilities,
+  getModelParams,
+  supportsModeration,
+  getBudgetFallbackModel,
+  getProviderOptions
+}
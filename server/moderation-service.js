@@ -0,0 +1,149 @@
+const openaiService = require('./openai-service')
+const databaseService = require('./database-service')
+
+let rawLogger = null
+let settingsManager = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+const REDACTED_TEXT = '[removed]'
+const MESSAGE_REFUSAL = 'Sorry, I can\'t help with that message. Please rephrase your question.'
+const ANSWER_REFUSAL = 'Sorry, I can\'t share an answer to that. Please try asking differently.'
+
+function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
+}
+
+// Parse the blocklist setting: one term per line, matched as a whole word ignoring case,
+// or a /regular expression/flags. Empty lines and lines starting with # are ignored.
+function parseBlocklist(text) {
+  const rules = []
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#')) continue
+
+    try {
+      const regexMatch = line.match(/^\/(.+)\/([a-z]*)$/)
+      const regex = regexMatch
+        ? new RegExp(regexMatch[1], regexMatch[2].includes('g') ? regexMatch[2] : regexMatch[2] + 'g')
+        : new RegExp(`(?<!\\w)${line.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'giu')
+
+      rules.push({ pattern: line, regex })
+    } catch (error) {
+      logger.warn(`Ignoring invalid moderation blocklist entry ${line}: ${error.message}`)
+    }
+  }
+
+  return rules
+}
+
+// Check text against the blocklist, then the moderation endpoint when enabled.
+// Returns { flagged, source, reasons, rules } (rules: matching blocklist entries)
+async function checkText(text) {
+  const rules = parseBlocklist(await settingsManager.getSetting('moderation-blocklist'))
+    .filter(rule => text.search(rule.regex) !== -1)
+
+  if (rules.length > 0) {
+    return { flagged: true, source: 'blocklist', reasons: rules.map(rule => rule.pattern), rules }
+  }
+
+  if (await isModerationApiActive()) {
+    try {
+      const result = await openaiService.moderateText(text)
+      if (result.flagged) {
+        return { flagged: true, source: 'moderation-api', reasons: result.categories, rules: [] }
+      }
+    } catch (error) {
+      // Fail open: an unavailable endpoint must not take the chat down
+      logger.warn(`Moderation endpoint failed, text not checked: ${error.message}`)
+    }
+  }
+
+  return { flagged: false, source: null, reasons: [], rules: [] }
+}
+
+// Check a user message before it is sent to the model.
+// attribution: { userId, videoUuid, ipAddress }
+// Returns the refusal to answer with, or null when the message may be answered
+async function moderateMessage(message, attribution = {}) {
+  const check = await checkText(message)
+  if (!check.flagged) return null
+
+  logger.info(`Refused a chat message flagged by ${check.source}: ${check.reasons.join(', ')}`)
+  await databaseService.saveFlaggedMessage({
+    ...attribution,
+    direction: 'input',
+    message,
+    source: check.source,
+    reasons: check.reasons,
+    action: 'refused'
+  })
+
+  return MESSAGE_REFUSAL
+}
+
+// Check a model answer before it is stored and returned. Blocklisted terms are redacted,
+// answers flagged by the moderation endpoint are replaced by a refusal.
+// Returns the text to use instead of the answer, or null when the answer is fine
+async function moderateAnswer(message, answer, attribution = {}) {
+  if (!answer || !await isCheckingAnswers()) return null
+
+  const check = await checkText(answer)
+  if (!check.flagged) return null
+
+  const action = check.source === 'blocklist' ? 'redacted' : 'refused'
+  const replacement = action === 'redacted'
+    ? check.rules.reduce((text, rule) => text.replace(rule.regex, REDACTED_TEXT), answer)
+    : ANSWER_REFUSAL
+
+  logger.info(`Answer flagged by ${check.source} (${check.reasons.join(', ')}), ${action}`)
+  await databaseService.saveFlaggedMessage({
+    ...attribution,
+    direction: 'output',
+    message,
+    response: answer,
+    source: check.source,
+    reasons: check.reasons,
+    action
+  })
+
+  return replacement
+}
+
+async function isModerationApiActive() {
+  return Boolean(await settingsManager.getSetting('moderation-api-enabled')) && openaiService.supportsModeration()
+}
+
+// Whether answers are checked before being returned, they must then not be streamed.
+// Without blocklist entries nor moderation endpoint there is nothing to check them against.
+async function isCheckingAnswers() {
+  if (!await settingsManager.getSetting('moderation-check-answers')) return false
+
+  const blocklist = parseBlocklist(await settingsManager.getSetting('moderation-blocklist'))
+  return blocklist.length > 0 || await isModerationApiActive()
+}
+
+async function getFlaggedMessages(options) {
+  return await databaseService.getFlaggedMessages(options)
+}
+
+async function markReviewed(id) {
+  return await databaseService.markFlaggedMessageReviewed(id)
+}
+
+module.exports = {
+  initialize,
+  moderateMessage,
+  moderateAnswer,
+  isCheckingAnswers,
+  getFlaggedMessages,
+  markReviewed
+}
@@ -1,6 +1,10 @@
-const OpenAI = require('openai')
+const llmProviders = require('./llm-providers')
+const contextBuilder = require('./context-builder')
+const usageTracker = require('./usage-tracker')
+const budgetGuard = require('./budget-guard')
 
 let openaiClient = null
+let providerConfig = null
 let rawLogger = null
 let settingsManager = null
 
@@ -12,78 +16,155 @@ const logger = {
   debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
 }
 
-// Helper to get model-specific parameters
-// Newer models (gpt-4o, gpt-4.1, gpt-5, o1, o3) use max_completion_tokens
-// Older models (gpt-4, gpt-4-turbo, gpt-3.5) use max_tokens
-// Reasoning models (o1, o3, gpt-5) don't support custom temperature
-// Reasoning models need MORE tokens because they use "reasoning tokens" internally
-function getModelParams(model, tokens, temperature = 0.7) {
-  const newTokenPrefixes = ['gpt-4o', 'gpt-4.1', 'gpt-5', 'o1', 'o3']
-  const reasoningModelPrefixes = ['o1', 'o3', 'gpt-5']
+async function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
 
-  const usesNewTokenParam = newTokenPrefixes.some(prefix => model.startsWith(prefix))
-  const isReasoningModel = reasoningModelPrefixes.some(prefix => model.startsWith(prefix))
+  await reloadClient()
+}
 
-  const params = {}
+// Also called when the plugin settings are saved, the provider, key or base URL may have changed
+async function reloadClient() {
+  providerConfig = await llmProviders.loadProviderConfig(settingsManager)
+  openaiClient = null
 
-  // Token parameter - reasoning models need significantly more tokens
-  // because they use internal "reasoning tokens" that count against the limit
-  if (usesNewTokenParam) {
-    // Reasoning models need ~4x more tokens to have room for actual response
-    params.max_completion_tokens = isReasoningModel ? Math.max(tokens * 4, 4000) : tokens
-  } else {
-    params.max_tokens = tokens
+  const configError = llmProviders.validateProviderConfig(providerConfig)
+  if (configError) {
+    logger.warn(configError)
+    return
   }
 
-  // Temperature (not supported by reasoning models)
-  if (!isReasoningModel) {
-    params.temperature = temperature
+  try {
+    openaiClient = llmProviders.createClient(providerConfig)
+    logger.info(`LLM client initialized (provider: ${providerConfig.provider}${providerConfig.baseUrl ? `, base URL: ${providerConfig.baseUrl}` : ''})`)
+  } catch (error) {
+    logger.error('Failed to initialize LLM client:', error)
   }
+}
+
+const DEFAULT_CHAT_MODEL = 'gpt-4.1-mini'
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small'
+const DEFAULT_VISION_MAX_TOKENS = 150
+const MODERATION_MODEL = 'omni-moderation-latest'
 
-  return params
+// Largest tool result added to the agent prompt, one search cannot fill it alone
+const TOOL_RESULT_MAX_TOKENS = 1500
+
+// Output dimensions of well-known embedding models, others are probed
+const EMBEDDING_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
 }
+const DEFAULT_EMBEDDING_MAX_TOKENS = 8000
 
-async function initialize(services) {
-  rawLogger = services.logger
-  settingsManager = services.settingsManager
+// A free-text model name takes precedence over the model list, for providers
+// serving models that are not in the list (self-hosted servers, Azure deployments)
+async function getConfiguredModel(listSetting, customSetting, fallback) {
+  const customModel = (await settingsManager.getSetting(customSetting) || '').trim()
+  if (customModel) return customModel
 
-  const apiKey = await settingsManager.getSetting('openai-api-key')
+  return await settingsManager.getSetting(listSetting) || fallback
+}
 
-  if (!apiKey) {
-    logger.warn('OpenAI API key not configured')
-    return
-  }
+async function getChatModel() {
+  // Past the soft budget limit, answer with the cheaper model chosen by the admin
+  const defaultFallback = providerConfig ? llmProviders.getBudgetFallbackModel(providerConfig) : null
+  const fallbackModel = await budgetGuard.getFallbackChatModel(defaultFallback)
+  if (fallbackModel) return fallbackModel
 
-  try {
-    openaiClient = new OpenAI({
-      apiKey: apiKey
-    })
-    logger.info('OpenAI client initialized')
-  } catch (error) {
-    logger.error('Failed to initialize OpenAI client:', error)
-  }
+  return await getConfiguredModel('openai-model', 'llm-model-name', DEFAULT_CHAT_MODEL)
+}
+
+// The budget fallback is a chat model, it may not accept images: "same as chat" is the configured one
+async function getVisionModel() {
+  const model = await getConfiguredModel('vision-model', 'vision-model-name', 'same-as-chat')
+  return model === 'same-as-chat' ? await getConfiguredModel('openai-model', 'llm-model-name', DEFAULT_CHAT_MODEL) : model
+}
+
+async function getEmbeddingModel() {
+  return await getConfiguredModel('embedding-model', 'embedding-model-name', DEFAULT_EMBEDDING_MODEL)
+}
+
+async function getTokenSetting(name, fallback) {
+  const value = parseInt(await settingsManager.getSetting(name))
+  return isNaN(value) || value <= 0 ? fallback : value
 }
 
-async function generateEmbedding(text) {
+function getModelParams(model, tokens, temperature = 0.7) {
+  const capabilities = llmProviders.getCapabilities(providerConfig, model)
+  return llmProviders.getModelParams(capabilities, tokens, temperature)
+}
+
+// Total tokens the model accepts, prompt and response included
+function getContextWindow(model) {
+  return llmProviders.getCapabilities(providerConfig, model).contextWindow
+}
+
+async function supportsVision() {
+  if (!providerConfig) return false
+
+  const model = await getVisionModel()
+  return llmProviders.getCapabilities(providerConfig, model).vision
+}
+
+function supportsTools(model) {
+  if (!providerConfig) return false
+
+  return llmProviders.getCapabilities(providerConfig, model).tools
+}
+
+function supportsModeration() {
+  if (!openaiClient) return false
+
+  return llmProviders.supportsModeration(providerConfig)
+}
+
+// attribution: { endpoint, userId, videoUuid, ipAddress } the usage is recorded against
+async function generateEmbedding(text, attribution = {}) {
   if (!openaiClient) {
     throw new Error('OpenAI client not initialized')
   }
 
+  const model = await getEmbeddingModel()
+  const maxTokens = await getTokenSetting('embedding-max-tokens', DEFAULT_EMBEDDING_MAX_TOKENS)
+
+  // Rough truncation (~4 characters per token) so long chunks don't exceed the model input limit
+  const input = text.length > maxTokens * 4 ? text.slice(0, maxTokens * 4) : text
+
   const response = await openaiClient.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: text
+    model: model,
+    input: input
   })
 
+  await usageTracker.recordUsage(attribution.endpoint || 'embedding', model, response.usage, attribution)
+
   return response.data[0].embedding
 }
 
-async function analyzeImage(base64Image, prompt) {
+async function getEmbeddingDimensions() {
+  const model = await getEmbeddingModel()
+  if (EMBEDDING_DIMENSIONS[model]) {
+    return EMBEDDING_DIMENSIONS[model]
+  }
+
+  // Unknown model (self-hosted, custom name): embed a short text to find out
+  const embedding = await generateEmbedding('dimension probe', { endpoint: 'embedding-probe' })
+  logger.info(`Embedding model ${model} produces ${embedding.length} dimensions`)
+  return embedding.length
+}
+
+async function analyzeImage(base64Image, prompt, attribution = {}) {
   if (!openaiClient) {
     throw new Error('OpenAI client not initialized')
   }
 
-  // Get the configured model (all current models support vision)
-  const model = await settingsManager.getSetting('openai-model') || 'gpt-4.1-mini'
+  const model = await getVisionModel()
+  const maxTokens = await getTokenSetting('vision-max-tokens', DEFAULT_VISION_MAX_TOKENS)
+
+  if (!llmProviders.getCapabilities(providerConfig, model).vision) {
+    throw new Error(`Model ${model} does not support image input`)
+  }
 
   const response = await openaiClient.chat.completions.create({
     model: model,
@@ -104,57 +185,219 @@ async function analyzeImage(base64Image, prompt) {
         ]
       }
     ],
-    ...getModelParams(model, 150)
+    ...getModelParams(model, maxTokens)
   })
 
+  await usageTracker.recordUsage(attribution.endpoint || 'vision', model, response.usage, attribution)
+
   return response.choices[0].message.content
 }
 
-async function generateChatResponse(systemPrompt, userMessage, context, model, maxTokens, history = []) {
+// Classify text with the moderation endpoint (free, OpenAI only).
+// Returns { flagged, categories } with the names of the flagged categories
+async function moderateText(text) {
   if (!openaiClient) {
     throw new Error('OpenAI client not initialized')
   }
 
-  // Build messages array with system prompt first
-  const messages = [
-    { role: 'system', content: systemPrompt }
-  ]
+  const response = await openaiClient.moderations.create({
+    model: MODERATION_MODEL,
+    input: text
+  })
+
+  const result = response.results[0]
+  return {
+    flagged: result.flagged,
+    categories: Object.entries(result.categories || {})
+      .filter(([, flagged]) => flagged)
+      .map(([category]) => category)
+  }
+}
+
+// Usage counted with the model tokenizer, for streams that end without a usage chunk
+function estimateUsage(messages, content, model) {
+  const promptTokens = contextBuilder.countMessageTokens(messages, model)
+  const completionTokens = contextBuilder.countTokens(content, model)
+
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+}
+
+// History entries are exchanges { message, response }, or { summary } for the summary
+// of the earlier exchanges, sent as a system message
+function historyMessages(history) {
+  return history.flatMap(entry => entry.summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${entry.summary}` }]
+    : [{ role: 'user', content: entry.message }, { role: 'assistant', content: entry.response }])
+}
 
-  // Add conversation history (already in chronological order from caller)
-  for (const entry of history) {
-    messages.push({ role: 'user', content: entry.message })
-    messages.push({ role: 'assistant', content: entry.response })
+// signal: optional AbortSignal, aborts the request (e.g. once the viewer disconnected)
+async function generateChatResponse(systemPrompt, userMessage, context, model, maxTokens, history = [], onDelta = null, signal = null) {
+  if (!openaiClient) {
+    throw new Error('OpenAI client not initialized')
   }
 
+  // Build messages array with system prompt first, then conversation history
+  // (already in chronological order from caller)
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...historyMessages(history)
+  ]
+
   // Add current user message
   messages.push({ role: 'user', content: userMessage })
 
-  const selectedModel = model || 'gpt-4'
+  const selectedModel = model || await getChatModel()
   const modelParams = getModelParams(selectedModel, maxTokens || 1000, 0.7)
 
-  logger.info(`Calling OpenAI with model: ${selectedModel}`)
+  logger.info(`Calling OpenAI with model: ${selectedModel}${onDelta ? ' (streaming)' : ''}`)
   logger.info(`Messages count: ${messages.length}, params: ${JSON.stringify(modelParams)}`)
 
-  const completion = await openaiClient.chat.completions.create({
-    model: selectedModel,
-    messages: messages,
-    ...modelParams
-  })
+  let content = ''
+  let usage = null
+
+  if (onDelta) {
+    // Forward deltas to the caller as they arrive, usage comes in the final chunk
+    // when the server supports it
+    const streamUsage = llmProviders.getCapabilities(providerConfig, selectedModel).streamUsage
+    const stream = await openaiClient.chat.completions.create({
+      model: selectedModel,
+      messages: messages,
+      stream: true,
+      ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+      ...modelParams
+    }, { signal })
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content
+      if (delta) {
+        content += delta
+        onDelta(delta)
+      }
+      if (chunk.usage) {
+        usage = chunk.usage
+      }
+    }
+
+    if (!usage) {
+      usage = estimateUsage(messages, content, selectedModel)
+    }
+
+    logger.info('OpenAI stream finished')
+  } else {
+    const completion = await openaiClient.chat.completions.create({
+      model: selectedModel,
+      messages: messages,
+      ...modelParams
+    }, { signal })
+
+    logger.info(`OpenAI response received, choices: ${completion.choices?.length}`)
 
-  logger.info(`OpenAI response received, choices: ${completion.choices?.length}`)
+    content = completion.choices[0]?.message?.content || ''
+    usage = completion.usage
 
-  const content = completion.choices[0]?.message?.content || ''
+    if (!content) {
+      logger.warn(`Full response: ${JSON.stringify(completion)?.slice(0, 500)}`)
+    }
+  }
 
   if (!content) {
     logger.warn('OpenAI returned empty content')
-    logger.warn(`Full response: ${JSON.stringify(completion)?.slice(0, 500)}`)
   } else {
     logger.info(`Response content (truncated): ${content.slice(0, 100)}...`)
   }
 
   return {
     content: content,
-    usage: completion.usage
+    usage: usage,
+    model: selectedModel
+  }
+}
+
+// Answer with tool calling: the model may call tools over up to maxRounds rounds,
+// the last round has to answer. The answer is not streamed, onDelta receives it whole.
+// options: { tools, executeTool: (name, rawArguments, maxTokens) => result text, maxRounds,
+//   promptBudget, onDelta, signal }
+// Tool results stay in the prompt of the following rounds: each one gets at most
+// TOOL_RESULT_MAX_TOKENS of what is left of promptBudget, once it is spent the model answers.
+// Returns { content, usage (summed over the rounds), model, toolCalls }
+async function generateAgentResponse(systemPrompt, userMessage, model, maxTokens, history = [], options = {}) {
+  if (!openaiClient) {
+    throw new Error('OpenAI client not initialized')
+  }
+
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...historyMessages(history)
+  ]
+
+  messages.push({ role: 'user', content: userMessage })
+
+  const selectedModel = model || await getChatModel()
+  const modelParams = getModelParams(selectedModel, maxTokens || 1000, 0.7)
+  const maxRounds = Math.max(1, options.maxRounds || 1)
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+
+  let content = ''
+  let toolCalls = 0
+  let remainingTokens = options.promptBudget
+    ? options.promptBudget - contextBuilder.countMessageTokens(messages, selectedModel) - contextBuilder.countTokens(JSON.stringify(options.tools), selectedModel)
+    : Infinity
+
+  for (let round = 1; round <= maxRounds; round++) {
+    const lastRound = round === maxRounds || remainingTokens <= 0
+    logger.info(`Calling OpenAI with model: ${selectedModel} (tools, round ${round}/${maxRounds}${lastRound && round < maxRounds ? ', prompt budget spent' : ''})`)
+
+    const completion = await openaiClient.chat.completions.create({
+      model: selectedModel,
+      messages: messages,
+      tools: options.tools,
+      tool_choice: lastRound ? 'none' : 'auto',
+      ...modelParams
+    }, { signal: options.signal })
+
+    if (completion.usage) {
+      usage.prompt_tokens += completion.usage.prompt_tokens || 0
+      usage.completion_tokens += completion.usage.completion_tokens || 0
+      usage.total_tokens += completion.usage.total_tokens || 0
+    }
+
+    const message = completion.choices[0]?.message
+    if (!message?.tool_calls?.length) {
+      content = message?.content || ''
+      break
+    }
+
+    messages.push(message)
+    remainingTokens -= contextBuilder.countMessageTokens([{ content: JSON.stringify(message.tool_calls) }], selectedModel)
+
+    // The calls of a round share what is left, each result comes with its message overhead
+    const messageOverhead = contextBuilder.countMessageTokens([{ content: '' }], selectedModel)
+    for (const [index, toolCall] of message.tool_calls.entries()) {
+      toolCalls++
+      const share = Math.floor(remainingTokens / (message.tool_calls.length - index)) - messageOverhead
+      const result = await options.executeTool(toolCall.function.name, toolCall.function.arguments, Math.max(Math.min(TOOL_RESULT_MAX_TOKENS, share), 0))
+      const toolMessage = { role: 'tool', tool_call_id: toolCall.id, content: result }
+
+      messages.push(toolMessage)
+      remainingTokens -= contextBuilder.countMessageTokens([toolMessage], selectedModel)
+    }
+  }
+
+  if (!content) {
+    logger.warn('OpenAI returned empty content')
+  } else {
+    logger.info(`Response content after ${toolCalls} tool calls (truncated): ${content.slice(0, 100)}...`)
+  }
+
+  if (options.onDelta && content) {
+    options.onDelta(content)
+  }
+
+  return {
+    content: content,
+    usage: usage,
+    model: selectedModel,
+    toolCalls: toolCalls
   }
 }
 
@@ -164,8 +407,20 @@ function isInitialized() {
 
 module.exports = {
   initialize,
+  reloadClient,
   generateEmbedding,
   analyzeImage,
+  moderateText,
+  supportsModeration,
   generateChatResponse,
+  generateAgentResponse,
+  getChatModel,
+  getVisionModel,
+  getEmbeddingModel,
+  getEmbeddingDimensions,
+  getModelParams,
+  getContextWindow,
+  supportsVision,
+  supportsTools,
   isInitialized
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+const openaiService = require('./openai-service')
+const databaseService = require('./database-service')
+const usageTracker = require('./usage-tracker')
+const budgetGuard = require('./budget-guard')
+const promptGuard = require('./prompt-guard')
+
+let rawLogger = null
+let settingsManager = null
+let peertubeHelpers = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+const QUIZ_INPUT_MAX_CHARS = 40000
+const QUIZ_MAX_TOKENS = 4000
+const QUIZ_PROMPT = `You write study material for learners from a video transcript, in the language of the video. Write:
+- 8 multiple-choice questions testing understanding of the important points (not trivia), each with 4 options, exactly one correct, an explanation of the correct answer, and the start time in seconds of the moment that covers it
+- 10 flashcards with a term or question on the front, a short answer on the back, and the start time in seconds of the moment that covers it
+Answer only with JSON: {"questions": [{"question": "...", "options": ["...", "...", "...", "..."], "answer": <index of the correct option>, "explanation": "...", "timestamp": <seconds>}], "flashcards": [{"front": "...", "back": "...", "timestamp": <seconds>}]}`
+
+// Quizzes being generated, so simultaneous first requests share one model call
+const pendingGenerations = new Map()
+
+function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
+  peertubeHelpers = services.peertubeHelpers
+}
+
+// The quiz of a video, null until processing or the owner wrote one
+async function getQuiz(videoUuid) {
+  return await databaseService.getQuiz(videoUuid)
+}
+
+// Write a quiz from the transcript chunks of a video, replacing the previous one.
+// Null when there is no transcript, the model is not configured or the assistant is
+// paused by the monthly budget.
+async function generateQuiz(video, chunks) {
+  if (pendingGenerations.has(video.uuid)) {
+    return await pendingGenerations.get(video.uuid)
+  }
+
+  const generation = createQuiz(video, chunks).finally(() => pendingGenerations.delete(video.uuid))
+  pendingGenerations.set(video.uuid, generation)
+
+  return await generation
+}
+
+async function createQuiz(video, chunks) {
+  if (!openaiService.isInitialized() || await budgetGuard.isChatPaused()) {
+    return null
+  }
+
+  if (chunks.length === 0) {
+    logger.info(`No transcript to write a quiz for video ${video.uuid}`)
+    return null
+  }
+
+  // Shorten every chunk evenly so long videos fit in the prompt
+  const chunkLength = Math.max(80, Math.floor(QUIZ_INPUT_MAX_CHARS / chunks.length))
+  const content = chunks
+    .map(chunk => `[${Math.floor(chunk.startTime)}s] ${promptGuard.escapeUntrusted(chunk.content.slice(0, chunkLength))}`)
+    .join('\n')
+
+  const aiResponse = await openaiService.generateChatResponse(
+    promptGuard.withInstructionHierarchy(QUIZ_PROMPT),
+    `Video title: ${promptGuard.escapeUntrusted(video.name || '')}\n\n${promptGuard.wrapUntrusted(content)}`,
+    null,
+    null,
+    QUIZ_MAX_TOKENS
+  )
+
+  await usageTracker.recordUsage('processing-quiz', aiResponse.model, aiResponse.usage, { videoUuid: video.uuid })
+
+  const result = parseJsonResponse(aiResponse.content)
+  const questions = normalizeQuestions(result?.questions)
+  const flashcards = normalizeFlashcards(result?.flashcards)
+
+  if (questions.length === 0 && flashcards.length === 0) {
+    logger.warn(`No usable quiz generated for video ${video.uuid}`)
+    return null
+  }
+
+  logger.info(`Generated ${questions.length} questions and ${flashcards.length} flashcards for video ${video.uuid}`)
+  return await databaseService.saveQuiz(video.uuid, { questions, flashcards, model: aiResponse.model })
+}
+
+function parseJsonResponse(content) {
+  const json = (content || '').match(/\{[\s\S]*\}/)
+  if (!json) return null
+
+  try {
+    return JSON.parse(json[0])
+  } catch (error) {
+    logger.warn(`Could not parse generated quiz: ${error.message}`)
+    return null
+  }
+}
+
+function parseTimestamp(value) {
+  const seconds = Math.floor(parseFloat(value))
+  return isFinite(seconds) && seconds >= 0 ? seconds : null
+}
+
+function normalizeQuestions(questions) {
+  if (!Array.isArray(questions)) return []
+
+  return questions
+    .map(question => ({
+      question: String(question?.question ?? '').trim(),
+      options: Array.isArray(question?.options) ? question.options.map(option => String(option).trim()) : [],
+      answer: parseInt(question?.answer, 10),
+      explanation: String(question?.explanation ?? '').trim(),
+      timestamp: parseTimestamp(question?.timestamp)
+    }))
+    .filter(question =>
+      question.question &&
+      question.options.length >= 2 &&
+      question.options.every(Boolean) &&
+      question.answer >= 0 && question.answer < question.options.length
+    )
+    .map((question, index) => ({ id: index, ...question }))
+}
+
+function normalizeFlashcards(flashcards) {
+  if (!Array.isArray(flashcards)) return []
+
+  return flashcards
+    .map(card => ({
+      front: String(card?.front ?? '').trim(),
+      back: String(card?.back ?? '').trim(),
+      timestamp: parseTimestamp(card?.timestamp)
+    }))
+    .filter(card => card.front && card.back)
+}
+
+// The quiz as shown before answering: no correct answers or explanations
+function toPublicQuiz(quiz) {
+  return {
+    id: quiz.id,
+    questions: quiz.questions.map(({ id, question, options }) => ({ id, question, options })),
+    flashcards: quiz.flashcards
+  }
+}
+
+// Score answers to a quiz (option index per question, null when skipped) and store the
+// attempt of signed-in users. Returns { score, total, results }.
+async function submitAttempt(quiz, answers, userId) {
+  const results = quiz.questions.map((question, index) => {
+    const answer = Number.isInteger(answers[index]) ? answers[index] : null
+    return {
+      id: question.id,
+      answer,
+      correct: answer === question.answer,
+      correctAnswer: question.answer,
+      explanation: question.explanation,
+      timestamp: question.timestamp
+    }
+  })
+
+  const score = results.filter(result => result.correct).length
+
+  if (userId) {
+    await databaseService.saveQuizAttempt({
+      quizId: quiz.id,
+      videoUuid: quiz.videoUuid,
+      userId,
+      answers: results.map(result => result.answer),
+      score,
+      total: quiz.questions.length
+    })
+  }
+
+  return { score, total: quiz.questions.length, results }
+}
+
+// Aggregate performance for instructors: per question success rate and answer
+// distribution, per learner attempts with their best and latest score
+async function getResults(video) {
+  const quiz = await databaseService.getQuiz(video.uuid)
+  if (!quiz) return null
+
+  const attempts = await databaseService.getQuizAttempts(quiz.id)
+
+  const questions = quiz.questions.map((question, index) => {
+    const optionCounts = question.options.map(() => 0)
+    let answered = 0
+    let correct = 0
+
+    for (const attempt of attempts) {
+      const answer = attempt.answers[index]
+      if (!Number.isInteger(answer)) continue
+
+      answered++
+      if (answer === question.answer) correct++
+      if (answer >= 0 && answer < optionCounts.length) optionCounts[answer]++
+    }
+
+    return {
+      id: question.id,
+      question: question.question,
+      options: question.options,
+      correctAnswer: question.answer,
+      answered,
+      correctRate: answered > 0 ? correct / answered : null,
+      optionCounts
+    }
+  })
+
+  const learners = new Map()
+  for (const attempt of attempts) {
+    const learner = learners.get(attempt.userId) || { userId: attempt.userId, attempts: 0, bestScore: 0, lastScore: 0, lastAttemptAt: null }
+    learner.attempts++
+    learner.bestScore = Math.max(learner.bestScore, attempt.score)
+    learner.lastScore = attempt.score
+    learner.lastAttemptAt = attempt.createdAt
+    learners.set(attempt.userId, learner)
+  }
+
+  const usernames = await loadUsernames([...learners.keys()])
+  const total = quiz.questions.length
+
+  return {
+    quizId: quiz.id,
+    createdAt: quiz.createdAt,
+    total,
+    attempts: attempts.length,
+    averageScore: attempts.length > 0 ? attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length : null,
+    questions,
+    learners: [...learners.values()].map(learner => ({ ...learner, username: usernames.get(learner.userId) || `User ${learner.userId}` }))
+  }
+}
+
+// Usernames of PeerTube users, empty when the PeerTube database cannot be queried
+async function loadUsernames(userIds) {
+  const usernames = new Map()
+  if (userIds.length === 0 || !peertubeHelpers.database?.query) {
+    return usernames
+  }
+
+  try {
+    const result = await peertubeHelpers.database.query(
+      'SELECT id, username FROM "user" WHERE id IN (:userIds)',
+      { replacements: { userIds } }
+    )
+
+    // Handle different result formats
+    let rows = []
+    if (Array.isArray(result)) {
+      rows = Array.isArray(result[0]) ? result[0] : result
+    } else if (result?.rows) {
+      rows = result.rows
+    }
+
+    rows.forEach(row => usernames.set(row.id, row.username))
+  } catch (error) {
+    logger.debug(`Username query failed: ${error.message}`)
+  }
+
+  return usernames
+}
+
+async function isEnabled() {
+  return Boolean(await settingsManager.getSetting('quiz-enabled'))
+}
+
+module.exports = {
+  initialize,
+  isEnabled,
+  getQuiz,
+  generateQuiz,
+  toPublicQuiz,
+  submitAttempt,
+  getResults
+}
@@ -0,0 +1,98 @@
+const databaseService = require('./database-service')
+
+let rawLogger = null
+let settingsManager = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+const MINUTE = 60 * 1000
+
+// Settings of each limit, 0 or empty disables it
+const LIMITS = {
+  user: { messages: 'rate-limit-user-messages', tokens: 'quota-user-tokens' },
+  ip: { messages: 'rate-limit-ip-messages', tokens: 'quota-ip-tokens' },
+  video: { messages: 'rate-limit-video-messages', tokens: 'quota-video-tokens' }
+}
+
+// Timestamps of recent messages per "scope:key", kept for one minute
+const recentMessages = new Map()
+
+function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
+}
+
+async function getLimit(setting) {
+  const value = parseInt(await settingsManager.getSetting(setting))
+  return isNaN(value) || value <= 0 ? 0 : value
+}
+
+function getRecentMessages(key, now) {
+  const timestamps = (recentMessages.get(key) || []).filter(time => time > now - MINUTE)
+  recentMessages.set(key, timestamps)
+  return timestamps
+}
+
+function startOfDay(date) {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+// Check the limits of a chat request and count it when allowed.
+// Authenticated users are limited per user, anonymous ones per IP address;
+// the video limit applies to everyone (omit videoUuid for library chat).
+// Returns null when allowed, otherwise { scope, limit, retryAt }
+async function consumeChatRequest({ userId = null, ipAddress = null, videoUuid = null }) {
+  const now = Date.now()
+  const scopes = [
+    userId ? { scope: 'user', key: userId, usage: { userId } } : { scope: 'ip', key: ipAddress, usage: { ipAddress } },
+    { scope: 'video', key: videoUuid, usage: { videoUuid } }
+  ].filter(entry => entry.key)
+
+  for (const { scope, key, usage } of scopes) {
+    const messageLimit = await getLimit(LIMITS[scope].messages)
+    if (messageLimit) {
+      const timestamps = getRecentMessages(`${scope}:${key}`, now)
+      if (timestamps.length >= messageLimit) {
+        logger.info(`Chat rate limit reached for ${scope} ${key}`)
+        return { scope, limit: 'messages', retryAt: new Date(timestamps[0] + MINUTE) }
+      }
+    }
+
+    const tokenLimit = await getLimit(LIMITS[scope].tokens)
+    if (tokenLimit) {
+      const tokens = await databaseService.getTokenUsageSince(startOfDay(now), usage)
+      if (tokens >= tokenLimit) {
+        logger.info(`Daily token quota reached for ${scope} ${key} (${tokens}/${tokenLimit})`)
+        const tomorrow = startOfDay(now)
+        tomorrow.setDate(tomorrow.getDate() + 1)
+        return { scope, limit: 'tokens', retryAt: tomorrow }
+      }
+    }
+  }
+
+  for (const { scope, key } of scopes) {
+    getRecentMessages(`${scope}:${key}`, now).push(now)
+  }
+
+  // Forget idle keys so the map does not grow with every visitor
+  for (const [key, timestamps] of recentMessages) {
+    if (timestamps.every(time => time <= now - MINUTE)) {
+      recentMessages.delete(key)
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  initialize,
+  consumeChatRequest
+}
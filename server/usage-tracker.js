@@ -0,0 +1,96 @@
+const databaseService = require('./database-service')
+
+let rawLogger = null
+let settingsManager = null
+
+// Wrapper logger that adds 'aichat' tag to all messages
+const logger = {
+  info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
+  warn: (msg, meta) => rawLogger?.warn(msg, { tags: ['aichat'], ...meta }),
+  error: (msg, meta) => rawLogger?.error(msg, { tags: ['aichat'], ...meta }),
+  debug: (msg, meta) => rawLogger?.debug(msg, { tags: ['aichat'], ...meta })
+}
+
+// Default content of the model-prices setting: "model: input price, output price"
+// in USD per million tokens. The longest matching model name prefix wins.
+const DEFAULT_MODEL_PRICES = [
+  'gpt-5-nano: 0.05, 0.40',
+  'gpt-5-mini: 0.25, 2.00',
+  'gpt-5: 1.25, 10.00',
+  'gpt-4.1-nano: 0.10, 0.40',
+  'gpt-4.1-mini: 0.40, 1.60',
+  'gpt-4.1: 2.00, 8.00',
+  'gpt-4o-mini: 0.15, 0.60',
+  'gpt-4o: 2.50, 10.00',
+  'gpt-4-turbo: 10.00, 30.00',
+  'gpt-4: 30.00, 60.00',
+  'gpt-3.5-turbo: 0.50, 1.50',
+  'text-embedding-3-small: 0.02',
+  'text-embedding-3-large: 0.13',
+  'text-embedding-ada-002: 0.10'
+].join('\n')
+
+function initialize(services) {
+  rawLogger = services.logger
+  settingsManager = services.settingsManager
+}
+
+// Parse "model: input, output" lines, the output price defaults to the input price
+function parsePriceTable(text) {
+  const prices = []
+
+  for (const line of (text || '').split('\n')) {
+    const separatorIndex = line.indexOf(':')
+    if (separatorIndex <= 0) continue
+
+    const model = line.slice(0, separatorIndex).trim()
+    const [input, output] = line.slice(separatorIndex + 1).split(',').map(value => parseFloat(value))
+    if (!model || isNaN(input)) continue
+
+    prices.push({ model, input, output: isNaN(output) ? input : output })
+  }
+
+  return prices.sort((a, b) => b.model.length - a.model.length)
+}
+
+async function getPrice(model) {
+  const prices = parsePriceTable(await settingsManager.getSetting('model-prices') || DEFAULT_MODEL_PRICES)
+  return prices.find(price => (model || '').startsWith(price.model)) || null
+}
+
+// Record the tokens of one API call and their cost.
+// usage: the `usage` object of an OpenAI response
+// attribution: { userId, videoUuid, ipAddress }
+async function recordUsage(endpoint, model, usage, attribution = {}) {
+  if (!usage) return
+
+  const promptTokens = usage.prompt_tokens || 0
+  const completionTokens = usage.completion_tokens || 0
+  const totalTokens = usage.total_tokens || promptTokens + completionTokens
+
+  let cost = 0
+  try {
+    const price = await getPrice(model)
+    if (price) {
+      cost = (promptTokens * price.input + completionTokens * price.output) / 1000000
+    } else {
+      logger.debug(`No price configured for model ${model}, usage recorded without cost`)
+    }
+  } catch (error) {
+    logger.warn(`Failed to compute cost for model ${model}: ${error.message}`)
+  }
+
+  await databaseService.trackAPIUsage(attribution.userId || null, endpoint, totalTokens, cost, {
+    videoUuid: attribution.videoUuid,
+    ipAddress: attribution.ipAddress,
+    model,
+    promptTokens,
+    completionTokens
+  })
+}
+
+module.exports = {
+  DEFAULT_MODEL_PRICES,
+  initialize,
+  recordUsage
+}
@@ -0,0 +1,33 @@
+// Who may see a video and what the plugin derived from it, shared by the API routes
+
+// PeerTube video privacy levels
+const PUBLIC_PRIVACY = 1
+const UNLISTED_PRIVACY = 2
+const INTERNAL_PRIVACY = 4
+
+// PeerTube user roles
+const ADMIN_ROLE = 0
+const MODERATOR_ROLE = 1
+
+// Admins and the owner of the video's channel
+function canManageVideo(user, video) {
+  if (!user) return false
+  return user.role === ADMIN_ROLE || video.VideoChannel?.Account?.userId === user.id
+}
+
+// Whether the user may see a video and what the plugin derived from it (frames, summary,
+// chapters, chat answers...): public and unlisted videos for everyone, internal videos for
+// signed-in users, private and password-protected videos for their owner, admins and
+// moderators only. Routes answer 404 otherwise, so hidden videos cannot be told apart
+// from missing ones.
+function canViewVideo(user, video) {
+  if (video.privacy === PUBLIC_PRIVACY || video.privacy === UNLISTED_PRIVACY) return true
+  if (video.privacy === INTERNAL_PRIVACY) return Boolean(user)
+  return canManageVideo(user, video) || user?.role === MODERATOR_ROLE
+}
+
+module.exports = {
+  PUBLIC_PRIVACY,
+  canManageVideo,
+  canViewVideo
+}
@@ -3,11 +3,72 @@ const fs = require('fs').promises
 const path = require('path')
 const openaiService = require('./openai-service')
 const databaseService = require('./database-service')
+const promptGuard = require('./prompt-guard')
+const usageTracker = require('./usage-tracker')
+const quizService = require('./quiz-service')
+const { LANGUAGE_TAG_PATTERN, formatTime } = require('./formats')
 
 let rawLogger = null
 let settingsManager = null
+let storageManager = null
 let peertubeHelpers = null
 
+// Plugin storage key of the last embedding schema check: { embeddingModel, migrationNeeded }
+const EMBEDDING_SCHEMA_KEY = 'embedding_schema_check'
+
+// State of the background "re-embed everything" job
+let reembedJob = {
+  running: false,
+  totalVideos: 0,
+  processedVideos: 0,
+  failedVideos: 0,
+  startedAt: null,
+  finishedAt: null
+}
+
+// Chapter generation: videos shorter than this get none, chapters shorter than
+// CHAPTER_MIN_LENGTH seconds are merged into the previous one
+const CHAPTER_MIN_VIDEO_DURATION = 180
+const CHAPTER_MIN_LENGTH = 10
+const CHAPTER_TITLE_MAX_LENGTH = 100
+const CHAPTER_INPUT_MAX_CHARS = 40000
+const CHAPTER_SNAPSHOT_INTERVAL = 30
+const CHAPTER_MAX_TOKENS = 1500
+const CHAPTER_PROMPT = `You split videos into chapters for viewers. From the timed transcript and screen descriptions of a video, find where the topic changes and give each chapter a short, descriptive title (at most 60 characters) in the language of the video. The first chapter starts at 0. Use 3 to 15 chapters depending on the length of the video, none shorter than a minute unless the video is short.
+Answer only with JSON: {"chapters": [{"start": <start time in seconds>, "title": "<title>"}]}`
+
+// Summaries: the transcript is summarized in sections of this many characters
+// (map), the section summaries are then combined into the final summaries (reduce)
+const SUMMARY_SECTION_CHARS = 24000
+const SUMMARY_MAX_LEVELS = 3
+const SUMMARY_SECTION_MAX_TOKENS = 500
+const SUMMARY_MAX_TOKENS = 2000
+const SUMMARY_SECTION_PROMPT = 'You summarize part of a video for viewers. From the timed transcript excerpt (or summaries of earlier parts), write 4 to 8 sentences keeping the main points, names, numbers, definitions and conclusions, in the language of the video. Mention the [m:ss] timestamp of key moments, taken from the excerpt.'
+const SUMMARY_PROMPT = `You summarize videos for viewers. From the timed transcript excerpts or part summaries of a whole video, write in the language of the video:
+- short: 2 or 3 sentences saying what the video is about
+- detailed: a few paragraphs following the video from start to end, citing the [m:ss] timestamp of key moments
+- takeaways: 3 to 8 short key takeaways a viewer should remember
+Answer only with JSON: {"short": "...", "detailed": "...", "takeaways": ["...", "..."]}`
+
+// Suggested starter questions, written from the summary (or the start of the transcript)
+const SUGGESTED_QUESTIONS_MIN = 3
+const SUGGESTED_QUESTIONS_MAX = 5
+const SUGGESTED_QUESTION_MAX_LENGTH = 200
+const SUGGESTED_QUESTIONS_INPUT_MAX_CHARS = 12000
+const SUGGESTED_QUESTIONS_MAX_TOKENS = 400
+const SUGGESTED_QUESTIONS_PROMPT = `You suggest questions viewers could ask an assistant about a video they are watching. From the summary or transcript of the video, write 3 to 5 short questions (at most 100 characters each) about its specific content, that the video answers, in the language of the video. Avoid generic questions like "What is this video about?".
+Answer only with JSON: {"questions": ["...", "..."]}`
+
+// Cross-lingual search: transcript chunks are translated in batches of at most
+// TRANSLATION_BATCH_CHARS characters, one model call per batch
+const TRANSLATION_BATCH_CHARS = 6000
+const TRANSLATION_MAX_TOKENS = 4000
+const TRANSLATION_PROMPT = `You translate video transcripts for a search index. Translate each numbered transcript excerpt to the language with the code given by the user, faithfully and completely, keeping names, numbers and technical terms. Excerpts may end mid-sentence, translate them as they are.
+Answer only with JSON: {"translations": {"<number>": "<translation>"}}`
+
+// Directories where PeerTube stores caption files (Docker image, then default installation)
+const CAPTION_DIRECTORIES = ['/data/captions', '/var/www/peertube/storage/captions']
+
 // Wrapper logger that adds 'aichat' tag to all messages
 const logger = {
   info: (msg, meta) => rawLogger?.info(msg, { tags: ['aichat'], ...meta }),
@@ -19,6 +80,7 @@ const logger = {
 function initialize(services) {
   rawLogger = services.logger
   settingsManager = services.settingsManager
+  storageManager = services.storageManager
   peertubeHelpers = services.peertubeHelpers
 
   // Log available helpers for debugging
@@ -94,6 +156,9 @@ async function processVideo(video) {
     // Update status to processing
     await databaseService.updateProcessingStatus(video.uuid, 'processing')
 
+    // Cached answers were based on the previous transcript and snapshots
+    await databaseService.clearAnswerCache(video.uuid)
+
     // Process transcript first (faster than snapshots)
     // This will schedule retries if transcript isn't available yet (auto-generation in progress)
     await checkAndProcessTranscript(video)
@@ -101,6 +166,16 @@ async function processVideo(video) {
     // Process snapshots (can take a while with many frames)
     await extractVideoSnapshots(video)
 
+    await detectPromptInjection(video)
+
+    await generateChapters(video)
+
+    await generateSummary(video)
+
+    await generateSuggestedQuestions(video)
+
+    await generateQuiz(video)
+
     // Update status to completed
     await databaseService.updateProcessingStatus(video.uuid, 'completed')
 
@@ -258,23 +333,31 @@ async function extractVideoSnapshots(video) {
     }
   }
 
-  // Analyze snapshots with GPT-4 Vision if OpenAI is initialized
+  // Analyze snapshots with the vision model if the configured model accepts images
   if (openaiService.isInitialized() && snapshots.length > 0) {
-    await analyzeSnapshots(video, snapshots)
+    if (await openaiService.supportsVision()) {
+      await analyzeSnapshots(video, snapshots)
+      await generateSnapshotEmbeddings(video)
+    } else {
+      logger.info(`Configured model does not support vision, skipping snapshot analysis for video ${video.uuid}`)
+    }
   }
 
   logger.info(`Extracted ${snapshots.length} snapshots for video ${video.uuid}`)
 }
 
 async function analyzeSnapshots(video, snapshots) {
+  const visionModel = await openaiService.getVisionModel()
+  logger.info(`Analyzing ${snapshots.length} snapshots for video ${video.uuid} with model ${visionModel}`)
+
   for (const snapshot of snapshots) {
     try {
       // Read image and convert to base64
       const imageBuffer = await fs.readFile(snapshot.path)
       const base64Image = imageBuffer.toString('base64')
 
-      // Analyze with GPT-4 Vision
-      const description = await openaiService.analyzeImage(base64Image)
+      // Analyze with the configured vision model
+      const description = await openaiService.analyzeImage(base64Image, undefined, { endpoint: 'processing-vision', videoUuid: video.uuid })
 
       // Update snapshot with description
       await databaseService.saveVideoSnapshot(video.uuid, video.id, snapshot.timestamp, snapshot.path, description)
@@ -286,156 +369,188 @@ async function analyzeSnapshots(video, snapshots) {
   }
 }
 
-async function processVideoTranscript(video) {
+// languages: caption languages to process, all of them when null
+async function processVideoTranscript(video, languages = null) {
   try {
     logger.info(`Processing transcript for video ${video.uuid}`)
 
-    // Get video captions/transcripts
-    const transcriptData = await getVideoTranscript(video)
+    // Get video captions/transcripts, one per caption language
+    const transcripts = await getVideoTranscripts(video, languages)
 
-    if (!transcriptData) {
+    if (transcripts.length === 0) {
       logger.info(`No transcript data returned for video ${video.uuid}`)
       return
     }
 
-    logger.info(`Got transcript data (${transcriptData.length} chars) for video ${video.uuid}`)
-
-    // Parse transcript into chunks
-    const chunks = parseTranscript(transcriptData)
+    for (const transcript of transcripts) {
+      const language = transcript.language || 'unknown language'
+      logger.info(`Got ${language} transcript data (${transcript.content.length} chars) for video ${video.uuid}`)
+
+      // Parse transcript into chunks
+      const chunks = parseTranscript(transcript.content)
+
+      // Store chunks in database
+      for (const chunk of chunks) {
+        await databaseService.saveVideoEmbedding(video.uuid, video.id, chunk.index, {
+          startTime: chunk.startTime,
+          endTime: chunk.endTime,
+          content: chunk.content,
+          language: transcript.language,
+          embedding: null // Will be generated later
+        })
+      }
 
-    // Store chunks in database
-    for (const chunk of chunks) {
-      await databaseService.saveVideoEmbedding(video.uuid, video.id, chunk.index, {
-        startTime: chunk.startTime,
-        endTime: chunk.endTime,
-        content: chunk.content,
-        embedding: null // Will be generated later
-      })
+      logger.info(`Processed ${chunks.length} ${language} transcript chunks for video ${video.uuid}`)
     }
 
-    logger.info(`Processed ${chunks.length} transcript chunks for video ${video.uuid}`)
+    // A new transcript (e.g. caption added after processing) makes cached answers stale
+    await databaseService.clearAnswerCache(video.uuid)
   } catch (error) {
     logger.error(`Failed to process transcript for video ${video.uuid}:`, error)
   }
 }
 
-async function getVideoTranscript(video) {
+// Caption tracks of a video: [{ language, content }]. language is the PeerTube caption
+// language code, empty for caption files found on disk without one in their name.
+// languages: only read captions in these languages, all of them when null
+async function getVideoTranscripts(video, languages = null) {
+  const transcripts = []
+
   try {
-    logger.info(`Looking for transcript for video ${video.uuid}`)
-    let captionUrl = null
-    let captionContent = null
+    logger.info(`Looking for transcripts for video ${video.uuid}`)
 
-    // Query captions directly from PeerTube's database (most reliable method)
-    if (peertubeHelpers.database?.query) {
-      try {
-        const result = await peertubeHelpers.database.query(`
-          SELECT vc."language", vc."filename", vc."fileUrl"
-          FROM "videoCaption" vc
-          JOIN video v ON vc."videoId" = v.id
-          WHERE v.uuid = $1
-        `, { bind: [video.uuid] })
-
-        // Handle different result formats
-        let captions = []
-        if (Array.isArray(result)) {
-          captions = Array.isArray(result[0]) ? result[0] : result
-        } else if (result?.rows) {
-          captions = result.rows
+    const captions = (await getVideoCaptions(video))
+      .filter(caption => languages === null || languages.includes(caption.language))
+
+    for (const caption of captions) {
+      const content = await readCaption(caption)
+      if (content) {
+        transcripts.push({ language: caption.language || '', content })
+      } else {
+        logger.info(`Could not read the ${caption.language} caption of video ${video.uuid}`)
+      }
+    }
+
+    // Fallback: caption files named after the video, e.g. <uuid>-fr.vtt
+    if (transcripts.length === 0 && languages === null) {
+      for (const dir of CAPTION_DIRECTORIES) {
+        let files = []
+        try {
+          files = await fs.readdir(dir)
+        } catch {
+          // Directory doesn't exist or can't be read
+          continue
         }
 
-        logger.info(`Caption query returned ${captions.length} caption(s) for video ${video.uuid}`)
+        for (const file of files.filter(f => f.startsWith(video.uuid) && f.endsWith('.vtt'))) {
+          const language = file.slice(video.uuid.length).match(/^-([\w-]+)\.vtt$/)?.[1] || ''
+          if (transcripts.some(transcript => transcript.language === language)) continue
 
-        if (captions.length > 0) {
-          // Prefer English
-          const caption = captions.find(c => c.language === 'en') || captions[0]
-          if (caption.fileUrl) {
-            captionUrl = caption.fileUrl
-            logger.info(`Found caption URL for video ${video.uuid}: ${caption.language}`)
-          } else {
-            logger.info(`Caption found but no fileUrl for video ${video.uuid}`)
+          try {
+            const filePath = path.join(dir, file)
+            transcripts.push({ language, content: await fs.readFile(filePath, 'utf-8') })
+            logger.info(`Found local caption file at: ${filePath}`)
+          } catch {
+            // File can't be read, try next
           }
         }
-      } catch (e) {
-        logger.warn(`Caption database query failed: ${e.message}`)
       }
-    } else {
-      logger.warn('Database query not available for caption lookup')
     }
+  } catch (error) {
+    logger.error('Error getting video transcripts:', error)
+  }
 
-    // If we have a remote caption URL, fetch it
-    if (captionUrl && (captionUrl.startsWith('http://') || captionUrl.startsWith('https://'))) {
-      try {
-        const https = require('https')
-        const http = require('http')
-
-        captionContent = await new Promise((resolve, reject) => {
-          const client = captionUrl.startsWith('https') ? https : http
-
-          client.get(captionUrl, (res) => {
-            if (res.statusCode === 200) {
-              let data = ''
-              res.on('data', chunk => data += chunk)
-              res.on('end', () => resolve(data))
-              res.on('error', reject)
-            } else {
-              logger.debug(`Caption URL returned status ${res.statusCode}`)
-              resolve(null)
-            }
-          }).on('error', reject)
-        })
+  if (transcripts.length === 0) {
+    logger.debug(`No caption found for video ${video.uuid}`)
+  }
 
-        if (captionContent) {
-          logger.info(`Downloaded caption for video ${video.uuid}`)
-          return captionContent
-        }
-      } catch (error) {
-        logger.debug('Error downloading remote caption:', error.message)
-      }
-    }
+  return transcripts
+}
 
-    // Fallback: Try local file paths
-    const possiblePaths = [
-      `/data/captions/${video.uuid}-en.vtt`,
-      `/data/captions/${video.uuid}.vtt`,
-      `/var/www/peertube/storage/captions/${video.uuid}-en.vtt`,
-      `/var/www/peertube/storage/captions/${video.uuid}.vtt`,
-      `/var/www/peertube/storage/captions/${video.uuid}-fr.vtt`,
-      `/var/www/peertube/storage/captions/${video.uuid}-es.vtt`
-    ]
+// Caption tracks of a video from PeerTube's database: [{ language, filename, fileUrl }]
+async function getVideoCaptions(video) {
+  // Query captions directly from PeerTube's database (most reliable method)
+  if (!peertubeHelpers.database?.query) {
+    logger.warn('Database query not available for caption lookup')
+    return []
+  }
 
-    // If we have a local caption path from the API, add it to the list
-    if (captionUrl && !captionUrl.startsWith('http')) {
-      possiblePaths.unshift(captionUrl)
+  try {
+    const result = await peertubeHelpers.database.query(`
+      SELECT vc."language", vc."filename", vc."fileUrl"
+      FROM "videoCaption" vc
+      JOIN video v ON vc."videoId" = v.id
+      WHERE v.uuid = $1
+    `, { bind: [video.uuid] })
+
+    // Handle different result formats
+    let captions = []
+    if (Array.isArray(result)) {
+      captions = Array.isArray(result[0]) ? result[0] : result
+    } else if (result?.rows) {
+      captions = result.rows
     }
 
-    // Also check for any language code in local directories
-    const captionDirs = ['/data/captions', '/var/www/peertube/storage/captions']
-    for (const dir of captionDirs) {
-      try {
-        const files = await fs.readdir(dir)
-        const videoCaption = files.find(f => f.startsWith(video.uuid) && f.endsWith('.vtt'))
-        if (videoCaption) {
-          possiblePaths.push(path.join(dir, videoCaption))
-        }
-      } catch {
-        // Directory doesn't exist or can't be read
-      }
-    }
+    logger.info(`Caption query returned ${captions.length} caption(s) for video ${video.uuid}: ${captions.map(c => c.language).join(', ')}`)
+    return captions
+  } catch (e) {
+    logger.warn(`Caption database query failed: ${e.message}`)
+    return []
+  }
+}
 
-    // Try to find and read VTT file locally
-    for (const filePath of possiblePaths) {
-      try {
-        const content = await fs.readFile(filePath, 'utf-8')
-        logger.info(`Found local caption file at: ${filePath}`)
-        return content
-      } catch {
-        // File doesn't exist, try next
+// Content of a caption: downloaded from its URL (remote videos), or read from disk
+async function readCaption(caption) {
+  const captionUrl = caption.fileUrl
+
+  // If we have a remote caption URL, fetch it
+  if (captionUrl && (captionUrl.startsWith('http://') || captionUrl.startsWith('https://'))) {
+    try {
+      const https = require('https')
+      const http = require('http')
+
+      const captionContent = await new Promise((resolve, reject) => {
+        const client = captionUrl.startsWith('https') ? https : http
+
+        client.get(captionUrl, (res) => {
+          if (res.statusCode === 200) {
+            let data = ''
+            res.on('data', chunk => data += chunk)
+            res.on('end', () => resolve(data))
+            res.on('error', reject)
+          } else {
+            logger.debug(`Caption URL returned status ${res.statusCode}`)
+            resolve(null)
+          }
+        }).on('error', reject)
+      })
+
+      if (captionContent) {
+        logger.info(`Downloaded ${caption.language} caption from ${captionUrl}`)
+        return captionContent
       }
+    } catch (error) {
+      logger.debug('Error downloading remote caption:', error.message)
     }
+  }
 
-    logger.debug(`No caption found for video ${video.uuid}`)
-  } catch (error) {
-    logger.error('Error getting video transcript:', error)
+  // Local captions: the stored path, then the file name in the caption directories
+  const possiblePaths = []
+  if (captionUrl && !captionUrl.startsWith('http')) {
+    possiblePaths.push(captionUrl)
+  }
+  if (caption.filename) {
+    possiblePaths.push(...CAPTION_DIRECTORIES.map(dir => path.join(dir, caption.filename)))
+  }
+
+  for (const filePath of possiblePaths) {
+    try {
+      const content = await fs.readFile(filePath, 'utf-8')
+      logger.info(`Found local caption file at: ${filePath}`)
+      return content
+    } catch {
+      // File doesn't exist, try next
+    }
   }
 
   return null
@@ -506,23 +621,26 @@ async function generateVideoEmbeddings(video) {
 
   // Get all text chunks that need embeddings
   const chunks = await databaseService.getVideoEmbeddings(video.uuid)
+  const embeddingModel = await openaiService.getEmbeddingModel()
 
   for (const chunk of chunks) {
     try {
-      // Skip if embedding already exists
-      if (chunk.embedding && chunk.embedding.length > 0) {
+      // Skip if an embedding from the current model already exists
+      if (chunk.embedding && chunk.embedding.length > 0 && chunk.embeddingModel === embeddingModel) {
         continue
       }
 
       // Generate embedding
-      const embedding = await openaiService.generateEmbedding(chunk.content)
+      const embedding = await openaiService.generateEmbedding(chunk.content, { endpoint: 'processing-embedding', videoUuid: video.uuid })
 
       // Store embedding
       await databaseService.saveVideoEmbedding(video.uuid, video.id, chunk.chunkIndex, {
         startTime: chunk.startTime,
         endTime: chunk.endTime,
         content: chunk.content,
-        embedding: embedding
+        language: chunk.language,
+        embedding: embedding,
+        embeddingModel: embeddingModel
       })
 
       logger.debug(`Generated embedding for chunk ${chunk.chunkIndex}`)
@@ -531,7 +649,685 @@ async function generateVideoEmbeddings(video) {
     }
   }
 
-  logger.info(`Generated embeddings for video ${video.uuid}`)
+  logger.info(`Generated embeddings for video ${video.uuid} with model ${embeddingModel}`)
+
+  await generateTranslationEmbeddings(video)
+  await updateVideoCentroid(video)
+}
+
+// Embed chunk translations without an embedding from the current model
+async function generateTranslationEmbeddings(video) {
+  const embeddingModel = await openaiService.getEmbeddingModel()
+  const translations = (await databaseService.getChunkTranslations(video.uuid))
+    .filter(translation => !translation.embedding || translation.embeddingModel !== embeddingModel)
+
+  for (const translation of translations) {
+    try {
+      const embedding = await openaiService.generateEmbedding(translation.content, { endpoint: 'processing-embedding', videoUuid: video.uuid })
+      await databaseService.saveChunkTranslation(video.uuid, video.id ?? translation.videoId, {
+        ...translation,
+        embedding,
+        embeddingModel
+      })
+    } catch (error) {
+      logger.error(`Failed to generate embedding for translation of chunk ${translation.chunkIndex}:`, error)
+    }
+  }
+
+  if (translations.length > 0) {
+    logger.info(`Generated ${translations.length} translation embeddings for video ${video.uuid} with model ${embeddingModel}`)
+  }
+}
+
+// Translate the primary transcript to the pivot language and embed the translations, so
+// questions in that language find passages spoken in another one. Videos with captions in
+// the pivot language need none, chunks already translated are skipped.
+async function translateTranscript(video) {
+  if (!openaiService.isInitialized() || !await settingsManager.getSetting('cross-lingual-enabled')) {
+    return
+  }
+
+  const targetLanguage = String(await settingsManager.getSetting('cross-lingual-pivot-language') || '').trim()
+  if (!LANGUAGE_TAG_PATTERN.test(targetLanguage)) {
+    logger.warn(`Invalid cross-lingual pivot language "${targetLanguage}", skipping transcript translation`)
+    return
+  }
+
+  try {
+    const baseLanguage = (language) => language.split('-')[0].toLowerCase()
+    const languages = await databaseService.getTranscriptLanguages(video.uuid)
+    if (languages.some(language => baseLanguage(language) === baseLanguage(targetLanguage))) {
+      return
+    }
+
+    const chunks = await getPrimaryTranscript(video)
+    const translated = new Set((await databaseService.getChunkTranslations(video.uuid, targetLanguage))
+      .map(translation => `${translation.language}:${translation.chunkIndex}`))
+    const pending = chunks.filter(chunk => chunk.content && !translated.has(`${chunk.language}:${chunk.chunkIndex}`))
+
+    if (pending.length === 0) return
+
+    logger.info(`Translating ${pending.length} transcript chunks of video ${video.uuid} to ${targetLanguage}`)
+
+    let saved = 0
+    for (const batch of groupChunks(pending, TRANSLATION_BATCH_CHARS)) {
+      const content = batch
+        .map(chunk => `[${chunk.chunkIndex}] ${promptGuard.escapeUntrusted(chunk.content)}`)
+        .join('\n')
+
+      const aiResponse = await openaiService.generateChatResponse(
+        promptGuard.withInstructionHierarchy(TRANSLATION_PROMPT),
+        `Target language: ${targetLanguage}\n\n${promptGuard.wrapUntrusted(content)}`,
+        null,
+        null,
+        TRANSLATION_MAX_TOKENS
+      )
+
+      await usageTracker.recordUsage('processing-translation', aiResponse.model, aiResponse.usage, { videoUuid: video.uuid })
+
+      const translations = parseJsonResponse(aiResponse.content)?.translations || {}
+      for (const chunk of batch) {
+        const translation = String(translations[chunk.chunkIndex] ?? '').trim()
+        if (!translation) continue
+
+        await databaseService.saveChunkTranslation(video.uuid, video.id, {
+          language: chunk.language,
+          chunkIndex: chunk.chunkIndex,
+          targetLanguage,
+          content: translation
+        })
+        saved++
+      }
+    }
+
+    logger.info(`Translated ${saved} of ${pending.length} transcript chunks of video ${video.uuid} to ${targetLanguage}`)
+
+    await generateTranslationEmbeddings(video)
+  } catch (error) {
+    logger.error(`Failed to translate transcript of video ${video.uuid}:`, error)
+  }
+}
+
+// Split chunks into consecutive batches of at most maxChars characters of content
+function groupChunks(chunks, maxChars) {
+  const batches = []
+  let current = []
+  let length = 0
+
+  for (const chunk of chunks) {
+    if (current.length > 0 && length + chunk.content.length > maxChars) {
+      batches.push(current)
+      current = []
+      length = 0
+    }
+    current.push(chunk)
+    length += chunk.content.length
+  }
+
+  if (current.length > 0) {
+    batches.push(current)
+  }
+
+  return batches
+}
+
+// Check the vector columns against the configured embedding model, when the model changed
+// since the last check: finding the dimension of an unknown model is a paid call. Columns
+// still holding vectors are not migrated here, the re-embed job started by an admin does it.
+async function checkEmbeddingSchema() {
+  if (!openaiService.isInitialized()) return
+
+  try {
+    const embeddingModel = await openaiService.getEmbeddingModel()
+    let check = await storageManager.getData(EMBEDDING_SCHEMA_KEY)
+
+    if (check?.embeddingModel !== embeddingModel) {
+      const dimensions = await openaiService.getEmbeddingDimensions()
+      const { pending } = await databaseService.ensureEmbeddingSchema(embeddingModel, dimensions)
+
+      check = { embeddingModel, migrationNeeded: pending.length > 0 }
+      await storageManager.storeData(EMBEDDING_SCHEMA_KEY, check)
+    }
+
+    if (check.migrationNeeded) {
+      logger.warn(`The vector columns do not fit the dimension of ${embeddingModel}, new embeddings cannot be stored until the re-embed job is run from the plugin settings page (it clears the stored vectors first)`)
+      return
+    }
+
+    const staleVideos = await databaseService.getVideosWithStaleEmbeddings(embeddingModel)
+    if (staleVideos.length > 0) {
+      logger.warn(`${staleVideos.length} video(s) have transcript chunks not embedded with ${embeddingModel}, run the re-embed job from the plugin settings page`)
+    }
+  } catch (error) {
+    logger.error('Failed to check embedding schema:', error)
+  }
+}
+
+async function startReembedJob() {
+  if (reembedJob.running) {
+    return await getReembedStatus()
+  }
+
+  if (!openaiService.isInitialized()) {
+    throw new Error('AI service not configured')
+  }
+
+  // Migrating the vector columns to the dimension of the model clears the stored vectors,
+  // which are then all re-embedded
+  const embeddingModel = await openaiService.getEmbeddingModel()
+  const dimensions = await openaiService.getEmbeddingDimensions()
+  await databaseService.ensureEmbeddingSchema(embeddingModel, dimensions, { clearVectors: true })
+  await storageManager.storeData(EMBEDDING_SCHEMA_KEY, { embeddingModel, migrationNeeded: false })
+
+  const staleVideos = await databaseService.getVideosWithStaleEmbeddings(embeddingModel)
+
+  reembedJob = {
+    running: true,
+    totalVideos: staleVideos.length,
+    processedVideos: 0,
+    failedVideos: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  }
+
+  logger.info(`Starting re-embed job for ${staleVideos.length} video(s) with model ${embeddingModel}`)
+
+  runReembedJob(staleVideos).catch(err => {
+    logger.error('Re-embed job failed:', err)
+  })
+
+  return await getReembedStatus()
+}
+
+async function runReembedJob(videos) {
+  try {
+    for (const video of videos) {
+      try {
+        await generateVideoEmbeddings({ uuid: video.videoUuid, id: video.videoId })
+        await generateSnapshotEmbeddings({ uuid: video.videoUuid, id: video.videoId })
+        reembedJob.processedVideos++
+      } catch (error) {
+        reembedJob.failedVideos++
+        logger.error(`Failed to re-embed video ${video.videoUuid}:`, error)
+      }
+    }
+  } finally {
+    reembedJob.running = false
+    reembedJob.finishedAt = new Date().toISOString()
+    logger.info(`Re-embed job finished: ${reembedJob.processedVideos} processed, ${reembedJob.failedVideos} failed`)
+  }
+}
+
+async function getReembedStatus() {
+  const embeddingModel = openaiService.isInitialized() ? await openaiService.getEmbeddingModel() : null
+  const staleVideos = embeddingModel ? await databaseService.getVideosWithStaleEmbeddings(embeddingModel) : []
+  const check = await storageManager.getData(EMBEDDING_SCHEMA_KEY)
+
+  return {
+    ...reembedJob,
+    embeddingModel,
+    migrationNeeded: Boolean(embeddingModel && check?.embeddingModel === embeddingModel && check.migrationNeeded),
+    staleVideoCount: staleVideos.length,
+    staleChunkCount: staleVideos.reduce((sum, video) => sum + video.staleCount, 0)
+  }
+}
+
+// Embed snapshot descriptions so visual moments can be found by similarity
+async function generateSnapshotEmbeddings(video) {
+  if (!openaiService.isInitialized()) {
+    return
+  }
+
+  const embeddingModel = await openaiService.getEmbeddingModel()
+  const snapshots = await databaseService.getSnapshotsNeedingEmbedding(video.uuid, embeddingModel)
+
+  for (const snapshot of snapshots) {
+    try {
+      const embedding = await openaiService.generateEmbedding(snapshot.description, { endpoint: 'processing-embedding', videoUuid: video.uuid })
+      await databaseService.saveSnapshotEmbedding(video.uuid, snapshot.timestamp, embedding, embeddingModel)
+
+      logger.debug(`Generated embedding for snapshot at ${snapshot.timestamp}s`)
+    } catch (error) {
+      logger.error(`Failed to generate embedding for snapshot at ${snapshot.timestamp}s:`, error)
+    }
+  }
+
+  logger.info(`Generated ${snapshots.length} snapshot embeddings for video ${video.uuid} with model ${embeddingModel}`)
+
+  await updateVideoCentroid(video)
+}
+
+// Flag title, description, transcript chunks and snapshot descriptions containing
+// instruction-like text so admins can see which videos attempt prompt injection
+async function detectPromptInjection(video) {
+  try {
+    const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+    const candidates = [
+      { source: 'title', startTime: null, content: fullVideo?.name || video.name },
+      { source: 'description', startTime: null, content: fullVideo?.description || video.description },
+      ...(await databaseService.getVideoEmbeddings(video.uuid)).map(chunk => ({
+        source: 'transcript', startTime: chunk.startTime, content: chunk.content
+      })),
+      ...(await databaseService.getVideoSnapshots(video.uuid)).map(snapshot => ({
+        source: 'snapshot', startTime: snapshot.timestamp, content: snapshot.description
+      }))
+    ]
+
+    const flags = candidates
+      .map(candidate => ({ ...candidate, patterns: promptGuard.detectInjection(candidate.content) }))
+      .filter(candidate => candidate.patterns.length > 0)
+
+    await databaseService.saveInjectionFlags(video.uuid, flags)
+
+    if (flags.length > 0) {
+      logger.warn(`Video ${video.uuid} contains ${flags.length} instruction-like passage(s), possible prompt injection`)
+    }
+  } catch (error) {
+    logger.error(`Failed to scan video ${video.uuid} for prompt injection:`, error)
+  }
+}
+
+// Generate titled chapters from the transcript chunks and snapshot descriptions.
+// Chapters the owner already edited or published are kept.
+async function generateChapters(video) {
+  if (!openaiService.isInitialized() || !await settingsManager.getSetting('chapters-enabled')) {
+    return
+  }
+
+  try {
+    const existing = await databaseService.getVideoChapters(video.uuid)
+    if (existing && existing.status !== 'generated') {
+      logger.info(`Keeping reviewed chapters of video ${video.uuid}`)
+      return
+    }
+
+    const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+    const duration = fullVideo?.duration || video.duration || 0
+    if (duration < CHAPTER_MIN_VIDEO_DURATION) {
+      logger.debug(`Video ${video.uuid} too short for chapters (${duration}s)`)
+      return
+    }
+
+    let lastSnapshotTime = -Infinity
+    const lines = [
+      ...(await getPrimaryTranscript(video)).map(chunk => ({
+        time: chunk.startTime,
+        text: chunk.content
+      })),
+      ...(await databaseService.getVideoSnapshots(video.uuid))
+        .filter(snapshot => {
+          if (!snapshot.description || snapshot.timestamp - lastSnapshotTime < CHAPTER_SNAPSHOT_INTERVAL) return false
+          lastSnapshotTime = snapshot.timestamp
+          return true
+        })
+        .map(snapshot => ({ time: snapshot.timestamp, text: `(on screen) ${snapshot.description}` }))
+    ].sort((a, b) => a.time - b.time)
+
+    if (lines.length === 0) {
+      logger.info(`No transcript or snapshots to generate chapters for video ${video.uuid}`)
+      return
+    }
+
+    // Shorten every line evenly so long videos fit in the prompt
+    const lineLength = Math.max(80, Math.floor(CHAPTER_INPUT_MAX_CHARS / lines.length))
+    const content = lines
+      .map(line => `[${Math.floor(line.time)}s] ${promptGuard.escapeUntrusted(line.text.slice(0, lineLength))}`)
+      .join('\n')
+
+    const aiResponse = await openaiService.generateChatResponse(
+      promptGuard.withInstructionHierarchy(CHAPTER_PROMPT),
+      `Video title: ${promptGuard.escapeUntrusted(fullVideo?.name || video.name || '')}\nDuration: ${Math.floor(duration)}s\n\n${promptGuard.wrapUntrusted(content)}`,
+      null,
+      null,
+      CHAPTER_MAX_TOKENS
+    )
+
+    await usageTracker.recordUsage('processing-chapters', aiResponse.model, aiResponse.usage, { videoUuid: video.uuid })
+
+    const chapters = normalizeChapters(parseJsonResponse(aiResponse.content)?.chapters, duration)
+    if (chapters.length < 2) {
+      logger.warn(`No usable chapters generated for video ${video.uuid}`)
+      return
+    }
+
+    await databaseService.saveVideoChapters(video.uuid, chapters, 'generated')
+    logger.info(`Generated ${chapters.length} chapters for video ${video.uuid}`)
+  } catch (error) {
+    logger.error(`Failed to generate chapters for video ${video.uuid}:`, error)
+  }
+}
+
+// Transcript chunks of one caption language, for what is written from the whole video
+// (chapters, summary, questions): the language of the video when it has captions in it,
+// otherwise the most complete transcript
+async function getPrimaryTranscript(video) {
+  const languages = await databaseService.getTranscriptLanguages(video.uuid)
+  if (languages.length === 0) return []
+
+  const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+  const language = languages.includes(fullVideo?.language) ? fullVideo.language : languages[0]
+
+  return await databaseService.getVideoEmbeddings(video.uuid, language)
+}
+
+// JSON object of a model answer asked to reply in JSON, null when there is none
+function parseJsonResponse(content) {
+  const json = (content || '').match(/\{[\s\S]*\}/)
+  if (!json) return null
+
+  try {
+    return JSON.parse(json[0])
+  } catch (error) {
+    logger.warn(`Could not parse JSON model answer: ${error.message}`)
+    return null
+  }
+}
+
+// Map-reduce summarization of the whole transcript into a short summary, a detailed
+// summary and key takeaways, used by the Summary tab and given to the chat as context
+async function generateSummary(video) {
+  if (!openaiService.isInitialized() || !await settingsManager.getSetting('summaries-enabled')) {
+    return
+  }
+
+  try {
+    const chunks = await getPrimaryTranscript(video)
+    if (chunks.length === 0) {
+      logger.info(`No transcript to summarize for video ${video.uuid}`)
+      return
+    }
+
+    const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+    const title = promptGuard.escapeUntrusted(fullVideo?.name || video.name || '')
+    let model = null
+
+    const summarize = async (systemPrompt, content, maxTokens) => {
+      const aiResponse = await openaiService.generateChatResponse(
+        promptGuard.withInstructionHierarchy(systemPrompt),
+        `Video title: ${title}\n\n${promptGuard.wrapUntrusted(content)}`,
+        null,
+        null,
+        maxTokens
+      )
+
+      model = aiResponse.model
+      await usageTracker.recordUsage('processing-summary', aiResponse.model, aiResponse.usage, { videoUuid: video.uuid })
+      return aiResponse.content
+    }
+
+    // Map: summarize sections until everything fits in a single request
+    let parts = chunks.map(chunk => `[${formatTime(chunk.startTime)}] ${promptGuard.escapeUntrusted(chunk.content)}`)
+    for (let level = 0; level < SUMMARY_MAX_LEVELS && parts.join('\n').length > SUMMARY_SECTION_CHARS; level++) {
+      const sections = groupLines(parts, SUMMARY_SECTION_CHARS)
+      logger.info(`Summarizing ${sections.length} sections of video ${video.uuid}`)
+
+      parts = []
+      for (const section of sections) {
+        const summary = await summarize(SUMMARY_SECTION_PROMPT, section, SUMMARY_SECTION_MAX_TOKENS)
+        if (summary) {
+          parts.push(promptGuard.escapeUntrusted(summary))
+        }
+      }
+    }
+
+    // Reduce: the final summaries from the section summaries (or the transcript itself)
+    const result = parseJsonResponse(await summarize(SUMMARY_PROMPT, parts.join('\n').slice(0, SUMMARY_SECTION_CHARS), SUMMARY_MAX_TOKENS))
+    if (!result?.short || !result?.detailed) {
+      logger.warn(`No usable summary generated for video ${video.uuid}`)
+      return
+    }
+
+    await databaseService.saveVideoSummary(video.uuid, {
+      shortSummary: String(result.short).trim(),
+      detailedSummary: String(result.detailed).trim(),
+      takeaways: (Array.isArray(result.takeaways) ? result.takeaways : [])
+        .map(takeaway => String(takeaway).trim())
+        .filter(Boolean),
+      model
+    })
+
+    logger.info(`Generated summary for video ${video.uuid}`)
+  } catch (error) {
+    logger.error(`Failed to summarize video ${video.uuid}:`, error)
+  }
+}
+
+// Starter questions shown as chips in the chat welcome area.
+// Questions the owner edited are kept.
+async function generateSuggestedQuestions(video) {
+  if (!openaiService.isInitialized() || !await settingsManager.getSetting('suggested-questions-enabled')) {
+    return
+  }
+
+  try {
+    const existing = await databaseService.getSuggestedQuestions(video.uuid)
+    if (existing?.status === 'edited') {
+      logger.info(`Keeping edited suggested questions of video ${video.uuid}`)
+      return
+    }
+
+    // The summary covers the whole video in few tokens, the transcript is the fallback
+    const summary = await databaseService.getVideoSummary(video.uuid)
+    const content = summary
+      ? [summary.shortSummary, ...summary.takeaways.map(takeaway => `- ${takeaway}`), summary.detailedSummary].join('\n')
+      : (await getPrimaryTranscript(video)).map(chunk => chunk.content).join('\n')
+
+    if (!content.trim()) {
+      logger.info(`No transcript to suggest questions for video ${video.uuid}`)
+      return
+    }
+
+    const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+    const aiResponse = await openaiService.generateChatResponse(
+      promptGuard.withInstructionHierarchy(SUGGESTED_QUESTIONS_PROMPT),
+      `Video title: ${promptGuard.escapeUntrusted(fullVideo?.name || video.name || '')}\n\n${promptGuard.wrapUntrusted(promptGuard.escapeUntrusted(content.slice(0, SUGGESTED_QUESTIONS_INPUT_MAX_CHARS)))}`,
+      null,
+      null,
+      SUGGESTED_QUESTIONS_MAX_TOKENS
+    )
+
+    await usageTracker.recordUsage('processing-suggested-questions', aiResponse.model, aiResponse.usage, { videoUuid: video.uuid })
+
+    const questions = normalizeSuggestedQuestions(parseJsonResponse(aiResponse.content)?.questions)
+    if (questions.length < SUGGESTED_QUESTIONS_MIN) {
+      logger.warn(`Not enough usable suggested questions generated for video ${video.uuid}`)
+      return
+    }
+
+    await databaseService.saveSuggestedQuestions(video.uuid, questions, 'generated')
+    logger.info(`Generated ${questions.length} suggested questions for video ${video.uuid}`)
+  } catch (error) {
+    logger.error(`Failed to suggest questions for video ${video.uuid}:`, error)
+  }
+}
+
+// Quiz and flashcards, written during processing so opening the Quiz tab never starts a
+// model call. A video keeps its quiz until the owner writes a new one.
+async function generateQuiz(video) {
+  if (!openaiService.isInitialized() || !await quizService.isEnabled()) {
+    return
+  }
+
+  try {
+    if (await quizService.getQuiz(video.uuid)) {
+      logger.info(`Keeping the quiz of video ${video.uuid}`)
+      return
+    }
+
+    await quizService.generateQuiz(video, await getPrimaryTranscript(video))
+  } catch (error) {
+    logger.error(`Failed to write a quiz for video ${video.uuid}:`, error)
+  }
+}
+
+// Trimmed, distinct, non-empty questions, at most SUGGESTED_QUESTIONS_MAX of them
+function normalizeSuggestedQuestions(questions) {
+  if (!Array.isArray(questions)) return []
+
+  const normalized = questions
+    .map(question => String(question ?? '').replace(/\s+/g, ' ').trim().slice(0, SUGGESTED_QUESTION_MAX_LENGTH))
+    .filter(Boolean)
+
+  return [...new Set(normalized)].slice(0, SUGGESTED_QUESTIONS_MAX)
+}
+
+async function getSuggestedQuestions(videoUuid) {
+  return await databaseService.getSuggestedQuestions(videoUuid)
+}
+
+// Save questions edited by the owner, returns them normalized
+async function saveEditedSuggestedQuestions(videoUuid, questions) {
+  const normalized = normalizeSuggestedQuestions(questions)
+  await databaseService.saveSuggestedQuestions(videoUuid, normalized, 'edited')
+  return normalized
+}
+
+// Join lines into sections of at most maxChars characters (a longer line makes its own section)
+function groupLines(lines, maxChars) {
+  const sections = []
+  let current = ''
+
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > maxChars) {
+      sections.push(current)
+      current = ''
+    }
+    current += (current ? '\n' : '') + line
+  }
+
+  if (current) {
+    sections.push(current)
+  }
+
+  return sections
+}
+
+async function getVideoSummary(videoUuid) {
+  return await databaseService.getVideoSummary(videoUuid)
+}
+
+// Clean up chapters from the model or the owner: whole seconds within the video,
+// sorted, titles trimmed to PeerTube's limit, the first one starting at 0
+function normalizeChapters(chapters, duration = null) {
+  if (!Array.isArray(chapters)) return []
+
+  const sorted = chapters
+    .map(chapter => ({
+      start: Math.floor(parseFloat(chapter?.start)),
+      title: String(chapter?.title ?? '').replace(/\s+/g, ' ').trim().slice(0, CHAPTER_TITLE_MAX_LENGTH)
+    }))
+    .filter(chapter => isFinite(chapter.start) && chapter.start >= 0 && chapter.title && (!duration || chapter.start < duration))
+    .sort((a, b) => a.start - b.start)
+
+  const normalized = []
+  for (const chapter of sorted) {
+    if (normalized.length === 0 || chapter.start - normalized[normalized.length - 1].start >= CHAPTER_MIN_LENGTH) {
+      normalized.push(chapter)
+    }
+  }
+
+  if (normalized.length > 0) {
+    normalized[0].start = 0
+  }
+
+  return normalized
+}
+
+async function getVideoChapters(videoUuid) {
+  return await databaseService.getVideoChapters(videoUuid)
+}
+
+// Save chapters reviewed by the owner, returns them normalized
+async function saveReviewedChapters(video, chapters) {
+  const normalized = normalizeChapters(chapters, video.duration || null)
+  await databaseService.saveVideoChapters(video.uuid, normalized, 'edited')
+  return normalized
+}
+
+async function markChaptersPublished(videoUuid) {
+  return await databaseService.markChaptersPublished(videoUuid)
+}
+
+// Average all transcript and snapshot embeddings of a video into one normalized vector,
+// stored with the channel and tags for related-video recommendations
+async function updateVideoCentroid(video) {
+  try {
+    const embeddingModel = await openaiService.getEmbeddingModel()
+    const chunks = await databaseService.getVideoEmbeddings(video.uuid)
+    const vectors = [
+      ...chunks.filter(c => c.embedding && c.embeddingModel === embeddingModel).map(c => c.embedding),
+      ...await databaseService.getSnapshotEmbeddings(video.uuid, embeddingModel)
+    ]
+
+    if (vectors.length === 0) {
+      return
+    }
+
+    const centroid = new Array(vectors[0].length).fill(0)
+    for (const vector of vectors) {
+      for (let i = 0; i < centroid.length; i++) {
+        centroid[i] += vector[i]
+      }
+    }
+
+    const norm = Math.sqrt(centroid.reduce((sum, value) => sum + value * value, 0)) || 1
+    const normalized = centroid.map(value => value / norm)
+
+    const { videoId, videoName, channelId, tags } = await loadVideoTaxonomy(video)
+
+    await databaseService.saveVideoCentroid(video.uuid, videoId, {
+      videoName,
+      channelId,
+      tags,
+      embedding: normalized,
+      embeddingModel
+    })
+
+    logger.debug(`Updated centroid for video ${video.uuid} from ${vectors.length} embeddings`)
+  } catch (error) {
+    logger.error(`Failed to update centroid for video ${video.uuid}:`, error)
+  }
+}
+
+// Name, channel and tags of a video, used to boost same-channel and same-tag recommendations
+async function loadVideoTaxonomy(video) {
+  const taxonomy = { videoId: video.id, videoName: video.name || null, channelId: null, tags: [] }
+
+  try {
+    const fullVideo = await peertubeHelpers.videos.loadByIdOrUUID(video.uuid)
+    if (fullVideo) {
+      taxonomy.videoId = fullVideo.id
+      taxonomy.videoName = fullVideo.name || taxonomy.videoName
+      taxonomy.channelId = fullVideo.channelId || fullVideo.VideoChannel?.id || null
+    }
+  } catch (error) {
+    logger.debug(`Could not load video ${video.uuid} for taxonomy: ${error.message}`)
+  }
+
+  if (peertubeHelpers.database?.query && taxonomy.videoId) {
+    try {
+      const result = await peertubeHelpers.database.query(`
+        SELECT t."name"
+        FROM "videoTag" vt
+        JOIN "tag" t ON vt."tagId" = t.id
+        WHERE vt."videoId" = $1
+      `, { bind: [taxonomy.videoId] })
+
+      // Handle different result formats
+      let rows = []
+      if (Array.isArray(result)) {
+        rows = Array.isArray(result[0]) ? result[0] : result
+      } else if (result?.rows) {
+        rows = result.rows
+      }
+
+      taxonomy.tags = rows.map(row => row.name.toLowerCase())
+    } catch (e) {
+      logger.debug(`Tag query failed for video ${video.uuid}: ${e.message}`)
+    }
+  }
+
+  return taxonomy
 }
 
 async function checkAndProcessTranscript(video, retryCount = 0) {
@@ -562,14 +1358,48 @@ async function checkAndProcessTranscript(video, retryCount = 0) {
       }, TRANSCRIPT_RETRY_DELAY)
     } else if (newEmbeddings && newEmbeddings.length > 0) {
       logger.info(`Successfully processed ${newEmbeddings.length} transcript chunks for video ${video.uuid}`)
+      await detectPromptInjection(video)
+      await translateTranscript(video)
+
+      // First attempts are followed by the chapters stage of processVideo
+      if (retryCount > 0) {
+        await generateChapters(video)
+        await generateSummary(video)
+        await generateSuggestedQuestions(video)
+        await generateQuiz(video)
+      }
     } else {
       logger.info(`No transcript available for video ${video.uuid} after ${retryCount + 1} attempts`)
     }
   } else {
     logger.info(`Video ${video.uuid} already has ${embeddings.length} transcript embeddings`)
+    await processNewCaptionLanguages(video, embeddings)
+    await translateTranscript(video)
   }
 }
 
+// Add the transcripts of caption languages uploaded after the video was processed.
+// Chunks stored before caption languages were recorded have no language: they are
+// replaced by the transcripts of every language.
+async function processNewCaptionLanguages(video, embeddings) {
+  const indexedLanguages = new Set(embeddings.map(chunk => chunk.language))
+  const newLanguages = [...new Set((await getVideoCaptions(video)).map(caption => caption.language))]
+    .filter(language => language && !indexedLanguages.has(language))
+
+  if (newLanguages.length === 0) return
+
+  logger.info(`Adding ${newLanguages.join(', ')} transcripts to video ${video.uuid}`)
+  await processVideoTranscript(video, newLanguages)
+
+  const languages = await databaseService.getTranscriptLanguages(video.uuid)
+  if (indexedLanguages.has('') && languages.some(language => newLanguages.includes(language))) {
+    await databaseService.deleteTranscriptLanguage(video.uuid, '')
+  }
+
+  await generateVideoEmbeddings(video)
+  await detectPromptInjection(video)
+}
+
 async function cleanupVideoData(video) {
   const dataPath = peertubeHelpers.plugin.getDataDirectoryPath()
   const snapshotsDir = path.join(dataPath, 'snapshots', video.uuid)
@@ -587,6 +1417,12 @@ async function cleanupVideoData(video) {
   }
 }
 
+// Absolute path of the snapshot image taken at a timestamp (whole seconds)
+function getSnapshotPath(videoUuid, timestamp) {
+  const dataPath = peertubeHelpers.plugin.getDataDirectoryPath()
+  return path.join(dataPath, 'snapshots', videoUuid, `snapshot-${timestamp}.jpg`)
+}
+
 async function getProcessingStatus(videoUuid) {
   return await databaseService.getProcessingStatus(videoUuid)
 }
@@ -598,5 +1434,16 @@ module.exports = {
   checkAndProcessTranscript,
   cleanupVideoData,
   getProcessingStatus,
-  isVideoReady
+  getSnapshotPath,
+  getVideoChapters,
+  saveReviewedChapters,
+  markChaptersPublished,
+  getVideoSummary,
+  getSuggestedQuestions,
+  saveEditedSuggestedQuestions,
+  getPrimaryTranscript,
+  isVideoReady,
+  checkEmbeddingSchema,
+  startReembedJob,
+  getReembedStatus
 }
\ No newline at end of file
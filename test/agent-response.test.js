@@ -0,0 +1,112 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const llmProviders = require('../server/llm-providers')
+const openaiService = require('../server/openai-service')
+const databaseService = require('../server/database-service')
+const contextBuilder = require('../server/context-builder')
+const chatTools = require('../server/chat-tools')
+const { createServices } = require('./helpers')
+
+const MODEL = 'gpt-4.1-mini'
+const TOOLS = [{ type: 'function', function: { name: 'search_transcript', parameters: { type: 'object', properties: {} } } }]
+const LONG_RESULT = 'The speaker explains the configuration in detail. '.repeat(2000)
+
+function toolCallCompletion(...ids) {
+  return {
+    choices: [{
+      message: {
+        role: 'assistant',
+        content: null,
+        tool_calls: ids.map(id => ({ id, type: 'function', function: { name: 'search_transcript', arguments: '{"query":"configuration"}' } }))
+      }
+    }],
+    usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+  }
+}
+
+const ANSWER = {
+  choices: [{ message: { role: 'assistant', content: 'It is configured at [2:05].' } }],
+  usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+}
+
+// The model calls tools as long as it is allowed to. Returns the requests it received.
+async function configure() {
+  const requests = []
+  mock.method(llmProviders, 'createClient', () => ({
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push({ ...request, messages: [...request.messages] })
+          return request.tool_choice === 'none' ? ANSWER : toolCallCompletion(`call-${requests.length}-a`, `call-${requests.length}-b`)
+        }
+      }
+    }
+  }))
+  await openaiService.initialize(createServices({ 'llm-provider': 'openai', 'openai-api-key': 'sk-test' }))
+
+  return requests
+}
+
+// Tool results the size of what was asked for, cut like the tool session does
+function executeTool(name, rawArguments, maxTokens) {
+  return contextBuilder.truncateToTokens(LONG_RESULT, maxTokens, MODEL)
+}
+
+function toolTokens(request) {
+  return request.messages
+    .filter(message => message.role === 'tool')
+    .map(message => contextBuilder.countTokens(message.content, MODEL))
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('each tool result is cut to the tool result cap', async () => {
+  const requests = await configure()
+
+  const response = await openaiService.generateAgentResponse('system', 'question', MODEL, 500, [], {
+    tools: TOOLS,
+    executeTool,
+    maxRounds: 2
+  })
+
+  assert.equal(response.content, 'It is configured at [2:05].')
+  assert.equal(response.toolCalls, 2)
+  assert.deepEqual(toolTokens(requests[1]), [1500, 1500])
+})
+
+test('tools stop being offered once the prompt budget is spent', async () => {
+  const requests = await configure()
+
+  const response = await openaiService.generateAgentResponse('system', 'question', MODEL, 500, [], {
+    tools: TOOLS,
+    executeTool,
+    maxRounds: 6,
+    promptBudget: 4000
+  })
+
+  // Two rounds of two results fill the budget, the third request has to answer
+  assert.equal(requests.length, 3)
+  assert.deepEqual(requests.map(request => request.tool_choice), ['auto', 'auto', 'none'])
+  assert.equal(response.toolCalls, 4)
+
+  const finalPrompt = contextBuilder.countMessageTokens(requests[2].messages.map(message => ({
+    content: message.content || JSON.stringify(message.tool_calls)
+  })), MODEL) + contextBuilder.countTokens(JSON.stringify(TOOLS), MODEL)
+  assert.ok(finalPrompt <= 4000, `prompt of ${finalPrompt} tokens`)
+})
+
+test('the tool session cuts the data of a result but keeps its block closed', async () => {
+  mock.method(openaiService, 'generateEmbedding', async () => [1, 0])
+  mock.method(openaiService, 'getEmbeddingModel', async () => 'text-embedding-3-small')
+  mock.method(databaseService, 'findSimilarChunks', async () => [{ startTime: 125, endTime: 155, content: LONG_RESULT }])
+
+  const session = chatTools.createToolSession({ videoUuid: 'course', model: MODEL })
+  const result = await session.execute('search_transcript', '{"query":"configuration"}', 200)
+
+  assert.ok(result.startsWith('<video_data>\n{"sections":[{"time":"2:05 - 2:35"'))
+  assert.ok(result.endsWith('…\n</video_data>'))
+  assert.ok(contextBuilder.countTokens(result, MODEL) < 220)
+  assert.equal(session.collected.transcriptChunks.length, 1)
+})
@@ -0,0 +1,33 @@
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const { createServices } = require('./helpers')
+
+const MODEL = 'text-embedding-3-small'
+const question = [0.6, 0.8]
+
+before(async () => {
+  await databaseService.initialize(createServices())
+
+  await databaseService.saveCachedAnswer('course', 'What is a proxy?', question, MODEL, null, { response: 'A proxy forwards requests.' }, 24, 'en')
+  await databaseService.saveCachedAnswer('course', 'Qu\'est-ce qu\'un proxy ?', question, MODEL, null, { response: 'Un proxy relaie les requêtes.' }, 24, 'fr')
+  await databaseService.saveCachedAnswer('course', 'What is a proxy?', question, MODEL, null, { response: 'Without language.' }, 24)
+})
+
+test('a near-duplicate question gets the answer given in the same interface language', async () => {
+  const english = await databaseService.findCachedAnswer('course', [0.61, 0.79], MODEL, { language: 'en' })
+  const french = await databaseService.findCachedAnswer('course', [0.61, 0.79], MODEL, { language: 'fr' })
+
+  assert.equal(english.response, 'A proxy forwards requests.')
+  assert.equal(french.response, 'Un proxy relaie les requêtes.')
+})
+
+test('answers are not reused across languages', async () => {
+  assert.equal(await databaseService.findCachedAnswer('course', question, MODEL, { language: 'de' }), null)
+})
+
+test('users without a known language share the answers given without one', async () => {
+  const answer = await databaseService.findCachedAnswer('course', question, MODEL)
+
+  assert.equal(answer.response, 'Without language.')
+})
@@ -0,0 +1,51 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const budgetGuard = require('../server/budget-guard')
+const openaiService = require('../server/openai-service')
+const { createServices } = require('./helpers')
+
+// Past the soft limit: 90 of a 100 budget spent
+async function configurePastSoftLimit(settings) {
+  const services = createServices({ 'monthly-budget': '100', 'openai-model': 'gpt-4.1-mini', ...settings })
+  budgetGuard.initialize(services)
+  await openaiService.initialize(services)
+  // Clears the budget status cached by the previous test
+  await services.settingsManager.update({})
+
+  mock.method(databaseService, 'getCostSince', async () => 90)
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('OpenAI deployments fall back to the cheaper default model', async () => {
+  await configurePastSoftLimit({ 'llm-provider': 'openai', 'openai-api-key': 'sk-test' })
+
+  assert.equal(await openaiService.getChatModel(), 'gpt-4.1-nano')
+})
+
+test('other providers keep their model unless a fallback is set', async () => {
+  await configurePastSoftLimit({ 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:8080/v1', 'llm-model-name': 'llama3.1:70b' })
+
+  assert.equal(await openaiService.getChatModel(), 'llama3.1:70b')
+})
+
+test('a fallback set by the admin is used with any provider', async () => {
+  await configurePastSoftLimit({
+    'llm-provider': 'azure',
+    'openai-api-key': 'key',
+    'llm-base-url': 'https://example.openai.azure.com',
+    'llm-model-name': 'chat-large',
+    'budget-fallback-model': 'chat-small'
+  })
+
+  assert.equal(await openaiService.getChatModel(), 'chat-small')
+})
+
+test('"same as chat" vision keeps the configured chat model', async () => {
+  await configurePastSoftLimit({ 'llm-provider': 'openai', 'openai-api-key': 'sk-test', 'vision-model': 'same-as-chat' })
+
+  assert.equal(await openaiService.getVisionModel(), 'gpt-4.1-mini')
+})
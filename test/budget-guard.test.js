@@ -0,0 +1,66 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const budgetGuard = require('../server/budget-guard')
+const { createServices } = require('./helpers')
+
+// Saving the settings clears the status cached by the previous test
+async function setUp(settings, spent) {
+  const services = createServices()
+  budgetGuard.initialize(services)
+  await services.settingsManager.update(settings)
+
+  return mock.method(databaseService, 'getCostSince', async () => spent)
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('without a budget spending is not checked', async () => {
+  const getCostSince = await setUp({ 'monthly-budget': '' }, 1000)
+
+  assert.equal((await budgetGuard.getBudgetStatus()).level, 'ok')
+  assert.equal(await budgetGuard.isChatPaused(), false)
+  assert.equal(getCostSince.mock.callCount(), 0)
+})
+
+test('below the soft limit everything is allowed', async () => {
+  await setUp({ 'monthly-budget': '100', 'budget-fallback-model': 'gpt-4.1-nano' }, 79)
+
+  assert.equal(await budgetGuard.isChatPaused(), false)
+  assert.equal(await budgetGuard.isAutoProcessingAllowed(), true)
+  assert.equal(await budgetGuard.getFallbackChatModel(), null)
+})
+
+test('past the soft limit chat uses the fallback model and auto-processing stops', async () => {
+  await setUp({ 'monthly-budget': '100', 'budget-fallback-model': ' gpt-4.1-nano ' }, 80)
+
+  const status = await budgetGuard.getBudgetStatus()
+  assert.equal(status.level, 'soft')
+  assert.equal(status.softLimit, 80)
+  assert.equal(await budgetGuard.isChatPaused(), false)
+  assert.equal(await budgetGuard.isAutoProcessingAllowed(), false)
+  assert.equal(await budgetGuard.getFallbackChatModel(), 'gpt-4.1-nano')
+})
+
+test('past the hard limit chat is paused', async () => {
+  await setUp({ 'monthly-budget': '100', 'budget-soft-limit': '50', 'budget-hard-limit': '90' }, 90)
+
+  const status = await budgetGuard.getBudgetStatus()
+  assert.equal(status.level, 'hard')
+  assert.equal(status.hardLimit, 90)
+  assert.equal(await budgetGuard.isChatPaused(), true)
+})
+
+test('spending is counted from the start of the month and cached', async () => {
+  const getCostSince = await setUp({ 'monthly-budget': '100' }, 10)
+
+  await budgetGuard.getBudgetStatus()
+  await budgetGuard.isChatPaused()
+
+  assert.equal(getCostSince.mock.callCount(), 1)
+  const [since] = getCostSince.mock.calls[0].arguments
+  assert.equal(since.getDate(), 1)
+  assert.equal(since.getHours(), 0)
+})
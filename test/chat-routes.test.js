@@ -0,0 +1,68 @@
+const { test, before, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const budgetGuard = require('../server/budget-guard')
+const databaseService = require('../server/database-service')
+const chatService = require('../server/chat-service')
+const { registerPlugin } = require('./helpers')
+
+const videos = [
+  { id: 1, uuid: 'public-video', privacy: 1, VideoChannel: { Account: { userId: 10 } } }
+]
+
+let plugin
+
+before(async () => {
+  plugin = await registerPlugin({ 'rate-limit-ip-messages': '1', 'quota-user-tokens': '1000' }, videos)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+function send(options = {}) {
+  return plugin.handle('post', '/chat/send', {
+    ...options,
+    body: { videoUuid: 'public-video', message: 'What is this video about?', ...options.body }
+  })
+}
+
+test('a failing budget check answers 500 instead of leaving the request hanging', async () => {
+  mock.method(budgetGuard, 'isChatPaused', async () => {
+    throw new Error('storage unavailable')
+  })
+
+  const res = await send()
+  assert.equal(res.statusCode, 500)
+  assert.deepEqual(res.body, { error: 'Failed to process chat message' })
+})
+
+test('a failing quota check answers 500', async () => {
+  mock.method(databaseService, 'getTokenUsageSince', async () => {
+    throw new Error('connection lost')
+  })
+
+  const res = await send({ user: { id: 20, role: 2 } })
+  assert.equal(res.statusCode, 500)
+})
+
+test('library chat checks fail the same way', async () => {
+  await plugin.settingsManager.update({ 'library-chat-enabled': true })
+  mock.method(budgetGuard, 'isChatPaused', async () => {
+    throw new Error('storage unavailable')
+  })
+
+  const res = await plugin.handle('post', '/chat/library/send', { body: { message: 'Any video about cooking?' } })
+  assert.equal(res.statusCode, 500)
+})
+
+test('requests over the limit answer 429 without reaching the model', async () => {
+  const handleChatMessage = mock.method(chatService, 'handleChatMessage', async () => ({ response: 'It is about cats.' }))
+
+  assert.equal((await send()).statusCode, 200)
+
+  const res = await send()
+  assert.equal(res.statusCode, 429)
+  assert.equal(res.body.scope, 'ip')
+  assert.ok(res.headers['Retry-After'] > 0)
+  assert.equal(handleChatMessage.mock.callCount(), 1)
+})
@@ -0,0 +1,127 @@
+const { test, before, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const llmProviders = require('../server/llm-providers')
+const openaiService = require('../server/openai-service')
+const chatService = require('../server/chat-service')
+const { createServices, registerPlugin } = require('./helpers')
+
+const videos = [
+  { id: 1, uuid: 'public-video', privacy: 1, VideoChannel: { Account: { userId: 10 } } }
+]
+
+let plugin
+
+before(async () => {
+  plugin = await registerPlugin({}, videos)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+function streamRequest() {
+  return plugin.request('post', '/chat/send', {
+    body: { videoUuid: 'public-video', message: 'What is this video about?', stream: true }
+  })
+}
+
+test('streamed answers arrive as deltas, then the whole answer', async () => {
+  mock.method(chatService, 'handleChatMessage', async (videoId, videoUuid, message, userId, options) => {
+    options.onDelta('It is about ')
+    options.onDelta('cats.')
+    return { response: 'It is about cats.', timestamps: [] }
+  })
+
+  const { res, finished } = streamRequest()
+  await finished
+
+  assert.equal(res.headers['Content-Type'], 'text/event-stream')
+  assert.deepEqual(res.events, [
+    { event: 'delta', data: { content: 'It is about ' } },
+    { event: 'delta', data: { content: 'cats.' } },
+    { event: 'done', data: { response: 'It is about cats.', timestamps: [] } }
+  ])
+  assert.equal(res.writableEnded, true)
+})
+
+test('the generation stops when the client disconnects', async () => {
+  let signal
+  let started
+  const generating = new Promise(resolve => { started = resolve })
+
+  // Generates until aborted, like a model call given the signal
+  mock.method(chatService, 'handleChatMessage', (videoId, videoUuid, message, userId, options) => {
+    signal = options.signal
+    options.onDelta('It is about ')
+    started()
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+  })
+
+  const { res, finished } = streamRequest()
+  await generating
+  res.disconnect()
+  await finished
+
+  assert.equal(signal.aborted, true)
+  assert.deepEqual(res.events.map(event => event.event), ['delta'])
+})
+
+test('a failed generation ends the stream with an error event', async () => {
+  mock.method(chatService, 'handleChatMessage', async () => {
+    throw new Error('model unavailable')
+  })
+
+  const { res, finished } = streamRequest()
+  await finished
+
+  assert.deepEqual(res.events, [{ event: 'error', data: { error: 'Failed to process chat message' } }])
+  assert.equal(res.writableEnded, true)
+})
+
+// A streaming server answering `content` in two chunks, with a usage chunk only when asked for it
+async function configureStreamingClient(settings, content) {
+  const requests = []
+  mock.method(llmProviders, 'createClient', () => ({
+    chat: {
+      completions: {
+        create: async (request, { signal }) => {
+          requests.push({ request, signal })
+          const half = Math.ceil(content.length / 2)
+          const chunks = [content.slice(0, half), content.slice(half)].map(text => ({ choices: [{ delta: { content: text } }] }))
+          if (request.stream_options?.include_usage) {
+            chunks.push({ choices: [], usage: { prompt_tokens: 120, completion_tokens: 6, total_tokens: 126 } })
+          }
+          return (async function * () { yield * chunks })()
+        }
+      }
+    }
+  }))
+  await openaiService.initialize(createServices(settings))
+
+  return requests
+}
+
+test('stream usage is asked from servers that report it', async () => {
+  const requests = await configureStreamingClient({ 'llm-provider': 'openai', 'openai-api-key': 'sk-test' }, 'It is about cats.')
+  const deltas = []
+  const controller = new AbortController()
+
+  const response = await openaiService.generateChatResponse('system', 'question', null, 'gpt-4.1-mini', 500, [], delta => deltas.push(delta), controller.signal)
+
+  assert.equal(deltas.join(''), 'It is about cats.')
+  assert.equal(response.content, 'It is about cats.')
+  assert.deepEqual(requests[0].request.stream_options, { include_usage: true })
+  assert.equal(requests[0].signal, controller.signal)
+  assert.equal(response.usage.total_tokens, 126)
+})
+
+test('stream usage is counted for servers that do not report it', async () => {
+  const requests = await configureStreamingClient({ 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:8080/v1' }, 'It is about cats.')
+
+  const response = await openaiService.generateChatResponse('system', 'question', null, 'llama3.1', 500, [], () => {})
+
+  assert.equal(requests[0].request.stream_options, undefined)
+  assert.ok(response.usage.prompt_tokens > 0)
+  assert.ok(response.usage.completion_tokens > 0)
+  assert.equal(response.usage.total_tokens, response.usage.prompt_tokens + response.usage.completion_tokens)
+})
@@ -0,0 +1,111 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const contextBuilder = require('../server/context-builder')
+
+const MODEL = 'gpt-4.1-mini'
+
+function text(words, label = 'word') {
+  return Array.from({ length: words }, (_, index) => `${label}${index}`).join(' ')
+}
+
+function exchange(index, words = 40) {
+  return { message: `Question ${index}: ${text(words, 'ask')}`, response: `Answer ${index}: ${text(words, 'reply')}` }
+}
+
+function build(options) {
+  return contextBuilder.buildChatContext({
+    model: MODEL,
+    systemPrompt: 'You answer questions about videos.',
+    question: 'User question: what is configured?',
+    maxResponseTokens: 500,
+    tokenBudget: 2000,
+    contextWindow: 128000,
+    ...options
+  })
+}
+
+test('the prompt fits the smaller of the budget and the context window', async () => {
+  assert.equal((await build({ tokenBudget: 2000 })).stats.budget, 2000)
+  assert.equal((await build({ tokenBudget: 20000, contextWindow: 8192 })).stats.budget, 8192 - 500)
+})
+
+test('context lines are kept most important first until their budget is spent', async () => {
+  const lines = Array.from({ length: 40 }, (_, index) => `[0:${String(index).padStart(2, '0')}]: ${text(30)}`)
+  const { contextMessage, stats } = await build({ blocks: [{ key: 'transcript', title: 'Relevant transcript sections:', lines }] })
+
+  assert.ok(contextMessage.startsWith('Relevant transcript sections:\n[0:00]: '))
+  assert.ok(!contextMessage.includes('[0:39]'))
+  assert.ok(stats.droppedLines > 0)
+  assert.ok(stats.used <= stats.budget)
+})
+
+test('budget a part leaves unused goes to the following ones', async () => {
+  const lines = Array.from({ length: 40 }, (_, index) => `[${index}:00]: ${text(30)}`)
+  const alone = await build({ blocks: [{ key: 'recommendations', title: 'Other videos:', lines }] })
+  const shared = await build({ blocks: [{ key: 'metadata', title: 'Video:', lines: ['Title: short'] }, { key: 'recommendations', title: 'Other videos:', lines }] })
+
+  // Its own share holds three of these lines
+  assert.ok(40 - alone.stats.droppedLines > 20)
+  assert.equal(shared.stats.droppedLines, alone.stats.droppedLines)
+})
+
+test('the oldest exchanges are summarized, the summary stays out of the context', async () => {
+  const history = Array.from({ length: 12 }, (_, index) => exchange(index))
+  const summarize = mock.fn(async () => 'The user asked about the setup.')
+
+  const result = await build({ history, summarize, blocks: [{ key: 'metadata', title: 'Video:', lines: ['Title: Setup'] }] })
+
+  assert.equal(summarize.mock.callCount(), 1)
+  const [dropped, previousSummary] = summarize.mock.calls[0].arguments
+  assert.equal(previousSummary, null)
+  assert.deepEqual(dropped.at(-1), history[result.summarizedCount - 1])
+  assert.equal(result.historySummary, 'The user asked about the setup.')
+  assert.deepEqual(result.history, history.slice(result.summarizedCount))
+  assert.equal(result.stats.droppedExchanges, result.summarizedCount)
+  assert.ok(!result.contextMessage.includes('The user asked about the setup.'))
+})
+
+test('a previous summary is reused while the later exchanges fit beside it', async () => {
+  const history = [exchange(1), exchange(2)]
+  const summarize = mock.fn(async () => 'A new summary')
+
+  const result = await build({ history, summarize, historySummary: 'The user asked about the setup.' })
+
+  assert.equal(summarize.mock.callCount(), 0)
+  assert.equal(result.historySummary, 'The user asked about the setup.')
+  assert.equal(result.summarizedCount, 0)
+  assert.deepEqual(result.history, history)
+})
+
+test('a previous summary is extended once the later exchanges no longer fit', async () => {
+  const history = Array.from({ length: 12 }, (_, index) => exchange(index))
+  const summarize = mock.fn(async (dropped, previousSummary) => `${previousSummary} Then more.`)
+
+  const result = await build({ history, summarize, historySummary: 'The user asked about the setup.' })
+
+  assert.equal(summarize.mock.calls[0].arguments[1], 'The user asked about the setup.')
+  assert.equal(result.historySummary, 'The user asked about the setup. Then more.')
+  assert.ok(result.summarizedCount > 0)
+})
+
+test('without a summary the oldest exchanges are dropped', async () => {
+  const history = Array.from({ length: 12 }, (_, index) => exchange(index))
+  const summarize = mock.fn(async () => {
+    throw new Error('model unavailable')
+  })
+
+  const result = await build({ history, summarize })
+
+  assert.equal(result.historySummary, null)
+  assert.equal(result.summarizedCount, 0)
+  assert.ok(result.history.length < history.length)
+  assert.deepEqual(result.history.at(-1), history.at(-1))
+})
+
+test('tool results and other long texts are cut to a token count', () => {
+  const cut = contextBuilder.truncateToTokens(text(500), 50, MODEL)
+
+  assert.ok(cut.endsWith('…'))
+  assert.ok(contextBuilder.countTokens(cut, MODEL) <= 50)
+  assert.equal(contextBuilder.truncateToTokens('short text', 50, MODEL), 'short text')
+})
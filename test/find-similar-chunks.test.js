@@ -0,0 +1,84 @@
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const { createServices } = require('./helpers')
+
+const MODEL = 'text-embedding-3-small'
+
+// No database URL: the storage fallback ranks chunks the way the SQL queries do
+before(async () => {
+  await databaseService.initialize(createServices())
+
+  const chunks = [
+    { videoUuid: 'course', chunkIndex: 0, content: 'Introduction to the course', embedding: [1, 0] },
+    { videoUuid: 'course', chunkIndex: 1, content: 'How to configure the reverse proxy', embedding: [0.6, 0.8] },
+    { videoUuid: 'course', chunkIndex: 2, content: 'Closing words', embedding: [0.9, 0.1] },
+    { videoUuid: 'course', chunkIndex: 3, content: 'Embedded with a previous model', embedding: [1, 0], embeddingModel: 'previous-model' },
+    { videoUuid: 'talk', chunkIndex: 0, content: 'Welcome everyone', embedding: [1, 0], language: 'en' },
+    { videoUuid: 'talk', chunkIndex: 0, content: 'Bienvenue à tous', embedding: [0.8, 0.6], language: 'fr' }
+  ]
+
+  for (const { videoUuid, chunkIndex, language = 'en', embeddingModel = MODEL, ...data } of chunks) {
+    await databaseService.saveVideoEmbedding(videoUuid, 1, chunkIndex, {
+      ...data,
+      language,
+      embeddingModel,
+      startTime: chunkIndex * 30,
+      endTime: chunkIndex * 30 + 30
+    })
+  }
+})
+
+test('vector search ranks chunks of the current model by cosine similarity', async () => {
+  const chunks = await databaseService.findSimilarChunks('course', [1, 0], 5, { embeddingModel: MODEL })
+
+  assert.deepEqual(chunks.map(chunk => chunk.chunkIndex), [0, 2, 1])
+})
+
+test('hybrid search fuses the vector and full-text rankings', async () => {
+  const chunks = await databaseService.findSimilarChunks('course', [1, 0], 5, {
+    embeddingModel: MODEL,
+    mode: 'hybrid',
+    queryText: 'reverse proxy'
+  })
+
+  // Last by similarity but the only full-text match, so first once the rankings are fused
+  assert.equal(chunks[0].chunkIndex, 1)
+  assert.equal(chunks[0].vectorRank, 3)
+  assert.equal(chunks[0].lexicalRank, 1)
+  assert.ok(chunks[0].score > chunks[1].score)
+})
+
+test('a zero full-text weight ranks by similarity only', async () => {
+  const chunks = await databaseService.findSimilarChunks('course', [1, 0], 5, {
+    embeddingModel: MODEL,
+    mode: 'hybrid',
+    queryText: 'reverse proxy',
+    lexicalWeight: 0
+  })
+
+  assert.deepEqual(chunks.map(chunk => chunk.chunkIndex), [0, 2, 1])
+})
+
+test('hybrid search without query text falls back to vector search', async () => {
+  const chunks = await databaseService.findSimilarChunks('course', [1, 0], 5, {
+    embeddingModel: MODEL,
+    mode: 'hybrid',
+    queryText: '  '
+  })
+
+  assert.deepEqual(chunks.map(chunk => chunk.chunkIndex), [0, 2, 1])
+  assert.equal(chunks[0].vectorRank, undefined)
+})
+
+test('only the preferred language is searched when the video has it', async () => {
+  const chunks = await databaseService.findSimilarChunks('talk', [1, 0], 5, { embeddingModel: MODEL, language: 'fr' })
+
+  assert.deepEqual(chunks.map(chunk => chunk.content), ['Bienvenue à tous'])
+})
+
+test('the same moment is returned once, in its best matching language', async () => {
+  const chunks = await databaseService.findSimilarChunks('talk', [1, 0], 5, { embeddingModel: MODEL, language: 'de' })
+
+  assert.deepEqual(chunks.map(chunk => chunk.content), ['Welcome everyone'])
+})
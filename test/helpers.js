@@ -0,0 +1,138 @@
+// In-memory stand-ins for the managers PeerTube passes to the plugin
+
+function createSettingsManager(settings = {}) {
+  const listeners = []
+
+  return {
+    getSetting: async (name) => settings[name],
+    onSettingsChange: (listener) => {
+      listeners.push(listener)
+    },
+    // Change settings and notify the listeners, like saving the plugin settings page
+    update: async (changes) => {
+      Object.assign(settings, changes)
+      for (const listener of listeners) {
+        await listener(settings)
+      }
+    }
+  }
+}
+
+function createStorageManager() {
+  const data = new Map()
+
+  return {
+    getData: async (key) => data.has(key) ? structuredClone(data.get(key)) : undefined,
+    storeData: async (key, value) => {
+      data.set(key, structuredClone(value))
+    }
+  }
+}
+
+function createServices(settings = {}) {
+  return {
+    logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} },
+    settingsManager: createSettingsManager(settings),
+    storageManager: createStorageManager()
+  }
+}
+
+// Register the plugin the way PeerTube does, with settings at their registered defaults
+// unless given. videos: PeerTube videos by id and UUID. Returns the route handlers,
+// called with handle(method, path, { user, body, params, query }), or with request() to get
+// the response while the route is still running.
+async function registerPlugin(settings = {}, videos = []) {
+  const { register } = require('../main')
+  const services = createServices(settings)
+  const routes = new Map()
+  const router = {}
+
+  for (const method of ['get', 'post', 'put', 'delete']) {
+    router[method] = (path, handler) => routes.set(`${method} ${path}`, handler)
+  }
+
+  await register({
+    registerHook: () => {},
+    registerSetting: ({ name, default: value }) => {
+      if (!(name in settings)) settings[name] = value
+    },
+    settingsManager: services.settingsManager,
+    storageManager: services.storageManager,
+    peertubeHelpers: {
+      logger: services.logger,
+      videos: {
+        loadByIdOrUUID: async (id) => videos.find(video => String(video.id) === String(id) || video.uuid === id) || null
+      },
+      user: {
+        getAuthUser: async (res) => res.user
+      }
+    },
+    getRouter: () => router
+  })
+
+  const request = (method, path, { user = null, body = {}, params = {}, query = {} } = {}) => {
+    const res = createResponse(user)
+    const finished = routes.get(`${method} ${path}`)({ body, params, query, ip: '127.0.0.1' }, res)
+    return { res, finished }
+  }
+
+  return {
+    settingsManager: services.settingsManager,
+    request,
+    handle: async (method, path, options) => {
+      const { res, finished } = request(method, path, options)
+      await finished
+      return res
+    }
+  }
+}
+
+// Records what a route handler answers, JSON or Server-Sent Events
+function createResponse(user) {
+  const closeListeners = []
+
+  const res = {
+    user,
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    events: [],
+    writableEnded: false,
+    status: (code) => {
+      res.statusCode = code
+      return res
+    },
+    json: (body) => {
+      res.body = body
+      res.writableEnded = true
+      return res
+    },
+    setHeader: (name, value) => {
+      res.headers[name] = value
+    },
+    flushHeaders: () => {},
+    write: (chunk) => {
+      const [, event, data] = chunk.match(/^event: (.*)\ndata: (.*)\n\n$/)
+      res.events.push({ event, data: JSON.parse(data) })
+    },
+    end: () => {
+      res.writableEnded = true
+    },
+    on: (event, listener) => {
+      if (event === 'close') closeListeners.push(listener)
+    },
+    // The client goes away before the answer ends
+    disconnect: () => {
+      closeListeners.forEach(listener => listener())
+    }
+  }
+
+  return res
+}
+
+module.exports = {
+  createSettingsManager,
+  createStorageManager,
+  createServices,
+  registerPlugin
+}
@@ -0,0 +1,83 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { OpenAI, AzureOpenAI } = require('openai')
+const llmProviders = require('../server/llm-providers')
+const openaiService = require('../server/openai-service')
+const { createSettingsManager, registerPlugin } = require('./helpers')
+
+function loadConfig(settings) {
+  return llmProviders.loadProviderConfig(createSettingsManager(settings))
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('OpenAI models are matched by prefix, most specific first', async () => {
+  const config = await loadConfig({ 'llm-provider': 'openai', 'openai-api-key': 'sk-test' })
+
+  assert.deepEqual(llmProviders.getModelParams(llmProviders.getCapabilities(config, 'gpt-5-mini'), 500), { max_completion_tokens: 4000 })
+  assert.equal(llmProviders.getCapabilities(config, 'gpt-4.1-mini').contextWindow, 1047576)
+  assert.equal(llmProviders.getCapabilities(config, 'gpt-4').contextWindow, 8192)
+  assert.deepEqual(llmProviders.getModelParams(llmProviders.getCapabilities(config, 'gpt-4'), 500), { max_tokens: 500, temperature: 0.7 })
+})
+
+test('self-hosted models get the classic parameters, without tools nor stream usage', async () => {
+  const config = await loadConfig({ 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:11434/v1' })
+  const capabilities = llmProviders.getCapabilities(config, 'gpt-5-served-locally')
+
+  assert.equal(capabilities.tokenParam, 'max_tokens')
+  assert.equal(capabilities.tools, false)
+  assert.equal(capabilities.streamUsage, false)
+})
+
+test('admin overrides take precedence over the detected capabilities', async () => {
+  const config = await loadConfig({
+    'llm-provider': 'openai-compatible',
+    'llm-base-url': 'http://localhost:11434/v1',
+    'llm-capability-tools': 'enabled',
+    'llm-capability-temperature': 'disabled',
+    'llm-capability-stream-usage': 'enabled',
+    'llm-token-parameter': 'max_completion_tokens',
+    'llm-context-window': '32768'
+  })
+  const capabilities = llmProviders.getCapabilities(config, 'qwen2.5')
+
+  assert.equal(capabilities.tools, true)
+  assert.equal(capabilities.streamUsage, true)
+  assert.equal(capabilities.contextWindow, 32768)
+  assert.deepEqual(llmProviders.getModelParams(capabilities, 500), { max_completion_tokens: 500 })
+})
+
+test('missing keys and base URLs are reported per provider', async () => {
+  assert.equal(llmProviders.validateProviderConfig(await loadConfig({ 'llm-provider': 'openai' })), 'OpenAI API key not configured')
+  assert.equal(llmProviders.validateProviderConfig(await loadConfig({ 'llm-provider': 'azure', 'openai-api-key': 'key' })), 'Azure OpenAI base URL not configured')
+  assert.equal(llmProviders.validateProviderConfig(await loadConfig({ 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:8080/v1' })), null)
+})
+
+test('clients are created for the base URL and headers of the provider', async () => {
+  const selfHosted = llmProviders.createClient(await loadConfig({
+    'llm-provider': 'openai-compatible',
+    'llm-base-url': 'http://localhost:8080/v1'
+  }))
+  assert.ok(selfHosted instanceof OpenAI)
+  assert.equal(selfHosted.baseURL, 'http://localhost:8080/v1')
+
+  const azure = llmProviders.createClient(await loadConfig({ 'llm-provider': 'azure', 'openai-api-key': 'key', 'llm-base-url': 'https://example.openai.azure.com' }))
+  assert.ok(azure instanceof AzureOpenAI)
+
+  const config = await loadConfig({ 'llm-custom-headers': 'X-Team: video\nmalformed line\n' })
+  assert.deepEqual(config.headers, { 'X-Team': 'video' })
+})
+
+test('saving the settings switches the client and capabilities to the new provider', async () => {
+  const createClient = mock.method(llmProviders, 'createClient')
+  const plugin = await registerPlugin({ 'llm-provider': 'openai', 'openai-api-key': '' })
+  assert.equal(openaiService.isInitialized(), false)
+
+  await plugin.settingsManager.update({ 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:8080/v1' })
+
+  assert.equal(openaiService.isInitialized(), true)
+  assert.equal(createClient.mock.calls.at(-1).arguments[0].baseUrl, 'http://localhost:8080/v1')
+  assert.deepEqual(openaiService.getModelParams('gpt-5', 500), { max_tokens: 500, temperature: 0.7 })
+})
@@ -0,0 +1,68 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const openaiService = require('../server/openai-service')
+const databaseService = require('../server/database-service')
+const moderationService = require('../server/moderation-service')
+const { createServices } = require('./helpers')
+
+const OPENAI = { 'llm-provider': 'openai', 'openai-api-key': 'sk-test' }
+const SELF_HOSTED = { 'llm-provider': 'openai-compatible', 'llm-base-url': 'http://localhost:8080/v1' }
+
+async function configure(settings) {
+  const services = createServices(settings)
+  await openaiService.initialize(services)
+  moderationService.initialize(services)
+
+  mock.method(databaseService, 'saveFlaggedMessage', async () => {})
+  return mock.method(openaiService, 'moderateText', async () => ({ flagged: true, categories: ['violence'] }))
+}
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('answers are streamed with the default settings, there is nothing to check them against', async () => {
+  await configure({ ...OPENAI, 'moderation-check-answers': true, 'moderation-blocklist': '# no entries yet\n', 'moderation-api-enabled': false })
+
+  assert.equal(await moderationService.isCheckingAnswers(), false)
+  assert.equal(await moderationService.moderateAnswer('question', 'any answer'), null)
+})
+
+test('answers are held back while the blocklist has entries', async () => {
+  await configure({ ...OPENAI, 'moderation-check-answers': true, 'moderation-blocklist': 'spoiler' })
+
+  assert.equal(await moderationService.isCheckingAnswers(), true)
+  assert.equal(await moderationService.moderateAnswer('question', 'No Spoiler here, spoilers are fine'), 'No [removed] here, spoilers are fine')
+})
+
+test('answers are held back while the moderation endpoint is enabled', async () => {
+  const moderateText = await configure({ ...OPENAI, 'moderation-check-answers': true, 'moderation-api-enabled': true })
+
+  assert.equal(await moderationService.isCheckingAnswers(), true)
+  assert.notEqual(await moderationService.moderateAnswer('question', 'a violent answer'), null)
+  assert.equal(moderateText.mock.callCount(), 1)
+})
+
+test('answers are not checked when the admin turned it off', async () => {
+  await configure({ ...OPENAI, 'moderation-check-answers': false, 'moderation-blocklist': 'spoiler' })
+
+  assert.equal(await moderationService.isCheckingAnswers(), false)
+  assert.equal(await moderationService.moderateAnswer('question', 'spoiler'), null)
+})
+
+test('the moderation endpoint is not called for other providers', async () => {
+  const moderateText = await configure({ ...SELF_HOSTED, 'moderation-check-answers': true, 'moderation-api-enabled': true })
+
+  assert.equal(await moderationService.isCheckingAnswers(), false)
+  assert.equal(await moderationService.moderateMessage('hello'), null)
+  assert.equal(moderateText.mock.callCount(), 0)
+})
+
+test('blocklisted messages are refused and recorded', async () => {
+  await configure({ ...SELF_HOSTED, 'moderation-blocklist': '/free\\s+crypto/i' })
+  const saveFlaggedMessage = databaseService.saveFlaggedMessage
+
+  assert.notEqual(await moderationService.moderateMessage('Where is the FREE  crypto?', { userId: 3 }), null)
+  assert.equal(saveFlaggedMessage.mock.callCount(), 1)
+  assert.equal(saveFlaggedMessage.mock.calls[0].arguments[0].action, 'refused')
+})
@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const quizService = require('../server/quiz-service')
+
+const quiz = {
+  id: 7,
+  videoUuid: 'course',
+  questions: [
+    { id: 'q1', question: 'First?', options: ['a', 'b'], answer: 1, explanation: 'Because b', timestamp: 30 },
+    { id: 'q2', question: 'Second?', options: ['a', 'b', 'c'], answer: 0, explanation: 'Because a', timestamp: 90 },
+    { id: 'q3', question: 'Third?', options: ['a', 'b'], answer: 0, explanation: 'Because a', timestamp: null }
+  ]
+}
+
+let saveQuizAttempt
+
+beforeEach(() => {
+  saveQuizAttempt = mock.method(databaseService, 'saveQuizAttempt', async () => {})
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+test('answers are scored against the answer key', async () => {
+  const attempt = await quizService.submitAttempt(quiz, [1, 2, 0], null)
+
+  assert.equal(attempt.score, 2)
+  assert.equal(attempt.total, 3)
+  assert.deepEqual(attempt.results.map(result => result.correct), [true, false, true])
+  assert.deepEqual(attempt.results[1], {
+    id: 'q2',
+    answer: 2,
+    correct: false,
+    correctAnswer: 0,
+    explanation: 'Because a',
+    timestamp: 90
+  })
+})
+
+test('answers that are not option indexes count as unanswered', async () => {
+  const attempt = await quizService.submitAttempt(quiz, ['1', 0.5, null], null)
+
+  assert.equal(attempt.score, 0)
+  assert.deepEqual(attempt.results.map(result => result.answer), [null, null, null])
+})
+
+test('attempts of signed-in users are saved', async () => {
+  await quizService.submitAttempt(quiz, [1, 0, 1], 12)
+
+  assert.equal(saveQuizAttempt.mock.callCount(), 1)
+  assert.deepEqual(saveQuizAttempt.mock.calls[0].arguments[0], {
+    quizId: 7,
+    videoUuid: 'course',
+    userId: 12,
+    answers: [1, 0, 1],
+    score: 2,
+    total: 3
+  })
+})
+
+test('anonymous attempts are scored but not saved', async () => {
+  await quizService.submitAttempt(quiz, [1, 0, 0], null)
+
+  assert.equal(saveQuizAttempt.mock.callCount(), 0)
+})
+
+test('the public quiz does not reveal the answers', () => {
+  const publicQuiz = quizService.toPublicQuiz(quiz)
+  const text = JSON.stringify(publicQuiz)
+
+  assert.ok(!text.includes('Because'))
+  for (const question of publicQuiz.questions) {
+    assert.equal(question.answer, undefined)
+  }
+})
@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const databaseService = require('../server/database-service')
+const rateLimiter = require('../server/rate-limiter')
+const { createServices } = require('./helpers')
+
+const START = new Date(2026, 0, 15, 12, 0, 0).getTime()
+let now = START
+
+beforeEach(() => {
+  now = START
+  mock.method(Date, 'now', () => now)
+  mock.method(databaseService, 'getTokenUsageSince', async () => 0)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+// Each test uses its own users, addresses and videos: recent messages are kept by the module
+test('signed-in users are limited per minute', async () => {
+  rateLimiter.initialize(createServices({ 'rate-limit-user-messages': '2' }))
+
+  assert.equal(await rateLimiter.consumeChatRequest({ userId: 1, ipAddress: '10.0.0.1' }), null)
+  assert.equal(await rateLimiter.consumeChatRequest({ userId: 1, ipAddress: '10.0.0.1' }), null)
+
+  const rejection = await rateLimiter.consumeChatRequest({ userId: 1, ipAddress: '10.0.0.1' })
+  assert.equal(rejection.scope, 'user')
+  assert.equal(rejection.limit, 'messages')
+  assert.equal(rejection.retryAt.getTime(), START + 60 * 1000)
+
+  // Another user behind the same address is not affected
+  assert.equal(await rateLimiter.consumeChatRequest({ userId: 2, ipAddress: '10.0.0.1' }), null)
+})
+
+test('messages older than a minute are forgotten', async () => {
+  rateLimiter.initialize(createServices({ 'rate-limit-user-messages': '1' }))
+
+  assert.equal(await rateLimiter.consumeChatRequest({ userId: 3 }), null)
+  assert.notEqual(await rateLimiter.consumeChatRequest({ userId: 3 }), null)
+
+  now = START + 61 * 1000
+  assert.equal(await rateLimiter.consumeChatRequest({ userId: 3 }), null)
+})
+
+test('anonymous visitors are limited per IP address', async () => {
+  rateLimiter.initialize(createServices({ 'rate-limit-ip-messages': '1', 'rate-limit-user-messages': '1' }))
+
+  assert.equal(await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.2' }), null)
+  assert.equal((await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.2' })).scope, 'ip')
+  assert.equal(await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.3' }), null)
+})
+
+test('rejected requests are not counted against the video', async () => {
+  rateLimiter.initialize(createServices({ 'rate-limit-ip-messages': '1', 'rate-limit-video-messages': '2' }))
+
+  assert.equal(await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.4', videoUuid: 'video-a' }), null)
+  assert.equal((await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.4', videoUuid: 'video-a' })).scope, 'ip')
+  assert.equal(await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.5', videoUuid: 'video-a' }), null)
+  assert.equal((await rateLimiter.consumeChatRequest({ ipAddress: '10.0.0.6', videoUuid: 'video-a' })).scope, 'video')
+})
+
+test('the daily token quota is checked against the usage of the day', async () => {
+  rateLimiter.initialize(createServices({ 'quota-user-tokens': '5000' }))
+  const usage = mock.method(databaseService, 'getTokenUsageSince', async () => 5000)
+
+  const rejection = await rateLimiter.consumeChatRequest({ userId: 4 })
+  assert.equal(rejection.scope, 'user')
+  assert.equal(rejection.limit, 'tokens')
+  assert.equal(rejection.retryAt.getTime(), new Date(2026, 0, 16).getTime())
+
+  const [since, filter] = usage.mock.calls[0].arguments
+  assert.equal(since.getTime(), new Date(2026, 0, 15).getTime())
+  assert.deepEqual(filter, { userId: 4 })
+})
+
+test('empty or zero limits disable them', async () => {
+  rateLimiter.initialize(createServices({ 'rate-limit-user-messages': '0', 'quota-user-tokens': '' }))
+  const usage = mock.method(databaseService, 'getTokenUsageSince', async () => 1e9)
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await rateLimiter.consumeChatRequest({ userId: 5, videoUuid: 'video-b' }), null)
+  }
+  assert.equal(usage.mock.callCount(), 0)
+})
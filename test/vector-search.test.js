@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { PGlite } = require('@electric-sql/pglite')
+const { vector } = require('@electric-sql/pglite-pgvector')
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket')
+const databaseService = require('../server/database-service')
+const { createServices } = require('./helpers')
+
+const MODEL = 'text-embedding-3-small'
+const DIMENSIONS = 8
+const VIDEO_COUNT = 20
+const CHUNKS_PER_VIDEO = 10
+
+let db = null
+let server = null
+
+// Deterministic vectors spread over all directions, like real embeddings
+function embedding(seed) {
+  let state = seed * 2654435761 % 4294967296
+  return Array.from({ length: DIMENSIONS }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296 - 0.5
+  })
+}
+
+// The indexes are created on empty tables, as on a new installation, before any video is processed
+before(async () => {
+  db = await PGlite.create({ extensions: { vector } })
+  server = new PGLiteSocketServer({ db, port: 0, host: '127.0.0.1' })
+  await server.start()
+  const port = server.getServerConn().split(':').pop()
+
+  // The extension is created by the admin, as the README asks
+  await db.exec('CREATE EXTENSION IF NOT EXISTS vector')
+  await databaseService.initialize(createServices({ 'database-url': `postgres://postgres@localhost:${port}/postgres` }))
+  await databaseService.ensureEmbeddingSchema(MODEL, DIMENSIONS, { clearVectors: true })
+
+  for (let video = 0; video < VIDEO_COUNT; video++) {
+    const videoUuid = `video-${video}`
+    await databaseService.addToProcessingQueue(videoUuid, video + 1)
+    await databaseService.updateProcessingStatus(videoUuid, 'completed')
+
+    for (let chunkIndex = 0; chunkIndex < CHUNKS_PER_VIDEO; chunkIndex++) {
+      const seed = video * CHUNKS_PER_VIDEO + chunkIndex + 1
+      await databaseService.saveVideoEmbedding(videoUuid, video + 1, chunkIndex, {
+        content: `Chunk ${chunkIndex} of video ${video}`,
+        embedding: embedding(seed),
+        embeddingModel: MODEL,
+        language: 'en',
+        startTime: chunkIndex * 30,
+        endTime: chunkIndex * 30 + 30
+      })
+      await databaseService.saveVideoSnapshot(videoUuid, video + 1, chunkIndex * 30, `/snapshots/${seed}.jpg`, `Frame ${chunkIndex}`)
+      await databaseService.saveSnapshotEmbedding(videoUuid, chunkIndex * 30, embedding(seed), MODEL)
+    }
+  }
+
+  // Plan the searches as on a large library, where reading the nearest rows from the vector
+  // index beats scanning and sorting them. Settings apply to the connection of the service.
+  await db.exec('SET enable_seqscan = off; SET enable_sort = off')
+})
+
+after(async () => {
+  await databaseService.disconnect()
+  await server.stop()
+  await db.close()
+})
+
+test('a video search returns the requested number of chunks', async () => {
+  for (const video of [0, 7, 19]) {
+    const chunks = await databaseService.findSimilarChunks(`video-${video}`, embedding(1000 + video), 5, { embeddingModel: MODEL })
+
+    assert.equal(chunks.length, 5)
+    assert.ok(chunks.every(chunk => chunk.videoUuid === `video-${video}`))
+  }
+})
+
+test('a video search ranks all the chunks of the video', async () => {
+  const chunks = await databaseService.findSimilarChunks('video-3', embedding(3 * CHUNKS_PER_VIDEO + 5), CHUNKS_PER_VIDEO, { embeddingModel: MODEL })
+
+  assert.equal(chunks.length, CHUNKS_PER_VIDEO)
+  assert.equal(chunks[0].chunkIndex, 4)
+  assert.equal(chunks[0].distance, 0)
+})
+
+test('a library search returns the requested number of chunks', async () => {
+  const chunks = await databaseService.findSimilarChunks(null, embedding(5000), 8, { embeddingModel: MODEL })
+
+  assert.equal(chunks.length, 8)
+})
+
+test('a snapshot search returns the requested number of snapshots', async () => {
+  const snapshots = await databaseService.findSimilarSnapshots('video-12', embedding(12 * CHUNKS_PER_VIDEO + 3), 4, MODEL)
+
+  assert.equal(snapshots.length, 4)
+  assert.equal(snapshots[0].timestamp, 60)
+})
@@ -0,0 +1,67 @@
+const { test, before, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const chatService = require('../server/chat-service')
+const { registerPlugin } = require('./helpers')
+
+const owner = { id: 10, role: 2 }
+const viewer = { id: 11, role: 2 }
+
+const videos = [
+  { id: 1, uuid: 'public-video', privacy: 1, VideoChannel: { Account: { userId: owner.id } } },
+  { id: 2, uuid: 'private-video', privacy: 3, VideoChannel: { Account: { userId: owner.id } } },
+  { id: 3, uuid: 'internal-video', privacy: 4, VideoChannel: { Account: { userId: owner.id } } }
+]
+
+let plugin
+let handleChatMessage
+
+before(async () => {
+  plugin = await registerPlugin({}, videos)
+})
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+function chat(videoUuid, user) {
+  handleChatMessage = mock.method(chatService, 'handleChatMessage', async () => ({ response: 'An answer with sources', sources: [] }))
+  return plugin.handle('post', '/chat/send', { user, body: { videoUuid, message: 'What is shown at 1:00?' } })
+}
+
+test('chat about a private video is refused to other users as if it did not exist', async () => {
+  for (const user of [null, viewer]) {
+    const res = await chat('private-video', user)
+    assert.equal(res.statusCode, 404)
+    assert.equal(handleChatMessage.mock.callCount(), 0)
+  }
+})
+
+test('chat about an internal video needs a signed-in user', async () => {
+  assert.equal((await chat('internal-video', null)).statusCode, 404)
+  assert.equal((await chat('internal-video', viewer)).statusCode, 200)
+})
+
+test('the owner can chat about a private video, with the ids of the loaded video', async () => {
+  const res = await chat('private-video', owner)
+
+  assert.equal(res.statusCode, 200)
+  const [videoId, videoUuid] = handleChatMessage.mock.calls[0].arguments
+  assert.equal(videoId, 2)
+  assert.equal(videoUuid, 'private-video')
+})
+
+test('unknown videos answer 404', async () => {
+  assert.equal((await chat('missing-video', owner)).statusCode, 404)
+})
+
+test('conversations cannot be started on a video the user may not view', async () => {
+  const createConversation = mock.method(chatService, 'createConversation', async () => ({ id: 1 }))
+
+  const refused = await plugin.handle('post', '/chat/conversations', { user: viewer, body: { videoUuid: 'private-video' } })
+  assert.equal(refused.statusCode, 404)
+  assert.equal(createConversation.mock.callCount(), 0)
+
+  const created = await plugin.handle('post', '/chat/conversations', { user: viewer, body: { videoId: 1 } })
+  assert.equal(created.statusCode, 200)
+  assert.deepEqual(createConversation.mock.calls[0].arguments.slice(0, 3), [1, 'public-video', viewer.id])
+})
@@ -0,0 +1,41 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { canViewVideo, canManageVideo } = require('../server/video-access')
+
+const owner = { id: 5, role: 2 }
+const viewer = { id: 6, role: 2 }
+const moderator = { id: 7, role: 1 }
+const admin = { id: 8, role: 0 }
+
+function video(privacy) {
+  return { privacy, VideoChannel: { Account: { userId: owner.id } } }
+}
+
+test('public and unlisted videos are visible to everyone', () => {
+  for (const privacy of [1, 2]) {
+    assert.equal(canViewVideo(null, video(privacy)), true)
+    assert.equal(canViewVideo(viewer, video(privacy)), true)
+  }
+})
+
+test('internal videos need a signed-in user', () => {
+  assert.equal(canViewVideo(null, video(4)), false)
+  assert.equal(canViewVideo(viewer, video(4)), true)
+})
+
+test('private and password-protected videos are limited to their owner, admins and moderators', () => {
+  for (const privacy of [3, 5]) {
+    assert.equal(canViewVideo(null, video(privacy)), false)
+    assert.equal(canViewVideo(viewer, video(privacy)), false)
+    assert.equal(canViewVideo(owner, video(privacy)), true)
+    assert.equal(canViewVideo(moderator, video(privacy)), true)
+    assert.equal(canViewVideo(admin, video(privacy)), true)
+  }
+})
+
+test('moderators may view but not manage videos of others', () => {
+  assert.equal(canManageVideo(moderator, video(1)), false)
+  assert.equal(canManageVideo(owner, video(1)), true)
+  assert.equal(canManageVideo(admin, video(1)), true)
+  assert.equal(canManageVideo(null, video(1)), false)
+})